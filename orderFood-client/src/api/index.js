@@ -7,12 +7,113 @@ const api = axios.create({
   timeout: 5000 // 5秒超时，打印操作已改为异步执行，不会阻塞响应
 });
 
+// 终端编号：点餐机以 ?terminal=K01 打开时记住编号，之后每个请求都通过 X-Terminal-Id 携带
+const TERMINAL_STORAGE_KEY = 'terminal_code';
+const terminalParam = new URLSearchParams(window.location.search).get('terminal');
+if (terminalParam !== null) {
+  if (terminalParam.trim()) {
+    localStorage.setItem(TERMINAL_STORAGE_KEY, terminalParam.trim());
+  } else {
+    localStorage.removeItem(TERMINAL_STORAGE_KEY);
+  }
+}
+
+export const getTerminalCode = () => localStorage.getItem(TERMINAL_STORAGE_KEY) || '';
+
+// 员工登录：令牌和员工资料保存在 sessionStorage，关闭浏览器标签后需重新登录
+const STAFF_TOKEN_KEY = 'staff_token';
+const STAFF_INFO_KEY = 'staff_info';
+
+// 角色权限等级（与服务器一致：cashier < manager < admin）
+const ROLE_LEVELS = { cashier: 1, manager: 2, admin: 3 };
+
+export const getStaffSession = () => {
+  try {
+    const staff = JSON.parse(sessionStorage.getItem(STAFF_INFO_KEY) || 'null');
+    return sessionStorage.getItem(STAFF_TOKEN_KEY) && staff ? staff : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveStaffSession = ({ token, staff }) => {
+  sessionStorage.setItem(STAFF_TOKEN_KEY, token);
+  sessionStorage.setItem(STAFF_INFO_KEY, JSON.stringify(staff));
+};
+
+export const clearStaffSession = () => {
+  sessionStorage.removeItem(STAFF_TOKEN_KEY);
+  sessionStorage.removeItem(STAFF_INFO_KEY);
+};
+
+// 当前登录的员工是否拥有指定角色的权限
+export const staffHasRole = (role) => {
+  const staff = getStaffSession();
+  return Boolean(staff) && (ROLE_LEVELS[staff.role] || 0) >= ROLE_LEVELS[role];
+};
+
+// 下单幂等键：每次结账生成一个，超时重试时携带同一个键，服务器只会创建一张订单
+// （crypto.randomUUID 只在 HTTPS 或 localhost 下可用，点餐机可能经局域网 HTTP 访问）
+export const createIdempotencyKey = () => {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+api.interceptors.request.use((config) => {
+  const terminalCode = getTerminalCode();
+  if (terminalCode) {
+    config.headers['X-Terminal-Id'] = terminalCode;
+  }
+  const staffToken = sessionStorage.getItem(STAFF_TOKEN_KEY);
+  if (staffToken) {
+    config.headers.Authorization = `Bearer ${staffToken}`;
+  }
+  return config;
+});
+
+// 登录已过期（401）时清除登录状态并回到 PIN 登录界面
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const url = error.config?.url || '';
+    if (error.response?.status === 401 && !url.startsWith('/orderfood/auth/') && getStaffSession()) {
+      clearStaffSession();
+      const redirect = encodeURIComponent(window.location.pathname + window.location.search);
+      window.location.assign(`/login?redirect=${redirect}`);
+    }
+    return Promise.reject(error);
+  }
+);
+
 // 订单服务
 export const orderService = {
-  // 创建订单
-  create: (orderData) => api.post('/orderfood/orders', orderData),
+  // 创建订单（idempotencyKey 为本次结账的幂等键，重试时必须相同）
+  create: (orderData, idempotencyKey) => api.post('/orderfood/orders', orderData, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+  }),
+  // 查询订单列表
+  getOrders: (params) => api.get('/orderfood/orders', { params }),
+  // 预览订单小票（format=text|html，template 为未保存的小票模板 JSON）
+  getReceiptPreview: (id, params) => api.get(`/orderfood/orders/${id}/receipt-preview`, { params }),
+  // 发起付款（按付款方式的收款渠道）
+  startPayment: (orderNumber) => api.post(`/orderfood/orders/${orderNumber}/payment`),
+  // 取消付款（同时取消订单）
+  cancelPayment: (orderNumber) => api.post(`/orderfood/orders/${orderNumber}/payment/cancel`),
+  // 店员确认已在柜台收款
+  confirmPayment: (orderNumber) => api.post(`/orderfood/orders/${orderNumber}/payment/confirm`),
+  // 等待柜台付款的订单
+  getCounterOrders: () => api.get('/orderfood/payments/counter'),
+  // 取餐显示屏的制作中和可取餐号码
+  getOrderBoard: () => api.get('/orderfood/board'),
+  // 变更订单状态（如出餐后标记为已完成）
+  updateOrderStatus: (id, status) => api.patch(`/orderfood/orders/${id}/status`, { status }),
+  // 查询订单付款状态
+  getPaymentStatus: (orderNumber) => api.get(`/orderfood/orders/${orderNumber}/payment`),
   // 获取套餐列表
   getMeals: () => api.get('/orderfood/meals'),
+  // 查询打印机状态（缺纸、脱机时暂停接单）
+  getPrinterStatus: () => api.get('/orderfood/printer/status'),
   // 获取付款方式列表
   getPaymentMethods: () => api.get('/orderfood/payment-methods'),
   // 获取系统设置
@@ -21,10 +122,68 @@ export const orderService = {
   updateSettings: (data) => api.put('/orderfood/settings', data)
 };
 
+// 员工登录服务
+export const authService = {
+  // 登录界面的员工列表（没有员工账号时 setupRequired 为 true）
+  getLoginStaff: () => api.get('/orderfood/auth/staff'),
+  // 首次使用时创建管理员账号
+  setupAdmin: (data) => api.post('/orderfood/auth/setup', data),
+  // PIN 登录
+  login: (staffId, pin) => api.post('/orderfood/auth/login', { staffId, pin }),
+  // 退出登录
+  logout: () => api.post('/orderfood/auth/logout'),
+  // 员工账号管理
+  getStaff: () => api.get('/orderfood/staff'),
+  createStaff: (data) => api.post('/orderfood/staff', data),
+  updateStaff: (id, data) => api.put(`/orderfood/staff/${id}`, data),
+  deleteStaff: (id) => api.delete(`/orderfood/staff/${id}`)
+};
+
+// 终端管理服务
+export const terminalService = {
+  // 当前点餐机的终端信息（未设置终端编号时 data 为 null）
+  getCurrentTerminal: () => api.get('/orderfood/terminals/current'),
+  // 获取全部终端（包含已停用）
+  getTerminals: () => api.get('/orderfood/terminals'),
+  // 登记终端
+  createTerminal: (data) => api.post('/orderfood/terminals', data),
+  // 修改终端
+  updateTerminal: (id, data) => api.put(`/orderfood/terminals/${id}`, data),
+  // 停用终端
+  deleteTerminal: (id) => api.delete(`/orderfood/terminals/${id}`)
+};
+
+// 菜单管理服务
+export const menuService = {
+  // 获取全部菜品（包含已停售）
+  getAllMeals: () => api.get('/orderfood/meals/all'),
+  // 新增菜品
+  createMeal: (data) => api.post('/orderfood/meals', data),
+  // 修改菜品
+  updateMeal: (id, data) => api.put(`/orderfood/meals/${id}`, data),
+  // 停售菜品
+  deleteMeal: (id) => api.delete(`/orderfood/meals/${id}`),
+  // 调整排序
+  reorderMeals: (ids) => api.put('/orderfood/meals/reorder', { ids }),
+  // 上传菜品图片（服务器需要缩放图片，超时时间放宽）
+  uploadMealImage: (id, file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return api.post(`/orderfood/meals/${id}/image`, formData, { timeout: 30000 });
+  },
+  // 删除菜品图片
+  deleteMealImage: (id) => api.delete(`/orderfood/meals/${id}/image`),
+  // 设置菜品选项组（整体替换）
+  setMealOptionGroups: (id, groups) => api.put(`/orderfood/meals/${id}/option-groups`, { groups })
+};
+
 export default {
   get: api.get,
   post: api.post,
   put: api.put,
   delete: api.delete,
-  orderService
+  orderService,
+  authService,
+  terminalService,
+  menuService
 };
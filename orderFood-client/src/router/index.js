@@ -1,4 +1,5 @@
 import { createRouter, createWebHistory } from 'vue-router';
+import { getStaffSession, staffHasRole } from '@/api';
 
 const routes = [
   {
@@ -23,7 +24,36 @@ const routes = [
   {
     path: '/settings',
     name: 'settings',
-    component: () => import('../views/SettingsView.vue')
+    component: () => import('../views/SettingsView.vue'),
+    meta: { requiresRole: 'admin' }
+  },
+  {
+    path: '/menu',
+    name: 'menu',
+    component: () => import('../views/MenuManageView.vue'),
+    meta: { requiresRole: 'manager' }
+  },
+  {
+    path: '/cashier',
+    name: 'cashier',
+    component: () => import('../views/CashierView.vue'),
+    meta: { requiresRole: 'cashier' }
+  },
+  {
+    path: '/board',
+    name: 'board',
+    component: () => import('../views/OrderBoardView.vue')
+  },
+  {
+    path: '/board/staff',
+    name: 'board-staff',
+    component: () => import('../views/OrderBoardView.vue'),
+    meta: { requiresRole: 'cashier', staffMode: true }
+  },
+  {
+    path: '/login',
+    name: 'login',
+    component: () => import('../views/LoginView.vue')
   }
 ];
 
@@ -32,4 +62,16 @@ const router = createRouter({
   routes
 });
 
+// 管理页面需要员工 PIN 登录，未登录或权限不足时转到登录界面
+router.beforeEach((to) => {
+  const requiredRole = to.meta.requiresRole;
+  if (requiredRole && !staffHasRole(requiredRole)) {
+    return {
+      name: 'login',
+      query: { redirect: to.fullPath, ...(getStaffSession() ? { denied: '1' } : {}) }
+    };
+  }
+  return true;
+});
+
 export default router;
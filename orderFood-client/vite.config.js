@@ -27,6 +27,12 @@ export default defineConfig({
             console.error('代理错误:', err.message);
           });
         }
+      },
+      // 菜品图片由后端从上传目录提供
+      '/uploads': {
+        target: API_TARGET,
+        changeOrigin: true,
+        secure: false
       }
     }
   }
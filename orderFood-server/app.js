@@ -3,8 +3,10 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const routes = require('./routes');
+const { authenticate } = require('./middleware/auth');
 const logger = require('./utils/logger');
 const { getPublicDirPath } = require('./utils/getPublicDirPath');
+const { getUploadsDirPath } = require('./utils/getUploadsDirPath');
 
 const app = express();
 
@@ -14,8 +16,8 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// API路由
-app.use('/api', routes);
+// API路由（先识别已登录的员工，各路由再按角色限制访问）
+app.use('/api', authenticate, routes);
 
 // 静态文件服务（提供前端构建的文件）
 let publicDir;
@@ -42,6 +44,11 @@ try {
 
 app.use(express.static(publicDir));
 
+// 上传文件（菜品图片）放在数据库同目录下，文件名带时间戳，可以长期缓存
+const uploadsDir = getUploadsDirPath();
+logger.info(`✓ 上传文件目录: ${uploadsDir}`);
+app.use('/uploads', express.static(uploadsDir, { maxAge: '30d' }));
+
 // 回退路由：所有非API请求都返回 index.html（支持 Vue Router 的 history 模式）
 // 使用中间件方式而不是通配符路由，避免 path-to-regexp 版本兼容问题
 app.use((req, res, next) => {
@@ -0,0 +1,237 @@
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+/**
+ * 解析路径中的员工ID
+ * @param {string} value - 路径参数
+ * @returns {number|null}
+ */
+const parseStaffId = (value) => {
+  const staffId = Number(value);
+  return Number.isInteger(staffId) && staffId > 0 ? staffId : null;
+};
+
+/**
+ * 登录界面的员工列表（只包含名称）
+ */
+const getLoginStaff = async (req, res) => {
+  try {
+    const result = await authService.listLoginStaff();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('获取登录员工列表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取登录员工列表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 首次使用时创建管理员账号
+ */
+const setupAdmin = async (req, res) => {
+  try {
+    const { name, pin } = req.body || {};
+
+    const session = await authService.setupAdmin({ name, pin });
+
+    res.status(201).json({
+      success: true,
+      data: session,
+      message: '管理员账号已创建'
+    });
+  } catch (error) {
+    logger.error('创建管理员账号失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '创建管理员账号失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 员工 PIN 登录
+ */
+const login = async (req, res) => {
+  try {
+    const { staffId, pin } = req.body || {};
+    if (!Number.isInteger(staffId) || typeof pin !== 'string' || pin === '') {
+      return res.status(400).json({
+        success: false,
+        message: '请选择员工并输入 PIN'
+      });
+    }
+
+    const session = await authService.login(staffId, pin);
+
+    res.status(200).json({
+      success: true,
+      data: session,
+      message: '登录成功'
+    });
+  } catch (error) {
+    logger.error('员工登录失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '员工登录失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 退出登录
+ */
+const logout = async (req, res) => {
+  try {
+    await authService.logout(req.staffToken);
+
+    if (req.staff) {
+      logger.info('员工退出登录', { staffId: req.staff.id, name: req.staff.name });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: '已退出登录'
+    });
+  } catch (error) {
+    logger.error('退出登录失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '退出登录失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 当前登录的员工
+ */
+const getCurrentStaff = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: authService.formatStaff(req.staff)
+  });
+};
+
+/**
+ * 获取全部员工账号（包含已停用）
+ */
+const listStaff = async (req, res) => {
+  try {
+    const staff = await authService.listStaff();
+
+    res.status(200).json({
+      success: true,
+      data: staff
+    });
+  } catch (error) {
+    logger.error('获取员工列表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取员工列表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 新增员工账号
+ */
+const createStaff = async (req, res) => {
+  try {
+    const staff = await authService.createStaff(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: staff,
+      message: '员工账号已新增'
+    });
+  } catch (error) {
+    logger.error('新增员工账号失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '新增员工账号失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 修改员工账号
+ */
+const updateStaff = async (req, res) => {
+  try {
+    const staffId = parseStaffId(req.params.id);
+    if (staffId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '员工ID无效'
+      });
+    }
+
+    const staff = await authService.updateStaff(staffId, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: staff,
+      message: '员工账号已更新'
+    });
+  } catch (error) {
+    logger.error('修改员工账号失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '修改员工账号失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 停用员工账号（软删除）
+ */
+const deleteStaff = async (req, res) => {
+  try {
+    const staffId = parseStaffId(req.params.id);
+    if (staffId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '员工ID无效'
+      });
+    }
+
+    const staff = await authService.deleteStaff(staffId);
+
+    res.status(200).json({
+      success: true,
+      data: staff,
+      message: '员工账号已停用'
+    });
+  } catch (error) {
+    logger.error('停用员工账号失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '停用员工账号失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getLoginStaff,
+  setupAdmin,
+  login,
+  logout,
+  getCurrentStaff,
+  listStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff
+};
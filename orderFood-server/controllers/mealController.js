@@ -0,0 +1,274 @@
+const multer = require('multer');
+const mealService = require('../services/mealService');
+const logger = require('../utils/logger');
+
+// 图片先读入内存，由 service 缩放后再写入磁盘
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: mealService.MAX_IMAGE_FILE_SIZE,
+    files: 1
+  }
+}).single('image');
+
+/**
+ * 解析 multipart 请求中的图片文件（字段名 image）
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @returns {Promise<void>}
+ */
+const parseImageUpload = (req, res) => new Promise((resolve, reject) => {
+  imageUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      error.statusCode = 400;
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        error.message = `图片不能超过 ${mealService.MAX_IMAGE_FILE_SIZE / 1024 / 1024}MB`;
+      } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        error.message = '请使用 image 字段上传单张图片';
+      }
+    }
+    return error ? reject(error) : resolve();
+  });
+});
+
+/**
+ * 解析路径中的菜品ID
+ * @param {string} value - 路径参数
+ * @returns {number|null}
+ */
+const parseMealId = (value) => {
+  const mealId = Number(value);
+  return Number.isInteger(mealId) && mealId >= 0 ? mealId : null;
+};
+
+/**
+ * 获取全部菜品（管理界面，包含已停售）
+ */
+const listMeals = async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const meals = await mealService.listMeals({ category });
+
+    res.status(200).json({
+      success: true,
+      data: meals
+    });
+  } catch (error) {
+    logger.error('获取菜品管理列表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取菜品管理列表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 新增菜品
+ */
+const createMeal = async (req, res) => {
+  try {
+    const meal = await mealService.createMeal(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: meal,
+      message: '菜品已新增'
+    });
+  } catch (error) {
+    logger.error('新增菜品失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '新增菜品失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 修改菜品
+ */
+const updateMeal = async (req, res) => {
+  try {
+    const mealId = parseMealId(req.params.id);
+    if (mealId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '菜品ID无效'
+      });
+    }
+
+    const meal = await mealService.updateMeal(mealId, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: meal,
+      message: '菜品已更新'
+    });
+  } catch (error) {
+    logger.error('修改菜品失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '修改菜品失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 停售菜品（软删除）
+ */
+const deleteMeal = async (req, res) => {
+  try {
+    const mealId = parseMealId(req.params.id);
+    if (mealId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '菜品ID无效'
+      });
+    }
+
+    const meal = await mealService.deleteMeal(mealId);
+
+    res.status(200).json({
+      success: true,
+      data: meal,
+      message: '菜品已停售'
+    });
+  } catch (error) {
+    logger.error('停售菜品失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '停售菜品失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 调整菜品排序
+ */
+const reorderMeals = async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    const meals = await mealService.reorderMeals(ids);
+
+    res.status(200).json({
+      success: true,
+      data: meals,
+      message: '排序已更新'
+    });
+  } catch (error) {
+    logger.error('调整菜品排序失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '调整菜品排序失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 上传菜品图片（multipart/form-data，字段名 image）
+ */
+const uploadMealImage = async (req, res) => {
+  try {
+    const mealId = parseMealId(req.params.id);
+    if (mealId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '菜品ID无效'
+      });
+    }
+
+    await parseImageUpload(req, res);
+    const meal = await mealService.uploadMealImage(mealId, req.file);
+
+    res.status(200).json({
+      success: true,
+      data: meal,
+      message: '菜品图片已上传'
+    });
+  } catch (error) {
+    logger.error('上传菜品图片失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '上传菜品图片失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 删除菜品图片
+ */
+const deleteMealImage = async (req, res) => {
+  try {
+    const mealId = parseMealId(req.params.id);
+    if (mealId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '菜品ID无效'
+      });
+    }
+
+    const meal = await mealService.deleteMealImage(mealId);
+
+    res.status(200).json({
+      success: true,
+      data: meal,
+      message: '菜品图片已删除'
+    });
+  } catch (error) {
+    logger.error('删除菜品图片失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '删除菜品图片失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 设置菜品选项组（整体替换）
+ */
+const setMealOptionGroups = async (req, res) => {
+  try {
+    const mealId = parseMealId(req.params.id);
+    if (mealId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '菜品ID无效'
+      });
+    }
+
+    const { groups } = req.body || {};
+    const meal = await mealService.setMealOptionGroups(mealId, groups);
+
+    res.status(200).json({
+      success: true,
+      data: meal,
+      message: '菜品选项已更新'
+    });
+  } catch (error) {
+    logger.error('设置菜品选项组失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '设置菜品选项组失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listMeals,
+  createMeal,
+  updateMeal,
+  deleteMeal,
+  reorderMeals,
+  uploadMealImage,
+  deleteMealImage,
+  setMealOptionGroups
+};
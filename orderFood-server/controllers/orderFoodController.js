@@ -1,4 +1,8 @@
 const orderFoodService = require('../services/orderFoodService');
+const terminalService = require('../services/terminalService');
+const refundService = require('../services/refundService');
+const counterPaymentService = require('../services/counterPaymentService');
+const orderBoardService = require('../services/orderBoardService');
 const logger = require('../utils/logger');
 
 /**
@@ -6,7 +10,7 @@ const logger = require('../utils/logger');
  */
 const createOrder = async (req, res) => {
   try {
-    const { items, totalAmount, storeId, orderType, paymentMethodId } = req.body;
+    const { items, totalAmount, orderType, paymentMethodId } = req.body;
     
     // 验证必填字段
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -28,7 +32,6 @@ const createOrder = async (req, res) => {
     
     // 验证订单明细格式
     for (const item of items) {
-      // mealId 允许为 0（例如飲品），这里只检查 undefined / null
       if (item.mealId === undefined || item.mealId === null || item.price === undefined) {
         return res.status(400).json({ 
           success: false,
@@ -43,26 +46,51 @@ const createOrder = async (req, res) => {
         });
       }
       
-      if (item.quantity <= 0) {
+      // 菜品ID须为整数（字符串ID会被数据库查询接受，但与菜品记录对不上）
+      if (!Number.isInteger(item.mealId) || item.mealId < 0) {
         return res.status(400).json({ 
           success: false,
-          message: '商品数量必须大于0' 
+          message: `菜品ID无效: ${item.mealId}` 
+        });
+      }
+      
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        return res.status(400).json({ 
+          success: false,
+          message: '商品数量必须为大于0的整数' 
+        });
+      }
+
+      // 所选选项须为整数ID数组（无选项时可省略）
+      if (item.optionIds !== undefined && item.optionIds !== null
+        && (!Array.isArray(item.optionIds) || !item.optionIds.every(Number.isInteger))) {
+        return res.status(400).json({ 
+          success: false,
+          message: '订单明细选项格式不正确，optionIds 必须为选项ID数组' 
         });
       }
     }
     
+    // 下单的点餐机（未携带 X-Terminal-Id 时为 null）
+    const terminal = await terminalService.resolveTerminal(req.get(terminalService.TERMINAL_HEADER));
+    
+    // 同一次结账的幂等键（可选），重试时返回第一次创建的订单
+    const idempotencyKey = orderFoodService.normalizeIdempotencyKey(req.get(orderFoodService.IDEMPOTENCY_KEY_HEADER));
+    
     const result = await orderFoodService.createOrder({
       items,
       totalAmount,
-      storeId: storeId || 1,
       orderType: validOrderType,
-      paymentMethodId: paymentMethodId || null
+      paymentMethodId: paymentMethodId || null,
+      terminal,
+      idempotencyKey
     });
     
     res.status(200).json(result);
   } catch (error) {
     logger.error('创建订单失败:', error);
-    res.status(500).json({ 
+    // 业务校验错误（如金额不一致）由 service 通过 statusCode 指定响应码
+    res.status(error.statusCode || 500).json({ 
       success: false,
       message: error.message || '创建订单失败', 
       error: error.message 
@@ -70,6 +98,445 @@ const createOrder = async (req, res) => {
   }
 };
 
+/**
+ * 解析可选的整数查询参数
+ * @param {any} value - 参数值
+ * @returns {number|undefined|null} 未提供返回 undefined，格式错误返回 null
+ */
+const parseOptionalInt = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : null;
+};
+
+/**
+ * 获取订单列表
+ */
+const getOrders = async (req, res) => {
+  try {
+    const { startDate, endDate, status, printStatus } = req.query;
+    const orderType = parseOptionalInt(req.query.orderType);
+    const paymentMethodId = parseOptionalInt(req.query.paymentMethodId);
+    const terminalId = parseOptionalInt(req.query.terminalId);
+    const page = parseOptionalInt(req.query.page);
+    const pageSize = parseOptionalInt(req.query.pageSize);
+    
+    if (orderType === null || (orderType !== undefined && orderType !== 0 && orderType !== 1)) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单类型无效（0=堂食, 1=外卖）' 
+      });
+    }
+    
+    if (paymentMethodId === null || terminalId === null || page === null || pageSize === null) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'paymentMethodId、terminalId、page、pageSize 必须为整数' 
+      });
+    }
+    
+    const result = await orderFoodService.listOrders({
+      startDate,
+      endDate,
+      orderType,
+      status,
+      paymentMethodId,
+      printStatus,
+      terminalId,
+      page,
+      pageSize
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('获取订单列表失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '获取订单列表失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 获取订单详情
+ */
+const getOrderDetail = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    
+    const order = await orderFoodService.getOrderDetail(orderNumber);
+    
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('获取订单详情失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '获取订单详情失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 扫描小票上的二维码/条码查询订单
+ */
+const lookupOrder = async (req, res) => {
+  try {
+    const { code } = req.query;
+    
+    if (!code) {
+      return res.status(400).json({ 
+        success: false,
+        message: '扫码内容不能为空' 
+      });
+    }
+    
+    const order = await orderFoodService.lookupOrder(code);
+    
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('扫码查询订单失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '扫码查询订单失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 变更订单状态
+ */
+const updateOrderStatus = async (req, res) => {
+  try {
+    const orderId = parseOptionalInt(req.params.id);
+    const { status } = req.body || {};
+    
+    if (!orderId) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单ID无效' 
+      });
+    }
+    
+    if (!status) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单状态不能为空' 
+      });
+    }
+    
+    const order = await orderFoodService.updateOrderStatus(orderId, status);
+    logger.info('员工变更订单状态', { orderId, status, staffId: req.staff.id, staffName: req.staff.name });
+    
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: '订单状态已更新'
+    });
+  } catch (error) {
+    logger.error('变更订单状态失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '变更订单状态失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 重印订单小票
+ */
+const reprintOrder = async (req, res) => {
+  try {
+    const orderId = parseOptionalInt(req.params.id);
+    
+    if (!orderId) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单ID无效' 
+      });
+    }
+    
+    const result = await orderFoodService.reprintOrder(orderId);
+    logger.info('员工重印小票', { orderId, staffId: req.staff.id, staffName: req.staff.name });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.status === 'success' ? '小票已重印' : '打印失败，已加入重试队列'
+    });
+  } catch (error) {
+    logger.error('重印订单小票失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '重印订单小票失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 撤销订单（全额退回，收款终端付款的订单同时在终端撤销交易）
+ */
+const voidOrder = async (req, res) => {
+  try {
+    const orderId = parseOptionalInt(req.params.id);
+    
+    if (!orderId) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单ID无效' 
+      });
+    }
+    
+    const { reason } = req.body || {};
+    const result = await refundService.voidOrder(orderId, { reason, staff: req.staff });
+    logger.info('员工撤销订单', { orderId, staffId: req.staff.id, staffName: req.staff.name });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: '订单已撤销'
+    });
+  } catch (error) {
+    logger.error('撤销订单失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '撤销订单失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 订单退款（items 为空时全额退款，否则按明细部分退款）
+ */
+const refundOrder = async (req, res) => {
+  try {
+    const orderId = parseOptionalInt(req.params.id);
+    
+    if (!orderId) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单ID无效' 
+      });
+    }
+    
+    const { items, reason } = req.body || {};
+    const result = await refundService.refundOrder(orderId, { items, reason, staff: req.staff });
+    logger.info('员工订单退款', { orderId, staffId: req.staff.id, staffName: req.staff.name });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.order.status === 'cancelled' ? '订单已全额退款' : '订单已部分退款'
+    });
+  } catch (error) {
+    logger.error('订单退款失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '订单退款失败', 
+      error: error.message 
+    });
+  }
+};
+
+// 小票预览支持的输出格式
+const RECEIPT_PREVIEW_FORMATS = {
+  text: 'text/plain; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+/**
+ * 预览订单小票
+ */
+const getReceiptPreview = async (req, res) => {
+  try {
+    const orderId = parseOptionalInt(req.params.id);
+    const format = req.query.format || 'text';
+    
+    if (!orderId) {
+      return res.status(400).json({ 
+        success: false,
+        message: '订单ID无效' 
+      });
+    }
+    
+    if (!RECEIPT_PREVIEW_FORMATS[format]) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'format 必须为 text 或 html' 
+      });
+    }
+    
+    const preview = await orderFoodService.getReceiptPreview(orderId, {
+      format,
+      template: req.query.template
+    });
+    
+    res.status(200).type(RECEIPT_PREVIEW_FORMATS[format]).send(preview);
+  } catch (error) {
+    logger.error('预览订单小票失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '预览订单小票失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 发起付款
+ */
+const startOrderPayment = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    
+    const result = await orderFoodService.startOrderPayment(orderNumber);
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('发起付款失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '发起付款失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 顾客取消付款（同时取消订单）
+ */
+const cancelOrderPayment = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    
+    // 未登录时只能由下单的点餐机取消
+    const terminal = await terminalService.resolveTerminal(req.get(terminalService.TERMINAL_HEADER));
+    
+    const result = await orderFoodService.cancelOrderPayment(orderNumber, { terminal, staff: req.staff });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: '已取消付款'
+    });
+  } catch (error) {
+    logger.error('取消付款失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '取消付款失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 店员确认收款（现金等需人工确认的付款方式）
+ */
+const confirmOrderPayment = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    
+    const result = await orderFoodService.confirmOrderPayment(orderNumber, req.staff);
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: '已确认收款'
+    });
+  } catch (error) {
+    logger.error('确认收款失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '确认收款失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 获取等待柜台付款的订单（收银员确认收款用）
+ */
+const getCounterOrders = async (req, res) => {
+  try {
+    const result = await counterPaymentService.listCounterOrders();
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('获取待柜台付款订单失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '获取待柜台付款订单失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 获取取餐显示屏数据（制作中和可取餐的号码）
+ */
+const getOrderBoard = async (req, res) => {
+  try {
+    const result = await orderBoardService.getOrderBoard();
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('获取取餐显示屏数据失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '获取取餐显示屏数据失败', 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * 查询订单付款状态
+ */
+const getOrderPayment = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    
+    const result = await orderFoodService.getOrderPayment(orderNumber);
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('查询订单付款状态失败:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.message || '查询订单付款状态失败', 
+      error: error.message 
+    });
+  }
+};
+
 /**
  * 获取套餐列表
  */
@@ -160,6 +627,7 @@ const updateSettings = async (req, res) => {
     }
     
     const setting = await orderFoodService.updateSettings(key, value, description);
+    logger.info('员工修改系统设置', { key, staffId: req.staff.id, staffName: req.staff.name });
     
     res.status(200).json({
       success: true,
@@ -168,9 +636,10 @@ const updateSettings = async (req, res) => {
     });
   } catch (error) {
     logger.error('更新系统设置失败:', error);
-    res.status(500).json({ 
+    // 设置值校验失败（如小票模板格式不正确）时返回 400
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      message: '更新系统设置失败', 
+      message: error.statusCode ? error.message : '更新系统设置失败', 
       error: error.message 
     });
   }
@@ -178,6 +647,20 @@ const updateSettings = async (req, res) => {
 
 module.exports = {
   createOrder,
+  getOrders,
+  getOrderDetail,
+  lookupOrder,
+  updateOrderStatus,
+  reprintOrder,
+  voidOrder,
+  refundOrder,
+  getReceiptPreview,
+  startOrderPayment,
+  cancelOrderPayment,
+  confirmOrderPayment,
+  getCounterOrders,
+  getOrderBoard,
+  getOrderPayment,
   getMeals,
   getPaymentMethods,
   getSettings,
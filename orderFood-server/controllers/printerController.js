@@ -0,0 +1,35 @@
+const printerStatusService = require('../services/printerStatusService');
+const terminalService = require('../services/terminalService');
+const logger = require('../utils/logger');
+
+/**
+ * 获取打印机状态（?refresh=true 立即重新查询，否则返回后台最近一次查询的结果）
+ * 携带 X-Terminal-Id 时，acceptingOrders 按该终端的小票打印机判断
+ */
+const getPrinterStatus = async (req, res) => {
+  try {
+    const refresh = req.query.refresh === 'true' || req.query.refresh === '1';
+
+    const terminal = await terminalService.resolveTerminal(req.get(terminalService.TERMINAL_HEADER));
+    const status = await printerStatusService.getPrinterStatus({
+      refresh,
+      receiptPrinter: terminalService.getReceiptPrinterName(terminal)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('获取打印机状态失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取打印机状态失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPrinterStatus
+};
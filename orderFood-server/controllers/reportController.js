@@ -0,0 +1,104 @@
+const reportService = require('../services/reportService');
+const settlementService = require('../services/settlementService');
+const logger = require('../utils/logger');
+
+/**
+ * 获取日结报表（?date=YYYY-MM-DD，默认今天）
+ */
+const getDailyReport = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    const report = await reportService.getDailyReport(date);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('获取日结报表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取日结报表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 打印日结报表（日期可通过 ?date= 或请求体 date 指定，默认今天）
+ */
+const printDailyReport = async (req, res) => {
+  try {
+    const date = (req.body && req.body.date) || req.query.date;
+
+    const report = await reportService.printDailyReport(date);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: '日结报表已打印'
+    });
+  } catch (error) {
+    logger.error('打印日结报表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '打印日结报表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 在 KPay 终端结算并生成当前营业日的对账报表（请求体 date 可选，须为当前营业日）
+ */
+const settleKpay = async (req, res) => {
+  try {
+    const date = (req.body && req.body.date) || req.query.date;
+
+    const report = await settlementService.settleKpay({ date, staff: req.staff });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: report.balanced ? 'KPay 结算完成，对账无差异' : `KPay 结算完成，对账发现 ${report.mismatchCount} 项差异`
+    });
+  } catch (error) {
+    logger.error('KPay 结算失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'KPay 结算失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取 KPay 对账报表（?date=YYYY-MM-DD，默认当前营业日）
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    const report = await settlementService.getReconciliationReport(date);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('获取对账报表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取对账报表失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDailyReport,
+  printDailyReport,
+  settleKpay,
+  getReconciliationReport
+};
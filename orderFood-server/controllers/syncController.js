@@ -0,0 +1,52 @@
+const syncService = require('../services/syncService');
+const logger = require('../utils/logger');
+
+/**
+ * 获取云端同步状态（最后同步时间、下次同步时间和待上传订单数）
+ */
+const getSyncStatus = async (req, res) => {
+  try {
+    const status = await syncService.getSyncStatus();
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('获取云端同步状态失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取云端同步状态失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 立即执行一次云端同步
+ */
+const runSync = async (req, res) => {
+  try {
+    logger.info('手动执行云端同步', { staffId: req.staff ? req.staff.id : null });
+
+    const result = await syncService.runSync();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.success ? '同步完成' : '同步未完成，稍后将自动重试'
+    });
+  } catch (error) {
+    logger.error('执行云端同步失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '执行云端同步失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSyncStatus,
+  runSync
+};
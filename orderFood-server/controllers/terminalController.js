@@ -0,0 +1,144 @@
+const terminalService = require('../services/terminalService');
+const logger = require('../utils/logger');
+
+/**
+ * 解析路径中的终端ID
+ * @param {string} value - 路径参数
+ * @returns {number|null}
+ */
+const parseTerminalId = (value) => {
+  const terminalId = Number(value);
+  return Number.isInteger(terminalId) && terminalId > 0 ? terminalId : null;
+};
+
+/**
+ * 获取全部终端（包含已停用）
+ */
+const listTerminals = async (req, res) => {
+  try {
+    const terminals = await terminalService.listTerminals();
+
+    res.status(200).json({
+      success: true,
+      data: terminals
+    });
+  } catch (error) {
+    logger.error('获取终端列表失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取终端列表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取当前点餐机的终端信息（根据请求头 X-Terminal-Id，未携带时 data 为 null）
+ */
+const getCurrentTerminal = async (req, res) => {
+  try {
+    const terminal = await terminalService.resolveTerminal(req.get(terminalService.TERMINAL_HEADER));
+
+    res.status(200).json({
+      success: true,
+      data: terminal ? terminalService.formatTerminal(terminal) : null
+    });
+  } catch (error) {
+    logger.error('获取当前终端失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '获取当前终端失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 登记终端
+ */
+const createTerminal = async (req, res) => {
+  try {
+    const terminal = await terminalService.createTerminal(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: terminal,
+      message: '终端已登记'
+    });
+  } catch (error) {
+    logger.error('登记终端失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '登记终端失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 修改终端
+ */
+const updateTerminal = async (req, res) => {
+  try {
+    const terminalId = parseTerminalId(req.params.id);
+    if (terminalId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '终端ID无效'
+      });
+    }
+
+    const terminal = await terminalService.updateTerminal(terminalId, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: terminal,
+      message: '终端已更新'
+    });
+  } catch (error) {
+    logger.error('修改终端失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '修改终端失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 停用终端（软删除）
+ */
+const deleteTerminal = async (req, res) => {
+  try {
+    const terminalId = parseTerminalId(req.params.id);
+    if (terminalId === null) {
+      return res.status(400).json({
+        success: false,
+        message: '终端ID无效'
+      });
+    }
+
+    const terminal = await terminalService.deleteTerminal(terminalId);
+
+    res.status(200).json({
+      success: true,
+      data: terminal,
+      message: '终端已停用'
+    });
+  } catch (error) {
+    logger.error('停用终端失败:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || '停用终端失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listTerminals,
+  getCurrentTerminal,
+  createTerminal,
+  updateTerminal,
+  deleteTerminal
+};
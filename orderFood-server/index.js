@@ -15,7 +15,7 @@ if (process.platform === 'win32') {
 }
 
 // 使用 try-catch 包装所有 require，确保错误能被捕获
-let app, http, os, printerService, logger, sequelize, Meal, Order, OrderItem, Settings, PaymentMethod;
+let app, http, os, printerService, orderFoodService, printQueueService, printerStatusService, syncService, refundService, counterPaymentService, logger, sequelize, Meal, Order, OrderItem, Settings, PaymentMethod, PaymentTransaction, PrintJob, MealOptionGroup, MealOption, OrderItemOption, PrinterStatusEvent, OrderSequence, Terminal, Staff, StaffSession, SyncOutbox, Refund, RefundItem, KpaySettlement;
 let initMeals, initSettings, initPaymentMethods, migrateDatabase;
 
 try {
@@ -32,6 +32,24 @@ try {
   printerService = require('./services/printerService');
   logger.info('✓ printerService 模块加载成功');
   
+  orderFoodService = require('./services/orderFoodService');
+  logger.info('✓ orderFoodService 模块加载成功');
+  
+  printQueueService = require('./services/printQueueService');
+  logger.info('✓ printQueueService 模块加载成功');
+  
+  printerStatusService = require('./services/printerStatusService');
+  logger.info('✓ printerStatusService 模块加载成功');
+  
+  syncService = require('./services/syncService');
+  logger.info('✓ syncService 模块加载成功');
+  
+  refundService = require('./services/refundService');
+  logger.info('✓ refundService 模块加载成功');
+  
+  counterPaymentService = require('./services/counterPaymentService');
+  logger.info('✓ counterPaymentService 模块加载成功');
+  
   const models = require('./models');
   sequelize = models.sequelize;
   Meal = models.Meal;
@@ -39,6 +57,20 @@ try {
   OrderItem = models.OrderItem;
   Settings = models.Settings;
   PaymentMethod = models.PaymentMethod;
+  PaymentTransaction = models.PaymentTransaction;
+  PrintJob = models.PrintJob;
+  MealOptionGroup = models.MealOptionGroup;
+  MealOption = models.MealOption;
+  OrderItemOption = models.OrderItemOption;
+  PrinterStatusEvent = models.PrinterStatusEvent;
+  OrderSequence = models.OrderSequence;
+  Terminal = models.Terminal;
+  Staff = models.Staff;
+  StaffSession = models.StaffSession;
+  SyncOutbox = models.SyncOutbox;
+  Refund = models.Refund;
+  RefundItem = models.RefundItem;
+  KpaySettlement = models.KpaySettlement;
   logger.info('✓ models 模块加载成功');
   
   initMeals = require('./scripts/initMeals').initMeals;
@@ -85,6 +117,13 @@ async function initDatabase() {
       throw new Error(`数据库连接失败: ${authError.message}`);
     }
     
+    // 使用 WAL 日志模式：读取不阻塞写入，同时下单和打印时不易出现 SQLITE_BUSY（设置保存在数据库文件中）
+    try {
+      await sequelize.query('PRAGMA journal_mode = WAL');
+    } catch (walError) {
+      logger.warn('启用 WAL 日志模式失败，将使用默认模式:', walError.message);
+    }
+    
     // 先执行数据库迁移（如果需要）
     try {
       // logger.info('开始数据库迁移...');
@@ -104,7 +143,7 @@ async function initDatabase() {
         WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '%_backup'
       `);
       const tableNames = allTables.map(t => t.name);
-      const requiredTables = ['meals', 'orders', 'order_items', 'settings', 'payment_methods'];
+      const requiredTables = ['meals', 'orders', 'order_items', 'settings', 'payment_methods', 'payment_transactions', 'print_jobs', 'meal_option_groups', 'meal_options', 'order_item_options', 'printer_status_events', 'order_sequences', 'terminals', 'staff', 'staff_sessions', 'sync_outbox', 'refunds', 'refund_items', 'kpay_settlements'];
       const missingTables = requiredTables.filter(name => !tableNames.includes(name));
       
       if (missingTables.length > 0) {
@@ -128,6 +167,48 @@ async function initDatabase() {
               case 'payment_methods':
                 await PaymentMethod.sync({ force: false });
                 break;
+              case 'payment_transactions':
+                await PaymentTransaction.sync({ force: false });
+                break;
+              case 'print_jobs':
+                await PrintJob.sync({ force: false });
+                break;
+              case 'meal_option_groups':
+                await MealOptionGroup.sync({ force: false });
+                break;
+              case 'meal_options':
+                await MealOption.sync({ force: false });
+                break;
+              case 'order_item_options':
+                await OrderItemOption.sync({ force: false });
+                break;
+              case 'printer_status_events':
+                await PrinterStatusEvent.sync({ force: false });
+                break;
+              case 'order_sequences':
+                await OrderSequence.sync({ force: false });
+                break;
+              case 'terminals':
+                await Terminal.sync({ force: false });
+                break;
+              case 'staff':
+                await Staff.sync({ force: false });
+                break;
+              case 'staff_sessions':
+                await StaffSession.sync({ force: false });
+                break;
+              case 'sync_outbox':
+                await SyncOutbox.sync({ force: false });
+                break;
+              case 'refunds':
+                await Refund.sync({ force: false });
+                break;
+              case 'refund_items':
+                await RefundItem.sync({ force: false });
+                break;
+              case 'kpay_settlements':
+                await KpaySettlement.sync({ force: false });
+                break;
             }
             logger.info(`✓ 已创建表: ${tableName}`);
           } catch (tableError) {
@@ -197,6 +278,20 @@ async function startServer() {
     await initDatabase();
     logger.info('✓ 数据库初始化完成');
     
+    // 恢复重启前未结束的终端交易
+    try {
+      await orderFoodService.resumePendingPayments();
+    } catch (error) {
+      logger.error('恢复未结束的收款交易失败:', error);
+    }
+    
+    // 重启前未完成的退款结果未知，标记为失败
+    try {
+      await refundService.failInterruptedRefunds();
+    } catch (error) {
+      logger.error('处理未完成的退款失败:', error);
+    }
+    
     // 初始化打印机
     logger.info('准备初始化打印机...');
     try {
@@ -214,6 +309,34 @@ async function startServer() {
       logger.error('初始化打印机时发生错误:', error);
     }
     
+    // 启动打印重试任务（打印失败的小票会按退避间隔自动重印）
+    try {
+      await printQueueService.startWorker();
+    } catch (error) {
+      logger.error('启动打印重试任务失败:', error);
+    }
+    
+    // 启动打印机状态监控（小票打印机缺纸、脱机时暂停接单）
+    try {
+      printerStatusService.startMonitor();
+    } catch (error) {
+      logger.error('启动打印机状态监控失败:', error);
+    }
+    
+    // 启动柜台付款逾期检查（现金订单超过付款期限未付款时自动取消）
+    try {
+      counterPaymentService.startWorker();
+    } catch (error) {
+      logger.error('启动柜台付款逾期检查失败:', error);
+    }
+    
+    // 启动云端同步任务（未启用同步时只做检查，不发送请求）
+    try {
+      syncService.startWorker();
+    } catch (error) {
+      logger.error('启动云端同步任务失败:', error);
+    }
+    
     logger.info(`准备启动服务器，监听端口 ${PORT}...`);
     server.listen(PORT, '0.0.0.0', () => {
       // 获取所有网络接口的IP地址
@@ -251,6 +374,7 @@ async function startServer() {
       startupInfo += `  创建订单: POST http://${primaryIP}:${PORT}/api/orderfood/orders\n`;
       startupInfo += `  获取套餐: GET http://${primaryIP}:${PORT}/api/orderfood/meals\n`;
       startupInfo += `  获取付款方式: GET http://${primaryIP}:${PORT}/api/orderfood/payment-methods\n`;
+      startupInfo += `  发起终端付款: POST http://${primaryIP}:${PORT}/api/orderfood/orders/:orderNumber/payment\n`;
       startupInfo += `\n💡提示: 从其他设备访问时，请使用网络访问地址\n`;
       startupInfo += '========================================\n';
       startupInfo += '按 Ctrl+C 停止服务器\n';
@@ -0,0 +1,76 @@
+/**
+ * 员工认证中间件
+ * authenticate 解析请求头 Authorization: Bearer <令牌>，登录有效时设置 req.staff；
+ * requireRole 用于需要员工登录的路由（管理接口）
+ */
+
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+/**
+ * 从 Authorization 请求头取出令牌
+ * @param {string|undefined} header - Authorization 请求头
+ * @returns {string|null}
+ */
+const getBearerToken = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * 识别已登录的员工（未登录或令牌无效时 req.staff 为 null，由 requireRole 决定是否拒绝）
+ */
+const authenticate = async (req, res, next) => {
+  req.staff = null;
+  req.staffToken = getBearerToken(req.get('Authorization'));
+  if (!req.staffToken) {
+    return next();
+  }
+
+  try {
+    req.staff = await authService.getSessionStaff(req.staffToken);
+    next();
+  } catch (error) {
+    logger.error('验证员工登录失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '验证员工登录失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 要求员工登录并拥有指定角色（cashier < manager < admin）
+ * @param {string} role - 需要的最低角色
+ * @param {Object} options - 选项
+ * @param {Function} options.unless - 返回 true 时无需登录（如读取公开的设置项）
+ * @returns {Function} 中间件
+ */
+const requireRole = (role, options = {}) => (req, res, next) => {
+  if (options.unless && options.unless(req)) {
+    return next();
+  }
+
+  if (!req.staff) {
+    return res.status(401).json({
+      success: false,
+      message: '请先登录'
+    });
+  }
+
+  if (!authService.hasRole(req.staff, role)) {
+    logger.warn('员工权限不足', { staffId: req.staff.id, role: req.staff.role, required: role, path: req.originalUrl });
+    return res.status(403).json({
+      success: false,
+      message: '权限不足'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * KPay 结算记录模型
+ * 每次在终端结算时记录一条，保存终端返回的结算批次交易明细，用于与订单对账
+ */
+module.exports = (sequelize) => {
+  const KpaySettlement = sequelize.define('kpay_settlements', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    business_date: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      comment: '对账的营业日期 YYYY-MM-DD'
+    },
+    batch_no: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '终端结算批次号（结算失败或批次为空时可能为空）'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '结算状态: success(成功), failed(失败)'
+    },
+    response_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '终端应答码'
+    },
+    response_message: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '终端应答描述或失败原因'
+    },
+    transactions: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '结算批次的交易明细（JSON 数组：type, outTradeNo, outRefundNo, transactionNo, payMethod, amount 分）'
+    },
+    totals: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '终端按支付类型汇总的金额（JSON，仅供查阅）'
+    },
+    settled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '终端结算时间'
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '操作员工ID（外键，员工账号删除后为空）',
+      references: {
+        model: 'staff',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    }
+  }, {
+    sequelize,
+    tableName: 'kpay_settlements',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_kpay_settlements_business_date',
+        fields: ['business_date']
+      },
+      {
+        name: 'idx_kpay_settlements_batch_no',
+        fields: ['batch_no']
+      }
+    ]
+  });
+
+  return KpaySettlement;
+};
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 菜品选项模型
+ * 属于某个选项组，可设置加价（如“换炒饭 +$5”）
+ */
+module.exports = (sequelize) => {
+  const MealOption = sequelize.define('meal_options', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    group_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '选项组ID（外键）',
+      references: {
+        model: 'meal_option_groups',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    name_zh: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: '中文名称'
+    },
+    name_en: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '英文名称'
+    },
+    price_delta: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: '加价（可为 0）'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: '是否启用（售罄时可暂停）'
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '排序顺序'
+    }
+  }, {
+    sequelize,
+    tableName: 'meal_options',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_meal_options_group_id',
+        fields: ['group_id']
+      }
+    ]
+  });
+
+  return MealOption;
+};
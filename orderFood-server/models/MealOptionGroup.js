@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 菜品选项组模型
+ * 如“选菜”“辣度”“换饭”，每组限定最少/最多可选的数量
+ */
+module.exports = (sequelize) => {
+  const MealOptionGroup = sequelize.define('meal_option_groups', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    meal_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '菜品ID（外键）',
+      references: {
+        model: 'meals',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    name_zh: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: '中文名称'
+    },
+    name_en: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '英文名称'
+    },
+    min_select: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '最少选择数量（0 表示可不选）'
+    },
+    max_select: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '最多选择数量'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: '是否启用'
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '排序顺序'
+    }
+  }, {
+    sequelize,
+    tableName: 'meal_option_groups',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_meal_option_groups_meal_id',
+        fields: ['meal_id']
+      }
+    ]
+  });
+
+  return MealOptionGroup;
+};
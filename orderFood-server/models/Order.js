@@ -27,6 +27,11 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: '订单总金额'
     },
+    client_total_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '客户端提交的总金额（仅在与服务器计算金额不一致且策略为 flag 时记录）'
+    },
     order_type: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -48,7 +53,7 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(20),
       allowNull: false,
       defaultValue: 'pending',
-      comment: '订单状态: pending(待支付), paid(已支付), completed(已完成), cancelled(已取消)'
+      comment: '订单状态: pending(待支付), paid(已支付), completed(已完成), partially_refunded(已部分退款), cancelled(已取消)'
     },
     print_status: {
       type: DataTypes.STRING(20),
@@ -65,6 +70,32 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       allowNull: true,
       comment: '当日序号（用于打印小票显示）'
+    },
+    terminal_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '下单终端ID（外键，未登记终端的请求为空）',
+      references: {
+        model: 'terminals',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    },
+    idempotency_key: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '下单请求的幂等键（点餐机每次结账生成，重试时返回同一订单）'
+    },
+    idempotency_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '下单请求内容的 SHA-256 摘要（同一幂等键的请求内容不同时拒绝）'
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '完成（可取餐）时间，取餐显示屏按此保留号码'
     }
   }, {
     sequelize,
@@ -101,6 +132,15 @@ module.exports = (sequelize) => {
       {
         name: 'idx_orders_store_created',
         fields: ['store_id', 'created_at']
+      },
+      {
+        name: 'idx_orders_terminal_id',
+        fields: ['terminal_id']
+      },
+      {
+        name: 'idx_orders_idempotency_key',
+        unique: true,
+        fields: ['idempotency_key']
       }
     ]
   });
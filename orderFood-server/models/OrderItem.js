@@ -41,7 +41,7 @@ module.exports = (sequelize) => {
     price: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false,
-      comment: '单价（下单时的价格，防止价格变动影响历史订单）'
+      comment: '单价（下单时的价格，含所选选项加价，防止价格变动影响历史订单）'
     },
     subtotal: {
       type: DataTypes.DECIMAL(10, 2),
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 订单明细选项模型
+ * 记录顾客为每行明细选择的选项，名称和加价在下单时保存快照，修改菜单不影响历史订单
+ */
+module.exports = (sequelize) => {
+  const OrderItemOption = sequelize.define('order_item_options', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '订单明细ID（外键）',
+      references: {
+        model: 'order_items',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    option_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '选项ID（外键，选项删除后为空）',
+      references: {
+        model: 'meal_options',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    },
+    group_name_zh: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '选项组中文名称（快照）'
+    },
+    group_name_en: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '选项组英文名称（快照）'
+    },
+    name_zh: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: '选项中文名称（快照）'
+    },
+    name_en: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '选项英文名称（快照）'
+    },
+    price_delta: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: '加价（下单时的价格）'
+    }
+  }, {
+    sequelize,
+    tableName: 'order_item_options',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_order_item_options_order_item_id',
+        fields: ['order_item_id']
+      }
+    ]
+  });
+
+  return OrderItemOption;
+};
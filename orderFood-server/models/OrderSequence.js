@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 订单序号计数器模型
+ * 每个营业日、每种订单类型一行，下单时用单条 UPSERT 语句原子递增 last_value，
+ * 取代原来保存在 Settings 中的 daily_*_sequence（先查询再更新，并发时可能重号）
+ */
+module.exports = (sequelize) => {
+  const OrderSequence = sequelize.define('order_sequences', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    sequence_key: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '计数器名称: dine_in(堂食), takeout(外卖)'
+    },
+    business_date: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      comment: '营业日期（YYYY-MM-DD，按营业日切换时间划分）'
+    },
+    last_value: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '最近一次分配的序号'
+    }
+  }, {
+    sequelize,
+    tableName: 'order_sequences',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_order_sequences_key_date',
+        unique: true,
+        fields: ['sequence_key', 'business_date']
+      }
+    ]
+  });
+
+  return OrderSequence;
+};
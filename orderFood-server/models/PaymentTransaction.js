@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 支付交易模型
+ * 记录每一次向收款终端发起的交易，一个订单可能有多次尝试
+ */
+module.exports = (sequelize) => {
+  const PaymentTransaction = sequelize.define('payment_transactions', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '订单ID（外键）',
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'kpay',
+      comment: '支付渠道（如：kpay）'
+    },
+    out_trade_no: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: '商户交易号（发送给终端，每次尝试唯一）'
+    },
+    transaction_no: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '终端返回的交易流水号'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '交易金额'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: '交易状态: pending(待发起), processing(处理中), success(成功), failed(失败), reversed(已冲正), voided(已撤销), refunded(已全额退款)'
+    },
+    response_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '终端最近一次应答码'
+    },
+    response_message: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '终端最近一次应答描述'
+    },
+    pay_method: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '终端返回的实际支付方式'
+    }
+  }, {
+    sequelize,
+    tableName: 'payment_transactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_payment_transactions_out_trade_no',
+        unique: true,
+        fields: ['out_trade_no']
+      },
+      {
+        name: 'idx_payment_transactions_order_id',
+        fields: ['order_id']
+      },
+      {
+        name: 'idx_payment_transactions_status',
+        fields: ['status']
+      }
+    ]
+  });
+
+  return PaymentTransaction;
+};
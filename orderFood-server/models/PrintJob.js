@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 打印任务模型
+ * 每次打印（首次打印、重印）都会生成一条任务，打印失败时由后台按退避间隔重试
+ * 厨房单按菜品分类路由到不同打印机，每台打印机一条任务
+ */
+module.exports = (sequelize) => {
+  const PrintJob = sequelize.define('print_jobs', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '订单ID（外键）',
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    job_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'receipt',
+      comment: '打印类型: receipt(顾客小票), kitchen(厨房单), refund(退款单), payment_slip(柜台付款单)'
+    },
+    refund_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '退款记录ID（仅退款单）'
+    },
+    printer_name: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '打印机名称（厨房单为厨房打印机；顾客小票为下单终端指定的打印机，为空时使用 receipt）'
+    },
+    is_reprint: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: '是否为重印'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: '任务状态: pending(等待打印), printing(打印中), success(成功), failed(多次重试后仍失败)'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '已尝试打印次数'
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '下次尝试打印的时间'
+    },
+    last_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '最近一次打印失败的原因'
+    }
+  }, {
+    sequelize,
+    tableName: 'print_jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_print_jobs_order_id',
+        fields: ['order_id']
+      },
+      {
+        name: 'idx_print_jobs_status_next_attempt',
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  return PrintJob;
+};
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 打印机状态变化记录模型
+ * 后台定时查询打印机状态，状态发生变化（如缺纸、恢复正常）时记录一条，便于事后排查
+ */
+module.exports = (sequelize) => {
+  const PrinterStatusEvent = sequelize.define('printer_status_events', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    printer_name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '打印机名称（receipt 为顾客小票打印机）'
+    },
+    status_code: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '状态码: 1(正常), -1(脱机), -2(上盖打开), -3(缺纸), -4(切刀异常), -5(头片温度过高), -6(查询失败), -999(未连接)'
+    },
+    status_text: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '状态描述'
+    },
+    previous_status_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '变化前的状态码（服务启动后首次查询为空）'
+    }
+  }, {
+    sequelize,
+    tableName: 'printer_status_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        name: 'idx_printer_status_events_printer_created',
+        fields: ['printer_name', 'created_at']
+      }
+    ]
+  });
+
+  return PrinterStatusEvent;
+};
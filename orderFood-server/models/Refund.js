@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 退款记录模型
+ * 每次撤销（void）或退款（refund）都会生成一条记录，关联订单和操作员工；
+ * 经过收款终端付款的订单会同时向终端发起撤销/退款，结果记录在 response_code / response_message
+ */
+module.exports = (sequelize) => {
+  const Refund = sequelize.define('refunds', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '订单ID（外键）',
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '操作员工ID（外键，员工账号删除后为空）',
+      references: {
+        model: 'staff',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    },
+    refund_no: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: '退款单号（订单号 + R + 2位序号，同时作为终端退款的商户退款号）'
+    },
+    refund_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '类型: void(撤销整张订单), refund(退款，可按明细部分退款)'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '退款金额'
+    },
+    reason: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: '退款原因'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: '状态: pending(处理中), completed(已完成), failed(失败)'
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: '退款渠道（如：kpay），为空表示由店员现金退回'
+    },
+    response_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '终端应答码'
+    },
+    response_message: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '终端应答描述或失败原因'
+    }
+  }, {
+    sequelize,
+    tableName: 'refunds',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_refunds_refund_no',
+        unique: true,
+        fields: ['refund_no']
+      },
+      {
+        name: 'idx_refunds_order_id',
+        fields: ['order_id']
+      },
+      {
+        name: 'idx_refunds_status_created_at',
+        fields: ['status', 'created_at']
+      }
+    ]
+  });
+
+  return Refund;
+};
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 退款明细模型
+ * 记录一次退款中每个订单明细退回的数量和金额（撤销整张订单时包含全部明细）
+ */
+module.exports = (sequelize) => {
+  const RefundItem = sequelize.define('refund_items', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    refund_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '退款记录ID（外键）',
+      references: {
+        model: 'refunds',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    order_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '订单明细ID（外键）',
+      references: {
+        model: 'order_items',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '退回数量'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '退回金额'
+    }
+  }, {
+    sequelize,
+    tableName: 'refund_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        name: 'idx_refund_items_refund_id',
+        fields: ['refund_id']
+      },
+      {
+        name: 'idx_refund_items_order_item_id',
+        fields: ['order_item_id']
+      }
+    ]
+  });
+
+  return RefundItem;
+};
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 员工账号模型
+ * 员工在点餐机的 PIN 键盘登录后才能使用设置、菜单管理等功能，
+ * PIN 只保存 scrypt 哈希；连续输错会暂时锁定账号
+ */
+module.exports = (sequelize) => {
+  const Staff = sequelize.define('staff', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: '员工名称（登录界面显示）'
+    },
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'cashier',
+      comment: '角色: cashier(收银员), manager(店长), admin(管理员)'
+    },
+    pin_hash: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      comment: 'PIN 哈希（scrypt:盐:哈希）'
+    },
+    failed_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '连续登录失败次数（登录成功后清零）'
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '锁定截止时间（连续输错 PIN 后暂时禁止登录）'
+    },
+    last_login_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '最近一次登录时间'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: '是否启用（停用的账号不能登录）'
+    }
+  }, {
+    sequelize,
+    tableName: 'staff',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_staff_name',
+        unique: true,
+        fields: ['name']
+      }
+    ]
+  });
+
+  return Staff;
+};
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 员工登录会话模型
+ * 登录成功后发放随机令牌，数据库只保存令牌的 SHA-256 哈希；
+ * 退出登录、账号停用或过期后会话失效
+ */
+module.exports = (sequelize) => {
+  const StaffSession = sequelize.define('staff_sessions', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'staff',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: '员工ID'
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: '令牌的 SHA-256 哈希（十六进制）'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: '过期时间'
+    }
+  }, {
+    sequelize,
+    tableName: 'staff_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        name: 'idx_staff_sessions_token_hash',
+        unique: true,
+        fields: ['token_hash']
+      },
+      {
+        name: 'idx_staff_sessions_staff_id',
+        fields: ['staff_id']
+      }
+    ]
+  });
+
+  return StaffSession;
+};
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 云端同步发件箱模型
+ * 每张订单一条，记录订单（连同明细）是否已上传到总部，以及上传失败后的退避重试状态；
+ * 订单在上次上传后有修改（updated_at 晚于 synced_version）时重新标记为待上传
+ */
+module.exports = (sequelize) => {
+  const SyncOutbox = sequelize.define('sync_outbox', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      comment: '订单ID（外键）',
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: '同步状态: pending(等待上传), synced(已上传)'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '连续上传失败次数（上传成功后清零）'
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '下次尝试上传的时间'
+    },
+    last_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '最近一次上传失败的原因'
+    },
+    synced_version: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '已上传的订单版本（上传时订单的 updated_at）'
+    },
+    synced_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '最近一次上传成功的时间'
+    }
+  }, {
+    sequelize,
+    tableName: 'sync_outbox',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_sync_outbox_order_id',
+        unique: true,
+        fields: ['order_id']
+      },
+      {
+        name: 'idx_sync_outbox_status_next_attempt',
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  return SyncOutbox;
+};
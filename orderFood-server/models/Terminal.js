@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * 自助点餐机（终端）模型
+ * 多台点餐机共用一台服务器时，每台点餐机登记一条，请求头 X-Terminal-Id 携带终端编号，
+ * 订单记录来源终端，小票打印到终端指定的打印机
+ */
+module.exports = (sequelize) => {
+  const Terminal = sequelize.define('terminals', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true,
+      comment: '终端编号（点餐机通过请求头 X-Terminal-Id 提交，如 K01）'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: '终端名称（打印在小票上，如 1號機）'
+    },
+    location: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: '摆放位置'
+    },
+    default_language: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'zh',
+      comment: '默认语言: zh(中文), en(英文)'
+    },
+    printer_name: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '顾客小票打印机名称（printer.config.json 中的打印机，为空时使用 receipt）'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: '是否启用（停用的终端不能下单）'
+    }
+  }, {
+    sequelize,
+    tableName: 'terminals',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_terminals_code',
+        unique: true,
+        fields: ['code']
+      }
+    ]
+  });
+
+  return Terminal;
+};
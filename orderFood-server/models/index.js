@@ -47,7 +47,15 @@ try {
     dialect: 'sqlite',
     storage: dbPath,
     logging: false, // 禁用SQL查询日志输出
-    dialectModule: dialectModule // 明确指定 SQLite 驱动
+    dialectModule: dialectModule, // 明确指定 SQLite 驱动
+    // 其他连接正在写入时 SQLite 返回 SQLITE_BUSY，稍后自动重试（带随机抖动，避免多个请求同时重试）
+    retry: {
+      max: 20,
+      match: [/SQLITE_BUSY/],
+      backoffBase: 50,
+      backoffExponent: 1.2,
+      backoffJitter: 50
+    }
   });
   
   console.log('✓ Sequelize 实例创建成功');
@@ -57,13 +65,27 @@ try {
 }
 
 // 初始化模型
-let Meal, Order, OrderItem, Settings, PaymentMethod;
+let Meal, Order, OrderItem, Settings, PaymentMethod, PaymentTransaction, PrintJob, MealOptionGroup, MealOption, OrderItemOption, PrinterStatusEvent, OrderSequence, Terminal, Staff, StaffSession, SyncOutbox, Refund, RefundItem, KpaySettlement;
 try {
   Meal = require('./Meal')(sequelize);
   Order = require('./Order')(sequelize);
   OrderItem = require('./OrderItem')(sequelize);
   Settings = require('./Settings')(sequelize);
   PaymentMethod = require('./PaymentMethod')(sequelize);
+  PaymentTransaction = require('./PaymentTransaction')(sequelize);
+  PrintJob = require('./PrintJob')(sequelize);
+  MealOptionGroup = require('./MealOptionGroup')(sequelize);
+  MealOption = require('./MealOption')(sequelize);
+  OrderItemOption = require('./OrderItemOption')(sequelize);
+  PrinterStatusEvent = require('./PrinterStatusEvent')(sequelize);
+  OrderSequence = require('./OrderSequence')(sequelize);
+  Terminal = require('./Terminal')(sequelize);
+  Staff = require('./Staff')(sequelize);
+  StaffSession = require('./StaffSession')(sequelize);
+  SyncOutbox = require('./SyncOutbox')(sequelize);
+  Refund = require('./Refund')(sequelize);
+  RefundItem = require('./RefundItem')(sequelize);
+  KpaySettlement = require('./KpaySettlement')(sequelize);
   console.log('✓ 所有模型初始化成功');
 } catch (error) {
   console.error('❌ 模型初始化失败:', error);
@@ -104,6 +126,149 @@ Order.belongsTo(PaymentMethod, {
   as: 'paymentMethod'
 });
 
+// 终端和订单：一对多
+Terminal.hasMany(Order, {
+  foreignKey: 'terminal_id',
+  as: 'orders'
+});
+
+Order.belongsTo(Terminal, {
+  foreignKey: 'terminal_id',
+  as: 'terminal'
+});
+
+// 订单和云端同步状态：一对一
+Order.hasOne(SyncOutbox, {
+  foreignKey: 'order_id',
+  as: 'syncState'
+});
+
+SyncOutbox.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+
+// 员工和登录会话：一对多
+Staff.hasMany(StaffSession, {
+  foreignKey: 'staff_id',
+  as: 'sessions'
+});
+
+StaffSession.belongsTo(Staff, {
+  foreignKey: 'staff_id',
+  as: 'staff'
+});
+
+// 订单和退款记录：一对多
+Order.hasMany(Refund, {
+  foreignKey: 'order_id',
+  as: 'refunds'
+});
+
+Refund.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+
+// 员工和退款记录：一对多（记录操作员工）
+Staff.hasMany(Refund, {
+  foreignKey: 'staff_id',
+  as: 'refunds'
+});
+
+Refund.belongsTo(Staff, {
+  foreignKey: 'staff_id',
+  as: 'staff'
+});
+
+// 退款记录和退款明细：一对多
+Refund.hasMany(RefundItem, {
+  foreignKey: 'refund_id',
+  as: 'items'
+});
+
+RefundItem.belongsTo(Refund, {
+  foreignKey: 'refund_id',
+  as: 'refund'
+});
+
+// 订单明细和退款明细：一对多
+OrderItem.hasMany(RefundItem, {
+  foreignKey: 'order_item_id',
+  as: 'refundItems'
+});
+
+RefundItem.belongsTo(OrderItem, {
+  foreignKey: 'order_item_id',
+  as: 'orderItem'
+});
+
+// 员工和 KPay 结算记录：一对多（记录操作员工）
+Staff.hasMany(KpaySettlement, {
+  foreignKey: 'staff_id',
+  as: 'kpaySettlements'
+});
+
+KpaySettlement.belongsTo(Staff, {
+  foreignKey: 'staff_id',
+  as: 'staff'
+});
+
+// 订单和支付交易：一对多
+Order.hasMany(PaymentTransaction, {
+  foreignKey: 'order_id',
+  as: 'paymentTransactions'
+});
+
+PaymentTransaction.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+
+// 订单和打印任务：一对多
+Order.hasMany(PrintJob, {
+  foreignKey: 'order_id',
+  as: 'printJobs'
+});
+
+PrintJob.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+
+// 菜品和选项组：一对多
+Meal.hasMany(MealOptionGroup, {
+  foreignKey: 'meal_id',
+  as: 'optionGroups'
+});
+
+MealOptionGroup.belongsTo(Meal, {
+  foreignKey: 'meal_id',
+  as: 'meal'
+});
+
+// 选项组和选项：一对多
+MealOptionGroup.hasMany(MealOption, {
+  foreignKey: 'group_id',
+  as: 'options'
+});
+
+MealOption.belongsTo(MealOptionGroup, {
+  foreignKey: 'group_id',
+  as: 'group'
+});
+
+// 订单明细和所选选项：一对多
+OrderItem.hasMany(OrderItemOption, {
+  foreignKey: 'order_item_id',
+  as: 'options'
+});
+
+OrderItemOption.belongsTo(OrderItem, {
+  foreignKey: 'order_item_id',
+  as: 'orderItem'
+});
+
 // 导出sequelize实例和所有模型
 module.exports = {
   sequelize,
@@ -111,5 +276,19 @@ module.exports = {
   Order,
   OrderItem,
   Settings,
-  PaymentMethod
+  PaymentMethod,
+  PaymentTransaction,
+  PrintJob,
+  MealOptionGroup,
+  MealOption,
+  OrderItemOption,
+  PrinterStatusEvent,
+  OrderSequence,
+  Terminal,
+  Staff,
+  StaffSession,
+  SyncOutbox,
+  Refund,
+  RefundItem,
+  KpaySettlement
 };
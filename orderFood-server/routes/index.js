@@ -6,7 +6,50 @@ const orderFoodRoutes = require('./orderFood');
 router.get('/', (req, res) => {
   const apiEndpoints = [
     { method: 'POST', path: '/api/orderfood/orders', description: '创建订单并打印小票' },
-    { method: 'GET', path: '/api/orderfood/meals', description: '获取套餐列表' }
+    { method: 'GET', path: '/api/orderfood/orders', description: '获取订单列表（筛选、分页）' },
+    { method: 'GET', path: '/api/orderfood/orders/lookup', description: '扫描小票二维码/条码查询订单' },
+    { method: 'GET', path: '/api/orderfood/orders/:orderNumber', description: '获取订单详情' },
+    { method: 'PATCH', path: '/api/orderfood/orders/:id/status', description: '变更订单状态' },
+    { method: 'POST', path: '/api/orderfood/orders/:id/reprint', description: '重印订单小票' },
+    { method: 'POST', path: '/api/orderfood/orders/:id/void', description: '撤销订单（全额退回）' },
+    { method: 'POST', path: '/api/orderfood/orders/:id/refund', description: '订单退款（全额或按明细部分退款）' },
+    { method: 'GET', path: '/api/orderfood/orders/:id/receipt-preview', description: '预览订单小票（text/html）' },
+    { method: 'POST', path: '/api/orderfood/orders/:orderNumber/payment', description: '发起付款（按付款方式的支付渠道）' },
+    { method: 'POST', path: '/api/orderfood/orders/:orderNumber/payment/cancel', description: '取消付款并取消订单' },
+    { method: 'POST', path: '/api/orderfood/orders/:orderNumber/payment/confirm', description: '店员确认收款（现金）' },
+    { method: 'GET', path: '/api/orderfood/orders/:orderNumber/payment', description: '查询订单付款状态' },
+    { method: 'GET', path: '/api/orderfood/payments/counter', description: '等待柜台付款的订单' },
+    { method: 'GET', path: '/api/orderfood/board', description: '取餐显示屏（制作中和可取餐的号码）' },
+    { method: 'GET', path: '/api/orderfood/meals', description: '获取套餐列表' },
+    { method: 'GET', path: '/api/orderfood/meals/all', description: '菜单管理：获取全部菜品（包含已停售）' },
+    { method: 'POST', path: '/api/orderfood/meals', description: '菜单管理：新增菜品' },
+    { method: 'PUT', path: '/api/orderfood/meals/reorder', description: '菜单管理：调整排序' },
+    { method: 'PUT', path: '/api/orderfood/meals/:id', description: '菜单管理：修改菜品' },
+    { method: 'DELETE', path: '/api/orderfood/meals/:id', description: '菜单管理：停售菜品' },
+    { method: 'POST', path: '/api/orderfood/meals/:id/image', description: '菜单管理：上传菜品图片' },
+    { method: 'DELETE', path: '/api/orderfood/meals/:id/image', description: '菜单管理：删除菜品图片' },
+    { method: 'PUT', path: '/api/orderfood/meals/:id/option-groups', description: '菜单管理：设置菜品选项组' },
+    { method: 'GET', path: '/api/orderfood/reports/daily?date=YYYY-MM-DD', description: '日结报表（按付款方式、订单类型、菜品汇总）' },
+    { method: 'POST', path: '/api/orderfood/reports/daily', description: '打印日结报表' },
+    { method: 'GET', path: '/api/orderfood/reports/reconciliation?date=YYYY-MM-DD', description: 'KPay 对账报表（终端结算批次与订单逐笔核对）' },
+    { method: 'POST', path: '/api/orderfood/kpay/settlement', description: 'KPay 终端结算并生成对账报表' },
+    { method: 'GET', path: '/api/orderfood/printer/status', description: '打印机状态（缺纸、脱机时暂停接单）' },
+    { method: 'GET', path: '/api/orderfood/terminals', description: '终端管理：获取全部终端' },
+    { method: 'GET', path: '/api/orderfood/terminals/current', description: '当前点餐机的终端信息（X-Terminal-Id）' },
+    { method: 'POST', path: '/api/orderfood/terminals', description: '终端管理：登记终端' },
+    { method: 'PUT', path: '/api/orderfood/terminals/:id', description: '终端管理：修改终端' },
+    { method: 'DELETE', path: '/api/orderfood/terminals/:id', description: '终端管理：停用终端' },
+    { method: 'GET', path: '/api/orderfood/auth/staff', description: '登录界面的员工列表' },
+    { method: 'POST', path: '/api/orderfood/auth/setup', description: '首次使用时创建管理员账号' },
+    { method: 'POST', path: '/api/orderfood/auth/login', description: '员工 PIN 登录' },
+    { method: 'POST', path: '/api/orderfood/auth/logout', description: '退出登录' },
+    { method: 'GET', path: '/api/orderfood/auth/me', description: '当前登录的员工' },
+    { method: 'GET', path: '/api/orderfood/staff', description: '员工管理：获取全部员工账号' },
+    { method: 'POST', path: '/api/orderfood/staff', description: '员工管理：新增员工账号' },
+    { method: 'PUT', path: '/api/orderfood/staff/:id', description: '员工管理：修改员工账号' },
+    { method: 'DELETE', path: '/api/orderfood/staff/:id', description: '员工管理：停用员工账号' },
+    { method: 'GET', path: '/api/orderfood/sync/status', description: '云端同步状态' },
+    { method: 'POST', path: '/api/orderfood/sync/run', description: '立即执行一次云端同步' }
   ];
 
   const html = `
@@ -26,6 +69,9 @@ router.get('/', (req, res) => {
       .method { font-weight: bold; }
       .get { color: #4CAF50; }
       .post { color: #2196F3; }
+      .patch { color: #FF9800; }
+      .put { color: #9C27B0; }
+      .delete { color: #F44336; }
     </style>
   </head>
   <body>
@@ -1,20 +1,156 @@
 const express = require('express');
 const router = express.Router();
 const orderFoodController = require('../controllers/orderFoodController');
+const mealController = require('../controllers/mealController');
+const reportController = require('../controllers/reportController');
+const printerController = require('../controllers/printerController');
+const terminalController = require('../controllers/terminalController');
+const authController = require('../controllers/authController');
+const syncController = require('../controllers/syncController');
+const { requireRole } = require('../middleware/auth');
+const { isPublicSettingKey } = require('../services/orderFoodService');
+
+// 点餐机和取餐显示屏使用的接口无需登录；订单查询和处理需要收银员，撤销/退款、菜单、终端和报表需要店长，设置和员工账号需要管理员
+const requireCashier = requireRole('cashier');
+const requireManager = requireRole('manager');
+const requireAdmin = requireRole('admin');
 
 // 创建订单
 router.post('/orders', orderFoodController.createOrder);
 
+// 获取订单列表（支持日期、类型、状态、付款方式、打印状态筛选和分页）
+router.get('/orders', requireCashier, orderFoodController.getOrders);
+
+// 扫描小票二维码/条码查询订单（?code=，需在 /orders/:orderNumber 之前注册）
+router.get('/orders/lookup', requireCashier, orderFoodController.lookupOrder);
+
+// 获取订单详情
+router.get('/orders/:orderNumber', requireCashier, orderFoodController.getOrderDetail);
+
+// 变更订单状态
+router.patch('/orders/:id/status', requireCashier, orderFoodController.updateOrderStatus);
+
+// 重印订单小票
+router.post('/orders/:id/reprint', requireCashier, orderFoodController.reprintOrder);
+
+// 撤销订单（全额退回并取消订单）
+router.post('/orders/:id/void', requireManager, orderFoodController.voidOrder);
+
+// 订单退款（全额或按明细部分退款）
+router.post('/orders/:id/refund', requireManager, orderFoodController.refundOrder);
+
+// 预览订单小票（?format=text|html，可用 template 参数预览未保存的小票模板）
+router.get('/orders/:id/receipt-preview', requireCashier, orderFoodController.getReceiptPreview);
+
+// 发起付款（按付款方式对应的支付渠道收款）
+router.post('/orders/:orderNumber/payment', orderFoodController.startOrderPayment);
+
+// 顾客取消付款（同时取消订单；未登录时只能由下单的点餐机取消，柜台付款的订单需店员登录）
+router.post('/orders/:orderNumber/payment/cancel', orderFoodController.cancelOrderPayment);
+
+// 店员确认收款（现金）
+router.post('/orders/:orderNumber/payment/confirm', requireCashier, orderFoodController.confirmOrderPayment);
+
+// 等待柜台付款的订单
+router.get('/payments/counter', requireCashier, orderFoodController.getCounterOrders);
+
+// 取餐显示屏（只返回取餐号码，无需登录）
+router.get('/board', orderFoodController.getOrderBoard);
+
+// 查询订单付款状态
+router.get('/orders/:orderNumber/payment', orderFoodController.getOrderPayment);
+
 // 获取套餐列表
 router.get('/meals', orderFoodController.getMeals);
 
+// 菜单管理：获取全部菜品（包含已停售）
+router.get('/meals/all', requireManager, mealController.listMeals);
+
+// 菜单管理：新增菜品
+router.post('/meals', requireManager, mealController.createMeal);
+
+// 菜单管理：调整排序（需在 /meals/:id 之前注册）
+router.put('/meals/reorder', requireManager, mealController.reorderMeals);
+
+// 菜单管理：修改菜品
+router.put('/meals/:id', requireManager, mealController.updateMeal);
+
+// 菜单管理：停售菜品（软删除）
+router.delete('/meals/:id', requireManager, mealController.deleteMeal);
+
+// 菜单管理：上传菜品图片
+router.post('/meals/:id/image', requireManager, mealController.uploadMealImage);
+
+// 菜单管理：删除菜品图片
+router.delete('/meals/:id/image', requireManager, mealController.deleteMealImage);
+
+// 菜单管理：设置菜品选项组（整体替换）
+router.put('/meals/:id/option-groups', requireManager, mealController.setMealOptionGroups);
+
+// 日结报表
+router.get('/reports/daily', requireManager, reportController.getDailyReport);
+
+// 打印日结报表
+router.post('/reports/daily', requireManager, reportController.printDailyReport);
+
+// KPay 对账报表
+router.get('/reports/reconciliation', requireManager, reportController.getReconciliationReport);
+
+// KPay 终端结算（结算后生成对账报表）
+router.post('/kpay/settlement', requireManager, reportController.settleKpay);
+
+// 打印机状态（缺纸、脱机等，?refresh=true 立即重新查询）
+router.get('/printer/status', printerController.getPrinterStatus);
+
+// 终端管理：获取全部终端（包含已停用）
+router.get('/terminals', requireManager, terminalController.listTerminals);
+
+// 当前点餐机的终端信息（根据 X-Terminal-Id，需在 /terminals/:id 之前注册）
+router.get('/terminals/current', terminalController.getCurrentTerminal);
+
+// 终端管理：登记终端
+router.post('/terminals', requireManager, terminalController.createTerminal);
+
+// 终端管理：修改终端
+router.put('/terminals/:id', requireManager, terminalController.updateTerminal);
+
+// 终端管理：停用终端（软删除）
+router.delete('/terminals/:id', requireManager, terminalController.deleteTerminal);
+
 // 获取付款方式列表
 router.get('/payment-methods', orderFoodController.getPaymentMethods);
 
-// 获取系统设置
-router.get('/settings', orderFoodController.getSettings);
+// 获取系统设置（店铺名称等公开设置项无需登录，其余需要管理员）
+router.get('/settings', requireRole('admin', { unless: (req) => isPublicSettingKey(req.query.key) }), orderFoodController.getSettings);
 
 // 更新系统设置
-router.put('/settings', orderFoodController.updateSettings);
+router.put('/settings', requireAdmin, orderFoodController.updateSettings);
+
+// 登录界面的员工列表（没有员工账号时 setupRequired 为 true）
+router.get('/auth/staff', authController.getLoginStaff);
+
+// 首次使用时创建管理员账号
+router.post('/auth/setup', authController.setupAdmin);
+
+// 员工 PIN 登录
+router.post('/auth/login', authController.login);
+
+// 退出登录
+router.post('/auth/logout', authController.logout);
+
+// 当前登录的员工
+router.get('/auth/me', requireCashier, authController.getCurrentStaff);
+
+// 员工账号管理
+router.get('/staff', requireAdmin, authController.listStaff);
+router.post('/staff', requireAdmin, authController.createStaff);
+router.put('/staff/:id', requireAdmin, authController.updateStaff);
+router.delete('/staff/:id', requireAdmin, authController.deleteStaff);
+
+// 云端同步状态
+router.get('/sync/status', requireAdmin, syncController.getSyncStatus);
+
+// 立即执行一次云端同步
+router.post('/sync/run', requireAdmin, syncController.runSync);
 
 module.exports = router;
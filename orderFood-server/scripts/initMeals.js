@@ -1,4 +1,4 @@
-const { Meal, sequelize } = require('../models');
+const { Meal, MealOptionGroup, MealOption, sequelize } = require('../models');
 const logger = require('../utils/logger');
 
 /**
@@ -34,11 +34,37 @@ async function initMeals() {
         category: '主食套餐',
         is_active: true,
         sort_order: 2
+      },
+      {
+        name_zh: '飲品',
+        name_en: 'Drinks',
+        desc_zh: '可口可樂 / 雀巢咖啡 / 飛雪礦物質水',
+        desc_en: 'Coca-Cola / Nescafé / Bonaqua',
+        price: 5.00,
+        category: '飲品',
+        is_active: true,
+        sort_order: 3
       }
     ];
     
     // 批量创建
-    await Meal.bulkCreate(defaultMeals);
+    const meals = await Meal.bulkCreate(defaultMeals);
+    
+    // 饮品默认带一个必选的款式选项组
+    const drinkMeal = meals.find(meal => meal.category === '飲品');
+    const drinkGroup = await MealOptionGroup.create({
+      meal_id: drinkMeal.id,
+      name_zh: '款式',
+      name_en: 'Choice',
+      min_select: 1,
+      max_select: 1,
+      sort_order: 1
+    });
+    await MealOption.bulkCreate([
+      { group_id: drinkGroup.id, name_zh: '可口可樂', name_en: 'Coca-Cola', sort_order: 1 },
+      { group_id: drinkGroup.id, name_zh: '雀巢咖啡', name_en: 'Nescafé', sort_order: 2 },
+      { group_id: drinkGroup.id, name_zh: '飛雪礦物質水', name_en: 'Bonaqua', sort_order: 3 }
+    ]);
     
     logger.info(`成功初始化 ${defaultMeals.length} 条菜品数据`);
   } catch (error) {
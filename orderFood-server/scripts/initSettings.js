@@ -1,5 +1,21 @@
 const { Settings, sequelize } = require('../models');
 const logger = require('../utils/logger');
+const { RECEIPT_TEMPLATE_SETTING, getDefaultReceiptTemplate } = require('../services/receiptLayout');
+const {
+  ORDER_NUMBER_FORMAT_SETTING,
+  BUSINESS_DAY_CUTOVER_SETTING,
+  TERMINAL_ID_SETTING,
+  DEFAULT_ORDER_NUMBER_FORMAT,
+  DEFAULT_BUSINESS_DAY_CUTOVER,
+  DEFAULT_TERMINAL_ID
+} = require('../services/orderNumberService');
+const { STAFF_SESSION_MINUTES_SETTING, DEFAULT_STAFF_SESSION_MINUTES } = require('../services/authService');
+const {
+  PAYMENT_PROVIDERS_SETTING,
+  SIMULATOR_SETTING,
+  DEFAULT_SIMULATOR_CONFIG
+} = require('../services/paymentProviders');
+const { CASH_PAYMENT_TIMEOUT_SETTING, DEFAULT_CASH_PAYMENT_TIMEOUT } = require('../services/counterPaymentService');
 
 /**
  * 初始化系统设置
@@ -20,6 +36,12 @@ async function initSettings() {
         description: '分店编号（3位数字，001-999）',
         category: 'store'
       },
+      {
+        key: TERMINAL_ID_SETTING,
+        value: JSON.stringify(DEFAULT_TERMINAL_ID),
+        description: '终端编号（2位数字，00-99，多台服务器时必须各不相同；环境变量 TERMINAL_ID 优先）',
+        category: 'store'
+      },
       {
         key: 'store_name_zh',
         value: JSON.stringify('默认店铺'),
@@ -75,22 +97,94 @@ async function initSettings() {
         category: 'sync'
       },
       {
-        key: 'daily_dine_in_sequence',
-        value: JSON.stringify(0),
-        description: '当日堂食序号',
+        key: ORDER_NUMBER_FORMAT_SETTING,
+        value: JSON.stringify(DEFAULT_ORDER_NUMBER_FORMAT),
+        description: '订单编号格式，占位符: {type} {store} {date} {time} {terminal} {seq}，必须包含 {type} {date} {terminal} {seq}',
         category: 'order'
       },
       {
-        key: 'daily_takeout_sequence',
-        value: JSON.stringify(0),
-        description: '当日外卖序号',
+        key: BUSINESS_DAY_CUTOVER_SETTING,
+        value: JSON.stringify(DEFAULT_BUSINESS_DAY_CUTOVER),
+        description: '营业日切换时间（HH:mm），此时间之前的订单计入前一营业日，当日序号和日报表按营业日计算',
         category: 'order'
       },
       {
-        key: 'daily_sequence_date',
-        value: JSON.stringify(null),
-        description: '当日序号对应的日期（YYYY-MM-DD），用于判断是否需要重置',
+        key: 'price_mismatch_policy',
+        value: JSON.stringify('reject'),
+        description: '客户端金额与服务器计算不一致时的处理：reject=拒绝下单, flag=按服务器价格下单并标记',
         category: 'order'
+      },
+      {
+        key: 'kpay_enabled',
+        value: JSON.stringify(false),
+        description: '是否启用 KPay 收款终端（启用后相关付款方式需终端确认收款）',
+        category: 'payment'
+      },
+      {
+        key: 'kpay_terminal_url',
+        value: JSON.stringify('http://127.0.0.1:18080'),
+        description: 'KPay 收款终端地址（本地测试可运行 npm run kpay-sim）',
+        category: 'payment'
+      },
+      {
+        key: 'kpay_app_id',
+        value: JSON.stringify(''),
+        description: 'KPay 开发者应用 appId',
+        category: 'payment'
+      },
+      {
+        key: 'kpay_app_secret',
+        value: JSON.stringify(''),
+        description: 'KPay 开发者应用密钥（用于请求签名）',
+        category: 'payment'
+      },
+      {
+        key: 'kpay_poll_interval',
+        value: JSON.stringify(2),
+        description: '查询交易结果的间隔（秒）',
+        category: 'payment'
+      },
+      {
+        key: 'kpay_payment_timeout',
+        value: JSON.stringify(120),
+        description: '等待客户付款的超时时间（秒），超时后关闭交易',
+        category: 'payment'
+      },
+      {
+        key: 'kpay_payment_methods',
+        value: JSON.stringify(['bankcard', 'qrcode', 'octopus', 'wechat', 'alipay', 'visa', 'mastercard']),
+        description: '需要经过 KPay 终端收款的付款方式代码',
+        category: 'payment'
+      },
+      {
+        key: PAYMENT_PROVIDERS_SETTING,
+        value: JSON.stringify({}),
+        description: '付款方式对应的收款渠道 {付款方式代码: kpay/octopus/cash/simulator/direct}，未列出的付款方式按 kpay_payment_methods 判断，cash 默认需店员确认收款',
+        category: 'payment'
+      },
+      {
+        key: CASH_PAYMENT_TIMEOUT_SETTING,
+        value: JSON.stringify(DEFAULT_CASH_PAYMENT_TIMEOUT),
+        description: '现金订单的付款期限（分钟，1-240），顾客下单后需在期限内到柜台付款，逾期订单自动取消',
+        category: 'payment'
+      },
+      {
+        key: SIMULATOR_SETTING,
+        value: JSON.stringify(DEFAULT_SIMULATOR_CONFIG),
+        description: '模拟收款渠道（测试用）：result=收款结果 success/failed，delaySeconds=延迟秒数，refundResult=撤销/退款结果',
+        category: 'payment'
+      },
+      {
+        key: STAFF_SESSION_MINUTES_SETTING,
+        value: JSON.stringify(DEFAULT_STAFF_SESSION_MINUTES),
+        description: '员工登录有效期（分钟，5-1440），过期后需重新输入 PIN',
+        category: 'system'
+      },
+      {
+        key: RECEIPT_TEMPLATE_SETTING,
+        value: JSON.stringify(getDefaultReceiptTemplate()),
+        description: '小票模板：语言模式、页眉页脚、显示字段和明细列宽',
+        category: 'receipt'
       }
     ];
     
@@ -0,0 +1,319 @@
+/**
+ * KPay 收款终端模拟器
+ * 在本地提供与 KPay POS 相同的 HTTP 接口，用于开发和测试付款流程
+ *
+ * 使用方法：
+ *   npm run kpay-sim
+ *   然后将设置 kpay_terminal_url 指向 http://127.0.0.1:18080，并将 kpay_enabled 设为 true
+ *
+ * 环境变量：
+ *   KPAY_SIM_PORT       监听端口（默认 18080）
+ *   KPAY_SIM_SCENARIO   交易结果场景（默认 success）
+ *                         success    - 输入密码后付款成功
+ *                         declined   - 密码校验失败
+ *                         pin-cancel - 客户取消输入密码
+ *                         reversal   - 交易失败，需要收银系统发起冲正
+ *                         timeout    - 客户一直未付款，直到收银系统关闭交易
+ *   KPAY_SIM_DELAY_MS   客户完成付款所需时间（默认 5000 毫秒）
+ *   KPAY_SIM_SETTLE_RESULT 结算结果（默认 success，设为 failed 时返回结算失败）
+ *   KPAY_SIM_APP_SECRET 设置后校验请求签名（需与 kpay_app_secret 一致）
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.KPAY_SIM_PORT, 10) || 18080;
+const SCENARIO = process.env.KPAY_SIM_SCENARIO || 'success';
+const DELAY_MS = parseInt(process.env.KPAY_SIM_DELAY_MS, 10) || 5000;
+const APP_SECRET = process.env.KPAY_SIM_APP_SECRET || '';
+const SETTLE_RESULT = process.env.KPAY_SIM_SETTLE_RESULT || 'success';
+
+const SCENARIOS = ['success', 'declined', 'pin-cancel', 'reversal', 'timeout'];
+
+// 模拟终端上的交易记录：outTradeNo => 交易
+const sales = new Map();
+
+// 上次结算后完成的交易（销售、撤销、退款），结算时作为批次明细
+let unsettled = [];
+let lastSettlement = null;
+let batchCounter = 0;
+
+/**
+ * 记录一笔待结算的交易
+ * @param {string} transType - SALE / VOID / REFUND
+ * @param {Object} sale - 模拟交易
+ * @param {number} amount - 金额（分）
+ * @param {string} outRefundNo - 商户退款号（仅退款）
+ */
+function recordForSettlement(transType, sale, amount, outRefundNo = null) {
+  unsettled.push({
+    transType,
+    outTradeNo: sale.outTradeNo,
+    outRefundNo,
+    transactionNo: sale.transactionNo,
+    payMethod: sale.payType || 'CARD',
+    amount
+  });
+}
+
+/**
+ * 生成终端应答
+ * @param {number} code - 应答码
+ * @param {string} message - 应答描述
+ * @param {Object} data - 应答数据
+ * @returns {Object}
+ */
+function reply(code, message, data = {}) {
+  return { code, message, data };
+}
+
+/**
+ * 校验请求签名（未设置 KPAY_SIM_APP_SECRET 时跳过）
+ */
+function verifySign(req, res, next) {
+  if (!APP_SECRET) {
+    return next();
+  }
+
+  const { appid, timestamp, noncestr, sign } = req.headers;
+  const expected = crypto
+    .createHmac('sha256', APP_SECRET)
+    .update(`${appid || ''}${timestamp || ''}${noncestr || ''}${req.rawBody || ''}`)
+    .digest('hex')
+    .toUpperCase();
+
+  if (sign !== expected) {
+    console.log(`[KPay 模拟器] 签名无效: ${req.path}`);
+    return res.json(reply(40002, '签名无效'));
+  }
+  next();
+}
+
+/**
+ * 根据场景和已经过的时间计算交易当前的应答
+ * @param {Object} sale - 模拟交易
+ * @returns {Object} 应答
+ */
+function currentResult(sale) {
+  if (sale.closed) {
+    return reply(20005, '未找到相关交易');
+  }
+  if (sale.reversed) {
+    return reply(700021, '交易冲正成功，请重新发起交易');
+  }
+
+  const elapsed = Date.now() - sale.createdAt;
+
+  if (sale.scenario === 'timeout') {
+    return reply(20011, '交易处理中，请等待或主动查询交易结果');
+  }
+
+  if (elapsed < DELAY_MS / 2) {
+    return reply(20011, '交易处理中，请等待或主动查询交易结果');
+  }
+  if (elapsed < DELAY_MS) {
+    return reply(700027, '请在POS输入密码(PIN)');
+  }
+
+  switch (sale.scenario) {
+    case 'declined':
+      return reply(700030, '密码(PIN)校验失败');
+    case 'pin-cancel':
+      return reply(700029, '取消密码(PIN)');
+    case 'reversal':
+      return reply(700035, '交易失败,请冲正');
+    default:
+      if (!sale.completed) {
+        sale.completed = true;
+        recordForSettlement('SALE', sale, sale.payAmount);
+      }
+      return reply(10000, '成功', {
+        outTradeNo: sale.outTradeNo,
+        transactionNo: sale.transactionNo,
+        payAmount: sale.payAmount,
+        payCurrency: sale.payCurrency,
+        payMethod: sale.payType || 'CARD'
+      });
+  }
+}
+
+const app = express();
+
+// 保留原始请求体用于签名校验
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+app.use(verifySign);
+
+// 发起销售
+app.post('/v2/pos/sales', (req, res) => {
+  const { outTradeNo, payAmount, payCurrency, payType } = req.body || {};
+
+  if (!outTradeNo || !Number.isInteger(payAmount)) {
+    return res.json(reply(10001, '参数无效'));
+  }
+  if (payAmount <= 0) {
+    return res.json(reply(20002, '金额不正确'));
+  }
+  if (sales.has(outTradeNo)) {
+    return res.json(reply(20001, '交易号已存在'));
+  }
+
+  const sale = {
+    outTradeNo,
+    payAmount,
+    payCurrency,
+    payType,
+    scenario: SCENARIO,
+    transactionNo: `SIM${Date.now()}`,
+    createdAt: Date.now(),
+    completed: false,
+    closed: false,
+    reversed: false,
+    voided: false,
+    refunds: new Map()
+  };
+  sales.set(outTradeNo, sale);
+
+  console.log(`[KPay 模拟器] 发起交易 ${outTradeNo}，金额 ${(payAmount / 100).toFixed(2)}，场景 ${SCENARIO}`);
+  res.json(reply(20011, '交易处理中，请等待或主动查询交易结果', { transactionNo: sale.transactionNo }));
+});
+
+// 查询交易结果
+app.post('/v2/pos/sales/query', (req, res) => {
+  const sale = sales.get((req.body || {}).outTradeNo);
+  if (!sale) {
+    return res.json(reply(20005, '未找到相关交易'));
+  }
+  res.json(currentResult(sale));
+});
+
+// 冲正
+app.post('/v2/pos/sales/reversal', (req, res) => {
+  const sale = sales.get((req.body || {}).outTradeNo);
+  if (!sale) {
+    return res.json(reply(20005, '未找到相关交易'));
+  }
+
+  sale.reversed = true;
+  console.log(`[KPay 模拟器] 交易 ${sale.outTradeNo} 已冲正`);
+  res.json(reply(700021, '交易冲正成功，请重新发起交易'));
+});
+
+// 关闭交易
+app.post('/v2/pos/sales/close', (req, res) => {
+  const sale = sales.get((req.body || {}).outTradeNo);
+  if (!sale) {
+    return res.json(reply(20005, '未找到相关交易'));
+  }
+  if (sale.completed) {
+    return res.json(reply(20010, '交易已完成，无法关闭'));
+  }
+
+  sale.closed = true;
+  console.log(`[KPay 模拟器] 交易 ${sale.outTradeNo} 已关闭`);
+  res.json(reply(10000, '成功'));
+});
+
+// 撤销交易（只有已成功且未退款的交易可以撤销）
+app.post('/v2/pos/sales/void', (req, res) => {
+  const sale = sales.get((req.body || {}).outTradeNo);
+  if (!sale) {
+    return res.json(reply(20005, '未找到相关交易'));
+  }
+  if (!sale.completed || sale.voided || sale.refunds.size > 0) {
+    return res.json(reply(20006, '此交易状态无法撤销/退款'));
+  }
+
+  sale.voided = true;
+  recordForSettlement('VOID', sale, sale.payAmount);
+  console.log(`[KPay 模拟器] 交易 ${sale.outTradeNo} 已撤销`);
+  res.json(reply(10000, '成功'));
+});
+
+// 退款（可多次部分退款，合计不超过交易金额）
+app.post('/v2/pos/sales/refund', (req, res) => {
+  const { outTradeNo, outRefundNo, refundAmount } = req.body || {};
+  const sale = sales.get(outTradeNo);
+  if (!sale) {
+    return res.json(reply(20005, '未找到相关交易'));
+  }
+  if (!outRefundNo || !Number.isInteger(refundAmount) || refundAmount <= 0) {
+    return res.json(reply(10001, '参数无效'));
+  }
+  if (!sale.completed || sale.voided) {
+    return res.json(reply(20006, '此交易状态无法撤销/退款'));
+  }
+  if (sale.refunds.has(outRefundNo)) {
+    return res.json(reply(20001, '交易号已存在'));
+  }
+
+  const refundedAmount = Array.from(sale.refunds.values()).reduce((sum, amount) => sum + amount, 0);
+  if (refundedAmount >= sale.payAmount) {
+    return res.json(reply(20024, '订单金额已全额退回，不可再进行退款'));
+  }
+  if (refundedAmount + refundAmount > sale.payAmount) {
+    return res.json(reply(20002, '金额不正确'));
+  }
+
+  sale.refunds.set(outRefundNo, refundAmount);
+  recordForSettlement('REFUND', sale, refundAmount, outRefundNo);
+  console.log(`[KPay 模拟器] 交易 ${sale.outTradeNo} 退款 ${outRefundNo}，金额 ${(refundAmount / 100).toFixed(2)}`);
+  res.json(reply(10000, '成功', { outRefundNo, refundAmount }));
+});
+
+// 结算：返回上次结算后的全部交易及按支付类型的汇总
+app.post('/v2/pos/settlement', (req, res) => {
+  if (SETTLE_RESULT === 'failed') {
+    return res.json(reply(50010, '结算失败'));
+  }
+  if (unsettled.length === 0) {
+    return res.json(reply(50012, '结算数据为空'));
+  }
+
+  const totals = new Map();
+  for (const item of unsettled) {
+    if (!totals.has(item.payMethod)) {
+      totals.set(item.payMethod, { payMethod: item.payMethod, saleCount: 0, saleAmount: 0, refundCount: 0, refundAmount: 0 });
+    }
+    const total = totals.get(item.payMethod);
+    if (item.transType === 'SALE') {
+      total.saleCount += 1;
+      total.saleAmount += item.amount;
+    } else {
+      total.refundCount += 1;
+      total.refundAmount += item.amount;
+    }
+  }
+
+  batchCounter += 1;
+  lastSettlement = {
+    batchNo: `SIMB${Date.now()}${batchCounter}`,
+    settledAt: new Date().toISOString(),
+    totals: Array.from(totals.values()),
+    transactions: unsettled
+  };
+  unsettled = [];
+  console.log(`[KPay 模拟器] 结算完成，批次 ${lastSettlement.batchNo}，共 ${lastSettlement.transactions.length} 笔`);
+  res.json(reply(10000, '成功', lastSettlement));
+});
+
+// 查询上一次结算的数据
+app.post('/v2/pos/settlement/query', (req, res) => {
+  if (!lastSettlement) {
+    return res.json(reply(50011, '终端尚未经过结算，无法查询上一次结算的数据'));
+  }
+  res.json(reply(10000, '成功', lastSettlement));
+});
+
+if (!SCENARIOS.includes(SCENARIO)) {
+  console.error(`未知场景: ${SCENARIO}，可选: ${SCENARIOS.join(', ')}`);
+  process.exit(1);
+}
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`KPay 终端模拟器已启动: http://127.0.0.1:${PORT}`);
+  console.log(`场景: ${SCENARIO}，付款耗时: ${DELAY_MS}ms，签名校验: ${APP_SECRET ? '开启' : '关闭'}`);
+});
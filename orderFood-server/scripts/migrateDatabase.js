@@ -1,9 +1,139 @@
-const { sequelize, Order, Meal, OrderItem, Settings, PaymentMethod } = require('../models');
+const { sequelize, Order, Meal, OrderItem, Settings, PaymentMethod, PaymentTransaction, PrintJob, MealOptionGroup, MealOption, OrderItemOption, PrinterStatusEvent, OrderSequence, Terminal, Staff, StaffSession, SyncOutbox, Refund, RefundItem, KpaySettlement } = require('../models');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const { getDatabasePath } = require('../utils/getDatabasePath');
 
+/**
+ * 需要通过 ALTER TABLE 补充的可选字段
+ * 新增字段必须允许为空或带默认值，这样旧数据库无需重建表即可升级
+ */
+const columnAdditions = {
+  'orders': [
+    { name: 'client_total_amount', definition: 'DECIMAL(10,2)' },
+    { name: 'terminal_id', definition: 'INTEGER' },
+    { name: 'idempotency_key', definition: 'VARCHAR(64)' },
+    { name: 'idempotency_hash', definition: 'VARCHAR(64)' },
+    { name: 'completed_at', definition: 'DATETIME' }
+  ],
+  'print_jobs': [
+    { name: 'printer_name', definition: 'VARCHAR(50)' },
+    { name: 'refund_id', definition: 'INTEGER' }
+  ]
+};
+
+/**
+ * 补充字段后需要创建的索引（旧数据库不会通过 sync 重新建立索引）
+ */
+const indexAdditions = {
+  'orders': [
+    { name: 'idx_orders_idempotency_key', definition: 'UNIQUE INDEX idx_orders_idempotency_key ON orders (idempotency_key)' }
+  ]
+};
+
+/**
+ * 为指定表补充缺失的字段
+ * @param {string} tableName - 表名
+ */
+async function addMissingColumns(tableName) {
+  const [columns] = await sequelize.query(`PRAGMA table_info(${tableName})`);
+  const columnNames = columns.map(col => col.name);
+  
+  for (const column of columnAdditions[tableName]) {
+    if (!columnNames.includes(column.name)) {
+      await sequelize.query(`ALTER TABLE ${tableName} ADD COLUMN ${column.name} ${column.definition}`);
+      logger.info(`✓ 已为表 ${tableName} 添加字段: ${column.name}`);
+    }
+  }
+  
+  for (const index of indexAdditions[tableName] || []) {
+    const [existing] = await sequelize.query(
+      "SELECT name FROM sqlite_master WHERE type='index' AND name = ?",
+      { replacements: [index.name] }
+    );
+    if (existing.length === 0) {
+      await sequelize.query(`CREATE ${index.definition}`);
+      logger.info(`✓ 已为表 ${tableName} 添加索引: ${index.name}`);
+    }
+  }
+}
+
+// 旧版本把饮品固定为 mealId 0，单价保存在 drink_price 设置中
+const LEGACY_DRINK_MEAL_ID = 0;
+const DRINK_CATEGORY = '飲品';
+
+// 旧版本点餐机上固定的饮品款式（新版本为饮品的必选选项组，与 initMeals 一致）
+const LEGACY_DRINK_CHOICES = [
+  { name_zh: '可口可樂', name_en: 'Coca-Cola' },
+  { name_zh: '雀巢咖啡', name_en: 'Nescafé' },
+  { name_zh: '飛雪礦物質水', name_en: 'Bonaqua' }
+];
+
+/**
+ * 把旧版本的饮品（mealId 0）迁移为普通菜品
+ * 补上“飲品”分类，并把 drink_price 设置的价格写回菜品后删除该设置
+ * @param {boolean} hasSettingsTable - settings 表是否存在
+ */
+async function migrateLegacyDrinkMeal(hasSettingsTable) {
+  const drinkMeal = await Meal.findByPk(LEGACY_DRINK_MEAL_ID);
+  const drinkPriceSetting = hasSettingsTable
+    ? await Settings.findOne({ where: { key: 'drink_price' } })
+    : null;
+
+  if (drinkMeal) {
+    const updates = {};
+    if (!drinkMeal.category) {
+      updates.category = DRINK_CATEGORY;
+    }
+    if (drinkPriceSetting) {
+      const drinkPrice = Number(JSON.parse(drinkPriceSetting.value));
+      if (Number.isFinite(drinkPrice) && drinkPrice >= 0 && drinkPrice !== parseFloat(drinkMeal.price)) {
+        updates.price = drinkPrice;
+      }
+    }
+    if (Object.keys(updates).length > 0) {
+      await drinkMeal.update(updates);
+      logger.info(`✓ 已将旧版饮品（菜品ID ${LEGACY_DRINK_MEAL_ID}）迁移为普通菜品`, updates);
+    }
+  }
+
+  if (drinkPriceSetting) {
+    await drinkPriceSetting.destroy();
+    logger.info('✓ 已删除不再使用的设置: drink_price');
+  }
+}
+
+/**
+ * 为旧版本的饮品（mealId 0）补上款式选项组
+ * 只在本次迁移新建选项组表时执行一次，之后店长删改选项组不会被还原
+ */
+async function attachLegacyDrinkChoices() {
+  const drinkMeal = await Meal.findByPk(LEGACY_DRINK_MEAL_ID);
+  if (!drinkMeal) {
+    return;
+  }
+  const groupCount = await MealOptionGroup.count({ where: { meal_id: LEGACY_DRINK_MEAL_ID } });
+  if (groupCount > 0) {
+    return;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const drinkGroup = await MealOptionGroup.create({
+      meal_id: LEGACY_DRINK_MEAL_ID,
+      name_zh: '款式',
+      name_en: 'Choice',
+      min_select: 1,
+      max_select: 1,
+      sort_order: 1
+    }, { transaction });
+    await MealOption.bulkCreate(
+      LEGACY_DRINK_CHOICES.map((choice, index) => ({ ...choice, group_id: drinkGroup.id, sort_order: index + 1 })),
+      { transaction }
+    );
+  });
+  logger.info(`✓ 已为旧版饮品（菜品ID ${LEGACY_DRINK_MEAL_ID}）添加款式选项组`);
+}
+
 /**
  * 数据库迁移脚本
  * 1. 删除从 queueSystem-server 复制过来的多余表
@@ -15,7 +145,7 @@ async function migrateDatabase() {
     logger.info('数据库连接成功');
     
     // 定义 orderFood-server 需要的表（保留这些表）
-    const requiredTables = ['meals', 'orders', 'order_items', 'settings', 'payment_methods'];
+    const requiredTables = ['meals', 'orders', 'order_items', 'settings', 'payment_methods', 'payment_transactions', 'print_jobs', 'meal_option_groups', 'meal_options', 'order_item_options', 'printer_status_events', 'order_sequences', 'terminals', 'staff', 'staff_sessions', 'sync_outbox', 'refunds', 'refund_items', 'kpay_settlements'];
     
     // 定义 queueSystem-server 的表（需要删除的表）
     const queueSystemTables = [
@@ -92,6 +222,17 @@ async function migrateDatabase() {
       }
     }
     
+    // 为已存在的表补充新增的可选字段（不重建表，保留已有数据）
+    for (const tableName of Object.keys(columnAdditions)) {
+      if (tableNames.includes(tableName) && !tablesToRebuild.includes(tableName)) {
+        await addMissingColumns(tableName);
+      }
+    }
+    
+    if (tableNames.includes('meals') && !tablesToRebuild.includes('meals')) {
+      await migrateLegacyDrinkMeal(tableNames.includes('settings') && !tablesToRebuild.includes('settings'));
+    }
+    
     // 备份并删除需要重建的表（先备份数据，再删除表）
     const tableBackups = {};
     if (needRebuild) {
@@ -170,6 +311,20 @@ async function migrateDatabase() {
       await OrderItem.sync({ force: false });
       await Settings.sync({ force: false });
       await PaymentMethod.sync({ force: false });
+      await PaymentTransaction.sync({ force: false });
+      await PrintJob.sync({ force: false });
+      await MealOptionGroup.sync({ force: false });
+      await MealOption.sync({ force: false });
+      await OrderItemOption.sync({ force: false });
+      await PrinterStatusEvent.sync({ force: false });
+      await OrderSequence.sync({ force: false });
+      await Terminal.sync({ force: false });
+      await Staff.sync({ force: false });
+      await StaffSession.sync({ force: false });
+      await SyncOutbox.sync({ force: false });
+      await Refund.sync({ force: false });
+      await RefundItem.sync({ force: false });
+      await KpaySettlement.sync({ force: false });
       
       // 清理可能创建的备份表
       const [newBackupTables] = await sequelize.query(`
@@ -233,6 +388,48 @@ async function migrateDatabase() {
               case 'payment_methods':
                 await PaymentMethod.sync({ force: false });
                 break;
+              case 'payment_transactions':
+                await PaymentTransaction.sync({ force: false });
+                break;
+              case 'print_jobs':
+                await PrintJob.sync({ force: false });
+                break;
+              case 'meal_option_groups':
+                await MealOptionGroup.sync({ force: false });
+                break;
+              case 'meal_options':
+                await MealOption.sync({ force: false });
+                break;
+              case 'order_item_options':
+                await OrderItemOption.sync({ force: false });
+                break;
+              case 'printer_status_events':
+                await PrinterStatusEvent.sync({ force: false });
+                break;
+              case 'order_sequences':
+                await OrderSequence.sync({ force: false });
+                break;
+              case 'terminals':
+                await Terminal.sync({ force: false });
+                break;
+              case 'staff':
+                await Staff.sync({ force: false });
+                break;
+              case 'staff_sessions':
+                await StaffSession.sync({ force: false });
+                break;
+              case 'sync_outbox':
+                await SyncOutbox.sync({ force: false });
+                break;
+              case 'refunds':
+                await Refund.sync({ force: false });
+                break;
+              case 'refund_items':
+                await RefundItem.sync({ force: false });
+                break;
+              case 'kpay_settlements':
+                await KpaySettlement.sync({ force: false });
+                break;
             }
             logger.info(`✓ 已创建表: ${tableName}`);
           } catch (tableError) {
@@ -259,6 +456,48 @@ async function migrateDatabase() {
               case 'payment_methods':
                 await PaymentMethod.sync({ force: false });
                 break;
+              case 'payment_transactions':
+                await PaymentTransaction.sync({ force: false });
+                break;
+              case 'print_jobs':
+                await PrintJob.sync({ force: false });
+                break;
+              case 'meal_option_groups':
+                await MealOptionGroup.sync({ force: false });
+                break;
+              case 'meal_options':
+                await MealOption.sync({ force: false });
+                break;
+              case 'order_item_options':
+                await OrderItemOption.sync({ force: false });
+                break;
+              case 'printer_status_events':
+                await PrinterStatusEvent.sync({ force: false });
+                break;
+              case 'order_sequences':
+                await OrderSequence.sync({ force: false });
+                break;
+              case 'terminals':
+                await Terminal.sync({ force: false });
+                break;
+              case 'staff':
+                await Staff.sync({ force: false });
+                break;
+              case 'staff_sessions':
+                await StaffSession.sync({ force: false });
+                break;
+              case 'sync_outbox':
+                await SyncOutbox.sync({ force: false });
+                break;
+              case 'refunds':
+                await Refund.sync({ force: false });
+                break;
+              case 'refund_items':
+                await RefundItem.sync({ force: false });
+                break;
+              case 'kpay_settlements':
+                await KpaySettlement.sync({ force: false });
+                break;
             }
             logger.info(`✓ 已重建表: ${tableName}`);
           } catch (tableError) {
@@ -352,6 +591,10 @@ async function migrateDatabase() {
         const { initSettings } = require('./initSettings');
         await initSettings();
       }
+      
+      if (!tableNames.includes('meal_option_groups')) {
+        await attachLegacyDrinkChoices();
+      }
       return;
     }
     
@@ -387,6 +630,20 @@ async function migrateDatabase() {
     await OrderItem.sync({ force: false });
     await Settings.sync({ force: false });
     await PaymentMethod.sync({ force: false });
+    await PaymentTransaction.sync({ force: false });
+    await PrintJob.sync({ force: false });
+    await MealOptionGroup.sync({ force: false });
+    await MealOption.sync({ force: false });
+    await OrderItemOption.sync({ force: false });
+    await PrinterStatusEvent.sync({ force: false });
+    await OrderSequence.sync({ force: false });
+    await Terminal.sync({ force: false });
+    await Staff.sync({ force: false });
+    await StaffSession.sync({ force: false });
+    await SyncOutbox.sync({ force: false });
+    await Refund.sync({ force: false });
+    await RefundItem.sync({ force: false });
+    await KpaySettlement.sync({ force: false });
     
     // 清理可能创建的备份表
     const [newBackupTables] = await sequelize.query(`
@@ -0,0 +1,134 @@
+/**
+ * 云端同步模拟服务器
+ * 在本地提供与总部同步接口相同的 HTTP 接口，用于开发和测试云端同步
+ *
+ * 使用方法：
+ *   npm run sync-mock
+ *   然后将设置 sync_url 指向 http://127.0.0.1:18090，设置 sync_api_key，并将 sync_enabled 设为 true
+ *
+ * 环境变量：
+ *   SYNC_MOCK_PORT      监听端口（默认 18090）
+ *   SYNC_MOCK_API_KEY   设置后校验请求签名（需与 sync_api_key 一致）
+ *   SYNC_MOCK_SCENARIO  应答场景（默认 ok）
+ *                         ok     - 正常接收订单
+ *                         down   - 所有接口返回 503，用于测试重试
+ *                         reject - 每批订单中的第一张被拒绝
+ *   SYNC_MOCK_MENU      菜单 JSON 文件路径（内容为菜品数组，字段与菜单管理接口一致），未设置时返回空菜单
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+
+const PORT = parseInt(process.env.SYNC_MOCK_PORT, 10) || 18090;
+const API_KEY = process.env.SYNC_MOCK_API_KEY || '';
+const SCENARIO = process.env.SYNC_MOCK_SCENARIO || 'ok';
+const MENU_PATH = process.env.SYNC_MOCK_MENU || '';
+
+const SCENARIOS = ['ok', 'down', 'reject'];
+
+// 已接收的订单：分店编号:订单编号 => 订单
+const receivedOrders = new Map();
+
+/**
+ * 校验请求签名（未设置 SYNC_MOCK_API_KEY 时跳过）
+ */
+function verifySignature(req, res, next) {
+  if (!API_KEY) {
+    return next();
+  }
+
+  const storeNumber = req.get('X-Store-Number') || '';
+  const timestamp = req.get('X-Timestamp') || '';
+  const nonce = req.get('X-Nonce') || '';
+  const expected = crypto
+    .createHmac('sha256', API_KEY)
+    .update([storeNumber, timestamp, nonce, req.method, req.path, req.rawBody || ''].join('\n'))
+    .digest('hex');
+
+  if (req.get('X-Signature') !== expected) {
+    console.log(`[同步模拟器] 签名无效: ${req.method} ${req.path}`);
+    return res.status(401).json({ success: false, message: '签名无效' });
+  }
+  next();
+}
+
+/**
+ * 读取菜单文件
+ * @returns {Array}
+ */
+function loadMenu() {
+  if (!MENU_PATH) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(MENU_PATH, 'utf8'));
+}
+
+if (!SCENARIOS.includes(SCENARIO)) {
+  console.error(`未知场景: ${SCENARIO}，可选: ${SCENARIOS.join(', ')}`);
+  process.exit(1);
+}
+
+const app = express();
+
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+
+app.use((req, res, next) => {
+  if (SCENARIO === 'down') {
+    console.log(`[同步模拟器] 服务不可用: ${req.method} ${req.path}`);
+    return res.status(503).json({ success: false, message: '服务暂时不可用' });
+  }
+  next();
+});
+
+app.use(verifySignature);
+
+// 接收订单
+app.post('/orders', (req, res) => {
+  const storeNumber = req.get('X-Store-Number') || '';
+  const orders = Array.isArray(req.body.orders) ? req.body.orders : [];
+  const accepted = [];
+  const rejected = [];
+
+  orders.forEach((order, index) => {
+    if (SCENARIO === 'reject' && index === 0) {
+      rejected.push({ orderNumber: order.orderNumber, message: '模拟拒绝接收' });
+      return;
+    }
+    const key = `${storeNumber}:${order.orderNumber}`;
+    const isUpdate = receivedOrders.has(key);
+    receivedOrders.set(key, order);
+    accepted.push(order.orderNumber);
+    console.log(`[同步模拟器] ${isUpdate ? '更新' : '接收'}订单 ${key}: 状态 ${order.status}，金额 ${order.totalAmount}，${(order.items || []).length} 个明细`);
+  });
+
+  if (rejected.length > 0) {
+    console.log(`[同步模拟器] 拒绝订单: ${rejected.map(item => item.orderNumber).join(', ')}`);
+  }
+  console.log(`[同步模拟器] 累计已接收 ${receivedOrders.size} 张订单`);
+
+  res.json({ success: true, data: { accepted, rejected } });
+});
+
+// 下发菜单
+app.get('/menu', (req, res) => {
+  let meals;
+  try {
+    meals = loadMenu();
+  } catch (error) {
+    console.log(`[同步模拟器] 读取菜单文件失败: ${error.message}`);
+    return res.status(500).json({ success: false, message: '读取菜单失败' });
+  }
+  console.log(`[同步模拟器] 下发菜单: ${meals.length} 个菜品`);
+  res.json({ success: true, data: { meals } });
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`云端同步模拟服务器已启动: http://127.0.0.1:${PORT}`);
+  console.log(`场景: ${SCENARIO}，签名校验: ${API_KEY ? '开启' : '关闭'}，菜单: ${MENU_PATH || '空'}`);
+});
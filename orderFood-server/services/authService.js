@@ -0,0 +1,507 @@
+/**
+ * 员工认证服务模块
+ * 员工账号（PIN 使用 scrypt 哈希保存）、登录会话令牌和角色权限（cashier < manager < admin）
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Op, Transaction } = require('sequelize');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/httpError');
+const { getSettingValue } = require('../utils/settingsReader');
+const { sequelize, Staff, StaffSession } = require('../models');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 角色及权限等级（等级高的角色拥有等级低的角色的全部权限）
+const ROLE_LEVELS = {
+  cashier: 1,
+  manager: 2,
+  admin: 3
+};
+const STAFF_ROLES = Object.keys(ROLE_LEVELS);
+
+// PIN：4-8 位数字（点餐机上用数字键盘输入）
+const PIN_PATTERN = /^\d{4,8}$/;
+const NAME_MAX_LENGTH = 50;
+
+// scrypt 盐和输出长度（字节）
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+// 连续输错 PIN 达到次数后锁定账号
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 5;
+
+// 登录会话有效期设置（分钟）
+const STAFF_SESSION_MINUTES_SETTING = 'staff_session_minutes';
+const DEFAULT_STAFF_SESSION_MINUTES = 60;
+const MIN_STAFF_SESSION_MINUTES = 5;
+const MAX_STAFF_SESSION_MINUTES = 24 * 60;
+
+/**
+ * 计算 PIN 的哈希
+ * @param {string} pin - PIN
+ * @returns {Promise<string>} scrypt:盐:哈希（十六进制）
+ */
+const hashPin = async (pin) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await scrypt(pin, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+};
+
+/**
+ * 校验 PIN 是否与哈希一致
+ * @param {string} pin - PIN
+ * @param {string} pinHash - hashPin 生成的哈希
+ * @returns {Promise<boolean>}
+ */
+const verifyPin = async (pin, pinHash) => {
+  const [scheme, saltHex, keyHex] = String(pinHash || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(String(pin), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * 令牌的 SHA-256 哈希（数据库只保存哈希）
+ * @param {string} token - 令牌
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * 校验会话有效期设置（分钟）
+ * @param {any} value - 设置值
+ * @returns {number} 有效期（分钟）
+ */
+const normalizeStaffSessionMinutes = (value) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_STAFF_SESSION_MINUTES || minutes > MAX_STAFF_SESSION_MINUTES) {
+    throw createHttpError(`登录有效期必须为 ${MIN_STAFF_SESSION_MINUTES}-${MAX_STAFF_SESSION_MINUTES} 之间的整数（分钟）`, 400);
+  }
+  return minutes;
+};
+
+/**
+ * 判断员工是否拥有指定角色的权限
+ * @param {Object|null} staff - Staff 实例
+ * @param {string} role - 需要的角色
+ * @returns {boolean}
+ */
+const hasRole = (staff, role) => {
+  return Boolean(staff) && (ROLE_LEVELS[staff.role] || 0) >= ROLE_LEVELS[role];
+};
+
+/**
+ * 格式化员工数据（不包含 PIN 哈希）
+ * @param {Object} staff - Staff 实例
+ * @returns {Object}
+ */
+const formatStaff = (staff) => ({
+  id: staff.id,
+  name: staff.name,
+  role: staff.role,
+  isActive: staff.is_active,
+  lastLoginAt: staff.last_login_at,
+  lockedUntil: staff.locked_until && new Date(staff.locked_until) > new Date() ? staff.locked_until : null,
+  updatedAt: staff.updated_at
+});
+
+/**
+ * 校验并转换员工数据（客户端字段 => 数据库字段，PIN 转换为哈希）
+ * @param {Object} data - 客户端提交的数据 {name, role, pin, isActive}
+ * @param {Object} options - 选项
+ * @param {boolean} options.partial - 是否为部分更新（未提供的字段不校验）
+ * @returns {Promise<Object>} 数据库字段
+ */
+const validateStaffInput = async (data, options = {}) => {
+  const partial = options.partial === true;
+  const errors = [];
+  const values = {};
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('name')) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      errors.push('员工名称不能为空');
+    } else if (name.length > NAME_MAX_LENGTH) {
+      errors.push(`员工名称不能超过 ${NAME_MAX_LENGTH} 个字符`);
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (!partial || has('role')) {
+    if (!STAFF_ROLES.includes(data.role)) {
+      errors.push(`角色只能是 ${STAFF_ROLES.join(' / ')}`);
+    } else {
+      values.role = data.role;
+    }
+  }
+
+  if (!partial || has('pin')) {
+    if (typeof data.pin !== 'string' || !PIN_PATTERN.test(data.pin)) {
+      errors.push('PIN 必须为 4-8 位数字');
+    }
+  }
+
+  if (has('isActive')) {
+    if (typeof data.isActive !== 'boolean') {
+      errors.push('isActive 必须为布尔值');
+    } else {
+      values.is_active = data.isActive;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(errors.join('；'), 400);
+  }
+
+  if (data.pin !== undefined) {
+    values.pin_hash = await hashPin(data.pin);
+    values.failed_attempts = 0;
+    values.locked_until = null;
+  }
+
+  return values;
+};
+
+/**
+ * 检查员工名称是否已被其他账号使用
+ * @param {string} name - 员工名称
+ * @param {number|null} excludeId - 排除的员工ID（修改时为当前员工）
+ * @param {Object} transaction - 事务（可选）
+ */
+const assertNameAvailable = async (name, excludeId = null, transaction = null) => {
+  const existing = await Staff.findOne({ where: { name }, transaction });
+  if (existing && existing.id !== excludeId) {
+    throw createHttpError(`员工名称 ${name} 已存在`, 409);
+  }
+};
+
+/**
+ * 查找员工，不存在时抛出 404
+ * @param {number} staffId - 员工ID
+ * @param {Object} transaction - 事务（可选）
+ * @returns {Promise<Object>} Staff 实例
+ */
+const findStaffOrFail = async (staffId, transaction = null) => {
+  const staff = await Staff.findByPk(staffId, { transaction });
+  if (!staff) {
+    throw createHttpError('员工不存在', 404);
+  }
+  return staff;
+};
+
+/**
+ * 为员工创建登录会话
+ * @param {Object} staff - Staff 实例
+ * @returns {Promise<Object>} { token, expiresAt, staff }
+ */
+const createSession = async (staff) => {
+  const minutes = await getSettingValue(STAFF_SESSION_MINUTES_SETTING, DEFAULT_STAFF_SESSION_MINUTES);
+  let sessionMinutes = DEFAULT_STAFF_SESSION_MINUTES;
+  try {
+    sessionMinutes = normalizeStaffSessionMinutes(minutes);
+  } catch (error) {
+    logger.warn('登录有效期设置无效，使用默认值', { value: minutes, default: DEFAULT_STAFF_SESSION_MINUTES });
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + sessionMinutes * 60 * 1000);
+
+  // 顺便清理已过期的会话
+  await StaffSession.destroy({ where: { expires_at: { [Op.lt]: new Date() } } });
+  await StaffSession.create({
+    staff_id: staff.id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt
+  });
+
+  return {
+    token,
+    expiresAt,
+    staff: formatStaff(staff)
+  };
+};
+
+/**
+ * 登录界面使用的员工列表（只返回名称），没有任何员工账号时 setupRequired 为 true
+ * @returns {Promise<Object>} { setupRequired, staff }
+ */
+const listLoginStaff = async () => {
+  try {
+    const total = await Staff.count();
+    const staff = await Staff.findAll({
+      where: { is_active: true },
+      order: [['name', 'ASC']]
+    });
+    return {
+      setupRequired: total === 0,
+      staff: staff.map(item => ({ id: item.id, name: item.name }))
+    };
+  } catch (error) {
+    logger.error('获取登录员工列表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 首次使用时创建管理员账号（已有员工账号时返回 409），创建后直接登录
+ * @param {Object} data - {name, pin}
+ * @returns {Promise<Object>} { token, expiresAt, staff }
+ */
+const setupAdmin = async (data) => {
+  try {
+    const values = await validateStaffInput({ ...data, role: 'admin' });
+
+    // 使用 IMMEDIATE 事务，避免两台点餐机同时创建管理员
+    const staff = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+      const total = await Staff.count({ transaction });
+      if (total > 0) {
+        throw createHttpError('已有员工账号，请使用 PIN 登录', 409);
+      }
+      return Staff.create({ ...values, last_login_at: new Date() }, { transaction });
+    });
+
+    logger.info('创建首个管理员账号', { staffId: staff.id, name: staff.name });
+
+    return createSession(staff);
+  } catch (error) {
+    logger.error('创建管理员账号失败:', error);
+    throw error;
+  }
+};
+
+// 每位员工的登录尝试依次执行：上一次尝试记完错误次数后，下一次才读取锁定状态
+// 否则并发请求会在任何一次记错之前全部通过锁定检查，一次性试完多个 PIN
+const loginChains = new Map();
+
+/**
+ * 按员工串行执行登录尝试
+ * @param {number} staffId - 员工ID
+ * @param {Function} task - 异步任务
+ * @returns {Promise<*>} 任务的返回值
+ */
+const runLoginExclusive = (staffId, task) => {
+  const key = String(staffId);
+  const result = (loginChains.get(key) || Promise.resolve()).then(task);
+  const tail = result.catch(() => {});
+  loginChains.set(key, tail);
+  tail.then(() => {
+    if (loginChains.get(key) === tail) {
+      loginChains.delete(key);
+    }
+  });
+  return result;
+};
+
+/**
+ * 记录一次 PIN 错误，达到次数后锁定账号
+ * 错误次数在 IMMEDIATE 事务内原子累加，并按累加后的值决定是否锁定
+ * @param {number} staffId - 员工ID
+ * @returns {Promise<Object>} { failedAttempts, locked }
+ */
+const recordFailedAttempt = (staffId) =>
+  sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+    await Staff.increment('failed_attempts', { by: 1, where: { id: staffId }, transaction });
+    const { failed_attempts: failedAttempts } = await Staff.findByPk(staffId, {
+      attributes: ['failed_attempts'],
+      transaction
+    });
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+    if (locked) {
+      await Staff.update(
+        { failed_attempts: 0, locked_until: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) },
+        { where: { id: staffId }, transaction }
+      );
+    }
+    return { failedAttempts, locked };
+  });
+
+/**
+ * 员工 PIN 登录
+ * @param {number} staffId - 员工ID
+ * @param {string} pin - PIN
+ * @returns {Promise<Object>} { token, expiresAt, staff }
+ */
+const login = (staffId, pin) => runLoginExclusive(staffId, async () => {
+  const staff = await Staff.findByPk(staffId);
+  if (!staff || !staff.is_active) {
+    throw createHttpError('员工不存在或已停用', 401);
+  }
+
+  if (staff.locked_until && new Date(staff.locked_until) > new Date()) {
+    const minutesLeft = Math.ceil((new Date(staff.locked_until) - new Date()) / 60000);
+    throw createHttpError(`PIN 错误次数过多，请 ${minutesLeft} 分钟后再试`, 429);
+  }
+
+  if (typeof pin !== 'string' || !(await verifyPin(pin, staff.pin_hash))) {
+    const { failedAttempts, locked } = await recordFailedAttempt(staff.id);
+    logger.warn('员工登录失败：PIN 错误', { staffId: staff.id, name: staff.name, failedAttempts, locked });
+    throw createHttpError(
+      locked ? `PIN 错误次数过多，请 ${LOCK_MINUTES} 分钟后再试` : 'PIN 错误',
+      locked ? 429 : 401
+    );
+  }
+
+  await staff.update({ failed_attempts: 0, locked_until: null, last_login_at: new Date() });
+  logger.info('员工登录', { staffId: staff.id, name: staff.name, role: staff.role });
+
+  return createSession(staff);
+});
+
+/**
+ * 退出登录（删除会话）
+ * @param {string} token - 令牌
+ */
+const logout = async (token) => {
+  if (!token) {
+    return;
+  }
+  await StaffSession.destroy({ where: { token_hash: hashToken(token) } });
+};
+
+/**
+ * 根据令牌查找已登录的员工（令牌无效、已过期或账号已停用时返回 null）
+ * @param {string} token - 令牌
+ * @returns {Promise<Object|null>} Staff 实例
+ */
+const getSessionStaff = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const session = await StaffSession.findOne({
+    where: { token_hash: hashToken(token) },
+    include: [{ model: Staff, as: 'staff' }]
+  });
+  if (!session) {
+    return null;
+  }
+  if (new Date(session.expires_at) <= new Date()) {
+    await session.destroy();
+    return null;
+  }
+  if (!session.staff || !session.staff.is_active) {
+    return null;
+  }
+  return session.staff;
+};
+
+/**
+ * 获取全部员工账号（包含已停用）
+ * @returns {Promise<Array>}
+ */
+const listStaff = async () => {
+  try {
+    const staff = await Staff.findAll({ order: [['name', 'ASC'], ['id', 'ASC']] });
+    return staff.map(formatStaff);
+  } catch (error) {
+    logger.error('获取员工列表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 新增员工账号
+ * @param {Object} data - {name, role, pin}
+ * @returns {Promise<Object>}
+ */
+const createStaff = async (data) => {
+  try {
+    const values = await validateStaffInput(data);
+    await assertNameAvailable(values.name);
+
+    const staff = await Staff.create(values);
+    await staff.reload();
+    logger.info('新增员工账号', { staffId: staff.id, name: staff.name, role: staff.role });
+
+    return formatStaff(staff);
+  } catch (error) {
+    logger.error('新增员工账号失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 修改员工账号（只更新提交的字段）
+ * 修改 PIN、角色或停用账号后，该员工已有的登录会话全部失效
+ * @param {number} staffId - 员工ID
+ * @param {Object} data - 要修改的字段 {name, role, pin, isActive}
+ * @returns {Promise<Object>}
+ */
+const updateStaff = async (staffId, data) => {
+  try {
+    const values = await validateStaffInput(data, { partial: true });
+    if (Object.keys(values).length === 0) {
+      throw createHttpError('没有需要修改的字段', 400);
+    }
+
+    const staff = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+      const existing = await findStaffOrFail(staffId, transaction);
+      if (values.name !== undefined) {
+        await assertNameAvailable(values.name, existing.id, transaction);
+      }
+
+      // 至少保留一个启用的管理员，避免无人能修改设置
+      const losesAdmin = existing.role === 'admin' && existing.is_active &&
+        ((values.role !== undefined && values.role !== 'admin') || values.is_active === false);
+      if (losesAdmin) {
+        const activeAdmins = await Staff.count({ where: { role: 'admin', is_active: true }, transaction });
+        if (activeAdmins <= 1) {
+          throw createHttpError('至少需要保留一个启用的管理员账号', 409);
+        }
+      }
+
+      await existing.update(values, { transaction });
+
+      if (values.pin_hash !== undefined || values.role !== undefined || values.is_active === false) {
+        await StaffSession.destroy({ where: { staff_id: existing.id }, transaction });
+      }
+      return existing;
+    });
+
+    logger.info('修改员工账号', {
+      staffId: staff.id,
+      name: staff.name,
+      fields: Object.keys(data).filter(field => data[field] !== undefined)
+    });
+
+    return formatStaff(staff);
+  } catch (error) {
+    logger.error('修改员工账号失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 停用员工账号（软删除，登录会话同时失效）
+ * @param {number} staffId - 员工ID
+ * @returns {Promise<Object>}
+ */
+const deleteStaff = async (staffId) => {
+  return updateStaff(staffId, { isActive: false });
+};
+
+module.exports = {
+  STAFF_ROLES,
+  STAFF_SESSION_MINUTES_SETTING,
+  DEFAULT_STAFF_SESSION_MINUTES,
+  normalizeStaffSessionMinutes,
+  hasRole,
+  formatStaff,
+  listLoginStaff,
+  setupAdmin,
+  login,
+  logout,
+  getSessionStaff,
+  listStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff
+};
@@ -0,0 +1,231 @@
+/**
+ * 柜台付款服务模块
+ * 现金订单下单后等待顾客到柜台付款：列出等待付款的订单供收银员确认收款，超过付款期限仍未付款的订单自动取消
+ */
+
+const paymentProviders = require('./paymentProviders');
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const {
+  Order,
+  OrderItem,
+  OrderItemOption,
+  Meal,
+  PaymentMethod,
+  PaymentTransaction,
+  Terminal
+} = require('../models');
+const { Op } = require('sequelize');
+
+const CASH_PAYMENT_TIMEOUT_SETTING = 'cash_payment_timeout';
+
+// 付款期限（分钟）
+const DEFAULT_CASH_PAYMENT_TIMEOUT = 15;
+const MIN_CASH_PAYMENT_TIMEOUT = 1;
+const MAX_CASH_PAYMENT_TIMEOUT = 240;
+
+// 检查逾期订单的间隔
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * 校验柜台付款期限设置
+ * @param {any} value - 设置值
+ * @returns {number} 分钟
+ */
+const normalizeCashPaymentTimeout = (value) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_CASH_PAYMENT_TIMEOUT || minutes > MAX_CASH_PAYMENT_TIMEOUT) {
+    throw createHttpError(`柜台付款期限必须为 ${MIN_CASH_PAYMENT_TIMEOUT}-${MAX_CASH_PAYMENT_TIMEOUT} 之间的整数（分钟）`, 400);
+  }
+  return minutes;
+};
+
+/**
+ * 读取柜台付款期限（设置无效时使用默认值）
+ * @returns {Promise<number>} 分钟
+ */
+const getCashPaymentTimeout = async () => {
+  try {
+    return normalizeCashPaymentTimeout(await getSettingValue(CASH_PAYMENT_TIMEOUT_SETTING, DEFAULT_CASH_PAYMENT_TIMEOUT));
+  } catch (error) {
+    logger.warn('柜台付款期限设置无效，使用默认值', { error: error.message });
+    return DEFAULT_CASH_PAYMENT_TIMEOUT;
+  }
+};
+
+/**
+ * 计算订单的付款期限（从下单时间起算）
+ * @param {Object} order - Order 实例
+ * @param {number} timeoutMinutes - 付款期限（分钟）
+ * @returns {Date}
+ */
+const getPaymentDeadline = (order, timeoutMinutes) => {
+  return new Date(new Date(order.created_at).getTime() + timeoutMinutes * 60 * 1000);
+};
+
+/**
+ * 查询等待柜台付款的交易（包含待支付的订单）
+ * @param {Object} orderWhere - 订单的附加条件
+ * @param {Array} orderIncludes - 订单的附加关联
+ * @returns {Promise<Array>} PaymentTransaction 实例数组
+ */
+const findCounterTransactions = (orderWhere = {}, orderIncludes = []) => PaymentTransaction.findAll({
+  where: {
+    provider: { [Op.in]: paymentProviders.COUNTER_PAYMENT_PROVIDERS },
+    status: 'processing'
+  },
+  include: [{
+    model: Order,
+    as: 'order',
+    where: { status: 'pending', ...orderWhere },
+    include: orderIncludes
+  }],
+  order: [[{ model: Order, as: 'order' }, 'created_at', 'ASC']]
+});
+
+/**
+ * 获取等待柜台付款的订单（按下单时间先后）
+ * @returns {Promise<Array>}
+ */
+const listCounterOrders = async () => {
+  try {
+    const timeoutMinutes = await getCashPaymentTimeout();
+    const transactions = await findCounterTransactions({}, [
+      {
+        model: OrderItem,
+        as: 'items',
+        include: [
+          { model: Meal, as: 'meal' },
+          { model: OrderItemOption, as: 'options' }
+        ]
+      },
+      { model: PaymentMethod, as: 'paymentMethod' },
+      { model: Terminal, as: 'terminal' }
+    ]);
+
+    return transactions.map(({ order }) => ({
+      id: order.id,
+      orderNumber: order.order_number,
+      dailySequence: order.daily_sequence,
+      orderType: order.order_type,
+      totalAmount: parseFloat(order.total_amount),
+      paymentMethod: order.paymentMethod ? {
+        id: order.paymentMethod.id,
+        code: order.paymentMethod.code,
+        name: order.paymentMethod.name_zh,
+        nameEn: order.paymentMethod.name_en
+      } : null,
+      terminal: order.terminal ? order.terminal.name : null,
+      items: order.items.map(item => ({
+        name: item.meal ? item.meal.name_zh : null,
+        nameEn: item.meal ? item.meal.name_en : null,
+        quantity: item.quantity,
+        subtotal: parseFloat(item.subtotal),
+        options: (item.options || []).map(option => option.name_zh || option.name_en)
+      })),
+      createdAt: order.created_at,
+      expiresAt: getPaymentDeadline(order, timeoutMinutes)
+    }));
+  } catch (error) {
+    logger.error('获取待柜台付款订单失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 取消超过付款期限仍未付款的柜台付款订单
+ * @returns {Promise<number>} 取消的订单数量
+ */
+const expireCounterOrders = async () => {
+  const timeoutMinutes = await getCashPaymentTimeout();
+  const cutoff = new Date(Date.now() - timeoutMinutes * 60 * 1000);
+  const transactions = await findCounterTransactions({ created_at: { [Op.lt]: cutoff } });
+
+  let expired = 0;
+  for (const paymentTransaction of transactions) {
+    const order = paymentTransaction.order;
+    try {
+      const provider = paymentProviders.getProvider(paymentTransaction.provider);
+      await provider.cancel(paymentTransaction, `超过 ${timeoutMinutes} 分钟未付款，订单已自动取消`);
+      if (paymentTransaction.status !== 'failed') {
+        // 店员刚好确认了收款
+        continue;
+      }
+
+      const [updatedCount] = await Order.update(
+        { status: 'cancelled' },
+        { where: { id: order.id, status: 'pending' } }
+      );
+      if (updatedCount > 0) {
+        expired++;
+        logger.info('柜台付款订单逾期未付款，已自动取消', {
+          orderNumber: order.order_number,
+          createdAt: order.created_at,
+          timeoutMinutes
+        });
+      }
+    } catch (error) {
+      logger.error('取消逾期未付款订单失败', {
+        orderNumber: order.order_number,
+        error: error.message
+      });
+    }
+  }
+  return expired;
+};
+
+/**
+ * 定时检查逾期订单（上一轮未结束时跳过）
+ */
+const tick = async () => {
+  if (workerRunning) {
+    return;
+  }
+  workerRunning = true;
+  try {
+    await expireCounterOrders();
+  } catch (error) {
+    logger.error('检查逾期未付款订单失败:', error);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+/**
+ * 启动逾期订单检查任务
+ */
+const startWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+  workerTimer = setInterval(tick, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  setImmediate(tick);
+  logger.info('柜台付款逾期检查任务已启动');
+};
+
+/**
+ * 停止逾期订单检查任务
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  CASH_PAYMENT_TIMEOUT_SETTING,
+  DEFAULT_CASH_PAYMENT_TIMEOUT,
+  normalizeCashPaymentTimeout,
+  getCashPaymentTimeout,
+  getPaymentDeadline,
+  listCounterOrders,
+  expireCounterOrders,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,578 @@
+/**
+ * KPay 收款终端服务模块
+ * 通过局域网 HTTP 接口向 KPay POS 发起销售交易，并轮询交易结果；已成功的交易可撤销或退款
+ * 营业结束后在终端结算，结算批次的交易明细用于与订单对账
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const {
+  KPAY_PAY_TYPES,
+  getResponseMessage,
+  isSuccessCode,
+  isInProgressCode,
+  isReversalRequiredCode,
+  isReversedCode
+} = require('../utils/kpayConstants');
+const { createPaymentRecord } = require('./paymentProviders/paymentRecord');
+
+// 终端接口路径
+const KPAY_API_PATHS = {
+  sale: '/v2/pos/sales',
+  query: '/v2/pos/sales/query',
+  reversal: '/v2/pos/sales/reversal',
+  close: '/v2/pos/sales/close',
+  void: '/v2/pos/sales/void',
+  refund: '/v2/pos/sales/refund',
+  settlement: '/v2/pos/settlement',
+  lastSettlement: '/v2/pos/settlement/query'
+};
+
+// 交易已完成，无法关闭（超时关闭交易时出现，说明客户其实已付款）
+const CODE_ALREADY_COMPLETED = 20010;
+
+// 未找到相关交易（终端尚未收到或已关闭的交易）
+const CODE_NOT_FOUND = 20005;
+
+// 终端状态异常，需要先结算才能继续交易
+const CODE_SETTLEMENT_REQUIRED = 50009;
+
+// 终端尚未结算过，无法查询上一次结算的数据
+const CODE_NEVER_SETTLED = 50011;
+
+// 结算数据为空（上次结算后没有交易）
+const CODE_SETTLEMENT_EMPTY = 50012;
+
+// 港币货币代码
+const CURRENCY_HKD = '344';
+
+// 单次 HTTP 请求超时（毫秒）
+const REQUEST_TIMEOUT_MS = 10000;
+
+// 冲正最多重试次数
+const MAX_REVERSAL_ATTEMPTS = 3;
+
+// 正在等待结果的交易（防止同一笔交易被重复轮询）
+const waitingTransactions = new Map();
+
+/**
+ * 读取 KPay 配置
+ * @returns {Promise<Object>} 配置对象
+ */
+async function loadKpayConfig() {
+  return {
+    enabled: await getSettingValue('kpay_enabled', false),
+    terminalUrl: String(await getSettingValue('kpay_terminal_url', 'http://127.0.0.1:18080')).replace(/\/+$/, ''),
+    appId: await getSettingValue('kpay_app_id', ''),
+    appSecret: await getSettingValue('kpay_app_secret', ''),
+    pollInterval: parseInt(await getSettingValue('kpay_poll_interval', 2), 10) || 2,
+    paymentTimeout: parseInt(await getSettingValue('kpay_payment_timeout', 120), 10) || 120,
+    paymentMethodCodes: await getSettingValue('kpay_payment_methods', [])
+  };
+}
+
+/**
+ * 生成请求签名：HMAC-SHA256(appSecret, appId + timestamp + nonceStr + body)
+ * @param {Object} config - KPay 配置
+ * @param {string} timestamp - 时间戳（毫秒）
+ * @param {string} nonceStr - 随机串
+ * @param {string} body - 请求体 JSON 字符串
+ * @returns {string} 大写十六进制签名
+ */
+function signRequest(config, timestamp, nonceStr, body) {
+  return crypto
+    .createHmac('sha256', config.appSecret || '')
+    .update(`${config.appId}${timestamp}${nonceStr}${body}`)
+    .digest('hex')
+    .toUpperCase();
+}
+
+/**
+ * 向终端发送请求
+ * @param {Object} config - KPay 配置
+ * @param {string} apiPath - 接口路径
+ * @param {Object} payload - 请求数据
+ * @returns {Promise<{code: number, message: string, data: Object}>}
+ */
+async function callTerminal(config, apiPath, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const nonceStr = crypto.randomBytes(8).toString('hex');
+
+  const response = await fetch(`${config.terminalUrl}${apiPath}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      appId: config.appId,
+      timestamp,
+      nonceStr,
+      sign: signRequest(config, timestamp, nonceStr, body)
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`KPay 终端返回 HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  const code = parseInt(result.code, 10);
+  return {
+    code,
+    message: result.message || getResponseMessage(code),
+    data: result.data || {}
+  };
+}
+
+/**
+ * 更新交易记录的应答信息
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @param {Object} changes - 要更新的字段
+ * @param {number} code - 应答码
+ */
+async function recordResponse(transaction, changes, code) {
+  await transaction.update({
+    ...changes,
+    response_code: code,
+    response_message: getResponseMessage(code)
+  });
+}
+
+/**
+ * 发起销售交易
+ * 每次尝试都会创建新的交易记录，商户交易号 = 订单号 + 2位尝试序号
+ * @param {Object} order - Order 实例
+ * @param {Object} paymentMethod - PaymentMethod 实例
+ * @param {string} provider - 记录在交易上的支付渠道（kpay / octopus）
+ * @returns {Promise<Object>} PaymentTransaction 实例
+ */
+async function startSale(order, paymentMethod, provider = 'kpay') {
+  const config = await loadKpayConfig();
+  if (!config.enabled) {
+    throw new Error('KPay 收款终端未启用');
+  }
+
+  const transaction = await createPaymentRecord(order, provider);
+  const outTradeNo = transaction.out_trade_no;
+
+  try {
+    const result = await callTerminal(config, KPAY_API_PATHS.sale, {
+      outTradeNo,
+      payAmount: Math.round(parseFloat(order.total_amount) * 100),
+      payCurrency: CURRENCY_HKD,
+      payType: paymentMethod ? (KPAY_PAY_TYPES[paymentMethod.code] || null) : null,
+      description: `Order ${order.order_number}`
+    });
+
+    if (isSuccessCode(result.code) || isInProgressCode(result.code)) {
+      await recordResponse(transaction, {
+        status: 'processing',
+        transaction_no: result.data.transactionNo || null
+      }, result.code);
+    } else {
+      await recordResponse(transaction, { status: 'failed' }, result.code);
+      if (result.code === CODE_SETTLEMENT_REQUIRED) {
+        logger.warn('KPay 终端需要先结算才能继续收款，请执行 KPay 结算', { outTradeNo });
+      }
+    }
+
+    logger.info('KPay 销售交易已发起', {
+      orderNumber: order.order_number,
+      outTradeNo,
+      code: result.code,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error('KPay 发起销售交易失败', { outTradeNo, error: error.message });
+    await transaction.update({
+      status: 'failed',
+      response_message: `无法连接 KPay 终端: ${error.message}`
+    });
+  }
+
+  return transaction;
+}
+
+/**
+ * 发起冲正，冲正失败（700022）时重试
+ * @param {Object} config - KPay 配置
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<void>}
+ */
+async function reverseSale(config, transaction) {
+  for (let attempt = 1; attempt <= MAX_REVERSAL_ATTEMPTS; attempt++) {
+    try {
+      const result = await callTerminal(config, KPAY_API_PATHS.reversal, {
+        outTradeNo: transaction.out_trade_no
+      });
+
+      if (isSuccessCode(result.code) || isReversedCode(result.code)) {
+        await recordResponse(transaction, { status: 'reversed' }, result.code);
+        logger.info('KPay 交易冲正成功', { outTradeNo: transaction.out_trade_no });
+        return;
+      }
+
+      logger.warn('KPay 交易冲正未成功', {
+        outTradeNo: transaction.out_trade_no,
+        attempt,
+        code: result.code,
+        message: result.message
+      });
+      await recordResponse(transaction, {}, result.code);
+    } catch (error) {
+      logger.error('KPay 交易冲正请求失败', {
+        outTradeNo: transaction.out_trade_no,
+        attempt,
+        error: error.message
+      });
+    }
+  }
+
+  // 多次冲正失败，交易视为失败，需要店员在 POS 上人工处理
+  await transaction.update({
+    status: 'failed',
+    response_message: '冲正失败，请在 POS 上手动冲正'
+  });
+  logger.error('KPay 交易冲正多次失败，需人工处理', { outTradeNo: transaction.out_trade_no });
+}
+
+/**
+ * 超时后关闭交易；如果终端返回交易已完成，则再次查询结果
+ * @param {Object} config - KPay 配置
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<boolean>} 是否需要继续查询
+ */
+async function closeSale(config, transaction) {
+  try {
+    const result = await callTerminal(config, KPAY_API_PATHS.close, {
+      outTradeNo: transaction.out_trade_no
+    });
+
+    if (result.code === CODE_ALREADY_COMPLETED) {
+      return true;
+    }
+
+    await transaction.update({
+      status: 'failed',
+      response_code: result.code,
+      response_message: isSuccessCode(result.code) ? '支付超时，交易已关闭' : getResponseMessage(result.code)
+    });
+  } catch (error) {
+    logger.error('KPay 关闭超时交易失败', {
+      outTradeNo: transaction.out_trade_no,
+      error: error.message
+    });
+    await transaction.update({
+      status: 'failed',
+      response_message: `支付超时，关闭交易失败: ${error.message}`
+    });
+  }
+  return false;
+}
+
+/**
+ * 处理一次查询结果
+ * @param {Object} config - KPay 配置
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @param {{code: number, data: Object}} result - 查询结果
+ * @returns {Promise<boolean>} 交易是否已结束
+ */
+async function handleQueryResult(config, transaction, result) {
+  if (isSuccessCode(result.code)) {
+    await recordResponse(transaction, {
+      status: 'success',
+      transaction_no: result.data.transactionNo || transaction.transaction_no,
+      pay_method: result.data.payMethod || null
+    }, result.code);
+    return true;
+  }
+
+  if (isInProgressCode(result.code)) {
+    if (transaction.response_code !== result.code) {
+      await recordResponse(transaction, {}, result.code);
+    }
+    return false;
+  }
+
+  if (isReversalRequiredCode(result.code)) {
+    await recordResponse(transaction, {}, result.code);
+    await reverseSale(config, transaction);
+    return true;
+  }
+
+  if (isReversedCode(result.code)) {
+    await recordResponse(transaction, { status: 'reversed' }, result.code);
+    return true;
+  }
+
+  await recordResponse(transaction, { status: 'failed' }, result.code);
+  return true;
+}
+
+/**
+ * 轮询交易结果直到成功、失败或超时
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<Object>} 最终的 PaymentTransaction 实例
+ */
+async function pollSaleResult(transaction) {
+  const config = await loadKpayConfig();
+  const deadline = new Date(transaction.created_at).getTime() + config.paymentTimeout * 1000;
+  let closing = false;
+
+  while (transaction.status === 'processing') {
+    await new Promise(resolve => setTimeout(resolve, config.pollInterval * 1000));
+
+    // 顾客取消付款时交易已被关闭，不再查询
+    await transaction.reload();
+    if (transaction.status !== 'processing') {
+      break;
+    }
+
+    // 超时后只关闭一次；终端返回交易已完成时继续查询，直到得到成功、冲正等最终结果
+    if (!closing && Date.now() > deadline) {
+      logger.warn('KPay 交易等待超时，尝试关闭交易', { outTradeNo: transaction.out_trade_no });
+      closing = true;
+      const shouldQuery = await closeSale(config, transaction);
+      if (!shouldQuery) {
+        break;
+      }
+    }
+
+    try {
+      const result = await callTerminal(config, KPAY_API_PATHS.query, {
+        outTradeNo: transaction.out_trade_no
+      });
+      const finished = await handleQueryResult(config, transaction, result);
+      if (finished) {
+        break;
+      }
+    } catch (error) {
+      // 网络抖动时继续查询
+      // 关闭时终端已返回交易已完成（顾客已付款），不能因查询未得到结果就判为失败，继续查询直到拿到最终结果
+      logger.warn('KPay 查询交易结果失败，稍后重试', {
+        outTradeNo: transaction.out_trade_no,
+        closing,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info('KPay 交易结束', {
+    outTradeNo: transaction.out_trade_no,
+    status: transaction.status,
+    code: transaction.response_code,
+    message: transaction.response_message
+  });
+  return transaction;
+}
+
+/**
+ * 等待交易结果（同一笔交易只会有一个轮询任务）
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<Object>} 最终的 PaymentTransaction 实例
+ */
+function waitForResult(transaction) {
+  if (waitingTransactions.has(transaction.id)) {
+    return waitingTransactions.get(transaction.id);
+  }
+
+  const task = pollSaleResult(transaction).finally(() => {
+    waitingTransactions.delete(transaction.id);
+  });
+  waitingTransactions.set(transaction.id, task);
+  return task;
+}
+
+/**
+ * 顾客取消付款时关闭进行中的交易
+ * 终端返回交易已完成时保留处理中状态，由轮询任务确认收款结果
+ * @param {Object} transaction - 处理中的 PaymentTransaction 实例
+ * @param {string} reason - 取消原因
+ * @returns {Promise<Object>} PaymentTransaction 实例
+ */
+async function cancelSale(transaction, reason = '顾客已取消付款') {
+  const config = await loadKpayConfig();
+
+  try {
+    const result = await callTerminal(config, KPAY_API_PATHS.close, {
+      outTradeNo: transaction.out_trade_no
+    });
+
+    if (result.code === CODE_ALREADY_COMPLETED) {
+      logger.warn('KPay 交易已完成，无法取消', { outTradeNo: transaction.out_trade_no });
+      return transaction;
+    }
+
+    if (!isSuccessCode(result.code) && result.code !== CODE_NOT_FOUND) {
+      throw new Error(result.message);
+    }
+  } catch (error) {
+    logger.error('KPay 取消交易失败', { outTradeNo: transaction.out_trade_no, error: error.message });
+    throw new Error(`无法关闭 KPay 交易: ${error.message}`);
+  }
+
+  await transaction.update({
+    status: 'failed',
+    response_message: reason
+  });
+  logger.info('KPay 交易已取消', { outTradeNo: transaction.out_trade_no, reason });
+  return transaction;
+}
+
+/**
+ * 撤销已成功的销售交易（只能撤销当日交易，隔日需退款）
+ * @param {Object} transaction - 成功的 PaymentTransaction 实例
+ * @returns {Promise<{success: boolean, code: number|null, message: string}>} 撤销结果
+ */
+async function voidSale(transaction) {
+  const config = await loadKpayConfig();
+
+  try {
+    const result = await callTerminal(config, KPAY_API_PATHS.void, {
+      outTradeNo: transaction.out_trade_no
+    });
+
+    if (!isSuccessCode(result.code)) {
+      logger.warn('KPay 交易撤销失败', {
+        outTradeNo: transaction.out_trade_no,
+        code: result.code,
+        message: result.message
+      });
+      return { success: false, code: result.code, message: result.message };
+    }
+
+    await recordResponse(transaction, { status: 'voided' }, result.code);
+    logger.info('KPay 交易已撤销', { outTradeNo: transaction.out_trade_no });
+    return { success: true, code: result.code, message: result.message };
+  } catch (error) {
+    logger.error('KPay 撤销交易请求失败', { outTradeNo: transaction.out_trade_no, error: error.message });
+    return { success: false, code: null, message: `无法连接 KPay 终端: ${error.message}` };
+  }
+}
+
+/**
+ * 对已成功的销售交易发起退款（可多次部分退款，合计不超过交易金额）
+ * @param {Object} transaction - 成功的 PaymentTransaction 实例
+ * @param {string} refundNo - 商户退款号（每次退款唯一）
+ * @param {number} amount - 退款金额
+ * @param {boolean} isFullRefund - 本次退款后交易金额是否已全部退回
+ * @returns {Promise<{success: boolean, code: number|null, message: string}>} 退款结果
+ */
+async function refundSale(transaction, refundNo, amount, isFullRefund) {
+  const config = await loadKpayConfig();
+
+  try {
+    const result = await callTerminal(config, KPAY_API_PATHS.refund, {
+      outTradeNo: transaction.out_trade_no,
+      outRefundNo: refundNo,
+      refundAmount: Math.round(parseFloat(amount) * 100)
+    });
+
+    if (!isSuccessCode(result.code)) {
+      logger.warn('KPay 交易退款失败', {
+        outTradeNo: transaction.out_trade_no,
+        refundNo,
+        code: result.code,
+        message: result.message
+      });
+      return { success: false, code: result.code, message: result.message };
+    }
+
+    await recordResponse(transaction, isFullRefund ? { status: 'refunded' } : {}, result.code);
+    logger.info('KPay 交易已退款', { outTradeNo: transaction.out_trade_no, refundNo, amount });
+    return { success: true, code: result.code, message: result.message };
+  } catch (error) {
+    logger.error('KPay 退款请求失败', { outTradeNo: transaction.out_trade_no, refundNo, error: error.message });
+    return { success: false, code: null, message: `无法连接 KPay 终端: ${error.message}` };
+  }
+}
+
+/**
+ * 整理终端返回的结算数据
+ * @param {Object} data - 终端应答数据 { batchNo, settledAt, totals, transactions }
+ * @returns {{batchNo: string|null, settledAt: Date|null, totals: Array, transactions: Array}}
+ *   transactions 每项为 { type: SALE/VOID/REFUND, outTradeNo, outRefundNo, transactionNo, payMethod, amount（分） }
+ */
+function normalizeSettlementData(data = {}) {
+  const settledAt = data.settledAt ? new Date(data.settledAt) : null;
+  return {
+    batchNo: data.batchNo ? String(data.batchNo) : null,
+    settledAt: settledAt && !Number.isNaN(settledAt.getTime()) ? settledAt : null,
+    totals: Array.isArray(data.totals) ? data.totals : [],
+    transactions: (Array.isArray(data.transactions) ? data.transactions : []).map(item => ({
+      type: String(item.transType || 'SALE').toUpperCase(),
+      outTradeNo: item.outTradeNo || null,
+      outRefundNo: item.outRefundNo || null,
+      transactionNo: item.transactionNo || null,
+      payMethod: item.payMethod || null,
+      amount: parseInt(item.amount, 10) || 0
+    }))
+  };
+}
+
+/**
+ * 读取结算类接口的应答（结算数据为空时视为成功，返回空批次）
+ * @param {Object} config - KPay 配置
+ * @param {string} apiPath - 接口路径
+ * @returns {Promise<{success: boolean, code: number|null, message: string, data: Object|null, unreachable?: boolean}>}
+ */
+async function callSettlementApi(config, apiPath) {
+  try {
+    const result = await callTerminal(config, apiPath, {});
+    if (result.code === CODE_SETTLEMENT_EMPTY) {
+      return { success: true, code: result.code, message: result.message, data: normalizeSettlementData({}) };
+    }
+    if (!isSuccessCode(result.code)) {
+      return { success: false, code: result.code, message: result.message, data: null };
+    }
+    return { success: true, code: result.code, message: result.message, data: normalizeSettlementData(result.data) };
+  } catch (error) {
+    return { success: false, code: null, message: `无法连接 KPay 终端: ${error.message}`, data: null, unreachable: true };
+  }
+}
+
+/**
+ * 在终端结算，返回本批次的交易明细
+ * @returns {Promise<{success: boolean, code: number|null, message: string, data: Object|null, unreachable?: boolean}>}
+ */
+async function settleTerminal() {
+  const config = await loadKpayConfig();
+  const result = await callSettlementApi(config, KPAY_API_PATHS.settlement);
+
+  if (result.success) {
+    logger.info('KPay 终端结算完成', {
+      batchNo: result.data.batchNo,
+      transactionCount: result.data.transactions.length,
+      code: result.code
+    });
+  } else {
+    logger.warn('KPay 终端结算失败', { code: result.code, message: result.message });
+  }
+  return result;
+}
+
+/**
+ * 查询终端上一次结算的数据（结算请求未收到应答时用于确认终端是否已结算）
+ * @returns {Promise<{success: boolean, code: number|null, message: string, data: Object|null}>}
+ */
+async function queryLastSettlement() {
+  const config = await loadKpayConfig();
+  const result = await callSettlementApi(config, KPAY_API_PATHS.lastSettlement);
+  if (!result.success && result.code === CODE_NEVER_SETTLED) {
+    logger.info('KPay 终端尚未结算过');
+  }
+  return result;
+}
+
+module.exports = {
+  loadKpayConfig,
+  startSale,
+  waitForResult,
+  cancelSale,
+  voidSale,
+  refundSale,
+  settleTerminal,
+  queryLastSettlement
+};
@@ -0,0 +1,763 @@
+/**
+ * 菜单管理服务模块
+ * 提供菜品的新增、修改、停售（软删除）、排序、图片上传和选项组设置
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/httpError');
+const { getUploadsDirPath } = require('../utils/getUploadsDirPath');
+const { Meal, MealOptionGroup, MealOption, sequelize } = require('../models');
+
+// 字段长度限制（与 Meal 模型一致）
+const NAME_MAX_LENGTH = 100;
+const CATEGORY_MAX_LENGTH = 50;
+
+// 价格上限（DECIMAL(10, 2)）
+const MAX_PRICE = 99999999.99;
+
+// 每个菜品最多的选项组数量、每组最多的选项数量
+const MAX_OPTION_GROUPS = 20;
+const MAX_OPTIONS_PER_GROUP = 50;
+
+// 查询菜品时带出选项组和选项（按排序）
+const OPTION_GROUPS_INCLUDE = {
+  model: MealOptionGroup,
+  as: 'optionGroups',
+  include: [{ model: MealOption, as: 'options' }]
+};
+const OPTION_GROUPS_ORDER = [
+  [{ model: MealOptionGroup, as: 'optionGroups' }, 'sort_order', 'ASC'],
+  [{ model: MealOptionGroup, as: 'optionGroups' }, 'id', 'ASC'],
+  [{ model: MealOptionGroup, as: 'optionGroups' }, { model: MealOption, as: 'options' }, 'sort_order', 'ASC'],
+  [{ model: MealOptionGroup, as: 'optionGroups' }, { model: MealOption, as: 'options' }, 'id', 'ASC']
+];
+
+// 菜品图片访问路径前缀（对应 app.js 中的 /uploads 静态目录）
+const MEAL_IMAGE_URL_PREFIX = '/uploads/meals/';
+
+// 允许上传的图片格式及保存时使用的扩展名
+const MEAL_IMAGE_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg'
+};
+
+// 上传图片大小上限
+const MAX_IMAGE_FILE_SIZE = 5 * 1024 * 1024;
+
+// 原图最长边缩放到此尺寸以内，缩略图裁剪为正方形
+const IMAGE_MAX_DIMENSION = 800;
+const THUMBNAIL_SIZE = 240;
+
+// JPEG 压缩质量
+const JPEG_QUALITY = 85;
+
+/**
+ * 根据原图地址得到缩略图地址（如 /uploads/meals/1-1700000000000.jpg => /uploads/meals/1-1700000000000-thumb.jpg）
+ * 非上传目录的图片（手动填写的外部地址）没有缩略图，直接返回原地址
+ * @param {string|null} imageUrl - 原图地址
+ * @returns {string|null}
+ */
+const getThumbnailUrl = (imageUrl) => {
+  if (!imageUrl || !imageUrl.startsWith(MEAL_IMAGE_URL_PREFIX)) {
+    return imageUrl || null;
+  }
+  const ext = path.extname(imageUrl);
+  return `${imageUrl.slice(0, imageUrl.length - ext.length)}-thumb${ext}`;
+};
+
+/**
+ * 格式化菜品的选项组
+ * @param {Array} groups - MealOptionGroup 实例列表（包含 options）
+ * @param {Object} options - 选项
+ * @param {boolean} options.activeOnly - 只返回启用的选项组和选项（点餐页面使用）
+ * @returns {Array}
+ */
+const formatOptionGroups = (groups, options = {}) => {
+  const activeOnly = options.activeOnly === true;
+
+  return (groups || [])
+    .filter(group => !activeOnly || group.is_active)
+    .map(group => {
+      const groupOptions = (group.options || []).filter(option => !activeOnly || option.is_active);
+      const result = {
+        id: group.id,
+        name: group.name_zh,
+        nameEn: group.name_en,
+        minSelect: group.min_select,
+        maxSelect: group.max_select,
+        options: groupOptions.map(option => {
+          const formatted = {
+            id: option.id,
+            name: option.name_zh,
+            nameEn: option.name_en,
+            priceDelta: parseFloat(option.price_delta)
+          };
+          if (!activeOnly) {
+            formatted.isActive = option.is_active;
+          }
+          return formatted;
+        })
+      };
+      if (!activeOnly) {
+        result.isActive = group.is_active;
+      }
+      return result;
+    })
+    // 选项全部停用的组无法满足，点餐页面不显示
+    .filter(group => !activeOnly || group.options.length > 0);
+};
+
+/**
+ * 格式化菜品数据（管理界面使用，包含停售菜品和排序信息）
+ * @param {Object} meal - Meal 实例（可包含 optionGroups）
+ * @returns {Object}
+ */
+const formatMeal = (meal) => ({
+  id: meal.id,
+  name: meal.name_zh,
+  nameEn: meal.name_en,
+  desc: meal.desc_zh,
+  descEn: meal.desc_en,
+  price: parseFloat(meal.price),
+  category: meal.category,
+  imageUrl: meal.image_url,
+  thumbnailUrl: getThumbnailUrl(meal.image_url),
+  isActive: meal.is_active,
+  sortOrder: meal.sort_order,
+  optionGroups: formatOptionGroups(meal.optionGroups),
+  updatedAt: meal.updated_at
+});
+
+/**
+ * 校验必填的名称字段
+ * @param {any} value - 字段值
+ * @param {string} label - 字段名称（用于错误信息）
+ * @param {Array} errors - 错误列表
+ * @returns {string|undefined} 去除首尾空格后的名称
+ */
+const validateName = (value, label, errors) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${label}不能为空`);
+    return undefined;
+  }
+  const name = value.trim();
+  if (name.length > NAME_MAX_LENGTH) {
+    errors.push(`${label}不能超过 ${NAME_MAX_LENGTH} 个字符`);
+  }
+  return name;
+};
+
+/**
+ * 校验可选的文本字段，空字符串保存为 null
+ * @param {any} value - 字段值
+ * @param {string} label - 字段名称
+ * @param {Array} errors - 错误列表
+ * @param {number} maxLength - 最大长度（可选）
+ * @returns {string|null}
+ */
+const validateOptionalText = (value, label, errors, maxLength = null) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    errors.push(`${label}格式不正确`);
+    return null;
+  }
+  const text = value.trim();
+  if (maxLength && text.length > maxLength) {
+    errors.push(`${label}不能超过 ${maxLength} 个字符`);
+  }
+  return text || null;
+};
+
+/**
+ * 校验金额字段（最多两位小数）
+ * @param {any} value - 字段值（数字或数字字符串）
+ * @param {string} label - 字段名称
+ * @param {Array} errors - 错误列表
+ * @param {Object} options - 选项
+ * @param {boolean} options.allowNegative - 是否允许负数（如选项减价）
+ * @returns {number|undefined}
+ */
+const validateAmount = (value, label, errors, options = {}) => {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  const min = options.allowNegative ? -MAX_PRICE : 0;
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    errors.push(`${label}必须为数字`);
+  } else if (amount < min || amount > MAX_PRICE) {
+    errors.push(`${label}必须在 ${min} 到 ${MAX_PRICE} 之间`);
+  } else if (Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+    errors.push(`${label}最多保留两位小数`);
+  } else {
+    return amount;
+  }
+  return undefined;
+};
+
+/**
+ * 校验并转换菜品数据（客户端字段 => 数据库字段）
+ * @param {Object} data - 客户端提交的数据
+ * @param {Object} options - 选项
+ * @param {boolean} options.partial - 是否为部分更新（未提供的字段不校验）
+ * @returns {Object} 数据库字段
+ */
+const validateMealInput = (data, options = {}) => {
+  const partial = options.partial === true;
+  const errors = [];
+  const values = {};
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('name')) {
+    values.name_zh = validateName(data.name, '中文名称', errors);
+  }
+
+  if (!partial || has('nameEn')) {
+    values.name_en = validateName(data.nameEn, '英文名称', errors);
+  }
+
+  if (!partial || has('price')) {
+    const price = validateAmount(data.price, '价格', errors);
+    if (price !== undefined) {
+      values.price = price;
+    }
+  }
+
+  if (has('desc')) {
+    values.desc_zh = validateOptionalText(data.desc, '中文描述', errors);
+  }
+
+  if (has('descEn')) {
+    values.desc_en = validateOptionalText(data.descEn, '英文描述', errors);
+  }
+
+  if (has('category')) {
+    values.category = validateOptionalText(data.category, '分类', errors, CATEGORY_MAX_LENGTH);
+  }
+
+  if (has('isActive')) {
+    if (typeof data.isActive !== 'boolean') {
+      errors.push('isActive 必须为布尔值');
+    } else {
+      values.is_active = data.isActive;
+    }
+  }
+
+  if (has('sortOrder')) {
+    if (!Number.isInteger(data.sortOrder) || data.sortOrder < 0) {
+      errors.push('排序必须为非负整数');
+    } else {
+      values.sort_order = data.sortOrder;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(errors.join('；'), 400);
+  }
+
+  return values;
+};
+
+/**
+ * 校验可选的ID字段（更新已有选项组/选项时提供）
+ * @param {any} value - 字段值
+ * @param {string} label - 字段名称
+ * @param {Array} errors - 错误列表
+ * @returns {number|null} 未提供时返回 null
+ */
+const validateOptionalId = (value, label, errors) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    errors.push(`${label}ID无效`);
+    return null;
+  }
+  return value;
+};
+
+/**
+ * 校验并转换菜品的选项组设置
+ * @param {Array} groups - 客户端提交的选项组 [{id?, name, nameEn, minSelect, maxSelect, isActive, options: [{id?, name, nameEn, priceDelta, isActive}]}]
+ * @returns {Array} 数据库字段（选项组包含 options 数组）
+ */
+const validateOptionGroupsInput = (groups) => {
+  if (!Array.isArray(groups)) {
+    throw createHttpError('groups 必须为数组', 400);
+  }
+  if (groups.length > MAX_OPTION_GROUPS) {
+    throw createHttpError(`每个菜品最多 ${MAX_OPTION_GROUPS} 个选项组`, 400);
+  }
+
+  const errors = [];
+  const result = groups.map((group, groupIndex) => {
+    const groupLabel = `第 ${groupIndex + 1} 个选项组`;
+    if (!group || typeof group !== 'object') {
+      errors.push(`${groupLabel}格式不正确`);
+      return null;
+    }
+
+    const values = {
+      id: validateOptionalId(group.id, groupLabel, errors),
+      name_zh: validateName(group.name, `${groupLabel}中文名称`, errors),
+      name_en: group.nameEn !== undefined
+        ? validateOptionalText(group.nameEn, `${groupLabel}英文名称`, errors, NAME_MAX_LENGTH)
+        : null,
+      min_select: group.minSelect !== undefined ? group.minSelect : 0,
+      max_select: group.maxSelect !== undefined ? group.maxSelect : 1,
+      is_active: group.isActive !== undefined ? group.isActive : true,
+      sort_order: groupIndex + 1
+    };
+
+    if (typeof values.is_active !== 'boolean') {
+      errors.push(`${groupLabel} isActive 必须为布尔值`);
+    }
+
+    const options = Array.isArray(group.options) ? group.options : null;
+    if (!options || options.length === 0) {
+      errors.push(`${groupLabel}至少需要一个选项`);
+    } else if (options.length > MAX_OPTIONS_PER_GROUP) {
+      errors.push(`${groupLabel}最多 ${MAX_OPTIONS_PER_GROUP} 个选项`);
+    }
+
+    if (!Number.isInteger(values.min_select) || values.min_select < 0) {
+      errors.push(`${groupLabel}最少选择数量必须为非负整数`);
+    } else if (!Number.isInteger(values.max_select) || values.max_select < 1) {
+      errors.push(`${groupLabel}最多选择数量必须为正整数`);
+    } else if (values.min_select > values.max_select) {
+      errors.push(`${groupLabel}最少选择数量不能大于最多选择数量`);
+    } else if (options && values.min_select > options.length) {
+      errors.push(`${groupLabel}最少选择数量不能大于选项数量`);
+    }
+
+    values.options = (options || []).map((option, optionIndex) => {
+      const optionLabel = `${groupLabel}的第 ${optionIndex + 1} 个选项`;
+      if (!option || typeof option !== 'object') {
+        errors.push(`${optionLabel}格式不正确`);
+        return null;
+      }
+
+      const optionValues = {
+        id: validateOptionalId(option.id, optionLabel, errors),
+        name_zh: validateName(option.name, `${optionLabel}中文名称`, errors),
+        name_en: option.nameEn !== undefined
+          ? validateOptionalText(option.nameEn, `${optionLabel}英文名称`, errors, NAME_MAX_LENGTH)
+          : null,
+        price_delta: option.priceDelta !== undefined
+          ? validateAmount(option.priceDelta, `${optionLabel}加价`, errors, { allowNegative: true })
+          : 0,
+        is_active: option.isActive !== undefined ? option.isActive : true,
+        sort_order: optionIndex + 1
+      };
+
+      if (typeof optionValues.is_active !== 'boolean') {
+        errors.push(`${optionLabel} isActive 必须为布尔值`);
+      }
+
+      return optionValues;
+    });
+
+    return values;
+  });
+
+  if (errors.length > 0) {
+    throw createHttpError(errors.join('；'), 400);
+  }
+
+  return result;
+};
+
+/**
+ * 查找菜品（包含选项组），不存在时抛出 404
+ * @param {number} mealId - 菜品ID
+ * @param {Object} options - 查询选项（如 transaction）
+ * @returns {Promise<Object>} Meal 实例
+ */
+const findMealOrFail = async (mealId, options = {}) => {
+  const meal = await Meal.findByPk(mealId, {
+    include: [OPTION_GROUPS_INCLUDE],
+    order: OPTION_GROUPS_ORDER,
+    ...options
+  });
+  if (!meal) {
+    throw createHttpError('菜品不存在', 404);
+  }
+  return meal;
+};
+
+/**
+ * 获取全部菜品（包含已停售）
+ * @param {Object} options - 查询选项
+ * @param {string} options.category - 分类筛选（可选）
+ * @returns {Promise<Array>}
+ */
+const listMeals = async (options = {}) => {
+  try {
+    const where = {};
+    if (options.category) {
+      where.category = options.category;
+    }
+
+    const meals = await Meal.findAll({
+      where,
+      include: [OPTION_GROUPS_INCLUDE],
+      order: [['sort_order', 'ASC'], ['id', 'ASC'], ...OPTION_GROUPS_ORDER]
+    });
+
+    return meals.map(formatMeal);
+  } catch (error) {
+    logger.error('获取菜品管理列表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 新增菜品（未指定排序时排在最后）
+ * @param {Object} data - 菜品数据
+ * @returns {Promise<Object>}
+ */
+const createMeal = async (data) => {
+  try {
+    const values = validateMealInput(data);
+
+    if (values.sort_order === undefined) {
+      const maxSortOrder = await Meal.max('sort_order');
+      values.sort_order = (Number.isInteger(maxSortOrder) ? maxSortOrder : 0) + 1;
+    }
+
+    const meal = await Meal.create(values);
+    await meal.reload();
+    logger.info('新增菜品', { mealId: meal.id, name: meal.name_zh, price: values.price });
+
+    return formatMeal(meal);
+  } catch (error) {
+    logger.error('新增菜品失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 修改菜品（只更新提交的字段）
+ * @param {number} mealId - 菜品ID
+ * @param {Object} data - 要修改的字段
+ * @returns {Promise<Object>}
+ */
+const updateMeal = async (mealId, data) => {
+  try {
+    const values = validateMealInput(data, { partial: true });
+    if (Object.keys(values).length === 0) {
+      throw createHttpError('没有需要修改的字段', 400);
+    }
+
+    const meal = await findMealOrFail(mealId);
+    const previousPrice = parseFloat(meal.price);
+    await meal.update(values);
+
+    logger.info('修改菜品', {
+      mealId: meal.id,
+      fields: Object.keys(values),
+      previousPrice,
+      price: parseFloat(meal.price)
+    });
+
+    return formatMeal(meal);
+  } catch (error) {
+    logger.error('修改菜品失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 停售菜品（软删除，保留历史订单引用）
+ * @param {number} mealId - 菜品ID
+ * @returns {Promise<Object>}
+ */
+const deleteMeal = async (mealId) => {
+  try {
+    const meal = await findMealOrFail(mealId);
+    await meal.update({ is_active: false });
+
+    logger.info('停售菜品', { mealId: meal.id, name: meal.name_zh });
+
+    return formatMeal(meal);
+  } catch (error) {
+    logger.error('停售菜品失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 按给定顺序重新排列菜品，sort_order 依次设为 1, 2, 3...
+ * 未列出的菜品保持原有先后顺序，排在列出的菜品之后
+ * @param {Array<number>} mealIds - 排好序的菜品ID列表
+ * @returns {Promise<Array>} 排序后的全部菜品
+ */
+const reorderMeals = async (mealIds) => {
+  try {
+    if (!Array.isArray(mealIds) || mealIds.length === 0 || !mealIds.every(Number.isInteger)) {
+      throw createHttpError('ids 必须为菜品ID数组', 400);
+    }
+    if (new Set(mealIds).size !== mealIds.length) {
+      throw createHttpError('ids 中存在重复的菜品ID', 400);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const meals = await Meal.findAll({
+        attributes: ['id', 'sort_order'],
+        order: [['sort_order', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+
+      const existingIds = new Set(meals.map(meal => meal.id));
+      const missingIds = mealIds.filter(id => !existingIds.has(id));
+      if (missingIds.length > 0) {
+        throw createHttpError(`菜品不存在: ${missingIds.join(', ')}`, 404);
+      }
+
+      const listedIds = new Set(mealIds);
+      const orderedIds = mealIds.concat(meals.filter(meal => !listedIds.has(meal.id)).map(meal => meal.id));
+      const currentSortOrders = new Map(meals.map(meal => [meal.id, meal.sort_order]));
+
+      for (let index = 0; index < orderedIds.length; index++) {
+        if (currentSortOrders.get(orderedIds[index]) !== index + 1) {
+          await Meal.update(
+            { sort_order: index + 1 },
+            { where: { id: orderedIds[index] }, transaction }
+          );
+        }
+      }
+    });
+
+    logger.info('菜品排序已更新', { mealIds });
+
+    return await listMeals();
+  } catch (error) {
+    logger.error('更新菜品排序失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 删除上传目录中的菜品图片及其缩略图（文件不存在时忽略）
+ * @param {string|null} imageUrl - 图片地址
+ * @returns {Promise<void>}
+ */
+const removeImageFiles = async (imageUrl) => {
+  if (!imageUrl || !imageUrl.startsWith(MEAL_IMAGE_URL_PREFIX)) {
+    return;
+  }
+
+  for (const url of [imageUrl, getThumbnailUrl(imageUrl)]) {
+    // 只取文件名，防止地址中带有 ../ 删除上传目录以外的文件
+    const filePath = getUploadsDirPath('meals', path.basename(url));
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('删除菜品图片文件失败', { filePath, error: error.message });
+      }
+    }
+  }
+};
+
+/**
+ * 上传菜品图片：缩放原图、生成缩略图，保存到数据库同目录下的 uploads/meals，并更新 image_url
+ * @param {number} mealId - 菜品ID
+ * @param {Object} file - 上传的文件（multer 内存存储，包含 buffer、mimetype、size）
+ * @returns {Promise<Object>}
+ */
+const uploadMealImage = async (mealId, file) => {
+  try {
+    if (!file || !file.buffer || file.size === 0) {
+      throw createHttpError('请选择要上传的图片', 400);
+    }
+    if (file.size > MAX_IMAGE_FILE_SIZE) {
+      throw createHttpError(`图片不能超过 ${MAX_IMAGE_FILE_SIZE / 1024 / 1024}MB`, 400);
+    }
+
+    const meal = await findMealOrFail(mealId);
+
+    let image;
+    try {
+      image = await Jimp.read(file.buffer);
+    } catch (error) {
+      throw createHttpError('无法识别的图片文件', 400);
+    }
+
+    // 以文件内容识别出的格式为准，不信任客户端提供的 Content-Type
+    const ext = MEAL_IMAGE_TYPES[image.mime];
+    if (!ext) {
+      throw createHttpError('图片格式仅支持 PNG 或 JPEG', 400);
+    }
+
+    const { width, height } = image.bitmap;
+    if (width > IMAGE_MAX_DIMENSION || height > IMAGE_MAX_DIMENSION) {
+      image.scaleToFit({ w: IMAGE_MAX_DIMENSION, h: IMAGE_MAX_DIMENSION });
+    }
+    const thumbnail = image.clone().cover({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+
+    const encodeOptions = image.mime === 'image/jpeg' ? { quality: JPEG_QUALITY } : {};
+    const imageBuffer = await image.getBuffer(image.mime, encodeOptions);
+    const thumbnailBuffer = await thumbnail.getBuffer(image.mime, encodeOptions);
+
+    // 文件名带时间戳，更换图片后地址随之变化，避免浏览器使用旧缓存
+    const fileName = `${meal.id}-${Date.now()}${ext}`;
+    const imageUrl = `${MEAL_IMAGE_URL_PREFIX}${fileName}`;
+    const uploadsDir = getUploadsDirPath('meals');
+
+    await fs.promises.mkdir(uploadsDir, { recursive: true });
+    await fs.promises.writeFile(path.join(uploadsDir, fileName), imageBuffer);
+    await fs.promises.writeFile(getUploadsDirPath('meals', path.basename(getThumbnailUrl(imageUrl))), thumbnailBuffer);
+
+    const previousImageUrl = meal.image_url;
+    try {
+      await meal.update({ image_url: imageUrl });
+    } catch (error) {
+      await removeImageFiles(imageUrl);
+      throw error;
+    }
+    await removeImageFiles(previousImageUrl);
+
+    logger.info('菜品图片已上传', {
+      mealId: meal.id,
+      imageUrl,
+      originalSize: `${width}x${height}`,
+      savedSize: `${image.bitmap.width}x${image.bitmap.height}`
+    });
+
+    return formatMeal(meal);
+  } catch (error) {
+    logger.error('上传菜品图片失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 删除菜品图片（点餐页面将回退使用前端内置的图片）
+ * @param {number} mealId - 菜品ID
+ * @returns {Promise<Object>}
+ */
+const deleteMealImage = async (mealId) => {
+  try {
+    const meal = await findMealOrFail(mealId);
+    const previousImageUrl = meal.image_url;
+
+    await meal.update({ image_url: null });
+    await removeImageFiles(previousImageUrl);
+
+    logger.info('菜品图片已删除', { mealId: meal.id, imageUrl: previousImageUrl });
+
+    return formatMeal(meal);
+  } catch (error) {
+    logger.error('删除菜品图片失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 设置菜品的选项组（整体替换）
+ * 带 id 的选项组/选项更新原记录，不带 id 的新增，未提交的删除；
+ * 历史订单保存了选项名称和价格快照，删除选项不影响历史订单
+ * @param {number} mealId - 菜品ID
+ * @param {Array} groups - 选项组列表
+ * @returns {Promise<Object>} 更新后的菜品（包含选项组）
+ */
+const setMealOptionGroups = async (mealId, groups) => {
+  try {
+    const groupValues = validateOptionGroupsInput(groups);
+
+    await sequelize.transaction(async (transaction) => {
+      const meal = await Meal.findByPk(mealId, { transaction });
+      if (!meal) {
+        throw createHttpError('菜品不存在', 404);
+      }
+
+      const existingGroups = await MealOptionGroup.findAll({
+        where: { meal_id: mealId },
+        include: [{ model: MealOption, as: 'options' }],
+        transaction
+      });
+      const existingGroupMap = new Map(existingGroups.map(group => [group.id, group]));
+      const keptGroupIds = new Set();
+
+      for (const { id, options, ...values } of groupValues) {
+        let group;
+        if (id !== null) {
+          group = existingGroupMap.get(id);
+          if (!group) {
+            throw createHttpError(`选项组不存在: ${id}`, 404);
+          }
+          if (keptGroupIds.has(id)) {
+            throw createHttpError(`选项组重复: ${id}`, 400);
+          }
+          await group.update(values, { transaction });
+        } else {
+          group = await MealOptionGroup.create({ ...values, meal_id: mealId }, { transaction });
+        }
+        keptGroupIds.add(group.id);
+
+        const existingOptionMap = new Map((group.options || []).map(option => [option.id, option]));
+        const keptOptionIds = new Set();
+
+        for (const { id: optionId, ...optionValues } of options) {
+          if (optionId !== null) {
+            const option = existingOptionMap.get(optionId);
+            if (!option) {
+              throw createHttpError(`选项不存在: ${optionId}`, 404);
+            }
+            if (keptOptionIds.has(optionId)) {
+              throw createHttpError(`选项重复: ${optionId}`, 400);
+            }
+            await option.update(optionValues, { transaction });
+            keptOptionIds.add(optionId);
+          } else {
+            await MealOption.create({ ...optionValues, group_id: group.id }, { transaction });
+          }
+        }
+
+        const removedOptionIds = [...existingOptionMap.keys()].filter(optionId => !keptOptionIds.has(optionId));
+        if (removedOptionIds.length > 0) {
+          await MealOption.destroy({ where: { id: removedOptionIds }, transaction });
+        }
+      }
+
+      const removedGroupIds = [...existingGroupMap.keys()].filter(groupId => !keptGroupIds.has(groupId));
+      if (removedGroupIds.length > 0) {
+        await MealOption.destroy({ where: { group_id: removedGroupIds }, transaction });
+        await MealOptionGroup.destroy({ where: { id: removedGroupIds }, transaction });
+      }
+    });
+
+    const meal = await findMealOrFail(mealId);
+
+    logger.info('菜品选项组已更新', {
+      mealId,
+      groups: meal.optionGroups.map(group => ({ id: group.id, name: group.name_zh, options: group.options.length }))
+    });
+
+    return formatMeal(meal);
+  } catch (error) {
+    logger.error('设置菜品选项组失败:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_IMAGE_FILE_SIZE,
+  OPTION_GROUPS_INCLUDE,
+  OPTION_GROUPS_ORDER,
+  formatOptionGroups,
+  getThumbnailUrl,
+  listMeals,
+  createMeal,
+  updateMeal,
+  deleteMeal,
+  reorderMeals,
+  uploadMealImage,
+  deleteMealImage,
+  setMealOptionGroups,
+  validateMealInput
+};
@@ -0,0 +1,108 @@
+/**
+ * 取餐显示屏服务模块
+ * 按当日序号列出制作中（已付款）和可取餐（已完成）的取餐号码，供顾客在显示屏上查看
+ */
+
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const { getBusinessDate, getBusinessDayRange, parseDateParam } = require('../utils/dateTime');
+const { getBusinessDayCutover } = require('./orderNumberService');
+const { Order } = require('../models');
+const { Op } = require('sequelize');
+
+const READY_MINUTES_SETTING = 'order_board_ready_minutes';
+
+// 已完成的号码在显示屏上保留的时间（分钟）
+const DEFAULT_READY_MINUTES = 10;
+const MIN_READY_MINUTES = 1;
+const MAX_READY_MINUTES = 120;
+
+/**
+ * 校验取餐号码保留时间设置
+ * @param {any} value - 设置值
+ * @returns {number} 分钟
+ */
+const normalizeReadyMinutes = (value) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_READY_MINUTES || minutes > MAX_READY_MINUTES) {
+    throw createHttpError(`取餐号码保留时间必须为 ${MIN_READY_MINUTES}-${MAX_READY_MINUTES} 之间的整数（分钟）`, 400);
+  }
+  return minutes;
+};
+
+/**
+ * 读取取餐号码保留时间（设置无效时使用默认值）
+ * @returns {Promise<number>} 分钟
+ */
+const getReadyMinutes = async () => {
+  try {
+    return normalizeReadyMinutes(await getSettingValue(READY_MINUTES_SETTING, DEFAULT_READY_MINUTES));
+  } catch (error) {
+    logger.warn('取餐号码保留时间设置无效，使用默认值', { error: error.message });
+    return DEFAULT_READY_MINUTES;
+  }
+};
+
+/**
+ * 格式化显示屏上的号码（不包含金额、明细等顾客无需看到的信息）
+ * @param {Object} order - Order 实例
+ * @returns {Object}
+ */
+const formatBoardOrder = (order) => ({
+  id: order.id,
+  ticketNumber: `${order.order_type === 1 ? 'T' : 'D'}${String(order.daily_sequence).padStart(4, '0')}`,
+  orderType: order.order_type,
+  dailySequence: order.daily_sequence,
+  completedAt: order.completed_at
+});
+
+/**
+ * 获取取餐显示屏数据
+ * 制作中：当前营业日已付款（包括部分退款）、尚未完成的订单，按序号先后
+ * 可取餐：保留时间内完成的订单，最近完成的在前（完成后才部分退款的订单仍按完成时间显示）
+ * @returns {Promise<Object>} { preparing, ready, readyMinutes, generatedAt }
+ */
+const getOrderBoard = async () => {
+  try {
+    const now = new Date();
+    const cutoverMinutes = await getBusinessDayCutover();
+    const readyMinutes = await getReadyMinutes();
+    const { start, end } = getBusinessDayRange(parseDateParam(getBusinessDate(now, cutoverMinutes), 'date'), cutoverMinutes);
+    const businessDayWhere = {
+      created_at: { [Op.gte]: start, [Op.lt]: end },
+      daily_sequence: { [Op.ne]: null }
+    };
+
+    const [preparing, ready] = await Promise.all([
+      Order.findAll({
+        where: { ...businessDayWhere, status: { [Op.in]: ['paid', 'partially_refunded'] }, completed_at: null },
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+      }),
+      Order.findAll({
+        where: {
+          ...businessDayWhere,
+          status: { [Op.in]: ['completed', 'partially_refunded'] },
+          completed_at: { [Op.gte]: new Date(now.getTime() - readyMinutes * 60 * 1000) }
+        },
+        order: [['completed_at', 'DESC'], ['id', 'DESC']]
+      })
+    ]);
+
+    return {
+      preparing: preparing.map(formatBoardOrder),
+      ready: ready.map(formatBoardOrder),
+      readyMinutes,
+      generatedAt: now
+    };
+  } catch (error) {
+    logger.error('获取取餐显示屏数据失败:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  READY_MINUTES_SETTING,
+  normalizeReadyMinutes,
+  getOrderBoard
+};
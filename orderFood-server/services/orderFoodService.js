@@ -1,186 +1,420 @@
+const crypto = require('crypto');
+const printQueueService = require('./printQueueService');
 const printerService = require('./printerService');
+const paymentProviders = require('./paymentProviders');
+const {
+  CASH_PAYMENT_TIMEOUT_SETTING,
+  normalizeCashPaymentTimeout,
+  getCashPaymentTimeout,
+  getPaymentDeadline
+} = require('./counterPaymentService');
+const { READY_MINUTES_SETTING, normalizeReadyMinutes } = require('./orderBoardService');
+const printerStatusService = require('./printerStatusService');
+const terminalService = require('./terminalService');
+const { formatRefund } = require('./refundService');
+const { STAFF_SESSION_MINUTES_SETTING, normalizeStaffSessionMinutes, hasRole } = require('./authService');
+const { normalizeSyncInterval, normalizeSyncUrl } = require('./syncService');
+const {
+  ORDER_NUMBER_FORMAT_SETTING,
+  BUSINESS_DAY_CUTOVER_SETTING,
+  TERMINAL_ID_SETTING,
+  normalizeOrderNumberFormat,
+  normalizeBusinessDayCutover,
+  normalizeTerminalId,
+  generateOrderNumber
+} = require('./orderNumberService');
+const { getThumbnailUrl, formatOptionGroups, OPTION_GROUPS_INCLUDE, OPTION_GROUPS_ORDER } = require('./mealService');
+const {
+  RECEIPT_TEMPLATE_SETTING,
+  normalizeReceiptTemplate,
+  getReceiptTemplate,
+  buildReceiptCommands
+} = require('./receiptLayout');
+const { createTextRenderer } = require('./printerDrivers/textRenderer');
 const logger = require('../utils/logger');
-const { Order, OrderItem, Meal, PaymentMethod } = require('../models');
-const { Op } = require('sequelize');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const { parseDateParam } = require('../utils/dateTime');
+const {
+  Order,
+  OrderItem,
+  OrderItemOption,
+  Meal,
+  MealOptionGroup,
+  MealOption,
+  PaymentMethod,
+  PaymentTransaction,
+  Terminal,
+  Refund,
+  RefundItem,
+  Staff
+} = require('../models');
+const { Op, Transaction } = require('sequelize');
+
+// 金额不一致时的处理策略：reject=拒绝下单, flag=按服务器价格下单并标记
+const PRICE_MISMATCH_POLICIES = ['reject', 'flag'];
+
+// 下单请求的幂等键：点餐机每次结账生成一个，响应超时后以同一个键重试时返回第一次创建的订单，不会重复下单
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// 订单状态允许的流转：当前状态 => 可变更为的状态
+// partially_refunded 只能通过退款接口产生，撤销或全额退款后订单变为 cancelled；部分退款的订单出餐后同样可以标记为已完成
+// 已付款的订单不能直接取消，需由店长撤销（退回款项并记录退款）
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['completed'],
+  completed: [],
+  partially_refunded: ['completed'],
+  cancelled: []
+};
+
+// 点餐机无需登录即可读取的设置项（其余设置项可能包含密钥，需要管理员登录）
+const PUBLIC_SETTING_KEYS = ['store_name_zh', 'store_name_en', 'store_address', 'store_phone'];
+
+// 订单列表分页
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
 /**
- * 创建订单并打印小票
- * @param {Object} orderData - 订单数据
- * @param {Array} orderData.items - 订单明细数组 [{mealId, quantity, price}, ...]
- * @param {number} orderData.totalAmount - 订单总金额
- * @param {number} orderData.storeId - 店铺ID（可选，默认为1）
- * @param {number} orderData.orderType - 订单类型（可选，0=堂食, 1=外卖，默认为0）
- * @param {number} orderData.paymentMethodId - 付款方式ID（可选）
- * @returns {Promise<{success: boolean, message: string, orderNumber?: string}>}
+ * 将金额转换为以分为单位的整数，避免浮点误差
+ * @param {number|string} amount - 金额
+ * @returns {number}
  */
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
 /**
- * 生成订单编号（优化版：在事务内查询，避免并发问题）
- * 格式：业务标识(D/T) + 分店编号(3位) + 日期(8位) + 时间(6位) + 节点/随机数(2位) + 当日序号(4位)
- * 示例：D0012025092912003909260059
- * 
- * @param {number} orderType - 订单类型：0=堂食, 1=外卖
- * @param {number} storeId - 店铺ID
- * @param {Object} transaction - 数据库事务对象（可选，如果提供则在事务内查询）
- * @returns {Promise<{orderNumber: string, dailySequence: number}>} 订单编号和当日序号
+ * 查询菜品启用的选项组和选项（按排序）
+ * @param {Array<number>} mealIds - 菜品ID列表
+ * @returns {Promise<Map<number, Array>>} 菜品ID => MealOptionGroup 实例列表
  */
-const generateOrderNumber = async (orderType, storeId, transaction = null) => {
-  try {
-    // 1. 业务标识：D=堂食(0), T=外卖(1)
-    const businessCode = orderType === 1 ? 'T' : 'D';
-    
-    // 2. 分店编号：从系统设置获取 store_number，如果没有则使用 store_id（3位数字，001-999）
-    const { Settings } = require('../models');
-    let storeNumber = '001';
-    const storeNumberSetting = await Settings.findOne({ 
-      where: { key: 'store_number' },
-      transaction 
-    });
-    if (storeNumberSetting) {
-      try {
-        const num = parseInt(JSON.parse(storeNumberSetting.value));
-        storeNumber = String(num).padStart(3, '0').slice(0, 3);
-      } catch (e) {
-        // 如果解析失败，使用 store_id
-        storeNumber = String(storeId || 1).padStart(3, '0').slice(0, 3);
-      }
-    } else {
-      storeNumber = String(storeId || 1).padStart(3, '0').slice(0, 3);
+const loadActiveOptionGroups = async (mealIds) => {
+  const groups = await MealOptionGroup.findAll({
+    where: {
+      meal_id: { [Op.in]: mealIds },
+      is_active: true
+    },
+    include: [{
+      model: MealOption,
+      as: 'options',
+      where: { is_active: true },
+      required: false
+    }],
+    order: [
+      ['sort_order', 'ASC'],
+      ['id', 'ASC'],
+      [{ model: MealOption, as: 'options' }, 'sort_order', 'ASC'],
+      [{ model: MealOption, as: 'options' }, 'id', 'ASC']
+    ]
+  });
+
+  const groupsByMeal = new Map();
+  for (const group of groups) {
+    // 选项全部停用的组点餐页面不显示，下单时也不要求选择
+    if (group.options.length === 0) {
+      continue;
     }
-    
-    // 3. 日期：YYYYMMDD格式
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const dateStr = `${year}${month}${day}`;
-    
-    // 4. 时间：HHMMSS格式
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    const seconds = String(now.getSeconds()).padStart(2, '0');
-    const timeStr = `${hours}${minutes}${seconds}`;
-    
-    // 5. 节点/随机数：2位数字（00-99）
-    const nodeNumber = String(Math.floor(Math.random() * 100)).padStart(2, '0');
-    
-    // 6. 当日序号：4位数字（0001-9999）
-    // 优化：使用settings表中的计数器，避免每次查询数据库
-    const todayDateStr = dateStr; // YYYYMMDD格式
-    
-    // 获取对应的计数器key
-    const sequenceKey = orderType === 1 ? 'daily_takeout_sequence' : 'daily_dine_in_sequence';
-    const dateKey = 'daily_sequence_date';
-    
-    // 获取当前计数器和日期
-    const sequenceSetting = await Settings.findOne({ 
-      where: { key: sequenceKey },
-      transaction 
-    });
-    const dateSetting = await Settings.findOne({ 
-      where: { key: dateKey },
-      transaction 
-    });
-    
-    let dailySequence = 1;
-    let currentDate = null;
-    
-    // 检查日期设置
-    if (dateSetting) {
-      try {
-        currentDate = JSON.parse(dateSetting.value);
-      } catch (e) {
-        currentDate = null;
-      }
+    if (!groupsByMeal.has(group.meal_id)) {
+      groupsByMeal.set(group.meal_id, []);
     }
-    
-    // 如果日期不匹配，重置计数器
-    if (currentDate !== todayDateStr) {
-      dailySequence = 1;
-      // 更新日期和计数器
-      if (dateSetting) {
-        await dateSetting.update({ 
-          value: JSON.stringify(todayDateStr) 
-        }, { transaction });
-      } else {
-        await Settings.create({
-          key: dateKey,
-          value: JSON.stringify(todayDateStr),
-          description: '当日序号对应的日期（YYYY-MM-DD），用于判断是否需要重置',
-          category: 'order'
-        }, { transaction });
-      }
-      
-      // 重置对应的序号计数器
-      if (sequenceSetting) {
-        await sequenceSetting.update({ 
-          value: JSON.stringify(1) 
-        }, { transaction });
-      } else {
-        await Settings.create({
-          key: sequenceKey,
-          value: JSON.stringify(1),
-          description: orderType === 1 ? '当日外卖序号' : '当日堂食序号',
-          category: 'order'
-        }, { transaction });
-      }
-    } else {
-      // 日期匹配，递增计数器
-      if (sequenceSetting) {
-        try {
-          dailySequence = parseInt(JSON.parse(sequenceSetting.value)) || 0;
-          dailySequence += 1;
-          // 更新计数器
-          await sequenceSetting.update({ 
-            value: JSON.stringify(dailySequence) 
-          }, { transaction });
-        } catch (e) {
-          dailySequence = 1;
-          await sequenceSetting.update({ 
-            value: JSON.stringify(1) 
-          }, { transaction });
-        }
-      } else {
-        // 如果计数器不存在，创建它
-        dailySequence = 1;
-        await Settings.create({
-          key: sequenceKey,
-          value: JSON.stringify(1),
-          description: orderType === 1 ? '当日外卖序号' : '当日堂食序号',
-          category: 'order'
-        }, { transaction });
-      }
+    groupsByMeal.get(group.meal_id).push(group);
+  }
+  return groupsByMeal;
+};
+
+/**
+ * 校验一行明细所选的选项，并计算选项加价
+ * @param {Object} item - 客户端提交的明细（optionIds 为所选选项ID数组，无选项时可省略）
+ * @param {Array} groups - 该菜品启用的选项组（包含启用的选项）
+ * @returns {{options: Array, deltaCents: number}} options 为 OrderItemOption 字段
+ */
+const resolveItemOptions = (item, groups) => {
+  const optionIds = item.optionIds === undefined || item.optionIds === null ? [] : item.optionIds;
+  if (!Array.isArray(optionIds) || !optionIds.every(Number.isInteger)) {
+    throw createHttpError('订单明细选项格式不正确，optionIds 必须为选项ID数组', 400);
+  }
+  if (new Set(optionIds).size !== optionIds.length) {
+    throw createHttpError('同一選項不能重複選擇', 400);
+  }
+
+  const options = [];
+  let deltaCents = 0;
+
+  for (const group of groups) {
+    const chosen = group.options.filter(option => optionIds.includes(option.id));
+
+    if (chosen.length < group.min_select) {
+      throw createHttpError(`「${group.name_zh}」至少需選擇 ${group.min_select} 項`, 400);
     }
-    
-    const sequenceNumber = String(dailySequence).padStart(4, '0');
-    
-    // 组合订单编号
-    const orderNumber = `${businessCode}${storeNumber}${dateStr}${timeStr}${nodeNumber}${sequenceNumber}`;
-    
+    if (chosen.length > group.max_select) {
+      throw createHttpError(`「${group.name_zh}」最多只能選擇 ${group.max_select} 項`, 400);
+    }
+
+    for (const option of chosen) {
+      deltaCents += toCents(option.price_delta);
+      options.push({
+        option_id: option.id,
+        group_name_zh: group.name_zh,
+        group_name_en: group.name_en,
+        name_zh: option.name_zh,
+        name_en: option.name_en,
+        price_delta: toCents(option.price_delta) / 100
+      });
+    }
+  }
+
+  // 提交了不属于该菜品（或已停用）的选项
+  if (options.length !== optionIds.length) {
+    throw createHttpError('部分選項已售罄或不存在，請重新選擇', 409);
+  }
+
+  return { options, deltaCents };
+};
+
+/**
+ * 根据服务器端菜品价格重新计算订单明细和总金额
+ * @param {Array} items - 客户端提交的订单明细 [{mealId, quantity, price, optionIds}, ...]
+ * @param {Array} meals - 数据库中的菜品记录
+ * @param {Map<number, Array>} optionGroupsByMeal - 菜品ID => 启用的选项组
+ * @returns {{lines: Array, totalCents: number, mismatchedLines: Array}}
+ */
+const priceOrderItems = (items, meals, optionGroupsByMeal) => {
+  const lines = [];
+  const mismatchedLines = [];
+  let totalCents = 0;
+
+  for (const item of items) {
+    const meal = meals.find(m => m.id === item.mealId);
+    if (!meal) {
+      throw createHttpError(`菜品不存在或已下架: ${item.mealId}`, 400);
+    }
+    const { options, deltaCents } = resolveItemOptions(item, optionGroupsByMeal.get(item.mealId) || []);
+    const unitCents = toCents(meal.price) + deltaCents;
+    if (unitCents < 0) {
+      throw createHttpError('商品價格計算有誤，請聯絡店員', 400);
+    }
+    const subtotalCents = unitCents * item.quantity;
+    totalCents += subtotalCents;
+
+    if (toCents(item.price) !== unitCents) {
+      mismatchedLines.push({
+        mealId: item.mealId,
+        optionIds: item.optionIds || [],
+        clientPrice: item.price,
+        serverPrice: unitCents / 100
+      });
+    }
+
+    lines.push({
+      mealId: item.mealId,
+      meal,
+      options,
+      quantity: item.quantity,
+      price: unitCents / 100,
+      subtotal: subtotalCents / 100
+    });
+  }
+
+  return { lines, totalCents, mismatchedLines };
+};
+
+// 本进程的下单事务依次执行：SQLite 同一时间只允许一个写事务，
+// 多个连接同时等待写锁会占满 sqlite3 的工作线程，反而拖慢持有写锁的事务
+let orderTransactionChain = Promise.resolve();
+
+/**
+ * 在下单事务内执行任务（IMMEDIATE 事务：开始时即取得写锁，读取序号和写入订单之间不会被其他写入插队）
+ * 任务成功时提交，抛出错误时回滚
+ * @param {Function} task - 接收事务对象的异步函数
+ * @returns {Promise<*>} 任务的返回值
+ */
+const runInOrderTransaction = (task) => {
+  const result = orderTransactionChain.then(async () => {
+    const transaction = await Order.sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE });
+    try {
+      const value = await task(transaction);
+      await transaction.commit();
+      return value;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  });
+  orderTransactionChain = result.catch(() => {});
+  return result;
+};
+
+/**
+ * 校验下单请求的幂等键
+ * @param {string|undefined} value - 请求头 Idempotency-Key 的值
+ * @returns {string|null} 幂等键，未携带时为 null
+ */
+const normalizeIdempotencyKey = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const key = String(value).trim();
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw createHttpError('幂等键格式不正确，需为 8-64 位字母、数字、- 或 _', 400);
+  }
+  return key;
+};
+
+/**
+ * 计算下单请求内容的摘要，与幂等键一起保存，用于识别同一个键被用于内容不同的订单
+ * 选项ID排序后参与计算，金额按分比较，避免同一购物车因格式差异被误判
+ * @param {Object} orderData - 订单数据（同 createOrder）
+ * @returns {string} SHA-256 十六进制摘要
+ */
+const hashOrderRequest = (orderData) => {
+  const { items, totalAmount, orderType = 0, paymentMethodId, terminal = null } = orderData;
+  const normalized = {
+    items: items.map(item => ({
+      mealId: item.mealId,
+      quantity: item.quantity,
+      price: toCents(item.price),
+      optionIds: Array.isArray(item.optionIds) ? [...item.optionIds].sort((a, b) => a - b) : []
+    })),
+    totalAmount: toCents(totalAmount),
+    orderType,
+    paymentMethodId: paymentMethodId || null,
+    terminalId: terminal ? terminal.id : null
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+};
+
+/**
+ * 组装下单接口的返回结果（首次创建和以同一幂等键重试时共用）
+ * @param {Object} order - Order 实例
+ * @param {Object} paymentProvider - 订单的支付渠道
+ * @param {Object|null} paymentTransaction - 柜台付款的交易（其他渠道为 null）
+ * @returns {Promise<Object>}
+ */
+const buildCreateOrderResult = async (order, paymentProvider, paymentTransaction = null) => {
+  const totalAmount = parseFloat(order.total_amount);
+  const priceFlagged = order.client_total_amount !== null && order.client_total_amount !== undefined;
+  
+  // 柜台付款的订单立即开始等待店员确认，顾客凭付款单到柜台付款
+  if (paymentProvider.counterPayment) {
     return {
-      orderNumber,
-      dailySequence
+      success: true,
+      message: '订单已创建，请到柜台付款',
+      orderNumber: order.order_number,
+      dailySequence: order.daily_sequence,
+      totalAmount,
+      priceFlagged,
+      status: order.status,
+      paymentRequired: true,
+      paymentProvider: paymentProvider.name,
+      paymentStatus: paymentTransaction ? paymentTransaction.status : null,
+      paymentDeadline: getPaymentDeadline(order, await getCashPaymentTimeout())
     };
-  } catch (error) {
-    logger.error('生成订单编号失败:', error);
-    // 如果生成失败，使用备用方案
-    const timestamp = Date.now().toString();
+  }
+  
+  // 需要收款的订单，等待付款确认后再打印小票
+  if (paymentProvider.collectsPayment) {
     return {
-      orderNumber: `OF${timestamp.slice(-8)}`,
-      dailySequence: 0
+      success: true,
+      message: '订单已创建，等待付款',
+      orderNumber: order.order_number,
+      totalAmount,
+      priceFlagged,
+      status: order.status,
+      paymentRequired: true,
+      paymentProvider: paymentProvider.name
     };
   }
+  
+  return {
+    success: true,
+    message: '订单创建成功，正在打印小票...',
+    orderNumber: order.order_number,
+    totalAmount,
+    priceFlagged,
+    status: order.status,
+    paymentRequired: false,
+    paymentProvider: paymentProvider.name
+  };
 };
 
+/**
+ * 以同一幂等键重复下单时，返回已创建订单的结果（不重复打印）
+ * 请求内容与第一次不同时返回 422，避免客户端错误地复用幂等键时按其他购物车收款或出票
+ * 支付渠道按订单最近一笔交易判断；没有交易的待支付/已取消订单按付款方式判断，已付款订单为不经系统收款
+ * @param {Object} order - 已创建的 Order 实例
+ * @param {string} idempotencyKey - 幂等键
+ * @param {string} requestHash - 本次请求内容的摘要
+ * @returns {Promise<Object>}
+ */
+const replayCreateOrder = async (order, idempotencyKey, requestHash) => {
+  // 升级前创建的订单没有保存摘要，按原样返回
+  if (order.idempotency_hash && order.idempotency_hash !== requestHash) {
+    logger.warn('幂等键已用于内容不同的订单', {
+      orderNumber: order.order_number,
+      idempotencyKey
+    });
+    throw createHttpError('幂等键已用于内容不同的订单，请重新结账 / Idempotency-Key was reused with a different order', 422);
+  }
+  
+  const paymentTransaction = await PaymentTransaction.findOne({
+    where: { order_id: order.id },
+    order: [['id', 'DESC']]
+  });
+  
+  let paymentProvider = paymentTransaction ? paymentProviders.getProvider(paymentTransaction.provider) : null;
+  if (!paymentProvider) {
+    paymentProvider = ['pending', 'cancelled'].includes(order.status)
+      ? await paymentProviders.resolveProvider(order.payment_method_id
+        ? await PaymentMethod.findByPk(order.payment_method_id)
+        : null)
+      : paymentProviders.getProvider('direct');
+  }
+  
+  logger.info('重复的下单请求，返回已创建的订单', {
+    orderNumber: order.order_number,
+    idempotencyKey,
+    status: order.status
+  });
+  
+  const result = await buildCreateOrderResult(order, paymentProvider, paymentTransaction);
+  return { ...result, replayed: true };
+};
+
+/**
+ * 创建订单并打印小票
+ * @param {Object} orderData - 订单数据
+ * @param {Array} orderData.items - 订单明细数组 [{mealId, quantity, price, optionIds}, ...]（price 为含选项加价的单价，仅用于与服务器价格比对）
+ * @param {number} orderData.totalAmount - 客户端计算的订单总金额（仅用于比对，实际金额由服务器计算）
+ * @param {number} orderData.orderType - 订单类型（可选，0=堂食, 1=外卖，默认为0）
+ * @param {number} orderData.paymentMethodId - 付款方式ID（可选）
+ * @param {Object|null} orderData.terminal - 下单终端（Terminal 实例，未登记终端的请求为 null）
+ * @param {string|null} orderData.idempotencyKey - 幂等键（可选，同一个键只会创建一张订单）
+ * @returns {Promise<{success: boolean, message: string, orderNumber?: string, totalAmount?: number, priceFlagged?: boolean, paymentRequired?: boolean, paymentProvider?: string, paymentDeadline?: Date, replayed?: boolean}>}
+ */
 const createOrder = async (orderData) => {
-  const { items, totalAmount, storeId = 1, orderType = 0, paymentMethodId } = orderData;
+  const { items, totalAmount, orderType = 0, paymentMethodId, terminal = null, idempotencyKey = null } = orderData;
   
   if (!items || !Array.isArray(items) || items.length === 0) {
     throw new Error('订单明细不能为空');
   }
   
+  // 同一次结账的重试（如响应超时后重新提交），直接返回第一次创建的订单
+  const requestHash = idempotencyKey ? hashOrderRequest(orderData) : null;
+  if (idempotencyKey) {
+    const existingOrder = await Order.findOne({ where: { idempotency_key: idempotencyKey } });
+    if (existingOrder) {
+      return replayCreateOrder(existingOrder, idempotencyKey, requestHash);
+    }
+  }
+  
+  // 终端的小票打印机缺纸、脱机时暂停接单，避免顾客付款后拿不到号码
+  if (printerStatusService.isReceiptPrinterOutOfService(terminalService.getReceiptPrinterName(terminal))) {
+    throw createHttpError('打印機暫停服務，請聯絡店員 / Printer out of service, please contact staff', 503);
+  }
+  
   try {
-    // 验证菜品是否存在并获取菜品信息
-    const mealIds = items.map(item => item.mealId);
+    // 验证菜品是否存在并获取菜品信息（同一菜品可能出现在多行明细中）
+    const mealIds = [...new Set(items.map(item => item.mealId))];
     const meals = await Meal.findAll({
       where: {
         id: { [Op.in]: mealIds },
@@ -189,7 +423,36 @@ const createOrder = async (orderData) => {
     });
     
     if (meals.length !== mealIds.length) {
-      throw new Error('部分菜品不存在或已下架');
+      throw createHttpError('部分菜品不存在或已下架', 400);
+    }
+    
+    // 使用服务器端价格重新计算明细和总金额，不信任客户端提交的价格
+    const optionGroupsByMeal = await loadActiveOptionGroups(mealIds);
+    const { lines, totalCents, mismatchedLines } = priceOrderItems(items, meals, optionGroupsByMeal);
+    const serverTotalAmount = totalCents / 100;
+    const totalMismatched = toCents(totalAmount) !== totalCents;
+    let clientTotalAmount = null;
+    
+    if (totalMismatched || mismatchedLines.length > 0) {
+      let policy = await getSettingValue('price_mismatch_policy', 'reject');
+      if (!PRICE_MISMATCH_POLICIES.includes(policy)) {
+        policy = 'reject';
+      }
+      
+      logger.warn('订单金额与服务器计算结果不一致', {
+        policy,
+        clientTotalAmount: totalAmount,
+        serverTotalAmount,
+        mismatchedLines,
+        orderPayload: orderData
+      });
+      
+      if (policy === 'reject') {
+        throw createHttpError('訂單金額與菜單價格不一致，請刷新菜單後重新下單', 409);
+      }
+      
+      // flag 策略：按服务器价格下单，并记录客户端提交的金额以便追查
+      clientTotalAmount = totalAmount;
     }
     
     // 验证付款方式（如果提供了）
@@ -202,173 +465,775 @@ const createOrder = async (orderData) => {
         }
       });
       if (!paymentMethod) {
-        throw new Error('付款方式不存在或已禁用');
+        throw createHttpError('付款方式不存在或已禁用', 400);
       }
     }
     
-    // 创建订单（使用事务）
-    const transaction = await Order.sequelize.transaction();
+    // 按付款方式选择收款渠道，需要经系统收款的订单先以待支付创建
+    const paymentProvider = await paymentProviders.resolveProvider(paymentMethod);
+    const paymentRequired = paymentProvider.collectsPayment;
     
-    try {
-      // 在事务内生成订单号（确保序号唯一性，避免并发问题）
+    // 店铺ID以服务器设置为准，不使用客户端提交的值
+    const storeId = await getSettingValue('store_id', 1);
+    
+    // 在事务内分配当日序号、生成订单号并保存订单（序号原子递增，下单失败时随事务回滚）
+    const { order, orderNumber, orderItems, replayed } = await runInOrderTransaction(async (transaction) => {
+      // 同一幂等键的请求同时到达时，后进入事务的请求使用先创建的订单
+      if (idempotencyKey) {
+        const existingOrder = await Order.findOne({ where: { idempotency_key: idempotencyKey }, transaction });
+        if (existingOrder) {
+          return { order: existingOrder, replayed: true };
+        }
+      }
+      
       const { orderNumber, dailySequence } = await generateOrderNumber(orderType, storeId, transaction);
       
       // 创建订单主表
       const order = await Order.create({
         order_number: orderNumber,
         store_id: storeId,
-        total_amount: totalAmount,
+        total_amount: serverTotalAmount,
+        client_total_amount: clientTotalAmount,
         order_type: orderType, // 0=堂食, 1=外卖
         payment_method_id: paymentMethodId || null,
-        status: 'paid', // 已支付（因为付款功能暂不开发，这里直接设为已支付）
+        status: paymentRequired ? 'pending' : 'paid', // 需要收款时先待支付，不经系统收款的付款方式直接设为已支付
         print_status: null,
         print_message: null,
-        daily_sequence: dailySequence // 保存当日序号
+        daily_sequence: dailySequence, // 保存当日序号
+        terminal_id: terminal ? terminal.id : null,
+        idempotency_key: idempotencyKey,
+        idempotency_hash: requestHash
       }, { transaction });
       
       // 创建订单明细
       const orderItems = [];
-      for (const item of items) {
-        const meal = meals.find(m => m.id === item.mealId);
-        const subtotal = item.price * item.quantity;
-        
+      for (const line of lines) {
         const orderItem = await OrderItem.create({
           order_id: order.id,
-          meal_id: item.mealId,
-          quantity: item.quantity,
-          price: item.price,
-          subtotal: subtotal
+          meal_id: line.mealId,
+          quantity: line.quantity,
+          price: line.price,
+          subtotal: line.subtotal
         }, { transaction });
         
+        // 保存所选选项（名称和加价为下单时的快照）
+        if (line.options.length > 0) {
+          await OrderItemOption.bulkCreate(
+            line.options.map(option => ({ ...option, order_item_id: orderItem.id })),
+            { transaction }
+          );
+        }
+        
         orderItems.push({
           ...orderItem.toJSON(),
-          meal: meal
+          meal: line.meal
         });
       }
       
-      // 提交事务
-      await transaction.commit();
-      
-      // 准备打印数据
-      const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
-      const orderTime = (() => {
-        const now = new Date();
-        const y = now.getFullYear();
-        const m = String(now.getMonth() + 1).padStart(2, '0');
-        const d = String(now.getDate()).padStart(2, '0');
-        const hh = String(now.getHours()).padStart(2, '0');
-        const mm = String(now.getMinutes()).padStart(2, '0');
-        const ss = String(now.getSeconds()).padStart(2, '0');
-        return `${y}-${m}-${d} ${hh}:${mm}:${ss}`;
-      })();
-      
-      // 尝试读取店铺名称（中/英文）
-      let storeNameZh = '';
-      let storeNameEn = '';
-      try {
-        const { Settings } = require('../models');
-        const storeNameZhSetting = await Settings.findOne({ where: { key: 'store_name_zh' } });
-        const storeNameEnSetting = await Settings.findOne({ where: { key: 'store_name_en' } });
-        if (storeNameZhSetting) {
-          try {
-            storeNameZh = JSON.parse(storeNameZhSetting.value);
-          } catch {
-            storeNameZh = storeNameZhSetting.value || '';
-          }
-        }
-        if (storeNameEnSetting) {
-          try {
-            storeNameEn = JSON.parse(storeNameEnSetting.value);
-          } catch {
-            storeNameEn = storeNameEnSetting.value || '';
-          }
-        }
-      } catch (e) {
-        logger.warn('读取店铺名称失败，将使用空名称', e);
+      return { order, orderNumber, orderItems, replayed: false };
+    });
+    
+    if (replayed) {
+      return replayCreateOrder(order, idempotencyKey, requestHash);
+    }
+    
+    logger.info('订单已保存到数据库', { 
+      orderNumber,
+      orderId: order.id,
+      terminal: terminal ? terminal.code : null,
+      itemCount: orderItems.length,
+      status: order.status
+    });
+    
+    // 柜台付款的订单立即开始等待店员确认，并打印付款单让顾客凭单到柜台付款
+    if (paymentProvider.counterPayment) {
+      const paymentTransaction = await paymentProvider.start(order, paymentMethod);
+      await printQueueService.enqueuePaymentSlipPrint(order);
+      return buildCreateOrderResult(order, paymentProvider, paymentTransaction);
+    }
+    
+    // 需要收款的订单，等待付款确认后再打印小票
+    if (paymentRequired) {
+      return buildCreateOrderResult(order, paymentProvider);
+    }
+    
+    // 写入打印任务后在后台打印（避免打印阻塞导致超时，打印失败会自动重试）
+    await printQueueService.enqueueOrderPrints(order);
+    
+    // 立即返回订单创建成功
+    return buildCreateOrderResult(order, paymentProvider);
+  } catch (error) {
+    logger.error('创建订单失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 按订单号查找订单（包含付款方式）
+ * @param {string} orderNumber - 订单号
+ * @returns {Promise<Object>} Order 实例
+ */
+const findOrderByNumber = async (orderNumber) => {
+  const order = await Order.findOne({
+    where: { order_number: orderNumber },
+    include: [{ model: PaymentMethod, as: 'paymentMethod' }]
+  });
+  
+  if (!order) {
+    throw createHttpError('订单不存在', 404);
+  }
+  
+  return order;
+};
+
+/**
+ * 格式化订单付款状态
+ * @param {Object} order - Order 实例
+ * @param {Object|null} paymentTransaction - PaymentTransaction 实例
+ * @returns {Object}
+ */
+const formatPaymentStatus = (order, paymentTransaction) => ({
+  orderNumber: order.order_number,
+  orderStatus: order.status,
+  totalAmount: parseFloat(order.total_amount),
+  payment: paymentTransaction ? {
+    id: paymentTransaction.id,
+    provider: paymentTransaction.provider,
+    outTradeNo: paymentTransaction.out_trade_no,
+    status: paymentTransaction.status,
+    responseCode: paymentTransaction.response_code,
+    message: paymentTransaction.response_message,
+    updatedAt: paymentTransaction.updated_at
+  } : null
+});
+
+/**
+ * 收款成功后，将订单从待支付改为已支付并打印小票
+ * @param {Object} order - Order 实例
+ * @param {Object} paymentTransaction - PaymentTransaction 实例
+ */
+const completeOrderPayment = async (order, paymentTransaction) => {
+  // 等待店员确认的交易仍在处理中，确认收款时再完成订单
+  if (paymentTransaction.status === 'processing') {
+    return;
+  }
+  
+  if (paymentTransaction.status !== 'success') {
+    logger.warn('订单付款未成功，订单保持待支付', {
+      orderNumber: order.order_number,
+      paymentStatus: paymentTransaction.status,
+      message: paymentTransaction.response_message
+    });
+    return;
+  }
+  
+  await order.reload();
+  if (order.status !== 'pending') {
+    logger.warn('订单已不是待支付状态，忽略付款结果', {
+      orderNumber: order.order_number,
+      status: order.status
+    });
+    return;
+  }
+  
+  // 以待支付为条件更新，防止轮询结果和店员确认同时完成订单导致重复打印
+  const [updatedCount] = await Order.update(
+    { status: 'paid' },
+    { where: { id: order.id, status: 'pending' } }
+  );
+  if (updatedCount === 0) {
+    return;
+  }
+  await order.reload();
+  logger.info('订单付款成功', {
+    orderNumber: order.order_number,
+    provider: paymentTransaction.provider,
+    outTradeNo: paymentTransaction.out_trade_no
+  });
+  
+  await printQueueService.enqueueOrderPrints(order);
+};
+
+/**
+ * 在后台等待交易结果
+ * @param {Object} order - Order 实例
+ * @param {Object} paymentTransaction - 处理中的 PaymentTransaction 实例
+ * @param {Object} provider - 支付渠道
+ */
+const watchPayment = (order, paymentTransaction, provider) => {
+  provider.poll(paymentTransaction)
+    .then(result => completeOrderPayment(order, result))
+    .catch(error => {
+      logger.error('等待交易结果失败', {
+        provider: provider.name,
+        orderNumber: order.order_number,
+        outTradeNo: paymentTransaction.out_trade_no,
+        error: error.message
+      });
+    });
+};
+
+/**
+ * 查找订单进行中的交易
+ * @param {Object} order - Order 实例
+ * @returns {Promise<Object|null>} PaymentTransaction 实例
+ */
+const findActiveTransaction = (order) => PaymentTransaction.findOne({
+  where: {
+    order_id: order.id,
+    status: { [Op.in]: ['pending', 'processing'] }
+  },
+  order: [['id', 'DESC']]
+});
+
+/**
+ * 查找待支付订单，并获取其付款方式对应的支付渠道
+ * @param {string} orderNumber - 订单号
+ * @param {string} action - 操作名称（用于错误提示）
+ * @returns {Promise<{order: Object, provider: Object}>}
+ */
+const findPendingPaymentOrder = async (orderNumber, action) => {
+  const order = await findOrderByNumber(orderNumber);
+  
+  if (order.status !== 'pending') {
+    throw createHttpError(`订单当前状态为 ${order.status}，无法${action}`, 409);
+  }
+  
+  const provider = await paymentProviders.resolveProvider(order.paymentMethod);
+  if (!provider.collectsPayment) {
+    throw createHttpError('该订单的付款方式不经系统收款', 400);
+  }
+  
+  return { order, provider };
+};
+
+/**
+ * 为待支付订单发起收款
+ * @param {string} orderNumber - 订单号
+ * @returns {Promise<Object>} 付款状态
+ */
+const startOrderPayment = async (orderNumber) => {
+  try {
+    const { order, provider } = await findPendingPaymentOrder(orderNumber, '发起付款');
+    
+    // 已有进行中的交易时直接返回，避免重复扣款
+    const activeTransaction = await findActiveTransaction(order);
+    if (activeTransaction) {
+      return formatPaymentStatus(order, activeTransaction);
+    }
+    
+    const paymentTransaction = await provider.start(order, order.paymentMethod);
+    if (paymentTransaction.status === 'processing') {
+      watchPayment(order, paymentTransaction, provider);
+    }
+    
+    return formatPaymentStatus(order, paymentTransaction);
+  } catch (error) {
+    logger.error('发起订单付款失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 顾客取消付款：取消进行中的交易并取消订单
+ * 订单号按当日序号编排容易猜到，因此未登录时只能在下单的点餐机上取消；
+ * 柜台付款的订单顾客已离开点餐机，只能由店员取消
+ * @param {string} orderNumber - 订单号
+ * @param {Object} options - 请求来源
+ * @param {Object|null} options.terminal - 请求的点餐机（Terminal 实例，未登记终端为 null）
+ * @param {Object|null} options.staff - 已登录的员工（Staff 实例）
+ * @returns {Promise<Object>} 付款状态
+ */
+const cancelOrderPayment = async (orderNumber, { terminal = null, staff = null } = {}) => {
+  try {
+    const { order, provider } = await findPendingPaymentOrder(orderNumber, '取消付款');
+    
+    const byStaff = Boolean(staff) && hasRole(staff, 'cashier');
+    if (!byStaff) {
+      if (provider.counterPayment) {
+        throw createHttpError('柜台付款的订单需由店员取消', 403);
       }
-      
-      const printData = {
-        order_number: orderNumber,
-        daily_sequence: dailySequence, // 当日序号
-        order_type: orderType,
-        items: orderItems.map(item => ({
-          name: item.meal.name_zh || item.meal.name_en,
-          quantity: item.quantity,
-          price: item.price,
-          subtotal: item.subtotal
-        })),
-        total_amount: totalAmount,
-        total_quantity: totalQuantity,
-        order_time: orderTime,
-        store_name_zh: storeNameZh,
-        store_name_en: storeNameEn,
-        payment_type_zh: paymentMethod ? (paymentMethod.name_zh || '') : '',
-        payment_type_en: paymentMethod ? (paymentMethod.name_en || '') : ''
-      };
-      
-      // 先返回订单创建成功，然后异步打印小票（避免打印阻塞导致超时）
-      logger.info('订单已保存到数据库', { 
-        orderNumber,
-        orderId: order.id,
-        itemCount: orderItems.length
+      if ((order.terminal_id || null) !== (terminal ? terminal.id : null)) {
+        throw createHttpError('只能在下单的点餐机上取消付款 / Payment can only be cancelled on the ordering kiosk', 403);
+      }
+    }
+    
+    let paymentTransaction = await findActiveTransaction(order);
+    if (paymentTransaction) {
+      const provider = paymentProviders.getProvider(paymentTransaction.provider);
+      if (!provider || !provider.cancel) {
+        throw createHttpError(`未知的支付渠道: ${paymentTransaction.provider}`, 500);
+      }
+      paymentTransaction = await provider.cancel(paymentTransaction);
+      if (['pending', 'processing'].includes(paymentTransaction.status)) {
+        throw createHttpError('付款已在处理中，无法取消，请等待付款结果', 409);
+      }
+    }
+    
+    // 以待支付为条件更新，防止付款刚好成功时把已付款订单取消
+    const [updatedCount] = await Order.update(
+      { status: 'cancelled' },
+      { where: { id: order.id, status: 'pending' } }
+    );
+    if (updatedCount === 0) {
+      throw createHttpError('订单状态已被修改，请刷新后重试', 409);
+    }
+    
+    await order.reload();
+    logger.info(byStaff ? '店员取消付款，订单已取消' : '顾客取消付款，订单已取消', {
+      orderNumber: order.order_number,
+      outTradeNo: paymentTransaction ? paymentTransaction.out_trade_no : null,
+      staffId: byStaff ? staff.id : null
+    });
+    
+    return formatPaymentStatus(order, paymentTransaction);
+  } catch (error) {
+    logger.error('取消订单付款失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 店员确认收款（仅适用于需要店员确认的支付渠道，如现金）
+ * 顾客尚未在点餐机上发起付款时，先创建交易再确认
+ * @param {string} orderNumber - 订单号
+ * @param {Object|null} staff - 确认收款的员工（Staff 实例）
+ * @returns {Promise<Object>} 付款状态
+ */
+const confirmOrderPayment = async (orderNumber, staff) => {
+  try {
+    const { order, provider: methodProvider } = await findPendingPaymentOrder(orderNumber, '确认收款');
+    
+    let paymentTransaction = await findActiveTransaction(order);
+    const provider = paymentTransaction ? paymentProviders.getProvider(paymentTransaction.provider) : methodProvider;
+    if (!provider || !provider.confirm) {
+      throw createHttpError('该订单由收款终端确认付款结果，不能人工确认', 409);
+    }
+    
+    if (!paymentTransaction) {
+      paymentTransaction = await provider.start(order, order.paymentMethod);
+    }
+    paymentTransaction = await provider.confirm(paymentTransaction, staff);
+    await completeOrderPayment(order, paymentTransaction);
+    
+    await order.reload();
+    return formatPaymentStatus(order, paymentTransaction);
+  } catch (error) {
+    logger.error('确认订单收款失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 查询订单的付款状态（返回最近一次交易）
+ * @param {string} orderNumber - 订单号
+ * @returns {Promise<Object>} 付款状态
+ */
+const getOrderPayment = async (orderNumber) => {
+  try {
+    const order = await findOrderByNumber(orderNumber);
+    const paymentTransaction = await PaymentTransaction.findOne({
+      where: { order_id: order.id },
+      order: [['id', 'DESC']]
+    });
+    
+    return formatPaymentStatus(order, paymentTransaction);
+  } catch (error) {
+    logger.error('查询订单付款状态失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 服务器重启后，继续等待重启前未结束的交易
+ * @returns {Promise<number>} 恢复的交易数量
+ */
+const resumePendingPayments = async () => {
+  const transactions = await PaymentTransaction.findAll({
+    where: { status: 'processing' },
+    include: [{ model: Order, as: 'order' }]
+  });
+  
+  let resumed = 0;
+  for (const paymentTransaction of transactions) {
+    const provider = paymentProviders.getProvider(paymentTransaction.provider);
+    if (provider && provider.poll && paymentTransaction.order && paymentTransaction.order.status === 'pending') {
+      watchPayment(paymentTransaction.order, paymentTransaction, provider);
+      resumed++;
+    }
+  }
+  
+  if (resumed > 0) {
+    logger.info(`已恢复 ${resumed} 笔未结束的收款交易`);
+  }
+  return resumed;
+};
+
+/**
+ * 格式化订单数据
+ * @param {Object} order - Order 实例（可包含 paymentMethod、items 和 refunds）
+ * @returns {Object}
+ */
+const formatOrder = (order) => {
+  const result = {
+    id: order.id,
+    orderNumber: order.order_number,
+    storeId: order.store_id,
+    totalAmount: parseFloat(order.total_amount),
+    clientTotalAmount: order.client_total_amount !== null && order.client_total_amount !== undefined
+      ? parseFloat(order.client_total_amount)
+      : null,
+    orderType: order.order_type,
+    status: order.status,
+    printStatus: order.print_status,
+    printMessage: order.print_message,
+    dailySequence: order.daily_sequence,
+    paymentMethod: order.paymentMethod ? {
+      id: order.paymentMethod.id,
+      code: order.paymentMethod.code,
+      name: order.paymentMethod.name_zh,
+      nameEn: order.paymentMethod.name_en
+    } : null,
+    terminal: order.terminal ? {
+      id: order.terminal.id,
+      code: order.terminal.code,
+      name: order.terminal.name
+    } : null,
+    completedAt: order.completed_at,
+    createdAt: order.created_at,
+    updatedAt: order.updated_at
+  };
+  
+  // 已完成的退款按明细汇总退回数量
+  const refundedQuantities = new Map();
+  if (order.refunds) {
+    const completedRefunds = order.refunds.filter(refund => refund.status === 'completed');
+    completedRefunds.forEach(refund => {
+      (refund.items || []).forEach(item => {
+        refundedQuantities.set(item.order_item_id, (refundedQuantities.get(item.order_item_id) || 0) + item.quantity);
       });
-      
-      // 异步打印小票（不阻塞响应）
-      setImmediate(async () => {
-        try {
-          const printResult = await printerService.printOrderReceipt(printData);
-          
-          // 更新订单的打印状态
-          await order.update({
-            print_status: printResult.success ? 'success' : 'error',
-            print_message: printResult.message
-          });
-          
-          if (printResult.success) {
-            logger.info('订单小票打印成功', {
-              orderNumber,
-              totalAmount,
-              itemCount: orderItems.length
-            });
-          } else {
-            logger.warn('订单小票打印失败', {
-              orderNumber,
-              totalAmount,
-              printError: printResult.message
-            });
-          }
-        } catch (printError) {
-          logger.error('打印订单小票时发生错误', {
-            orderNumber,
-            error: printError.message,
-            stack: printError.stack
-          });
-          
-          // 更新订单的打印状态为错误
-          try {
-            await order.update({
-              print_status: 'error',
-              print_message: `打印错误: ${printError.message}`
-            });
-          } catch (updateError) {
-            logger.error('更新订单打印状态失败', updateError);
-          }
+    });
+    result.refundedAmount = completedRefunds.reduce((sum, refund) => sum + Math.round(parseFloat(refund.amount) * 100), 0) / 100;
+    result.refunds = order.refunds.map(formatRefund);
+  }
+  
+  if (order.items) {
+    result.items = order.items.map(item => ({
+      id: item.id,
+      mealId: item.meal_id,
+      name: item.meal ? item.meal.name_zh : null,
+      nameEn: item.meal ? item.meal.name_en : null,
+      quantity: item.quantity,
+      refundedQuantity: refundedQuantities.get(item.id) || 0,
+      price: parseFloat(item.price),
+      subtotal: parseFloat(item.subtotal),
+      options: (item.options || []).map(option => ({
+        optionId: option.option_id,
+        groupName: option.group_name_zh,
+        groupNameEn: option.group_name_en,
+        name: option.name_zh,
+        nameEn: option.name_en,
+        priceDelta: parseFloat(option.price_delta)
+      }))
+    }));
+  }
+  
+  return result;
+};
+
+/**
+ * 查询订单列表（分页）
+ * @param {Object} filters - 查询条件
+ * @param {string} filters.startDate - 开始日期 YYYY-MM-DD（包含）
+ * @param {string} filters.endDate - 结束日期 YYYY-MM-DD（包含）
+ * @param {number} filters.orderType - 订单类型: 0=堂食, 1=外卖
+ * @param {string} filters.status - 订单状态
+ * @param {number} filters.paymentMethodId - 付款方式ID
+ * @param {string} filters.printStatus - 打印状态: success, error, none(未打印)
+ * @param {number} filters.terminalId - 下单终端ID
+ * @param {number} filters.page - 页码（从 1 开始）
+ * @param {number} filters.pageSize - 每页数量
+ * @returns {Promise<Object>} { total, page, pageSize, orders }
+ */
+const listOrders = async (filters = {}) => {
+  try {
+    const where = {};
+    
+    if (filters.startDate || filters.endDate) {
+      where.created_at = {};
+      if (filters.startDate) {
+        where.created_at[Op.gte] = parseDateParam(filters.startDate, 'startDate');
+      }
+      if (filters.endDate) {
+        const endDate = parseDateParam(filters.endDate, 'endDate');
+        endDate.setDate(endDate.getDate() + 1);
+        where.created_at[Op.lt] = endDate;
+      }
+    }
+    
+    if (filters.orderType !== undefined) {
+      where.order_type = filters.orderType;
+    }
+    
+    if (filters.status) {
+      if (!ORDER_STATUS_TRANSITIONS[filters.status]) {
+        throw createHttpError(`无效的订单状态: ${filters.status}`, 400);
+      }
+      where.status = filters.status;
+    }
+    
+    if (filters.paymentMethodId !== undefined) {
+      where.payment_method_id = filters.paymentMethodId;
+    }
+    
+    if (filters.printStatus) {
+      where.print_status = filters.printStatus === 'none' ? null : filters.printStatus;
+    }
+    
+    if (filters.terminalId !== undefined) {
+      where.terminal_id = filters.terminalId;
+    }
+    
+    const page = Math.max(filters.page || 1, 1);
+    const pageSize = Math.min(Math.max(filters.pageSize || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    
+    const { count, rows } = await Order.findAndCountAll({
+      where,
+      include: [
+        { model: PaymentMethod, as: 'paymentMethod' },
+        { model: Terminal, as: 'terminal' }
+      ],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    
+    return {
+      total: count,
+      page,
+      pageSize,
+      orders: rows.map(formatOrder)
+    };
+  } catch (error) {
+    logger.error('查询订单列表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 按订单号查询订单详情（包含明细和付款方式）
+ * @param {string} orderNumber - 订单号
+ * @returns {Promise<Object>}
+ */
+const getOrderDetail = async (orderNumber) => {
+  try {
+    const order = await Order.findOne({
+      where: { order_number: orderNumber },
+      include: [
+        {
+          model: OrderItem,
+          as: 'items',
+          include: [
+            { model: Meal, as: 'meal' },
+            { model: OrderItemOption, as: 'options' }
+          ]
+        },
+        { model: PaymentMethod, as: 'paymentMethod' },
+        { model: Terminal, as: 'terminal' },
+        {
+          model: Refund,
+          as: 'refunds',
+          include: [
+            { model: RefundItem, as: 'items' },
+            { model: Staff, as: 'staff' }
+          ]
+        }
+      ],
+      order: [
+        [{ model: OrderItem, as: 'items' }, 'id', 'ASC'],
+        [{ model: OrderItem, as: 'items' }, { model: OrderItemOption, as: 'options' }, 'id', 'ASC'],
+        [{ model: Refund, as: 'refunds' }, 'id', 'ASC']
+      ]
+    });
+    
+    if (!order) {
+      throw createHttpError('订单不存在', 404);
+    }
+    
+    return formatOrder(order);
+  } catch (error) {
+    logger.error('查询订单详情失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 从扫码内容中取出订单编号：扫码枪会原样输入小票上的编号，手机扫码可能得到包含 code 参数的链接
+ * @param {string} code - 扫码内容
+ * @returns {string} 订单编号
+ */
+const parseScannedOrderCode = (code) => {
+  const text = String(code || '').trim();
+  if (/^https?:\/\//i.test(text)) {
+    try {
+      const url = new URL(text);
+      return (url.searchParams.get('code') || url.pathname.split('/').filter(Boolean).pop() || '').trim().toUpperCase();
+    } catch (e) {
+      return '';
+    }
+  }
+  // 扫码枪在大写锁定等状态下可能输入小写字母
+  return text.toUpperCase();
+};
+
+/**
+ * 按小票上的二维码/条码查询订单
+ * @param {string} code - 扫码内容
+ * @returns {Promise<Object>} 订单详情
+ */
+const lookupOrder = async (code) => {
+  const orderNumber = parseScannedOrderCode(code);
+  if (!orderNumber) {
+    throw createHttpError('扫码内容无效', 400);
+  }
+  return getOrderDetail(orderNumber);
+};
+
+/**
+ * 变更订单状态（只允许 ORDER_STATUS_TRANSITIONS 中定义的流转）
+ * @param {number} orderId - 订单ID
+ * @param {string} status - 目标状态
+ * @returns {Promise<Object>} 更新后的订单
+ */
+const updateOrderStatus = async (orderId, status) => {
+  try {
+    if (!ORDER_STATUS_TRANSITIONS[status]) {
+      throw createHttpError(`无效的订单状态: ${status}`, 400);
+    }
+    
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: PaymentMethod, as: 'paymentMethod' }]
+    });
+    if (!order) {
+      throw createHttpError('订单不存在', 404);
+    }
+    
+    const previousStatus = order.status;
+    if (!ORDER_STATUS_TRANSITIONS[previousStatus].includes(status)) {
+      throw createHttpError(`订单状态不能从 ${previousStatus} 变更为 ${status}`, 409);
+    }
+    
+    // 终端正在收款时不允许人工改状态，避免重复收款或收款后订单已取消
+    if (previousStatus === 'pending') {
+      const activeTransaction = await PaymentTransaction.findOne({
+        where: {
+          order_id: order.id,
+          status: { [Op.in]: ['pending', 'processing'] }
         }
       });
-      
-      // 立即返回订单创建成功
-      return {
-        success: true,
-        message: '订单创建成功，正在打印小票...',
-        orderNumber: orderNumber
-      };
-    } catch (error) {
-      // 回滚事务
-      await transaction.rollback();
-      throw error;
+      if (activeTransaction) {
+        throw createHttpError('订单正在付款中，请等待付款结果', 409);
+      }
     }
+    
+    // 以当前状态为条件更新，防止与付款回调等并发修改互相覆盖
+    // 完成时记录时间，取餐显示屏据此显示可取餐的号码
+    const [updatedCount] = await Order.update(
+      status === 'completed' ? { status, completed_at: new Date() } : { status },
+      { where: { id: order.id, status: previousStatus } }
+    );
+    if (updatedCount === 0) {
+      throw createHttpError('订单状态已被修改，请刷新后重试', 409);
+    }
+    
+    await order.reload();
+    logger.info('订单状态已变更', {
+      orderNumber: order.order_number,
+      from: previousStatus,
+      to: status
+    });
+    
+    // 人工确认收款后同样需要打印小票
+    if (previousStatus === 'pending' && status === 'paid') {
+      await printQueueService.enqueueOrderPrints(order);
+    }
+    
+    return formatOrder(order);
   } catch (error) {
-    logger.error('创建订单失败:', error);
+    logger.error('变更订单状态失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 重印订单小票（根据数据库中保存的订单和明细重新生成打印数据）
+ * @param {number} orderId - 订单ID
+ * @returns {Promise<Object>} 打印任务结果
+ */
+const reprintOrder = async (orderId) => {
+  try {
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      throw createHttpError('订单不存在', 404);
+    }
+    
+    if (!['paid', 'completed', 'partially_refunded'].includes(order.status)) {
+      throw createHttpError(`订单当前状态为 ${order.status}，不能重印小票`, 409);
+    }
+    
+    const job = await printQueueService.createReceiptJob(order.id, { reprint: true });
+    await printQueueService.printJob(job);
+    await order.reload();
+    
+    logger.info('订单小票重印', {
+      orderNumber: order.order_number,
+      jobId: job.id,
+      status: job.status
+    });
+    
+    return {
+      jobId: job.id,
+      orderNumber: order.order_number,
+      status: job.status,
+      attempts: job.attempts,
+      printStatus: order.print_status,
+      printMessage: order.print_message
+    };
+  } catch (error) {
+    logger.error('重印订单小票失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 生成订单小票预览（与打印使用相同的排版和对齐计算）
+ * @param {number} orderId - 订单ID
+ * @param {Object} options - 选项
+ * @param {string} options.format - 输出格式：text=等宽纯文本，html=HTML 页面
+ * @param {Object|string} options.template - 预览用的小票模板（可选，未提供时使用已保存的模板）
+ * @returns {Promise<string>} 预览内容
+ */
+const getReceiptPreview = async (orderId, options = {}) => {
+  try {
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      throw createHttpError('订单不存在', 404);
+    }
+    
+    // 编辑中的模板未保存时也可以预览
+    const template = options.template !== undefined
+      ? normalizeReceiptTemplate(options.template)
+      : await getReceiptTemplate();
+    const printData = await printQueueService.buildPrintData(order.id);
+    
+    const renderer = createTextRenderer();
+    printerService.executeCommands(renderer, buildReceiptCommands(printData, template));
+    
+    return options.format === 'html'
+      ? renderer.toHtml(template.lineWidth, `小票預覽 ${order.order_number}`)
+      : renderer.toText(template.lineWidth);
+  } catch (error) {
+    logger.error('生成小票预览失败:', error);
     throw error;
   }
 };
@@ -391,7 +1256,8 @@ const getMeals = async (options = {}) => {
     
     const meals = await Meal.findAll({
       where,
-      order: [['sort_order', 'ASC'], ['id', 'ASC']]
+      include: [OPTION_GROUPS_INCLUDE],
+      order: [['sort_order', 'ASC'], ['id', 'ASC'], ...OPTION_GROUPS_ORDER]
     });
     
     return meals.map(meal => ({
@@ -401,7 +1267,10 @@ const getMeals = async (options = {}) => {
       desc: meal.desc_zh,
       descEn: meal.desc_en,
       price: parseFloat(meal.price),
-      category: meal.category
+      category: meal.category,
+      imageUrl: meal.image_url,
+      thumbnailUrl: getThumbnailUrl(meal.image_url),
+      optionGroups: formatOptionGroups(meal.optionGroups, { activeOnly: true })
     }));
   } catch (error) {
     logger.error('获取菜品列表失败:', error);
@@ -422,11 +1291,14 @@ const getPaymentMethods = async () => {
       order: [['sort_order', 'ASC'], ['id', 'ASC']]
     });
     
+    // 点餐机按收款渠道显示付款指示（终端、柜台付款等）
+    const resolveProvider = await paymentProviders.createProviderResolver();
     return paymentMethods.map(method => ({
       id: method.id,
       code: method.code,
       name: method.name_zh,
-      nameEn: method.name_en
+      nameEn: method.name_en,
+      provider: resolveProvider(method).name
     }));
   } catch (error) {
     logger.error('获取付款方式列表失败:', error);
@@ -434,6 +1306,13 @@ const getPaymentMethods = async () => {
   }
 };
 
+/**
+ * 判断设置项是否允许未登录读取
+ * @param {string} key - 设置键名
+ * @returns {boolean}
+ */
+const isPublicSettingKey = (key) => PUBLIC_SETTING_KEYS.includes(key);
+
 /**
  * 获取系统设置
  * @param {string} key - 设置键名（可选，不提供则返回所有设置）
@@ -508,6 +1387,34 @@ const updateSettings = async (key, value, description = null) => {
       throw new Error('设置键名不能为空');
     }
     
+    // 小票模板保存前校验，并补全未填写的字段
+    if (key === RECEIPT_TEMPLATE_SETTING) {
+      value = normalizeReceiptTemplate(value);
+    }
+    
+    // 订单编号相关设置保存前校验，避免配置错误导致重号或无法下单
+    if (key === ORDER_NUMBER_FORMAT_SETTING) {
+      value = normalizeOrderNumberFormat(value);
+    } else if (key === BUSINESS_DAY_CUTOVER_SETTING) {
+      value = normalizeBusinessDayCutover(value);
+    } else if (key === TERMINAL_ID_SETTING) {
+      value = normalizeTerminalId(value);
+    } else if (key === STAFF_SESSION_MINUTES_SETTING) {
+      value = normalizeStaffSessionMinutes(value);
+    } else if (key === 'sync_interval') {
+      value = normalizeSyncInterval(value);
+    } else if (key === 'sync_url') {
+      value = normalizeSyncUrl(value);
+    } else if (key === paymentProviders.PAYMENT_PROVIDERS_SETTING) {
+      value = paymentProviders.normalizeProviderMapping(value);
+    } else if (key === paymentProviders.SIMULATOR_SETTING) {
+      value = paymentProviders.normalizeSimulatorConfig(value);
+    } else if (key === CASH_PAYMENT_TIMEOUT_SETTING) {
+      value = normalizeCashPaymentTimeout(value);
+    } else if (key === READY_MINUTES_SETTING) {
+      value = normalizeReadyMinutes(value);
+    }
+    
     // 将值转换为 JSON 字符串（如果是对象或数组）
     let valueStr;
     if (typeof value === 'object' && value !== null) {
@@ -560,7 +1467,21 @@ const updateSettings = async (key, value, description = null) => {
 };
 
 module.exports = {
+  IDEMPOTENCY_KEY_HEADER,
+  isPublicSettingKey,
+  normalizeIdempotencyKey,
   createOrder,
+  startOrderPayment,
+  cancelOrderPayment,
+  confirmOrderPayment,
+  getOrderPayment,
+  resumePendingPayments,
+  listOrders,
+  getOrderDetail,
+  lookupOrder,
+  updateOrderStatus,
+  reprintOrder,
+  getReceiptPreview,
   getMeals,
   getPaymentMethods,
   getSettings,
@@ -0,0 +1,253 @@
+/**
+ * 订单编号服务
+ * 当日序号保存在 order_sequences 表，每个营业日、每种订单类型一行，用单条 UPSERT 语句原子递增；
+ * 订单编号按 Settings 中的 order_number_format 生成，必须包含营业日、终端编号和序号，保证不会重号
+ */
+
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const {
+  parseDateParam,
+  parseTimeOfDay,
+  getBusinessDate,
+  getBusinessDayRange
+} = require('../utils/dateTime');
+const { Order, OrderSequence, sequelize } = require('../models');
+const { Op, QueryTypes } = require('sequelize');
+
+// 设置键名
+const ORDER_NUMBER_FORMAT_SETTING = 'order_number_format';
+const BUSINESS_DAY_CUTOVER_SETTING = 'business_day_cutover';
+const TERMINAL_ID_SETTING = 'terminal_id';
+
+// 默认格式与原来一致：业务标识 + 分店编号 + 日期 + 时间 + 终端编号 + 当日序号
+const DEFAULT_ORDER_NUMBER_FORMAT = '{type}{store}{date}{time}{terminal}{seq}';
+// 默认 0 点切换营业日
+const DEFAULT_BUSINESS_DAY_CUTOVER = '00:00';
+const DEFAULT_TERMINAL_ID = '01';
+
+// 编号格式中可用的占位符
+const FORMAT_TOKENS = ['type', 'store', 'date', 'time', 'terminal', 'seq'];
+// 必须包含的占位符：序号按营业日和订单类型分别计数，多台服务器之间靠终端编号区分
+const REQUIRED_FORMAT_TOKENS = ['type', 'date', 'terminal', 'seq'];
+
+// 订单编号最大长度（orders.order_number 的列宽）
+const MAX_ORDER_NUMBER_LENGTH = 50;
+
+// 订单类型 => 序号计数器名称
+const SEQUENCE_KEYS = {
+  0: 'dine_in',
+  1: 'takeout'
+};
+
+/**
+ * 校验订单编号格式
+ * @param {string} format - 格式，如 {type}{store}{date}{time}{terminal}{seq}
+ * @returns {string} 格式
+ */
+const normalizeOrderNumberFormat = (format) => {
+  if (typeof format !== 'string' || !format) {
+    throw createHttpError('订单编号格式不能为空', 400);
+  }
+
+  const tokens = (format.match(/\{[^}]*\}/g) || []).map(token => token.slice(1, -1));
+  const unknownToken = tokens.find(token => !FORMAT_TOKENS.includes(token));
+  if (unknownToken !== undefined) {
+    throw createHttpError(`订单编号格式不支持占位符 {${unknownToken}}，可用: ${FORMAT_TOKENS.map(token => `{${token}}`).join(' ')}`, 400);
+  }
+  const missingToken = REQUIRED_FORMAT_TOKENS.find(token => !tokens.includes(token));
+  if (missingToken) {
+    throw createHttpError(`订单编号格式必须包含 {${missingToken}}，否则可能重号`, 400);
+  }
+
+  // 占位符以外只允许字母、数字和 -，方便扫码和人工输入
+  if (!/^[A-Za-z0-9-]*$/.test(format.replace(/\{[^}]*\}/g, ''))) {
+    throw createHttpError('订单编号格式中占位符以外只能包含字母、数字和 -', 400);
+  }
+  return format;
+};
+
+/**
+ * 校验营业日切换时间
+ * @param {string} value - HH:mm
+ * @returns {string} HH:mm
+ */
+const normalizeBusinessDayCutover = (value) => {
+  if (parseTimeOfDay(value) === null) {
+    throw createHttpError('营业日切换时间格式不正确，应为 HH:mm（如 04:00）', 400);
+  }
+  return String(value);
+};
+
+/**
+ * 校验终端编号（2 位数字）
+ * @param {string|number} value - 终端编号
+ * @returns {string} 2 位终端编号
+ */
+const normalizeTerminalId = (value) => {
+  const terminalId = String(value === null || value === undefined ? '' : value).padStart(2, '0');
+  if (!/^\d{2}$/.test(terminalId)) {
+    throw createHttpError('终端编号必须是 00-99 的 2 位数字', 400);
+  }
+  return terminalId;
+};
+
+/**
+ * 读取设置并校验，无效时记录警告并使用默认值（避免配置错误导致无法下单）
+ * @param {string} key - 设置键名
+ * @param {string} defaultValue - 默认值
+ * @param {Function} normalize - 校验函数
+ * @param {Object} transaction - 数据库事务对象（可选）
+ * @returns {Promise<string>}
+ */
+const readValidatedSetting = async (key, defaultValue, normalize, transaction = null) => {
+  const value = await getSettingValue(key, defaultValue, { transaction });
+  try {
+    return normalize(value);
+  } catch (error) {
+    logger.warn(`设置 ${key} 无效，将使用默认值 ${defaultValue}`, { value, error: error.message });
+    return normalize(defaultValue);
+  }
+};
+
+/**
+ * 获取营业日切换时间
+ * @param {Object} transaction - 数据库事务对象（可选）
+ * @returns {Promise<number>} 距 0 点的分钟数
+ */
+const getBusinessDayCutover = async (transaction = null) => {
+  const cutover = await readValidatedSetting(BUSINESS_DAY_CUTOVER_SETTING, DEFAULT_BUSINESS_DAY_CUTOVER, normalizeBusinessDayCutover, transaction);
+  return parseTimeOfDay(cutover);
+};
+
+/**
+ * 获取本机终端编号：环境变量 TERMINAL_ID 优先，其次为设置 terminal_id
+ * @param {Object} transaction - 数据库事务对象（可选）
+ * @returns {Promise<string>} 2 位终端编号
+ */
+const getTerminalId = async (transaction = null) => {
+  if (process.env.TERMINAL_ID) {
+    try {
+      return normalizeTerminalId(process.env.TERMINAL_ID);
+    } catch (error) {
+      logger.warn('环境变量 TERMINAL_ID 无效，将使用设置中的终端编号', { value: process.env.TERMINAL_ID });
+    }
+  }
+  return readValidatedSetting(TERMINAL_ID_SETTING, DEFAULT_TERMINAL_ID, normalizeTerminalId, transaction);
+};
+
+/**
+ * 获取分店编号：设置 store_number，未设置或无效时使用店铺ID（3位数字，001-999）
+ * @param {number} storeId - 店铺ID
+ * @param {Object} transaction - 数据库事务对象（可选）
+ * @returns {Promise<string>}
+ */
+const getStoreNumber = async (storeId, transaction = null) => {
+  const storeNumber = parseInt(await getSettingValue('store_number', null, { transaction }), 10);
+  const number = Number.isNaN(storeNumber) ? (storeId || 1) : storeNumber;
+  return String(number).padStart(3, '0').slice(0, 3);
+};
+
+/**
+ * 分配当日序号（原子递增）
+ * 营业日的第一张单从已有订单的最大序号接着编，避免升级当天或从备份恢复数据库后重号
+ * @param {number} orderType - 订单类型：0=堂食, 1=外卖
+ * @param {string} businessDate - 营业日期 YYYY-MM-DD
+ * @param {number} cutoverMinutes - 营业日切换时间（分钟）
+ * @param {Object} transaction - 数据库事务对象
+ * @returns {Promise<number>} 当日序号
+ */
+const nextDailySequence = async (orderType, businessDate, cutoverMinutes, transaction) => {
+  const sequenceKey = SEQUENCE_KEYS[orderType] || SEQUENCE_KEYS[0];
+
+  const existing = await OrderSequence.findOne({
+    where: { sequence_key: sequenceKey, business_date: businessDate },
+    transaction
+  });
+
+  let initialValue = 1;
+  if (!existing) {
+    const { start, end } = getBusinessDayRange(parseDateParam(businessDate, 'businessDate'), cutoverMinutes);
+    const maxSequence = await Order.max('daily_sequence', {
+      where: {
+        order_type: orderType,
+        created_at: { [Op.gte]: start, [Op.lt]: end }
+      },
+      transaction
+    });
+    initialValue = (maxSequence || 0) + 1;
+  }
+
+  // 插入或递增在同一条语句内完成；递增后在同一事务内读回，其他下单事务此时无法写入
+  const now = new Date();
+  await sequelize.query(
+    `INSERT INTO order_sequences (sequence_key, business_date, last_value, created_at, updated_at)
+     VALUES (:sequenceKey, :businessDate, :initialValue, :now, :now)
+     ON CONFLICT (sequence_key, business_date)
+     DO UPDATE SET last_value = last_value + 1, updated_at = excluded.updated_at`,
+    { replacements: { sequenceKey, businessDate, initialValue, now }, type: QueryTypes.UPSERT, transaction }
+  );
+
+  const sequence = await OrderSequence.findOne({
+    where: { sequence_key: sequenceKey, business_date: businessDate },
+    transaction
+  });
+  return sequence.last_value;
+};
+
+/**
+ * 生成订单编号（需在下单事务内调用，事务回滚时序号一并回滚）
+ * 设置也在事务内读取：事务持有写锁时，其他连接上排队的写入会阻塞同一连接上的读取
+ * 默认格式：业务标识(D/T) + 分店编号(3位) + 营业日期(8位) + 时间(6位) + 终端编号(2位) + 当日序号(4位)
+ * 示例：D00120250929120039010059
+ *
+ * @param {number} orderType - 订单类型：0=堂食, 1=外卖
+ * @param {number} storeId - 店铺ID
+ * @param {Object} transaction - 数据库事务对象
+ * @returns {Promise<{orderNumber: string, dailySequence: number, businessDate: string}>} 订单编号、当日序号和营业日期
+ */
+const generateOrderNumber = async (orderType, storeId, transaction) => {
+  const format = await readValidatedSetting(ORDER_NUMBER_FORMAT_SETTING, DEFAULT_ORDER_NUMBER_FORMAT, normalizeOrderNumberFormat, transaction);
+  const cutoverMinutes = await getBusinessDayCutover(transaction);
+  const terminalId = await getTerminalId(transaction);
+  const storeNumber = await getStoreNumber(storeId, transaction);
+
+  const now = new Date();
+  const businessDate = getBusinessDate(now, cutoverMinutes);
+  const dailySequence = await nextDailySequence(orderType, businessDate, cutoverMinutes, transaction);
+
+  const values = {
+    type: orderType === 1 ? 'T' : 'D',
+    store: storeNumber,
+    date: businessDate.replace(/-/g, ''),
+    time: [now.getHours(), now.getMinutes(), now.getSeconds()].map(part => String(part).padStart(2, '0')).join(''),
+    terminal: terminalId,
+    seq: String(dailySequence).padStart(4, '0')
+  };
+  const orderNumber = format.replace(/\{(\w+)\}/g, (match, token) => values[token]);
+  if (orderNumber.length > MAX_ORDER_NUMBER_LENGTH) {
+    throw new Error(`订单编号超过 ${MAX_ORDER_NUMBER_LENGTH} 个字符，请检查订单编号格式`);
+  }
+
+  return {
+    orderNumber,
+    dailySequence,
+    businessDate
+  };
+};
+
+module.exports = {
+  ORDER_NUMBER_FORMAT_SETTING,
+  BUSINESS_DAY_CUTOVER_SETTING,
+  TERMINAL_ID_SETTING,
+  DEFAULT_ORDER_NUMBER_FORMAT,
+  DEFAULT_BUSINESS_DAY_CUTOVER,
+  DEFAULT_TERMINAL_ID,
+  normalizeOrderNumberFormat,
+  normalizeBusinessDayCutover,
+  normalizeTerminalId,
+  getBusinessDayCutover,
+  getStoreNumber,
+  generateOrderNumber
+};
@@ -0,0 +1,90 @@
+/**
+ * 现金支付渠道
+ * 顾客在柜台付款，店员确认收款后交易才算成功；退款由店员退回现金
+ */
+
+const logger = require('../../utils/logger');
+const { createHttpError } = require('../../utils/httpError');
+const { createPaymentRecord, finishPaymentRecord } = require('./paymentRecord');
+
+/**
+ * 发起现金收款（等待店员确认）
+ * @param {Object} order - Order 实例
+ * @returns {Promise<Object>} 处理中的 PaymentTransaction 实例
+ */
+async function start(order) {
+  const transaction = await createPaymentRecord(order, 'cash', {
+    status: 'processing',
+    response_message: '等待店员确认收款'
+  });
+  logger.info('现金付款等待店员确认', {
+    orderNumber: order.order_number,
+    outTradeNo: transaction.out_trade_no
+  });
+  return transaction;
+}
+
+/**
+ * 现金交易由店员确认，不需要轮询，直接返回当前状态
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<Object>} PaymentTransaction 实例
+ */
+async function poll(transaction) {
+  return transaction;
+}
+
+/**
+ * 店员确认已收到现金
+ * @param {Object} transaction - 处理中的 PaymentTransaction 实例
+ * @param {Object|null} staff - 确认收款的员工（Staff 实例）
+ * @returns {Promise<Object>} 成功的 PaymentTransaction 实例
+ */
+async function confirm(transaction, staff) {
+  const finished = await finishPaymentRecord(transaction, {
+    status: 'success',
+    pay_method: 'cash',
+    response_message: staff ? `店员 ${staff.name} 已确认收款` : '店员已确认收款'
+  });
+  if (!finished) {
+    throw createHttpError(`交易当前状态为 ${transaction.status}，不能确认收款`, 409);
+  }
+
+  logger.info('现金收款已确认', {
+    outTradeNo: transaction.out_trade_no,
+    staffId: staff ? staff.id : null
+  });
+  return transaction;
+}
+
+/**
+ * 取消等待中的现金收款
+ * @param {Object} transaction - 处理中的 PaymentTransaction 实例
+ * @param {string} reason - 取消原因
+ * @returns {Promise<Object>} PaymentTransaction 实例
+ */
+async function cancel(transaction, reason = '顾客已取消付款') {
+  await finishPaymentRecord(transaction, {
+    status: 'failed',
+    response_message: reason
+  });
+  return transaction;
+}
+
+/**
+ * 现金退款由店员退回，无需调用外部接口
+ * @returns {Promise<{success: boolean, code: null, message: string}>}
+ */
+async function refund() {
+  return { success: true, code: null, message: '请以现金退回顾客' };
+}
+
+module.exports = {
+  name: 'cash',
+  collectsPayment: true,
+  counterPayment: true,
+  start,
+  poll,
+  confirm,
+  cancel,
+  refund
+};
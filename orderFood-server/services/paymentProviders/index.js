@@ -0,0 +1,140 @@
+/**
+ * 支付渠道
+ * 按付款方式代码（PaymentMethod.code）选择收款渠道：
+ * - kpay：KPay 收款终端（银行卡、二维码）
+ * - octopus：在 KPay 终端上收取八达通，撤销/退款改由店员退回现金
+ * - cash：现金，顾客在柜台付款后由店员确认
+ * - simulator：模拟收款（测试用，结果和延迟由 payment_simulator 设置决定）
+ * - direct：不经系统收款（如店内张贴的收款二维码），下单即视为已付款
+ *
+ * 付款方式与渠道的对应关系由 payment_providers 设置指定（{ 付款方式代码: 渠道 }），
+ * 未指定的付款方式沿用原有规则：cash 使用现金渠道；kpay_enabled 启用时，kpay_payment_methods 中的付款方式经 KPay 终端收款；其余为 direct
+ *
+ * 除 direct 外的渠道提供相同的接口：
+ * - start(order, paymentMethod)：发起收款，返回新建的 PaymentTransaction（processing / failed）
+ * - poll(transaction)：等待交易结束并返回最终的 PaymentTransaction；由店员确认的渠道直接返回当前状态
+ * - cancel(transaction, reason)：取消处理中的交易，返回 PaymentTransaction（已无法取消时保持 processing）
+ * - refund(transaction, { refundType, refundNo, amount, isFullRefund })：撤销或退款，返回 { success, code, message }
+ * - confirm(transaction, staff)：店员确认收款（仅 cash）
+ *
+ * counterPayment 为 true 的渠道（cash）由顾客到柜台付款：下单时即开始等待店员确认并打印付款单，超过付款期限自动取消
+ */
+
+const { createKpayProvider } = require('./kpayProvider');
+const cashProvider = require('./cashProvider');
+const simulatorProvider = require('./simulatorProvider');
+const { loadKpayConfig } = require('../kpayService');
+const logger = require('../../utils/logger');
+const { getSettingValue } = require('../../utils/settingsReader');
+const { createHttpError } = require('../../utils/httpError');
+
+const PAYMENT_PROVIDERS_SETTING = 'payment_providers';
+
+const directProvider = {
+  name: 'direct',
+  collectsPayment: false
+};
+
+const PROVIDERS = {
+  kpay: createKpayProvider('kpay'),
+  octopus: createKpayProvider('octopus', { terminalRefund: false }),
+  cash: cashProvider,
+  simulator: simulatorProvider,
+  direct: directProvider
+};
+
+// 在柜台付款、由店员确认的渠道名称
+const COUNTER_PAYMENT_PROVIDERS = Object.values(PROVIDERS)
+  .filter(provider => provider.counterPayment === true)
+  .map(provider => provider.name);
+
+/**
+ * 按名称获取支付渠道
+ * @param {string} name - 渠道名称（如交易记录的 provider 字段）
+ * @returns {Object|null} 支付渠道，未知名称返回 null
+ */
+function getProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+}
+
+/**
+ * 校验付款方式与渠道的对应设置
+ * @param {any} value - 设置值 { 付款方式代码: 渠道 }
+ * @returns {Object}
+ */
+const normalizeProviderMapping = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw createHttpError('付款方式渠道设置必须是对象，例如 {"cash": "cash"}', 400);
+  }
+
+  const mapping = {};
+  for (const [code, name] of Object.entries(value)) {
+    const methodCode = code.trim();
+    if (!methodCode) {
+      throw createHttpError('付款方式代码不能为空', 400);
+    }
+    if (!getProvider(name)) {
+      throw createHttpError(`付款方式 ${methodCode} 的收款渠道无效: ${name}（可选: ${Object.keys(PROVIDERS).join(', ')}）`, 400);
+    }
+    mapping[methodCode] = name;
+  }
+  return mapping;
+};
+
+/**
+ * 读取当前设置，返回按付款方式选择渠道的函数（批量解析时避免重复读取设置）
+ * @returns {Promise<Function>} (paymentMethod) => 支付渠道
+ */
+async function createProviderResolver() {
+  const mapping = await getSettingValue(PAYMENT_PROVIDERS_SETTING, {});
+  const kpayConfig = await loadKpayConfig();
+  const kpayCodes = kpayConfig.enabled === true && Array.isArray(kpayConfig.paymentMethodCodes)
+    ? kpayConfig.paymentMethodCodes
+    : [];
+
+  return (paymentMethod) => {
+    if (!paymentMethod) {
+      return directProvider;
+    }
+
+    const code = paymentMethod.code;
+    if (mapping && typeof mapping === 'object' && Object.prototype.hasOwnProperty.call(mapping, code)) {
+      const provider = getProvider(mapping[code]);
+      if (provider) {
+        return provider;
+      }
+      logger.warn('付款方式的收款渠道无效，按不经系统收款处理', { code, provider: mapping[code] });
+      return directProvider;
+    }
+
+    if (code === 'cash') {
+      return cashProvider;
+    }
+    if (kpayCodes.includes(code)) {
+      return code === 'octopus' ? PROVIDERS.octopus : PROVIDERS.kpay;
+    }
+    return directProvider;
+  };
+}
+
+/**
+ * 获取付款方式对应的支付渠道
+ * @param {Object|null} paymentMethod - PaymentMethod 实例（未选择付款方式时为 null）
+ * @returns {Promise<Object>} 支付渠道
+ */
+async function resolveProvider(paymentMethod) {
+  const resolve = await createProviderResolver();
+  return resolve(paymentMethod);
+}
+
+module.exports = {
+  PAYMENT_PROVIDERS_SETTING,
+  COUNTER_PAYMENT_PROVIDERS,
+  SIMULATOR_SETTING: simulatorProvider.SIMULATOR_SETTING,
+  DEFAULT_SIMULATOR_CONFIG: simulatorProvider.DEFAULT_SIMULATOR_CONFIG,
+  normalizeProviderMapping,
+  normalizeSimulatorConfig: simulatorProvider.normalizeSimulatorConfig,
+  getProvider,
+  createProviderResolver,
+  resolveProvider
+};
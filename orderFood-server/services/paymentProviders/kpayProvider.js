@@ -0,0 +1,58 @@
+/**
+ * KPay 收款终端支付渠道
+ * 银行卡、二维码和八达通都在 KPay 终端上收款；八达通交易不能在终端撤销或退款，改由店员以现金退回
+ */
+
+const kpayService = require('../kpayService');
+const logger = require('../../utils/logger');
+
+/**
+ * 在终端撤销或退款
+ * @param {Object} transaction - 成功的 PaymentTransaction 实例
+ * @param {Object} request - 退款请求 { refundType, refundNo, amount, isFullRefund }
+ * @returns {Promise<{success: boolean, code: number|null, message: string}>}
+ */
+function refundOnTerminal(transaction, request) {
+  return request.refundType === 'void'
+    ? kpayService.voidSale(transaction)
+    : kpayService.refundSale(transaction, request.refundNo, request.amount, request.isFullRefund);
+}
+
+/**
+ * 八达通交易以现金退回
+ * @param {Object} transaction - 成功的 PaymentTransaction 实例
+ * @param {Object} request - 退款请求 { refundType, refundNo, amount, isFullRefund }
+ * @returns {Promise<{success: boolean, code: number|null, message: string}>}
+ */
+async function refundInCash(transaction, request) {
+  logger.info('八达通交易不支持终端退款，改为现金退回', {
+    outTradeNo: transaction.out_trade_no,
+    refundNo: request.refundNo,
+    amount: request.amount
+  });
+  return { success: true, code: null, message: '八达通交易无法在终端退回，请以现金退款' };
+}
+
+/**
+ * 创建 KPay 支付渠道
+ * @param {string} name - 渠道名称（同时记录在交易的 provider 字段）
+ * @param {Object} options - 选项
+ * @param {boolean} options.terminalRefund - 是否在终端撤销/退款（默认 true）
+ * @returns {Object} 支付渠道
+ */
+function createKpayProvider(name, options = {}) {
+  const { terminalRefund = true } = options;
+
+  return {
+    name,
+    collectsPayment: true,
+    start: (order, paymentMethod) => kpayService.startSale(order, paymentMethod, name),
+    poll: (transaction) => kpayService.waitForResult(transaction),
+    cancel: (transaction, reason) => kpayService.cancelSale(transaction, reason),
+    refund: terminalRefund ? refundOnTerminal : refundInCash
+  };
+}
+
+module.exports = {
+  createKpayProvider
+};
@@ -0,0 +1,45 @@
+/**
+ * 支付交易记录
+ * 各支付渠道共用的 PaymentTransaction 创建和结束逻辑
+ */
+
+const { PaymentTransaction } = require('../../models');
+
+/**
+ * 为订单创建一条交易记录，商户交易号 = 订单号 + 2位尝试序号
+ * @param {Object} order - Order 实例
+ * @param {string} provider - 支付渠道名称
+ * @param {Object} fields - 其他字段（如 status、response_message）
+ * @returns {Promise<Object>} PaymentTransaction 实例
+ */
+async function createPaymentRecord(order, provider, fields = {}) {
+  const attempts = await PaymentTransaction.count({ where: { order_id: order.id } });
+
+  return PaymentTransaction.create({
+    order_id: order.id,
+    provider,
+    out_trade_no: `${order.order_number}${String(attempts + 1).padStart(2, '0')}`,
+    amount: order.total_amount,
+    status: 'pending',
+    ...fields
+  });
+}
+
+/**
+ * 结束处理中的交易（以 processing 状态为条件更新，防止确认和取消同时发生时互相覆盖）
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @param {Object} changes - 要更新的字段（包含最终状态）
+ * @returns {Promise<boolean>} 是否由本次调用结束了交易
+ */
+async function finishPaymentRecord(transaction, changes) {
+  const [updatedCount] = await PaymentTransaction.update(changes, {
+    where: { id: transaction.id, status: 'processing' }
+  });
+  await transaction.reload();
+  return updatedCount > 0;
+}
+
+module.exports = {
+  createPaymentRecord,
+  finishPaymentRecord
+};
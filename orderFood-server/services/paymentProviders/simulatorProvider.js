@@ -0,0 +1,180 @@
+/**
+ * 模拟支付渠道（测试用）
+ * 不连接任何收款设备，按 payment_simulator 设置在延迟后返回成功或失败，撤销/退款结果同样可配置
+ */
+
+const logger = require('../../utils/logger');
+const { getSettingValue } = require('../../utils/settingsReader');
+const { createHttpError } = require('../../utils/httpError');
+const { createPaymentRecord, finishPaymentRecord } = require('./paymentRecord');
+
+const SIMULATOR_SETTING = 'payment_simulator';
+
+const SIMULATOR_RESULTS = ['success', 'failed'];
+
+// 模拟延迟上限（秒）
+const MAX_SIMULATOR_DELAY = 300;
+
+const DEFAULT_SIMULATOR_CONFIG = {
+  result: 'success',
+  delaySeconds: 3,
+  refundResult: 'success'
+};
+
+// 正在等待结果的交易（防止同一笔交易被重复处理）
+const waitingTransactions = new Map();
+
+/**
+ * 校验模拟渠道设置，未填写的字段使用默认值
+ * @param {any} value - 设置值
+ * @returns {Object}
+ */
+const normalizeSimulatorConfig = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw createHttpError('模拟收款设置必须是对象', 400);
+  }
+
+  const config = { ...DEFAULT_SIMULATOR_CONFIG, ...value };
+  if (!SIMULATOR_RESULTS.includes(config.result)) {
+    throw createHttpError(`模拟收款结果必须为 ${SIMULATOR_RESULTS.join(' / ')}`, 400);
+  }
+  if (!SIMULATOR_RESULTS.includes(config.refundResult)) {
+    throw createHttpError(`模拟退款结果必须为 ${SIMULATOR_RESULTS.join(' / ')}`, 400);
+  }
+  const delaySeconds = Number(config.delaySeconds);
+  if (!Number.isInteger(delaySeconds) || delaySeconds < 0 || delaySeconds > MAX_SIMULATOR_DELAY) {
+    throw createHttpError(`模拟延迟必须为 0-${MAX_SIMULATOR_DELAY} 之间的整数（秒）`, 400);
+  }
+
+  return {
+    result: config.result,
+    delaySeconds,
+    refundResult: config.refundResult
+  };
+};
+
+/**
+ * 读取模拟渠道设置（设置无效时使用默认值）
+ * @returns {Promise<Object>}
+ */
+async function loadSimulatorConfig() {
+  try {
+    return normalizeSimulatorConfig(await getSettingValue(SIMULATOR_SETTING, DEFAULT_SIMULATOR_CONFIG));
+  } catch (error) {
+    logger.warn('模拟收款设置无效，使用默认值', { error: error.message });
+    return { ...DEFAULT_SIMULATOR_CONFIG };
+  }
+}
+
+/**
+ * 发起模拟收款
+ * @param {Object} order - Order 实例
+ * @returns {Promise<Object>} 处理中的 PaymentTransaction 实例
+ */
+async function start(order) {
+  const transaction = await createPaymentRecord(order, 'simulator', {
+    status: 'processing',
+    response_message: '模拟收款处理中'
+  });
+  logger.info('模拟收款已发起', {
+    orderNumber: order.order_number,
+    outTradeNo: transaction.out_trade_no
+  });
+  return transaction;
+}
+
+/**
+ * 等待模拟延迟后按设置结束交易（延迟从交易创建时间起算，服务器重启后可继续等待）
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<Object>} 最终的 PaymentTransaction 实例
+ */
+async function waitForSimulatedResult(transaction) {
+  const config = await loadSimulatorConfig();
+  const remaining = new Date(transaction.created_at).getTime() + config.delaySeconds * 1000 - Date.now();
+  if (remaining > 0) {
+    await new Promise(resolve => setTimeout(resolve, remaining));
+  }
+
+  const succeeded = config.result === 'success';
+  await finishPaymentRecord(transaction, {
+    status: succeeded ? 'success' : 'failed',
+    pay_method: succeeded ? 'simulator' : null,
+    response_message: succeeded ? '模拟收款成功' : '模拟收款失败'
+  });
+
+  logger.info('模拟收款结束', {
+    outTradeNo: transaction.out_trade_no,
+    status: transaction.status
+  });
+  return transaction;
+}
+
+/**
+ * 等待交易结果（同一笔交易只会有一个等待任务）
+ * @param {Object} transaction - PaymentTransaction 实例
+ * @returns {Promise<Object>} 最终的 PaymentTransaction 实例
+ */
+function poll(transaction) {
+  if (waitingTransactions.has(transaction.id)) {
+    return waitingTransactions.get(transaction.id);
+  }
+
+  const task = waitForSimulatedResult(transaction).finally(() => {
+    waitingTransactions.delete(transaction.id);
+  });
+  waitingTransactions.set(transaction.id, task);
+  return task;
+}
+
+/**
+ * 取消模拟收款
+ * @param {Object} transaction - 处理中的 PaymentTransaction 实例
+ * @param {string} reason - 取消原因
+ * @returns {Promise<Object>} PaymentTransaction 实例
+ */
+async function cancel(transaction, reason = '顾客已取消付款') {
+  await finishPaymentRecord(transaction, {
+    status: 'failed',
+    response_message: reason
+  });
+  return transaction;
+}
+
+/**
+ * 模拟撤销或退款
+ * @param {Object} transaction - 成功的 PaymentTransaction 实例
+ * @param {Object} request - 退款请求 { refundType, refundNo, amount, isFullRefund }
+ * @returns {Promise<{success: boolean, code: null, message: string}>}
+ */
+async function refund(transaction, request) {
+  const config = await loadSimulatorConfig();
+  const actionLabel = request.refundType === 'void' ? '撤销' : '退款';
+
+  if (config.refundResult !== 'success') {
+    return { success: false, code: null, message: `模拟${actionLabel}失败` };
+  }
+
+  if (request.refundType === 'void') {
+    await transaction.update({ status: 'voided' });
+  } else if (request.isFullRefund) {
+    await transaction.update({ status: 'refunded' });
+  }
+  logger.info(`模拟${actionLabel}成功`, {
+    outTradeNo: transaction.out_trade_no,
+    refundNo: request.refundNo,
+    amount: request.amount
+  });
+  return { success: true, code: null, message: `模拟${actionLabel}成功` };
+}
+
+module.exports = {
+  SIMULATOR_SETTING,
+  DEFAULT_SIMULATOR_CONFIG,
+  normalizeSimulatorConfig,
+  name: 'simulator',
+  collectsPayment: true,
+  start,
+  poll,
+  cancel,
+  refund
+};
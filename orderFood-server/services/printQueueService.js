@@ -0,0 +1,655 @@
+/**
+ * 打印队列服务模块
+ * 所有小票打印都先写入 print_jobs 表，打印失败时由后台任务按退避间隔重试，
+ * 避免卡纸、缺纸等临时故障导致顾客拿不到号码
+ * 订单付款后除顾客小票外，还会按菜品分类为每台厨房打印机生成一张厨房单；撤销和退款后打印退款单
+ */
+
+const printerService = require('./printerService');
+const { getReceiptTemplate } = require('./receiptLayout');
+const { getStoreNumber } = require('./orderNumberService');
+const { getCashPaymentTimeout, getPaymentDeadline } = require('./counterPaymentService');
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { formatDateTime } = require('../utils/dateTime');
+const { Order, OrderItem, OrderItemOption, Meal, PaymentMethod, PrintJob, Terminal, Refund, RefundItem, Staff } = require('../models');
+const { Op } = require('sequelize');
+
+// 重试间隔：首次失败 10 秒后重试，之后每次翻倍，最长 5 分钟
+const RETRY_BASE_DELAY_MS = 10 * 1000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// 最多尝试次数，超过后任务标记为 failed，需要人工重印
+const MAX_ATTEMPTS = 10;
+
+// 后台检查到期任务的间隔
+const WORKER_INTERVAL_MS = 5 * 1000;
+
+// 每次检查最多处理的任务数
+const WORKER_BATCH_SIZE = 20;
+
+let workerTimer = null;
+let workerRunning = false;
+
+// 一台打印机同一时间只能打印一张小票，同一端口的打印按顺序执行，不同打印机互不等待
+const printChains = new Map(); // 端口键 => 最近一次打印的 Promise
+
+/**
+ * 读取打印所需的订单记录（包含明细、菜品、选项和付款方式）
+ * @param {number} orderId - 订单ID
+ * @returns {Promise<Object>} Order 实例
+ */
+const loadOrderForPrint = async (orderId) => {
+  const order = await Order.findByPk(orderId, {
+    include: [
+      {
+        model: OrderItem,
+        as: 'items',
+        include: [
+          { model: Meal, as: 'meal' },
+          { model: OrderItemOption, as: 'options' }
+        ]
+      },
+      { model: PaymentMethod, as: 'paymentMethod' },
+      { model: Terminal, as: 'terminal' }
+    ],
+    order: [
+      [{ model: OrderItem, as: 'items' }, 'id', 'ASC'],
+      [{ model: OrderItem, as: 'items' }, { model: OrderItemOption, as: 'options' }, 'id', 'ASC']
+    ]
+  });
+
+  if (!order) {
+    throw new Error(`订单不存在: ${orderId}`);
+  }
+
+  return order;
+};
+
+/**
+ * 构建明细所选选项的打印数据
+ * @param {Object} item - OrderItem 实例（包含 options）
+ * @returns {Array<Object>} [{group_name, name, price_delta}, ...]
+ */
+const buildItemOptions = (item) => (item.options || []).map(option => ({
+  group_name: option.group_name_zh,
+  name: option.name_zh || option.name_en,
+  price_delta: parseFloat(option.price_delta)
+}));
+
+/**
+ * 根据数据库中的订单记录构建打印数据
+ * @param {number} orderId - 订单ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.reprint - 是否为重印
+ * @returns {Promise<Object>} printerService.printOrderReceipt 所需的订单数据
+ */
+const buildPrintData = async (orderId, options = {}) => {
+  const order = await loadOrderForPrint(orderId);
+
+  // 尝试读取店铺名称（中/英文）
+  let storeNameZh = '';
+  let storeNameEn = '';
+  try {
+    storeNameZh = await getSettingValue('store_name_zh', '');
+    storeNameEn = await getSettingValue('store_name_en', '');
+  } catch (e) {
+    logger.warn('读取店铺名称失败，将使用空名称', e);
+  }
+
+  const paymentMethod = order.paymentMethod;
+
+  return {
+    order_number: order.order_number,
+    store_number: await getStoreNumber(order.store_id),
+    daily_sequence: order.daily_sequence, // 当日序号
+    order_type: order.order_type,
+    items: order.items.map(item => ({
+      name: item.meal ? (item.meal.name_zh || item.meal.name_en) : '',
+      quantity: item.quantity,
+      price: parseFloat(item.price),
+      subtotal: parseFloat(item.subtotal),
+      options: buildItemOptions(item)
+    })),
+    total_amount: parseFloat(order.total_amount),
+    total_quantity: order.items.reduce((sum, item) => sum + item.quantity, 0),
+    order_time: formatDateTime(new Date(order.created_at)),
+    store_name_zh: storeNameZh,
+    store_name_en: storeNameEn,
+    payment_type_zh: paymentMethod ? (paymentMethod.name_zh || '') : '',
+    payment_type_en: paymentMethod ? (paymentMethod.name_en || '') : '',
+    terminal_name: order.terminal ? order.terminal.name : '',
+    is_reprint: options.reprint === true
+  };
+};
+
+/**
+ * 构建指定厨房打印机的厨房单数据（只包含路由到该打印机的菜品）
+ * @param {number} orderId - 订单ID
+ * @param {string} printerName - 打印机名称
+ * @param {Object} options - 选项
+ * @param {boolean} options.reprint - 是否为重印
+ * @returns {Promise<Object>} printerService.printKitchenTicket 所需的厨房单数据
+ */
+const buildKitchenTicketData = async (orderId, printerName, options = {}) => {
+  const order = await loadOrderForPrint(orderId);
+
+  const items = order.items.filter(item => {
+    return printerService.getKitchenPrinterName(item.meal ? item.meal.category : null) === printerName;
+  });
+
+  return {
+    order_number: order.order_number,
+    daily_sequence: order.daily_sequence,
+    order_type: order.order_type,
+    items: items.map(item => ({
+      name: item.meal ? (item.meal.name_zh || item.meal.name_en) : '',
+      quantity: item.quantity,
+      options: (item.options || []).map(option => ({
+        group_name: option.group_name_zh,
+        name: option.name_zh || option.name_en
+      }))
+    })),
+    order_time: formatDateTime(new Date(order.created_at)),
+    is_reprint: options.reprint === true
+  };
+};
+
+/**
+ * 构建退款单打印数据
+ * @param {number} refundId - 退款记录ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.reprint - 是否为重印
+ * @returns {Promise<Object>} printerService.printRefundSlip 所需的退款单数据
+ */
+const buildRefundSlipData = async (refundId, options = {}) => {
+  const refund = await Refund.findByPk(refundId, {
+    include: [
+      { model: Order, as: 'order', include: [{ model: PaymentMethod, as: 'paymentMethod' }] },
+      { model: Staff, as: 'staff' },
+      {
+        model: RefundItem,
+        as: 'items',
+        include: [{ model: OrderItem, as: 'orderItem', include: [{ model: Meal, as: 'meal' }] }]
+      }
+    ],
+    order: [[{ model: RefundItem, as: 'items' }, 'id', 'ASC']]
+  });
+
+  if (!refund) {
+    throw new Error(`退款记录不存在: ${refundId}`);
+  }
+
+  const order = refund.order;
+  const paymentMethod = order.paymentMethod;
+
+  return {
+    refund_no: refund.refund_no,
+    refund_type: refund.refund_type,
+    order_number: order.order_number,
+    daily_sequence: order.daily_sequence,
+    order_type: order.order_type,
+    items: refund.items.map(item => {
+      const meal = item.orderItem ? item.orderItem.meal : null;
+      return {
+        name: meal ? (meal.name_zh || meal.name_en) : '',
+        quantity: item.quantity,
+        amount: parseFloat(item.amount)
+      };
+    }),
+    amount: parseFloat(refund.amount),
+    order_amount: parseFloat(order.total_amount),
+    reason: refund.reason || '',
+    payment_type_zh: paymentMethod ? (paymentMethod.name_zh || '') : '',
+    payment_type_en: paymentMethod ? (paymentMethod.name_en || '') : '',
+    staff_name: refund.staff ? refund.staff.name : '',
+    refund_time: formatDateTime(new Date(refund.created_at)),
+    is_reprint: options.reprint === true
+  };
+};
+
+/**
+ * 构建柜台付款单打印数据
+ * @param {Object} order - 包含明细和付款方式的 Order 实例（loadOrderForPrint 的结果）
+ * @returns {Promise<Object>} printerService.printPaymentSlip 所需的付款单数据
+ */
+const buildPaymentSlipData = async (order) => {
+  const paymentMethod = order.paymentMethod;
+  const deadline = getPaymentDeadline(order, await getCashPaymentTimeout());
+
+  return {
+    order_number: order.order_number,
+    daily_sequence: order.daily_sequence,
+    order_type: order.order_type,
+    items: order.items.map(item => ({
+      name: item.meal ? (item.meal.name_zh || item.meal.name_en) : '',
+      quantity: item.quantity,
+      subtotal: parseFloat(item.subtotal),
+      options: buildItemOptions(item)
+    })),
+    total_amount: parseFloat(order.total_amount),
+    payment_type_zh: paymentMethod ? (paymentMethod.name_zh || '') : '',
+    payment_type_en: paymentMethod ? (paymentMethod.name_en || '') : '',
+    order_time: formatDateTime(new Date(order.created_at)),
+    expire_time: formatDateTime(deadline).slice(11, 16)
+  };
+};
+
+/**
+ * 按任务类型打印顾客小票、厨房单、退款单或付款单
+ * @param {Object} job - PrintJob 实例
+ * @returns {Promise<{success: boolean, message: string}>} 打印结果
+ */
+const executeJob = async (job) => {
+  if (job.job_type === 'payment_slip') {
+    const order = await loadOrderForPrint(job.order_id);
+    // 重试前订单已付款或已取消时，付款单已无意义
+    if (order.status !== 'pending') {
+      return {
+        success: true,
+        message: `订单当前状态为 ${order.status}，已跳过付款单`
+      };
+    }
+    return await printerService.printPaymentSlip(await buildPaymentSlipData(order), job.printer_name || undefined);
+  }
+
+  if (job.job_type === 'refund') {
+    const slipData = await buildRefundSlipData(job.refund_id, { reprint: job.is_reprint });
+    return await printerService.printRefundSlip(slipData, job.printer_name || undefined);
+  }
+
+  if (job.job_type === 'kitchen') {
+    const ticketData = await buildKitchenTicketData(job.order_id, job.printer_name, { reprint: job.is_reprint });
+    // 创建任务后菜品分类或路由可能已修改，没有菜品时不打印空白厨房单
+    if (ticketData.items.length === 0) {
+      return {
+        success: true,
+        message: '没有路由到该打印机的菜品，已跳过'
+      };
+    }
+    return await printerService.printKitchenTicket(ticketData, job.printer_name);
+  }
+
+  const printData = await buildPrintData(job.order_id, { reprint: job.is_reprint });
+  const template = await getReceiptTemplate();
+  return await printerService.printOrderReceipt(printData, template, job.printer_name || undefined);
+};
+
+/**
+ * 计算第 N 次失败后的重试间隔（指数退避）
+ * @param {number} attempts - 已尝试次数
+ * @returns {number} 毫秒
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+};
+
+/**
+ * 执行一次打印任务并记录结果
+ * @param {Object} job - PrintJob 实例
+ * @returns {Promise<Object>} 更新后的 PrintJob 实例
+ */
+const runJob = async (job) => {
+  // 以状态为条件领取任务，防止后台重试和即时打印同时打印同一张小票
+  const [claimed] = await PrintJob.update(
+    { status: 'printing' },
+    { where: { id: job.id, status: 'pending' } }
+  );
+  await job.reload();
+  if (claimed === 0) {
+    return job;
+  }
+
+  const attempts = job.attempts + 1;
+  const jobLabels = {
+    kitchen: `厨房单（${job.printer_name}）`,
+    refund: '退款单',
+    payment_slip: '付款单'
+  };
+  const jobLabel = jobLabels[job.job_type] || '订单小票';
+  let printResult;
+  try {
+    printResult = await executeJob(job);
+  } catch (error) {
+    logger.error(`打印${jobLabel}时发生错误`, {
+      jobId: job.id,
+      orderId: job.order_id,
+      error: error.message,
+      stack: error.stack
+    });
+    printResult = {
+      success: false,
+      message: `打印错误: ${error.message}`
+    };
+  }
+
+  let printMessage = printResult.message;
+
+  if (printResult.success) {
+    await job.update({
+      status: 'success',
+      attempts,
+      next_attempt_at: null,
+      last_error: null
+    });
+    logger.info(`${jobLabel}打印成功`, {
+      jobId: job.id,
+      orderId: job.order_id,
+      attempts,
+      reprint: job.is_reprint
+    });
+  } else if (attempts >= MAX_ATTEMPTS) {
+    await job.update({
+      status: 'failed',
+      attempts,
+      next_attempt_at: null,
+      last_error: printResult.message
+    });
+    printMessage = `${printResult.message}（已重试 ${attempts} 次，请检查打印机后手动重印）`;
+    logger.error('打印任务多次重试仍失败，需人工处理', {
+      jobId: job.id,
+      orderId: job.order_id,
+      attempts,
+      lastError: printResult.message
+    });
+  } else {
+    const retryDelay = getRetryDelay(attempts);
+    await job.update({
+      status: 'pending',
+      attempts,
+      next_attempt_at: new Date(Date.now() + retryDelay),
+      last_error: printResult.message
+    });
+    printMessage = `${printResult.message}（${Math.round(retryDelay / 1000)} 秒后自动重试）`;
+    logger.warn(`${jobLabel}打印失败，稍后重试`, {
+      jobId: job.id,
+      orderId: job.order_id,
+      attempts,
+      retryInSeconds: Math.round(retryDelay / 1000),
+      printError: printResult.message
+    });
+  }
+
+  // 订单的打印状态只反映顾客小票，厨房单的结果记录在任务中
+  if (job.job_type !== 'receipt') {
+    return job;
+  }
+
+  // 同步更新订单的打印状态
+  try {
+    await Order.update({
+      print_status: printResult.success ? 'success' : 'error',
+      print_message: printMessage
+    }, {
+      where: { id: job.order_id }
+    });
+  } catch (updateError) {
+    logger.error('更新订单打印状态失败', updateError);
+  }
+
+  return job;
+};
+
+/**
+ * 独占打印机执行一次打印（与同一打印机的其他打印排队执行）
+ * @param {string|null} printerName - 打印机名称（为空时为 receipt）
+ * @param {Function} task - 打印函数，返回 Promise
+ * @returns {Promise<*>} task 的返回值
+ */
+const runExclusive = (printerName, task) => {
+  const portKey = printerService.getPortKey(printerName || printerService.RECEIPT_PRINTER);
+  const result = (printChains.get(portKey) || Promise.resolve()).then(task);
+  const tail = result.catch(() => {});
+  printChains.set(portKey, tail);
+  tail.then(() => {
+    if (printChains.get(portKey) === tail) {
+      printChains.delete(portKey);
+    }
+  });
+  return result;
+};
+
+/**
+ * 打印一个任务（与同一打印机的其他打印排队执行）
+ * @param {Object} job - PrintJob 实例
+ * @returns {Promise<Object>} 更新后的 PrintJob 实例
+ */
+const printJob = (job) => runExclusive(job.printer_name, () => runJob(job));
+
+/**
+ * 创建小票打印任务（打印到下单终端指定的打印机，未指定时为 receipt）
+ * @param {number} orderId - 订单ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.reprint - 是否为重印
+ * @returns {Promise<Object>} PrintJob 实例
+ */
+const createReceiptJob = async (orderId, options = {}) => {
+  const order = await Order.findByPk(orderId, {
+    include: [{ model: Terminal, as: 'terminal' }]
+  });
+
+  return await PrintJob.create({
+    order_id: orderId,
+    job_type: 'receipt',
+    printer_name: order && order.terminal ? order.terminal.printer_name : null,
+    is_reprint: options.reprint === true,
+    status: 'pending',
+    next_attempt_at: new Date()
+  });
+};
+
+/**
+ * 按菜品分类为订单创建厨房单打印任务（每台厨房打印机一条）
+ * @param {number} orderId - 订单ID
+ * @returns {Promise<Array>} PrintJob 实例数组（未配置厨房打印机时为空）
+ */
+const createKitchenJobs = async (orderId) => {
+  const items = await OrderItem.findAll({
+    where: { order_id: orderId },
+    include: [{ model: Meal, as: 'meal' }]
+  });
+
+  const printerNames = new Set();
+  items.forEach(item => {
+    const printerName = printerService.getKitchenPrinterName(item.meal ? item.meal.category : null);
+    if (printerName) {
+      printerNames.add(printerName);
+    }
+  });
+
+  const jobs = [];
+  for (const printerName of printerNames) {
+    jobs.push(await PrintJob.create({
+      order_id: orderId,
+      job_type: 'kitchen',
+      printer_name: printerName,
+      is_reprint: false,
+      status: 'pending',
+      next_attempt_at: new Date()
+    }));
+  }
+  return jobs;
+};
+
+/**
+ * 在后台打印任务（不阻塞调用方）
+ * @param {Object} job - PrintJob 实例
+ */
+const printInBackground = (job) => {
+  setImmediate(() => {
+    printJob(job).catch(error => {
+      logger.error('打印任务执行失败', { jobId: job.id, error: error.message });
+    });
+  });
+};
+
+/**
+ * 订单付款后创建顾客小票和厨房单打印任务，并立即在后台打印（不阻塞调用方）
+ * @param {Object} order - Order 实例
+ * @returns {Promise<void>}
+ */
+const enqueueOrderPrints = async (order) => {
+  try {
+    const job = await createReceiptJob(order.id);
+    printInBackground(job);
+  } catch (error) {
+    logger.error('创建打印任务失败', {
+      orderNumber: order.order_number,
+      error: error.message
+    });
+    try {
+      await order.update({
+        print_status: 'error',
+        print_message: `创建打印任务失败: ${error.message}`
+      });
+    } catch (updateError) {
+      logger.error('更新订单打印状态失败', updateError);
+    }
+  }
+
+  try {
+    const kitchenJobs = await createKitchenJobs(order.id);
+    kitchenJobs.forEach(printInBackground);
+  } catch (error) {
+    logger.error('创建厨房单打印任务失败', {
+      orderNumber: order.order_number,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 撤销或退款完成后创建退款单打印任务，并立即在后台打印（打印到下单终端指定的打印机，未指定时为 receipt）
+ * @param {Object} refund - Refund 实例
+ * @returns {Promise<void>}
+ */
+const enqueueRefundPrint = async (refund) => {
+  try {
+    const order = await Order.findByPk(refund.order_id, {
+      include: [{ model: Terminal, as: 'terminal' }]
+    });
+
+    const job = await PrintJob.create({
+      order_id: refund.order_id,
+      job_type: 'refund',
+      refund_id: refund.id,
+      printer_name: order && order.terminal ? order.terminal.printer_name : null,
+      is_reprint: false,
+      status: 'pending',
+      next_attempt_at: new Date()
+    });
+    printInBackground(job);
+  } catch (error) {
+    logger.error('创建退款单打印任务失败', {
+      refundNo: refund.refund_no,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 柜台付款订单下单后创建付款单打印任务，并立即在后台打印（打印到下单终端指定的打印机，未指定时为 receipt）
+ * @param {Object} order - Order 实例
+ * @returns {Promise<void>}
+ */
+const enqueuePaymentSlipPrint = async (order) => {
+  try {
+    const orderWithTerminal = await Order.findByPk(order.id, {
+      include: [{ model: Terminal, as: 'terminal' }]
+    });
+
+    const job = await PrintJob.create({
+      order_id: order.id,
+      job_type: 'payment_slip',
+      printer_name: orderWithTerminal && orderWithTerminal.terminal ? orderWithTerminal.terminal.printer_name : null,
+      is_reprint: false,
+      status: 'pending',
+      next_attempt_at: new Date()
+    });
+    printInBackground(job);
+  } catch (error) {
+    logger.error('创建付款单打印任务失败', {
+      orderNumber: order.order_number,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 处理所有到期的待打印任务
+ * @returns {Promise<void>}
+ */
+const processDueJobs = async () => {
+  if (workerRunning) {
+    return;
+  }
+  workerRunning = true;
+
+  try {
+    const jobs = await PrintJob.findAll({
+      where: {
+        status: 'pending',
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+      limit: WORKER_BATCH_SIZE
+    });
+
+    // 任务按到期顺序进入各自打印机的队列，一台打印机故障时其他打印机的任务不必等待
+    await Promise.all(jobs.map(job => printJob(job)));
+  } catch (error) {
+    logger.error('处理打印任务失败:', error);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+/**
+ * 启动后台打印重试任务
+ * @returns {Promise<void>}
+ */
+const startWorker = async () => {
+  if (workerTimer) {
+    return;
+  }
+
+  // 服务器异常退出时可能遗留“打印中”的任务，放回队列重新打印
+  const [requeued] = await PrintJob.update(
+    { status: 'pending', next_attempt_at: new Date() },
+    { where: { status: 'printing' } }
+  );
+  if (requeued > 0) {
+    logger.warn(`已将 ${requeued} 个未完成的打印任务重新加入队列`);
+  }
+
+  const failedCount = await PrintJob.count({ where: { status: 'failed' } });
+  if (failedCount > 0) {
+    logger.warn(`有 ${failedCount} 个打印任务多次重试仍失败，请检查打印机后手动重印`);
+  }
+
+  workerTimer = setInterval(processDueJobs, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  logger.info('打印重试任务已启动');
+};
+
+/**
+ * 停止后台打印重试任务
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  buildPrintData,
+  createReceiptJob,
+  printJob,
+  runExclusive,
+  enqueueOrderPrints,
+  enqueueRefundPrint,
+  enqueuePaymentSlipPrint,
+  startWorker,
+  stopWorker
+};
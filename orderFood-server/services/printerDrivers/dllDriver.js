@@ -0,0 +1,412 @@
+/**
+ * DLL 打印机驱动
+ * 使用 ffi-napi 调用打印机 DLL (CsnPrinterLibs.dll)，支持 USB / COM / LPT / PRN 端口（仅 Windows）
+ */
+
+const fs = require('fs');
+const printerLogger = require('../../utils/printerLogger');
+const logger = require('../../utils/logger');
+
+// 延迟加载 loadPrinterModules，避免在模块加载时失败
+let loadPrinterModules, getPrinterDllPath;
+try {
+  const printerModulesLoader = require('../../utils/loadPrinterModules');
+  loadPrinterModules = printerModulesLoader.loadPrinterModules;
+  getPrinterDllPath = printerModulesLoader.getPrinterDllPath;
+  logger.info('✓ loadPrinterModules 工具函数加载成功');
+} catch (error) {
+  logger.error('❌ 加载 loadPrinterModules 工具函数失败:', error);
+  // 设置空函数，避免后续调用失败
+  loadPrinterModules = () => null;
+  getPrinterDllPath = () => '';
+}
+
+let ffi = null;
+let ref = null;
+let printerDll = null;
+let dllLoadAttempted = false;
+
+// Pos_Barcode 的条码类型：CODE128（即 ESC/POS GS k 的 m 值）
+const BARCODE_TYPE_CODE128 = 0x49;
+
+// 多台打印机共用同一个 DLL，Pos_* 函数都作用于最近一次 Port_SetPort 选中的端口
+let activeHandle = null;
+
+// 定义 wchar_t 及 wchar_t* 类型（适配 Windows DLL 的 const wchar_t*）
+// Windows 下 wchar_t = 2字节无符号短整型（ushort）
+let wchar_t = null;
+let wchar_t_ptr = null;
+
+/**
+ * 加载 ffi-napi 和打印机 DLL（只加载一次）
+ * @returns {boolean} DLL 是否可用
+ */
+function loadDll() {
+  if (dllLoadAttempted) {
+    return printerDll !== null;
+  }
+  dllLoadAttempted = true;
+
+  try {
+    logger.info('========================================');
+    logger.info('开始初始化打印机服务...');
+    logger.info('========================================');
+
+    // 使用工具函数动态加载原生模块（支持 pkg 打包环境）
+    logger.info('调用 loadPrinterModules()...');
+    let printerModules;
+    try {
+      printerModules = loadPrinterModules();
+      logger.info('loadPrinterModules() 执行完成');
+    } catch (loadError) {
+      logger.error('❌ loadPrinterModules() 执行时发生异常:', loadError);
+      throw loadError;
+    }
+
+    if (!printerModules) {
+      logger.error('❌ loadPrinterModules() 返回 null');
+      throw new Error('loadPrinterModules() 返回 null，无法加载打印机原生模块');
+    }
+
+    logger.info('✓ loadPrinterModules() 返回了模块对象');
+
+    logger.info('已加载的模块:', Object.keys(printerModules));
+
+    if (!printerModules['ffi-napi']) {
+      throw new Error('无法加载 ffi-napi 模块');
+    }
+
+    if (!printerModules['ref-napi']) {
+      throw new Error('无法加载 ref-napi 模块');
+    }
+
+    ffi = printerModules['ffi-napi'];
+    ref = printerModules['ref-napi'];
+    logger.info('✓ ffi-napi 和 ref-napi 加载成功');
+
+    wchar_t = ref.types.ushort;
+    wchar_t_ptr = ref.refType(wchar_t); // 定义 wchar_t* 指针类型
+    logger.info('✓ wchar_t 类型定义完成');
+
+    // 使用工具函数获取 DLL 路径（支持 pkg 打包环境）
+    const DLL_PATH = getPrinterDllPath();
+    logger.info(`DLL 路径: ${DLL_PATH}`);
+
+    // 验证 DLL 文件是否存在
+    if (!fs.existsSync(DLL_PATH)) {
+      throw new Error(`打印机 DLL 文件不存在: ${DLL_PATH}`);
+    }
+    logger.info('✓ DLL 文件存在');
+
+    // 定义 DLL 函数签名（根据 PrinterLibs.h）
+    printerDll = ffi.Library(DLL_PATH, {
+      // 端口枚举函数
+      'Port_EnumUSB': ['size_t', ['pointer', 'size_t']],
+
+      // 端口操作函数
+      'Port_OpenCOMIO': ['pointer', ['string', 'uint32', 'int', 'int', 'int', 'int']],
+      'Port_OpenUSBIO': ['pointer', ['string']],
+      'Port_OpenLPTIO': ['pointer', ['string']],
+      'Port_OpenPRNIO': ['pointer', ['string']],
+      'Port_OpenTCPIO': ['pointer', ['string', 'ushort']],
+      'Port_SetPort': ['bool', ['pointer']],
+      'Port_ClosePort': ['void', ['pointer']],
+
+      // 打印函数
+      'Pos_Reset': ['bool', []],
+      'Pos_SelfTest': ['bool', []],
+      'Pos_FeedLine': ['bool', []],
+      'Pos_Feed_N_Line': ['bool', ['int']],
+      'Pos_Align': ['bool', ['int']],
+      'Pos_Text': ['bool', [wchar_t_ptr, 'int', 'int', 'int', 'int', 'int', 'int']],
+      'Pos_Barcode': ['bool', ['string', 'int', 'int', 'int', 'int', 'int', 'int']],
+      'Pos_EscQrcode': ['bool', [wchar_t_ptr, 'int', 'int']],
+      'Pos_FullCutPaper': ['bool', []],
+      'Pos_HalfCutPaper': ['bool', []],
+
+      // 查询函数
+      'Pos_QueryPrinterErr': ['int', ['ulong']]
+    });
+
+    logger.info('✓ 打印机 DLL 函数绑定成功');
+    printerLogger.info('打印机 DLL 加载成功', { dllPath: DLL_PATH });
+  } catch (error) {
+    logger.error('❌ 打印机 DLL 加载失败:', error);
+
+    printerLogger.warn('打印机 DLL 加载失败，将使用模拟模式', {
+      error: error.message,
+      stack: error.stack,
+      hint: '请确保已安装依赖: npm install ffi-napi ref-napi ref-struct-napi ref-array-napi。如果是打包环境，请确保这些模块已复制到可执行文件同目录下的 node_modules 目录中。'
+    });
+    printerDll = null;
+    ffi = null;
+    ref = null;
+  }
+
+  return printerDll !== null;
+}
+
+/**
+ * 将字符串转换为 wchar_t* 所需的 UTF-16LE Buffer（带双字节终止符）
+ * @param {string} str - 要转换的字符串
+ * @returns {Buffer} UTF-16LE 编码的 Buffer（包含 null 终止符 0x0000）
+ */
+function toWcharBuffer(str) {
+  if (!str || str.trim() === '') {
+    // 空字符串返回双字节终止符（0x0000）
+    return Buffer.alloc(2, 0);
+  }
+  // 核心：字符串 + '\0' → 转 UTF-16LE → 自动生成双字节终止符（0x0000）
+  return Buffer.from(str + '\0', 'utf16le');
+}
+
+/**
+ * 调用 DLL 打开端口
+ * @param {Object} config - 打印机配置
+ * @returns {Object} 端口句柄
+ */
+function openHandle(config) {
+  let handle = null;
+  let actualPortName = config.portName;
+
+  switch (config.portType.toUpperCase()) {
+    case 'COM':
+      handle = printerDll.Port_OpenCOMIO(
+        config.portName,
+        config.baudrate,
+        config.flowcontrol,
+        config.parity,
+        config.databits,
+        config.stopbits
+      );
+      break;
+
+    case 'USB':
+      // 使用 Port_OpenUSBIO 打开底层 USB 端口
+      // 这里的 portName 应配置为 USB 端口名，例如：USB001 / USB002 / USBPRINT\...\USB002
+      if (!config.portName) {
+        throw new Error('USB 端口类型需要配置 portName（例如：USB001 / USB002 或 USBPRINT\\\\...\\\\USB002）');
+      }
+
+      printerLogger.info(`使用 Port_OpenUSBIO 打开 USB 端口: ${config.portName}`);
+      handle = printerDll.Port_OpenUSBIO(config.portName);
+
+      if (handle.isNull()) {
+        throw new Error(
+          `无法使用 Port_OpenUSBIO 打开 USB 端口 "${config.portName}"。请检查：\n` +
+          `1. 端口名称是否正确（可通过 wmic 或 EnumUSB 查询，如 USB002）\n` +
+          `2. 设备管理器中是否显示 "USB Printing Support" / "USB 打印支持"\n` +
+          `3. 打印机是否已连接、已开机且驱动安装正常`
+        );
+      }
+
+      actualPortName = config.portName;
+      break;
+
+    case 'LPT':
+      handle = printerDll.Port_OpenLPTIO(config.portName);
+      break;
+
+    case 'PRN':
+      handle = printerDll.Port_OpenPRNIO(config.portName);
+      break;
+
+    default:
+      throw new Error(`不支持的端口类型: ${config.portType}`);
+  }
+
+  // 检查句柄是否有效（非零表示成功，零表示失败）
+  if (handle.isNull()) {
+    const errorMsg = `无法打开端口 ${actualPortName}，请检查：\n` +
+      `1. 打印机是否已连接并开机\n` +
+      `2. 设备管理器中是否显示"USB Printing Support"\n` +
+      `3. 如果显示的是"Prolific USB-to-Serial Comm Port"，请改用COM端口类型`;
+    throw new Error(errorMsg);
+  }
+
+  return handle;
+}
+
+/**
+ * 创建 DLL 打印机驱动
+ * @param {string} printerName - 打印机名称
+ * @param {Object} config - 打印机配置
+ * @returns {Object} 打印机驱动
+ */
+function createDllDriver(printerName, config) {
+  let handle = null;
+
+  const driver = {
+    type: 'dll',
+
+    /**
+     * DLL 是否已加载
+     * @returns {boolean}
+     */
+    isAvailable: () => printerDll !== null,
+
+    /**
+     * 打开端口并选中该打印机（已打开时只切换当前端口）
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async open() {
+      if (!printerDll) {
+        return false;
+      }
+
+      if (handle) {
+        if (activeHandle === handle) {
+          return true;
+        }
+        if (printerDll.Port_SetPort(handle)) {
+          activeHandle = handle;
+          return true;
+        }
+        // 端口可能已失效，重新打开
+        printerLogger.warn('切换打印机端口失败，尝试重新打开', { printerName });
+        await driver.close();
+      }
+
+      try {
+        const newHandle = openHandle(config);
+
+        // 设置端口
+        const setResult = printerDll.Port_SetPort(newHandle);
+        if (!setResult) {
+          printerDll.Port_ClosePort(newHandle);
+          throw new Error('设置端口失败');
+        }
+
+        handle = newHandle;
+        activeHandle = newHandle;
+        printerLogger.info(`打印机端口打开成功: ${printerName} ${config.portType}:${config.portName}`);
+        return true;
+      } catch (error) {
+        printerLogger.error('打开打印机端口失败', {
+          error: error.message,
+          stack: error.stack,
+          printerName,
+          portType: config.portType,
+          portName: config.portName
+        });
+        return false;
+      }
+    },
+
+    /**
+     * 关闭端口
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async close() {
+      if (!printerDll || !handle) {
+        return false;
+      }
+
+      const closingHandle = handle;
+      handle = null;
+      if (activeHandle === closingHandle) {
+        activeHandle = null;
+      }
+
+      try {
+        printerDll.Port_ClosePort(closingHandle);
+        return true;
+      } catch (error) {
+        printerLogger.error('关闭打印机端口失败', {
+          error: error.message,
+          stack: error.stack,
+          printerName
+        });
+        return false;
+      }
+    },
+
+    // DLL 直接写入端口，无需缓冲
+    beginJob() {},
+    async endJob() {},
+
+    align: (align) => printerDll.Pos_Align(align),
+
+    /**
+     * 调用 Pos_Text 打印文本
+     * @param {string} text - 要打印的文本
+     * @param {number} encoding - 编码类型：0=GBK, 1=UTF-8, 3=BIG-5
+     * @param {number} position - 位置：-1=左对齐，-2=居中，-3=右对齐，>=0 从第 n 点开始
+     * @param {number} widthTimes - 宽度倍数
+     * @param {number} heightTimes - 高度倍数
+     * @param {number} fontType - 字体类型
+     * @param {number} fontStyle - 字体样式
+     * @returns {boolean} 是否成功
+     */
+    text(text, encoding, position, widthTimes, heightTimes, fontType, fontStyle) {
+      try {
+        // 直接传递 Buffer，ffi-napi 会自动处理 wchar_t* 指针转换
+        // DLL 会根据 nLan 参数（encoding）来处理编码转换
+        return printerDll.Pos_Text(toWcharBuffer(text), encoding, position, widthTimes, heightTimes, fontType, fontStyle);
+      } catch (error) {
+        printerLogger.error('printText 调用失败', {
+          error: error.message,
+          text: text.substring(0, 50),
+          encoding,
+          stack: error.stack
+        });
+        return false;
+      }
+    },
+
+    /**
+     * 调用 Pos_EscQrcode 打印二维码
+     * @param {string} data - 二维码内容
+     * @param {number} moduleSize - 单元大小 [1,16]
+     * @param {number} errorLevel - 纠错等级 [1,4]
+     * @returns {boolean} 是否成功
+     */
+    qrcode(data, moduleSize, errorLevel) {
+      try {
+        return printerDll.Pos_EscQrcode(toWcharBuffer(data), moduleSize, errorLevel);
+      } catch (error) {
+        printerLogger.error('printQrcode 调用失败', { error: error.message, data, stack: error.stack });
+        return false;
+      }
+    },
+
+    /**
+     * 调用 Pos_Barcode 打印 CODE128 条码（不打印可读字符）
+     * @param {string} data - 条码内容（ASCII）
+     * @param {number} position - 位置：-1=左对齐，-2=居中，-3=右对齐，>=0 从第 n 点开始
+     * @param {number} unitWidth - 单元宽度 [1,6]
+     * @param {number} height - 条码高度（点）[1,255]
+     * @returns {boolean} 是否成功
+     */
+    barcode(data, position, unitWidth, height) {
+      try {
+        return printerDll.Pos_Barcode(String(data), BARCODE_TYPE_CODE128, position, unitWidth, height, 0, 0);
+      } catch (error) {
+        printerLogger.error('printBarcode 调用失败', { error: error.message, data, stack: error.stack });
+        return false;
+      }
+    },
+
+    feedLine: () => printerDll.Pos_FeedLine(),
+    feedLines: (lines) => printerDll.Pos_Feed_N_Line(lines),
+    cut: () => printerDll.Pos_FullCutPaper(),
+    reset: () => printerDll.Pos_Reset(),
+    selfTest: () => printerDll.Pos_SelfTest(),
+
+    /**
+     * 查询打印机状态（1=正常，-1=脱机，-2=上盖打开，-3=缺纸，-4=切刀异常，-5=头片温度过高，-6=查询失败）
+     * 请勿在打印过程中查询
+     * @returns {Promise<number>} 状态码，端口无法打开时返回 -999
+     */
+    async queryStatus() {
+      if (!(await driver.open())) {
+        return -999;
+      }
+      return printerDll.Pos_QueryPrinterErr(3000); // 3秒超时
+    }
+  };
+
+  return driver;
+}
+
+module.exports = { loadDll, createDllDriver };
@@ -0,0 +1,360 @@
+/**
+ * ESC/POS 打印机驱动
+ * 直接生成 ESC/POS 指令，发送到网络打印机（TCP 9100 端口）或串口、/dev/usb/lp* 等设备文件，
+ * 不依赖厂商 DLL，可在 Linux 上使用
+ */
+
+const net = require('net');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const iconv = require('iconv-lite');
+const printerLogger = require('../../utils/printerLogger');
+
+// 连接网络打印机及发送数据的超时时间
+const SOCKET_TIMEOUT_MS = 5000;
+
+// 查询状态的超时时间（从建立连接到收齐状态字节的总时间）
+const STATUS_TIMEOUT_MS = 3000;
+
+// 文本编码类型（与 DLL 的 nLan 参数一致）=> iconv 编码名称
+const TEXT_ENCODINGS = {
+  0: 'gbk',
+  1: 'utf8',
+  3: 'big5',
+  4: 'shift_jis',
+  5: 'euc-kr'
+};
+
+// ESC/POS 指令
+const ESC = 0x1b;
+const GS = 0x1d;
+const FS = 0x1c;
+const DLE = 0x10;
+const LF = 0x0a;
+
+/**
+ * 将字符放大倍数限制在 ESC/POS 支持的 [0,7] 范围内（与 DLL 一样按整数处理）
+ * @param {number} times - 放大倍数
+ * @returns {number}
+ */
+const clampTimes = (times) => Math.min(7, Math.max(0, Math.trunc(Number(times) || 0)));
+
+/**
+ * 生成 CODE128 条码数据：末尾的偶数位数字使用 Code C（每两位一个符号，条码更短），
+ * 前面的部分使用 Code B。订单编号为 1 位字母加一串数字，这样 80mm 纸也能放下
+ * @param {string} data - 条码内容
+ * @returns {Buffer} 带字符集前缀的条码数据
+ */
+const encodeCode128 = (data) => {
+  const trailingDigits = data.match(/\d*$/)[0];
+  const digits = trailingDigits.slice(trailingDigits.length % 2);
+  const prefix = data.slice(0, data.length - digits.length);
+  const parts = [];
+  if (prefix) {
+    parts.push(Buffer.from(`{B${prefix}`, 'ascii'));
+  }
+  if (digits.length >= 4) {
+    parts.push(Buffer.from('{C', 'ascii'), Buffer.from(digits.match(/\d{2}/g).map(Number)));
+  } else if (digits) {
+    parts.push(Buffer.from(prefix ? digits : `{B${digits}`, 'ascii'));
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * 通过 TCP 发送数据到网络打印机
+ * @param {string} host - 打印机 IP
+ * @param {number} port - 端口（通常为 9100）
+ * @param {Buffer} data - 要发送的数据
+ * @returns {Promise<void>}
+ */
+const sendToSocket = (host, port, data) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+  socket.setTimeout(SOCKET_TIMEOUT_MS, () => {
+    socket.destroy(new Error(`连接打印机超时: ${host}:${port}`));
+  });
+  socket.once('error', reject);
+  socket.once('connect', () => socket.end(data));
+  socket.once('close', (hadError) => {
+    if (!hadError) {
+      resolve();
+    }
+  });
+});
+
+/**
+ * 通过 TCP 发送实时状态查询指令并读取返回的状态字节
+ * 收齐状态字节、连接出错、对方提前关闭连接或超时都会结束查询，不会一直挂起而阻塞打印队列
+ * @param {string} host - 打印机 IP
+ * @param {number} port - 端口
+ * @param {Buffer} query - 查询指令
+ * @param {number} expectedBytes - 期望返回的字节数
+ * @returns {Promise<Buffer>}
+ */
+const querySocket = (host, port, query, expectedBytes) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+  let received = Buffer.alloc(0);
+  let settled = false;
+
+  const finish = (error) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    clearTimeout(timer);
+    socket.destroy();
+    if (error) {
+      reject(error);
+    } else {
+      resolve(received);
+    }
+  };
+
+  // 总超时：对方持续发送不足的数据时空闲超时不会触发
+  const timer = setTimeout(() => {
+    finish(new Error(`查询打印机状态超时: ${host}:${port}`));
+  }, STATUS_TIMEOUT_MS);
+
+  socket.once('error', finish);
+  socket.once('connect', () => socket.write(query));
+  socket.on('data', (chunk) => {
+    received = Buffer.concat([received, chunk]);
+    if (received.length >= expectedBytes) {
+      finish();
+    }
+  });
+  // 对方未返回足够的状态字节就关闭了连接
+  const onClosed = () => {
+    finish(new Error(`打印机未返回状态即关闭连接: ${host}:${port}（收到 ${received.length}/${expectedBytes} 字节）`));
+  };
+  socket.once('end', onClosed);
+  socket.once('close', onClosed);
+});
+
+/**
+ * 设置串口参数（仅 Linux 的 /dev/tty* 设备，其他设备无需设置）
+ * @param {string} devicePath - 设备路径
+ * @param {number} baudrate - 波特率
+ * @returns {Promise<void>}
+ */
+const configureSerialPort = (devicePath, baudrate) => new Promise((resolve) => {
+  if (process.platform !== 'linux' || !devicePath.startsWith('/dev/tty')) {
+    return resolve();
+  }
+  execFile('stty', ['-F', devicePath, String(baudrate), 'raw', '-echo'], (error) => {
+    if (error) {
+      printerLogger.warn('设置串口参数失败，将使用设备当前参数', { devicePath, baudrate, error: error.message });
+    }
+    resolve();
+  });
+});
+
+/**
+ * 创建 ESC/POS 打印机驱动
+ * portType 为 TCP 时 portName 为打印机 IP（端口为 tcpPort），为 DEVICE 时 portName 为设备路径
+ * @param {string} printerName - 打印机名称
+ * @param {Object} config - 打印机配置
+ * @returns {Object} 打印机驱动
+ */
+function createEscposDriver(printerName, config) {
+  const isTcp = config.portType.toUpperCase() === 'TCP';
+  let chunks = [];
+  let serialConfigured = false;
+
+  const push = (...bytes) => {
+    chunks.push(Buffer.from(bytes));
+    return true;
+  };
+
+  const driver = {
+    type: 'escpos',
+    isAvailable: () => true,
+
+    /**
+     * 检查打印机是否可以连接（网络打印机每次打印时再建立连接）
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async open() {
+      if (!config.portName) {
+        printerLogger.error('ESC/POS 打印机需要配置 portName（TCP 为 IP 地址，DEVICE 为设备路径）', { printerName });
+        return false;
+      }
+      if (isTcp) {
+        return true;
+      }
+
+      try {
+        await fs.promises.access(config.portName, fs.constants.W_OK);
+      } catch (error) {
+        printerLogger.error('无法写入打印机设备', {
+          printerName,
+          devicePath: config.portName,
+          error: error.message
+        });
+        return false;
+      }
+      if (!serialConfigured) {
+        await configureSerialPort(config.portName, config.baudrate);
+        serialConfigured = true;
+      }
+      return true;
+    },
+
+    async close() {
+      chunks = [];
+      return true;
+    },
+
+    /**
+     * 开始一次打印：清空缓冲区并初始化打印机
+     */
+    beginJob() {
+      chunks = [];
+      push(ESC, 0x40);
+    },
+
+    /**
+     * 结束一次打印：把缓冲区中的指令一次性发送到打印机
+     * @returns {Promise<void>}
+     */
+    async endJob() {
+      const data = Buffer.concat(chunks);
+      chunks = [];
+      if (isTcp) {
+        await sendToSocket(config.portName, config.tcpPort, data);
+      } else {
+        await fs.promises.writeFile(config.portName, data);
+      }
+    },
+
+    align: (align) => push(ESC, 0x61, align),
+
+    /**
+     * 打印文本（参数与 DLL 的 Pos_Text 一致）
+     * @param {string} text - 要打印的文本
+     * @param {number} encoding - 编码类型：0=GBK, 1=UTF-8, 3=BIG-5, 4=SHIFT-JIS, 5=EUC-KR
+     * @param {number} position - 位置：-1=左对齐，-2=居中，-3=右对齐，>=0 从第 n 点开始
+     * @param {number} widthTimes - 宽度倍数 [0,7]
+     * @param {number} heightTimes - 高度倍数 [0,7]
+     * @param {number} fontType - 字体类型：0=12*24，1=9*17
+     * @param {number} fontStyle - 字体样式：0x08 加粗，0x80/0x100 下划线，0x200 倒置，0x400 反显
+     * @returns {boolean} 是否成功
+     */
+    text(text, encoding, position, widthTimes, heightTimes, fontType, fontStyle) {
+      if (position >= 0) {
+        push(ESC, 0x24, position & 0xff, (position >> 8) & 0xff);
+      } else if (position >= -3) {
+        push(ESC, 0x61, -position - 1);
+      }
+      push(ESC, 0x4d, fontType ? 1 : 0);
+      push(GS, 0x21, (clampTimes(widthTimes) << 4) | clampTimes(heightTimes));
+      push(ESC, 0x45, fontStyle & 0x08 ? 1 : 0);
+      push(ESC, 0x2d, fontStyle & 0x100 ? 2 : (fontStyle & 0x80 ? 1 : 0));
+      push(ESC, 0x7b, fontStyle & 0x200 ? 1 : 0);
+      push(GS, 0x42, fontStyle & 0x400 ? 1 : 0);
+
+      const encoded = iconv.encode(String(text || ''), TEXT_ENCODINGS[encoding] || 'gbk');
+      // 含双字节字符时切换到汉字模式
+      const hasMultiByte = encoded.some(byte => byte > 0x7f);
+      if (hasMultiByte) {
+        push(FS, 0x26);
+      }
+      chunks.push(encoded);
+      if (hasMultiByte) {
+        push(FS, 0x2e);
+      }
+
+      // 恢复默认样式，避免影响后续内容
+      push(GS, 0x21, 0);
+      push(ESC, 0x45, 0);
+      push(ESC, 0x2d, 0);
+      push(ESC, 0x7b, 0);
+      push(GS, 0x42, 0);
+      return true;
+    },
+
+    /**
+     * 打印二维码（GS ( k，模型 2）
+     * @param {string} data - 二维码内容
+     * @param {number} moduleSize - 单元大小 [1,16]
+     * @param {number} errorLevel - 纠错等级 [1,4]（L/M/Q/H）
+     * @returns {boolean} 是否成功
+     */
+    qrcode(data, moduleSize, errorLevel) {
+      const content = iconv.encode(String(data || ''), 'utf8');
+      const storeLength = content.length + 3;
+      push(GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00);
+      push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, Math.min(16, Math.max(1, moduleSize)));
+      push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x30 + Math.min(3, Math.max(0, errorLevel - 1)));
+      push(GS, 0x28, 0x6b, storeLength & 0xff, (storeLength >> 8) & 0xff, 0x31, 0x50, 0x30);
+      chunks.push(content);
+      return push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30);
+    },
+
+    /**
+     * 打印 CODE128 条码（GS k，不打印可读字符）
+     * @param {string} data - 条码内容（ASCII）
+     * @param {number} position - 位置：-1=左对齐，-2=居中，-3=右对齐
+     * @param {number} unitWidth - 单元宽度 [1,6]
+     * @param {number} height - 条码高度（点）[1,255]
+     * @returns {boolean} 是否成功
+     */
+    barcode(data, position, unitWidth, height) {
+      const content = encodeCode128(String(data || ''));
+      if (position >= -3 && position < 0) {
+        push(ESC, 0x61, -position - 1);
+      }
+      push(GS, 0x48, 0x00);
+      push(GS, 0x77, Math.min(6, Math.max(1, unitWidth)));
+      push(GS, 0x68, Math.min(255, Math.max(1, height)));
+      push(GS, 0x6b, 0x49, content.length);
+      chunks.push(content);
+      return true;
+    },
+
+    feedLine: () => push(LF),
+    feedLines: (lines) => push(ESC, 0x64, Math.min(255, Math.max(0, lines))),
+    cut: () => push(GS, 0x56, 0x00),
+    reset: () => push(ESC, 0x40),
+    // GS ( A：打印自检页
+    selfTest: () => push(GS, 0x28, 0x41, 0x02, 0x00, 0x00, 0x02),
+
+    /**
+     * 查询打印机状态（只支持网络打印机；1=正常，-1=脱机，-2=上盖打开，-3=缺纸，-6=查询失败，-999=未连接）
+     * @returns {Promise<number>} 状态码
+     */
+    async queryStatus() {
+      if (!isTcp) {
+        return -6;
+      }
+      try {
+        // DLE EOT 1/2/4：打印机状态、脱机原因、纸张传感器状态
+        const status = await querySocket(
+          config.portName,
+          config.tcpPort,
+          Buffer.from([DLE, 0x04, 1, DLE, 0x04, 2, DLE, 0x04, 4]),
+          3
+        );
+        const [printerStatus, offlineStatus, paperStatus] = status;
+        if ((paperStatus & 0x60) === 0x60 || (offlineStatus & 0x20)) {
+          return -3;
+        }
+        if (offlineStatus & 0x04) {
+          return -2;
+        }
+        if (printerStatus & 0x08) {
+          return -1;
+        }
+        return 1;
+      } catch (error) {
+        printerLogger.debug('查询 ESC/POS 打印机状态失败', { printerName, error: error.message });
+        // 连接失败视为未连接；能连接但没有返回状态（打印机不支持实时状态查询）视为查询失败
+        return error.code ? -999 : -6;
+      }
+    }
+  };
+
+  return driver;
+}
+
+module.exports = { createEscposDriver };
@@ -0,0 +1,108 @@
+/**
+ * 文件（虚拟）打印机驱动
+ * 将打印内容渲染为纯文本追加写入文件，用于没有打印机的开发环境或检查小票排版
+ */
+
+const fs = require('fs');
+const path = require('path');
+const printerLogger = require('../../utils/printerLogger');
+const { getDatabasePath } = require('../../utils/getDatabasePath');
+const { formatDateTime } = require('../../utils/dateTime');
+const { createTextRenderer } = require('./textRenderer');
+
+// 渲染宽度：80mm 纸标准字体每行 48 个 ASCII 字符
+const LINE_WIDTH = 48;
+
+/**
+ * 获取输出文件路径：portName 为文件路径（相对路径按当前工作目录解析），
+ * 未配置时输出到数据库同目录下的 printer-<打印机名称>.txt
+ * @param {string} printerName - 打印机名称
+ * @param {Object} config - 打印机配置
+ * @returns {string} 文件路径
+ */
+function getOutputPath(printerName, config) {
+  if (config.portName) {
+    return path.resolve(config.portName);
+  }
+  return path.join(path.dirname(getDatabasePath()), `printer-${printerName}.txt`);
+}
+
+/**
+ * 创建文件打印机驱动
+ * @param {string} printerName - 打印机名称
+ * @param {Object} config - 打印机配置
+ * @returns {Object} 打印机驱动
+ */
+function createFileDriver(printerName, config) {
+  const outputPath = getOutputPath(printerName, config);
+  const renderer = createTextRenderer();
+
+  const driver = {
+    type: 'file',
+    isAvailable: () => true,
+
+    /**
+     * 确保输出目录存在
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async open() {
+      try {
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        return true;
+      } catch (error) {
+        printerLogger.error('创建打印输出目录失败', { printerName, outputPath, error: error.message });
+        return false;
+      }
+    },
+
+    async close() {
+      return true;
+    },
+
+    /**
+     * 开始一次打印：写入分隔标题，便于区分每张小票
+     */
+    beginJob() {
+      renderer.clear();
+      renderer.addRawLine(`===== ${printerName} ${formatDateTime(new Date())} =====`);
+    },
+
+    /**
+     * 结束一次打印：把渲染好的内容追加到输出文件
+     * @returns {Promise<void>}
+     */
+    async endJob() {
+      const content = renderer.toText(LINE_WIDTH) + '\n\n';
+      renderer.clear();
+      await fs.promises.appendFile(outputPath, content, 'utf8');
+      printerLogger.debug('打印内容已写入文件', { printerName, outputPath });
+    },
+
+    // 排版调用交给渲染器记录（放大倍数和字体样式在文本输出中忽略）
+    align: (align) => renderer.align(align),
+    text: (...args) => renderer.text(...args),
+    feedLine: () => renderer.feedLine(),
+    feedLines: (count) => renderer.feedLines(count),
+    qrcode: (data) => renderer.qrcode(data),
+    barcode: (data) => renderer.barcode(data),
+    cut: () => renderer.cut(),
+    reset: () => renderer.reset(),
+
+    selfTest() {
+      renderer.addRawLine(`[自检页] ${printerName} -> ${outputPath}`);
+      return true;
+    },
+
+    /**
+     * 文件打印机始终就绪
+     * @returns {Promise<number>} 状态码 1=正常
+     */
+    async queryStatus() {
+      return 1;
+    }
+  };
+
+  return driver;
+}
+
+module.exports = { createFileDriver };
@@ -0,0 +1,62 @@
+/**
+ * 打印机驱动
+ * 按打印机配置的 portType 选择驱动：
+ * - USB / COM / LPT / PRN：厂商 DLL（仅 Windows）
+ * - TCP / DEVICE：直接发送 ESC/POS 指令到网络打印机或设备文件
+ * - FILE：渲染为纯文本写入文件
+ *
+ * 所有驱动提供相同的接口：
+ * - isAvailable()：驱动是否可用（DLL 未加载时不可用，打印走模拟模式）
+ * - open() / close()：打开、关闭端口
+ * - beginJob() / endJob()：一次打印的开始和结束（缓冲型驱动在 endJob 时才真正发送）
+ * - align / text / feedLine / feedLines / cut / reset / selfTest：参数与 DLL 的 Pos_* 函数一致
+ * - qrcode(data, moduleSize, errorLevel) / barcode(data, position, unitWidth, height)：二维码、CODE128 条码
+ * - queryStatus()：查询状态码（1=正常，-1=脱机，-2=上盖打开，-3=缺纸，-6=查询失败，-999=未连接）
+ */
+
+const { loadDll, createDllDriver } = require('./dllDriver');
+const { createEscposDriver } = require('./escposDriver');
+const { createFileDriver } = require('./fileDriver');
+
+// 端口类型 => 驱动类型
+const DRIVER_TYPES = {
+  USB: 'dll',
+  COM: 'dll',
+  LPT: 'dll',
+  PRN: 'dll',
+  TCP: 'escpos',
+  DEVICE: 'escpos',
+  FILE: 'file'
+};
+
+const DRIVER_FACTORIES = {
+  dll: createDllDriver,
+  escpos: createEscposDriver,
+  file: createFileDriver
+};
+
+/**
+ * 获取端口类型对应的驱动类型
+ * @param {string} portType - 端口类型
+ * @returns {string|null} 驱动类型，不支持的端口类型返回 null
+ */
+function getDriverType(portType) {
+  return DRIVER_TYPES[String(portType || '').toUpperCase()] || null;
+}
+
+/**
+ * 创建打印机驱动（不支持的端口类型使用 DLL 驱动，打开端口时报错）
+ * @param {string} printerName - 打印机名称
+ * @param {Object} config - 打印机配置
+ * @returns {Object} 打印机驱动
+ */
+function createPrinterDriver(printerName, config) {
+  const factory = DRIVER_FACTORIES[getDriverType(config.portType)] || createDllDriver;
+  return factory(printerName, config);
+}
+
+module.exports = {
+  loadDll,
+  getDriverType,
+  createPrinterDriver
+};
@@ -0,0 +1,283 @@
+/**
+ * 打印内容渲染器
+ * 接收与打印机驱动相同的 align / text / feedLine 等调用，记录每行的对齐方式和文字样式，
+ * 再输出为等宽纯文本或 HTML，供文件打印机和小票预览使用
+ */
+
+const { getDisplayWidth } = require('../../utils/getDisplayWidth');
+
+// 标准字体一个 ASCII 字符的宽度（点），用于换算 Pos_Text 的绝对位置
+const DOTS_PER_CHAR = 12;
+
+// 对齐方式：0=左，1=居中，2=右
+const ALIGN_CENTER = 1;
+const ALIGN_RIGHT = 2;
+
+const HTML_ALIGNS = ['left', 'center', 'right'];
+
+const FONT_BOLD = 0x08;
+const FONT_UNDERLINE = 0x80 | 0x100;
+
+/**
+ * 换算字符放大倍数（打印机按整数处理：0=正常，1=2倍……）
+ * @param {number} times - Pos_Text 的放大倍数参数
+ * @returns {number} 实际倍数
+ */
+const toScale = (times) => Math.min(7, Math.max(0, Math.trunc(Number(times) || 0))) + 1;
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 生成切纸线
+ * @param {number} lineWidth - 行宽
+ * @returns {string}
+ */
+const cutLine = (lineWidth) => '- '.repeat(Math.floor(lineWidth / 2) - 1) + '8<';
+
+// 二维码/条码在文本输出中的标记
+const CODE_LABELS = {
+  qrcode: 'QR',
+  barcode: 'CODE128'
+};
+
+/**
+ * 创建打印内容渲染器
+ * @returns {Object} 渲染器
+ */
+function createTextRenderer() {
+  let lines = [];
+  let current = null;
+  let defaultAlign = 0;
+
+  const flushLine = () => {
+    const line = current || { align: null, segments: [] };
+    lines.push({ align: line.align !== null ? line.align : defaultAlign, segments: line.segments });
+    current = null;
+  };
+
+  const renderer = {
+    align(align) {
+      defaultAlign = align;
+      return true;
+    },
+
+    /**
+     * 添加文本（参数与 DLL 的 Pos_Text 一致）
+     * @param {string} text - 文本
+     * @param {number} encoding - 编码类型（渲染时忽略）
+     * @param {number} position - 位置：-1=左对齐，-2=居中，-3=右对齐，>=0 从第 n 点开始
+     * @param {number} widthTimes - 宽度倍数
+     * @param {number} heightTimes - 高度倍数
+     * @param {number} fontType - 字体类型（渲染时忽略）
+     * @param {number} fontStyle - 字体样式
+     * @returns {boolean}
+     */
+    text(text, encoding, position, widthTimes, heightTimes, fontType, fontStyle) {
+      if (!current) {
+        current = { align: null, segments: [] };
+      }
+      if (position >= -3 && position < 0 && current.segments.length === 0) {
+        current.align = -position - 1;
+      }
+      current.segments.push({
+        text: String(text || ''),
+        column: position >= 0 ? Math.floor(position / DOTS_PER_CHAR) : null,
+        widthScale: toScale(widthTimes),
+        heightScale: toScale(heightTimes),
+        bold: Boolean(fontStyle & FONT_BOLD),
+        underline: Boolean(fontStyle & FONT_UNDERLINE)
+      });
+      return true;
+    },
+
+    feedLine() {
+      flushLine();
+      return true;
+    },
+
+    /**
+     * 添加二维码（渲染为占位图形，不生成真实图案）
+     * @param {string} data - 二维码内容
+     * @returns {boolean}
+     */
+    qrcode(data) {
+      if (current) {
+        flushLine();
+      }
+      lines.push({ align: defaultAlign, code: { type: 'qrcode', data: String(data || '') } });
+      return true;
+    },
+
+    /**
+     * 添加条码（渲染为占位图形，不生成真实图案）
+     * @param {string} data - 条码内容
+     * @returns {boolean}
+     */
+    barcode(data) {
+      if (current) {
+        flushLine();
+      }
+      lines.push({ align: defaultAlign, code: { type: 'barcode', data: String(data || '') } });
+      return true;
+    },
+
+    feedLines(count) {
+      for (let i = 0; i < count; i++) {
+        flushLine();
+      }
+      return true;
+    },
+
+    cut() {
+      if (current) {
+        flushLine();
+      }
+      lines.push({ cut: true });
+      return true;
+    },
+
+    reset() {
+      defaultAlign = 0;
+      return true;
+    },
+
+    /**
+     * 添加一行原样输出的文字（如文件打印机的分隔标题）
+     * @param {string} text - 文本
+     */
+    addRawLine(text) {
+      if (current) {
+        flushLine();
+      }
+      lines.push({ align: 0, segments: [{ text, column: null, widthScale: 1, heightScale: 1, bold: false, underline: false }] });
+    },
+
+    /**
+     * 清空已记录的内容
+     */
+    clear() {
+      lines = [];
+      current = null;
+      defaultAlign = 0;
+    },
+
+    /**
+     * 输出为等宽纯文本（中文占 2 个字符宽度；放大倍数和字体样式在纯文本中忽略）
+     * @param {number} lineWidth - 行宽（ASCII 字符数）
+     * @returns {string}
+     */
+    toText(lineWidth) {
+      if (current) {
+        flushLine();
+      }
+      return lines.map((line) => {
+        if (line.cut) {
+          return cutLine(lineWidth);
+        }
+        let content = '';
+        if (line.code) {
+          content = `[${CODE_LABELS[line.code.type]}] ${line.code.data}`;
+        } else {
+          line.segments.forEach((segment) => {
+            if (segment.column !== null) {
+              content += ' '.repeat(Math.max(0, segment.column - getDisplayWidth(content)));
+            }
+            content += segment.text;
+          });
+        }
+        if (!content) {
+          return '';
+        }
+        const padding = Math.max(0, lineWidth - getDisplayWidth(content));
+        if (line.align === ALIGN_CENTER) {
+          return ' '.repeat(Math.floor(padding / 2)) + content;
+        }
+        if (line.align === ALIGN_RIGHT) {
+          return ' '.repeat(padding) + content;
+        }
+        return content;
+      }).join('\n');
+    },
+
+    /**
+     * 输出为 HTML 页面（纸宽按行宽的等宽字符计算，保留放大、加粗和下划线，超出纸宽时自动换行）
+     * @param {number} lineWidth - 行宽（ASCII 字符数）
+     * @param {string} title - 页面标题
+     * @returns {string}
+     */
+    toHtml(lineWidth, title = '') {
+      if (current) {
+        flushLine();
+      }
+      const body = lines.map((line) => {
+        if (line.cut) {
+          return '<div class="cut"></div>';
+        }
+        if (line.code) {
+          return `<div class="code ${line.code.type} ${HTML_ALIGNS[line.align] || 'left'}"><div class="symbol"></div>`
+            + `<div class="code-text">${escapeHtml(line.code.data)}</div></div>`;
+        }
+        let width = 0;
+        const segments = line.segments.map((segment) => {
+          let html = '';
+          if (segment.column !== null && segment.column > width) {
+            html += ' '.repeat(segment.column - width);
+            width = segment.column;
+          }
+          width += getDisplayWidth(segment.text) * segment.widthScale;
+          const classes = [segment.bold ? 'b' : '', segment.underline ? 'u' : ''].filter(Boolean).join(' ');
+          const style = segment.widthScale > 1 || segment.heightScale > 1
+            ? ` style="font-size:${segment.widthScale}em;line-height:${segment.heightScale * 1.4 / segment.widthScale}"`
+            : '';
+          return `${html}<span${classes ? ` class="${classes}"` : ''}${style}>${escapeHtml(segment.text)}</span>`;
+        }).join('');
+        return `<div class="line" style="text-align:${HTML_ALIGNS[line.align] || 'left'}">${segments}</div>`;
+      }).join(''); // .receipt 保留空白，行之间不能有换行符
+
+      return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>',
+        'body { margin: 0; padding: 16px; background: #eee; }',
+        `.receipt { width: ${lineWidth}ch; margin: 0 auto; padding: 12px; background: #fff; color: #000;`,
+        '  font-family: "MingLiU", "SimSun", "Noto Sans Mono CJK TC", monospace; font-size: 14px; line-height: 1.4;',
+        '  white-space: pre-wrap; word-break: break-all; }',
+        '.line { min-height: 1.4em; }',
+        '.cut { border-top: 1px dashed #999; margin: 8px -12px; }',
+        '.code { margin: 4px 0; display: flex; flex-direction: column; align-items: flex-start; }',
+        '.code.center { align-items: center; }',
+        '.code.right { align-items: flex-end; }',
+        '.code .symbol { border: 1px solid #000; }',
+        '.qrcode .symbol { width: 7em; height: 7em;',
+        '  background: repeating-conic-gradient(#000 0 25%, #fff 0 50%) 0 0 / 1em 1em; }',
+        '.barcode .symbol { width: 70%; height: 3em;',
+        '  background: repeating-linear-gradient(90deg, #000 0 2px, #fff 2px 3px, #000 3px 4px, #fff 4px 7px); }',
+        '.code-text { font-size: 10px; }',
+        '.b { font-weight: bold; }',
+        '.u { text-decoration: underline; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<div class="receipt">${body}</div>`,
+        '</body>',
+        '</html>'
+      ].join('\n');
+    }
+  };
+
+  return renderer;
+}
+
+module.exports = { createTextRenderer };
@@ -0,0 +1,199 @@
+/**
+ * 打印机状态监控服务
+ * 后台定时查询所有已配置打印机的状态，状态变化时写入 printer_status_events 表；
+ * 顾客小票打印机缺纸、脱机等无法出票时暂停接单，避免顾客付款后拿不到号码
+ */
+
+const printerService = require('./printerService');
+const printQueueService = require('./printQueueService');
+const printerLogger = require('../utils/printerLogger');
+const logger = require('../utils/logger');
+const { PrinterStatusEvent } = require('../models');
+
+// 后台查询状态的间隔
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// 顾客小票打印机处于这些状态时暂停接单：脱机、上盖打开、缺纸、未连接
+const OUT_OF_SERVICE_CODES = [-1, -2, -3, -999];
+
+// 接口返回的最近状态变化条数
+const RECENT_EVENTS_LIMIT = 20;
+
+// 默认的顾客小票打印机名称
+const { RECEIPT_PRINTER } = printerService;
+
+const statuses = {}; // 打印机名称 => 最近一次查询结果
+let pollTimer = null;
+let pollPromise = null;
+
+/**
+ * 状态码是否表示无法出票
+ * @param {number|null} code - 状态码
+ * @returns {boolean}
+ */
+const isOutOfServiceCode = (code) => OUT_OF_SERVICE_CODES.includes(code);
+
+/**
+ * 记录状态变化
+ * @param {string} printerName - 打印机名称
+ * @param {number} code - 新状态码
+ * @param {string} statusText - 新状态描述
+ * @param {number|null} previousCode - 变化前的状态码
+ * @returns {Promise<void>}
+ */
+const recordStatusChange = async (printerName, code, statusText, previousCode) => {
+  const logData = { printerName, status: statusText, code, previousCode };
+  if (isOutOfServiceCode(code)) {
+    printerLogger.warn(printerName === RECEIPT_PRINTER ? '小票打印机无法出票，暂停接单' : '打印机状态异常', logData);
+  } else if (isOutOfServiceCode(previousCode)) {
+    printerLogger.info('打印机已恢复', logData);
+  } else {
+    printerLogger.info('打印机状态变化', logData);
+  }
+
+  try {
+    await PrinterStatusEvent.create({
+      printer_name: printerName,
+      status_code: code,
+      status_text: statusText,
+      previous_status_code: previousCode
+    });
+  } catch (error) {
+    logger.error('记录打印机状态变化失败:', error);
+  }
+};
+
+/**
+ * 查询一台打印机的状态并记录变化（模拟打印的打印机不查询）
+ * @param {string} printerName - 打印机名称
+ * @returns {Promise<void>}
+ */
+const pollPrinter = async (printerName) => {
+  const previous = statuses[printerName];
+  const now = new Date();
+
+  if (printerService.isSimulated(printerName)) {
+    statuses[printerName] = {
+      code: null,
+      status: '模拟打印',
+      simulated: true,
+      checkedAt: now,
+      changedAt: previous && previous.simulated ? previous.changedAt : now
+    };
+    return;
+  }
+
+  const { status, error: code } = await printerService.queryPrinterStatus(printerName);
+  const previousCode = previous && !previous.simulated ? previous.code : null;
+  const changed = !previous || previous.simulated || previous.code !== code;
+
+  statuses[printerName] = {
+    code,
+    status,
+    simulated: false,
+    checkedAt: now,
+    changedAt: changed ? now : previous.changedAt
+  };
+
+  if (changed) {
+    await recordStatusChange(printerName, code, status, previousCode);
+  }
+};
+
+/**
+ * 查询所有打印机的状态（与各打印机的打印排队执行，避免在打印过程中查询；正在查询时复用同一次查询）
+ * @returns {Promise<void>}
+ */
+const pollAll = () => {
+  if (!pollPromise) {
+    const printerNames = Object.keys(printerService.getConfig().printers);
+    pollPromise = Promise.all(printerNames.map(printerName =>
+      printQueueService.runExclusive(printerName, () => pollPrinter(printerName)).catch(error => {
+        printerLogger.error('查询打印机状态失败', { printerName, error: error.message });
+      })
+    )).finally(() => {
+      pollPromise = null;
+    });
+  }
+  return pollPromise;
+};
+
+/**
+ * 顾客小票打印机是否暂停服务（缺纸、脱机、上盖打开或未连接）
+ * 尚未查询过或模拟打印时视为正常
+ * @param {string} printerName - 打印机名称（默认为 receipt，终端可指定其他打印机）
+ * @returns {boolean}
+ */
+const isReceiptPrinterOutOfService = (printerName = RECEIPT_PRINTER) => {
+  const receiptStatus = statuses[printerName];
+  return Boolean(receiptStatus && !receiptStatus.simulated && isOutOfServiceCode(receiptStatus.code));
+};
+
+/**
+ * 获取所有打印机的当前状态和最近的状态变化
+ * @param {Object} options - 选项
+ * @param {boolean} options.refresh - 是否立即重新查询（否则返回后台最近一次查询的结果）
+ * @param {string} options.receiptPrinter - 请求终端使用的小票打印机（默认为 receipt），acceptingOrders 按此打印机判断
+ * @returns {Promise<Object>} 打印机状态
+ */
+const getPrinterStatus = async (options = {}) => {
+  const receiptPrinter = options.receiptPrinter || RECEIPT_PRINTER;
+  if (options.refresh || !statuses[receiptPrinter]) {
+    await pollAll();
+  }
+
+  const recentEvents = await PrinterStatusEvent.findAll({
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: RECENT_EVENTS_LIMIT
+  });
+
+  return {
+    acceptingOrders: !isReceiptPrinterOutOfService(receiptPrinter),
+    receiptPrinter,
+    printers: Object.keys(statuses).map(printerName => ({
+      name: printerName,
+      ...statuses[printerName],
+      outOfService: !statuses[printerName].simulated && isOutOfServiceCode(statuses[printerName].code)
+    })),
+    recentEvents: recentEvents.map(event => ({
+      id: event.id,
+      printerName: event.printer_name,
+      code: event.status_code,
+      status: event.status_text,
+      previousCode: event.previous_status_code,
+      createdAt: event.created_at
+    }))
+  };
+};
+
+/**
+ * 启动后台状态查询
+ * 首次查询在后台进行，不等待结果，避免某台打印机无响应时推迟服务器启动
+ */
+const startMonitor = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollAll().catch(error => logger.error('查询打印机状态失败:', error));
+  pollTimer = setInterval(pollAll, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  logger.info('打印机状态监控已启动');
+};
+
+/**
+ * 停止后台状态查询
+ */
+const stopMonitor = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  getPrinterStatus,
+  isReceiptPrinterOutOfService,
+  startMonitor,
+  stopMonitor
+};
@@ -0,0 +1,839 @@
+/**
+ * 小票排版模块
+ * 根据订单数据和小票模板（Settings 中的 receipt_template）生成打印指令列表，
+ * 厨房单、退款单、付款单和日结报表等固定格式的单据也在这里排版（共用列宽、对齐和截断）；
+ * 由 printerService.executeCommands 发送到打印机；排版本身不访问打印机，便于预览和测试
+ *
+ * 打印指令：
+ * - { op: 'align', align }：对齐方式（0=左，1=居中，2=右）
+ * - { op: 'text', text, encoding, position, widthTimes, heightTimes, fontType, fontStyle }：参数与 Pos_Text 一致
+ * - { op: 'feedLine' }：换行
+ * - { op: 'feedLines', lines }：进纸 n 行
+ * - { op: 'qrcode', data, moduleSize, errorLevel }：二维码
+ * - { op: 'barcode', data, position, unitWidth, height }：CODE128 条码
+ * - { op: 'cut' }：切纸
+ */
+
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const { getDisplayWidth } = require('../utils/getDisplayWidth');
+
+// 小票模板在 Settings 中的键名
+const RECEIPT_TEMPLATE_SETTING = 'receipt_template';
+
+// 语言模式：bilingual=中英对照，zh=只显示中文，en=只显示英文
+const LANGUAGE_MODES = ['bilingual', 'zh', 'en'];
+
+// 订单编号码：qrcode=二维码，barcode=CODE128 条码，none=不打印（扫码后可通过 /orders/lookup 查询订单）
+const ORDER_CODE_TYPES = ['qrcode', 'barcode', 'none'];
+
+// 繁体中文固定使用 BIG-5 编码
+const TRADITIONAL_CHINESE_ENCODING = 3;
+
+// 表格/时间/交易号等区域的字号倍数
+const NORMAL_SIZE = 0.9;
+// "您的號碼"、重印标记的字号倍数
+const LABEL_SIZE = 0.7;
+// 序号数字字号倍数
+const SEQ_NUMBER_SIZE = 1.0;
+// 支付金额行字号倍数
+const PAY_AMOUNT_SIZE = 1.5;
+
+const FONT_BOLD = 0x08;
+
+// 截断文本时的省略号
+const ELLIPSIS = '…';
+
+// 二维码单元大小（点）和纠错等级（2=M）
+const QR_MODULE_SIZE = 5;
+const QR_ERROR_LEVEL = 2;
+// 条码高度（点）
+const BARCODE_HEIGHT = 60;
+
+// 支付类型标签列宽（显示宽度）
+const PAY_LABEL_WIDTH = 12;
+
+// 固定格式单据的行宽、标题字号和明细列宽（名称 28 + 数量 6 + 金额 14 = 48）
+const SLIP_LINE_WIDTH = 48;
+const SLIP_TITLE_SIZE = 1.0;
+const SLIP_COLUMNS = {
+  name: 28,
+  count: 6,
+  amount: 14
+};
+
+// 厨房单字符放大倍数：0=正常，1=2倍，3=4倍
+const KITCHEN_NORMAL_SIZE = 0;
+const KITCHEN_ITEM_SIZE = 1;
+const KITCHEN_NUMBER_SIZE = 3;
+
+// 页眉、页脚最多行数
+const MAX_TEMPLATE_LINES = 10;
+
+// 默认模板：与改为模板前的固定排版一致，另在页脚前打印订单编号二维码
+const DEFAULT_RECEIPT_TEMPLATE = {
+  languageMode: 'bilingual',
+  // 行宽（ASCII 字符数）：80mm 纸约 48，58mm 纸约 32
+  lineWidth: 48,
+  // 店铺名称下方的附加行（如地址、电话）
+  headerLines: [],
+  // 小票末尾的提示信息
+  footerLines: ['感謝您的惠顧', 'Thank You!'],
+  // 订单编号码类型（见 ORDER_CODE_TYPES）
+  orderCode: 'qrcode',
+  // 是否显示各字段
+  fields: {
+    storeName: true,
+    ticketNumber: true,
+    storeNumber: true,
+    terminalName: true,
+    orderType: true,
+    orderTime: true,
+    orderNumber: true,
+    itemOptions: true,
+    paymentType: true,
+    payAmount: true
+  },
+  // 明细表格列宽（ASCII 字符数），单价列为 0 时不显示
+  columns: {
+    name: 16,
+    quantity: 8,
+    price: 10,
+    amount: 14
+  }
+};
+
+/**
+ * 深拷贝默认模板
+ * @returns {Object}
+ */
+const getDefaultReceiptTemplate = () => JSON.parse(JSON.stringify(DEFAULT_RECEIPT_TEMPLATE));
+
+/**
+ * 校验页眉/页脚行
+ * @param {any} lines - 行数组
+ * @param {string} fieldName - 字段名（用于错误信息）
+ * @returns {string[]}
+ */
+const normalizeLines = (lines, fieldName) => {
+  if (!Array.isArray(lines) || lines.some(line => typeof line !== 'string')) {
+    throw createHttpError(`小票模板 ${fieldName} 必须是字符串数组`, 400);
+  }
+  if (lines.length > MAX_TEMPLATE_LINES) {
+    throw createHttpError(`小票模板 ${fieldName} 最多 ${MAX_TEMPLATE_LINES} 行`, 400);
+  }
+  return lines.slice();
+};
+
+/**
+ * 校验小票模板并补全未填写的字段
+ * @param {Object|string|null} template - 小票模板（可为 JSON 字符串），为空时返回默认模板
+ * @returns {Object} 完整的小票模板
+ */
+const normalizeReceiptTemplate = (template) => {
+  const defaults = getDefaultReceiptTemplate();
+  if (template === null || template === undefined || template === '') {
+    return defaults;
+  }
+
+  let source = template;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (e) {
+      throw createHttpError('小票模板不是有效的 JSON', 400);
+    }
+  }
+  if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+    throw createHttpError('小票模板必须是对象', 400);
+  }
+
+  const languageMode = source.languageMode !== undefined ? source.languageMode : defaults.languageMode;
+  if (!LANGUAGE_MODES.includes(languageMode)) {
+    throw createHttpError(`小票模板 languageMode 必须是 ${LANGUAGE_MODES.join('/')} 之一`, 400);
+  }
+
+  const lineWidth = source.lineWidth !== undefined ? source.lineWidth : defaults.lineWidth;
+  if (!Number.isInteger(lineWidth) || lineWidth < 24 || lineWidth > 64) {
+    throw createHttpError('小票模板 lineWidth 必须是 24-64 之间的整数', 400);
+  }
+
+  const orderCode = source.orderCode !== undefined ? source.orderCode : defaults.orderCode;
+  if (!ORDER_CODE_TYPES.includes(orderCode)) {
+    throw createHttpError(`小票模板 orderCode 必须是 ${ORDER_CODE_TYPES.join('/')} 之一`, 400);
+  }
+
+  const fields = { ...defaults.fields };
+  Object.entries(source.fields || {}).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      throw createHttpError(`小票模板 fields 不支持字段: ${key}`, 400);
+    }
+    if (typeof value !== 'boolean') {
+      throw createHttpError(`小票模板 fields.${key} 必须是布尔值`, 400);
+    }
+    fields[key] = value;
+  });
+
+  const columns = { ...defaults.columns };
+  Object.entries(source.columns || {}).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(columns, key)) {
+      throw createHttpError(`小票模板 columns 不支持字段: ${key}`, 400);
+    }
+    const minWidth = key === 'price' ? 0 : 1;
+    if (!Number.isInteger(value) || value < minWidth) {
+      throw createHttpError(`小票模板 columns.${key} 必须是不小于 ${minWidth} 的整数`, 400);
+    }
+    columns[key] = value;
+  });
+  const totalColumnWidth = Object.values(columns).reduce((sum, width) => sum + width, 0);
+  if (totalColumnWidth > lineWidth) {
+    throw createHttpError(`小票模板列宽合计 ${totalColumnWidth} 超过行宽 ${lineWidth}`, 400);
+  }
+
+  return {
+    languageMode,
+    lineWidth,
+    headerLines: source.headerLines !== undefined ? normalizeLines(source.headerLines, 'headerLines') : defaults.headerLines,
+    footerLines: source.footerLines !== undefined ? normalizeLines(source.footerLines, 'footerLines') : defaults.footerLines,
+    orderCode,
+    fields,
+    columns
+  };
+};
+
+/**
+ * 读取 Settings 中的小票模板（模板无效时记录警告并使用默认模板，避免影响出票）
+ * @returns {Promise<Object>} 完整的小票模板
+ */
+const getReceiptTemplate = async () => {
+  try {
+    const template = await getSettingValue(RECEIPT_TEMPLATE_SETTING, null);
+    return normalizeReceiptTemplate(template);
+  } catch (error) {
+    logger.warn('读取小票模板失败，将使用默认模板', { error: error.message });
+    return getDefaultReceiptTemplate();
+  }
+};
+
+/**
+ * 按显示宽度截断文本（中文字符占 2 个宽度），超出时以省略号结尾
+ * @param {string} text - 文本
+ * @param {number} maxWidth - 最大显示宽度（ASCII 字符数）
+ * @returns {string}
+ */
+const truncateText = (text, maxWidth) => {
+  if (!text) return '';
+  const str = String(text);
+  if (getDisplayWidth(str) <= maxWidth) {
+    return str;
+  }
+  let result = '';
+  for (const char of str) {
+    if (getDisplayWidth(result + char + ELLIPSIS) > maxWidth) {
+      break;
+    }
+    result += char;
+  }
+  return result + ELLIPSIS;
+};
+
+// 左对齐格式化（考虑中文字符宽度）
+const leftAlign = (text, targetWidth) => {
+  const padding = Math.max(0, targetWidth - getDisplayWidth(text));
+  return text + ' '.repeat(padding);
+};
+
+// 右对齐格式化（考虑中文字符宽度）
+const rightAlign = (text, targetWidth) => {
+  const padding = Math.max(0, targetWidth - getDisplayWidth(text));
+  return ' '.repeat(padding) + text;
+};
+
+// 居中对齐格式化（考虑中文字符宽度）
+const centerAlign = (text, targetWidth) => {
+  const totalPadding = Math.max(0, targetWidth - getDisplayWidth(text));
+  const leftPadding = Math.floor(totalPadding / 2);
+  return ' '.repeat(leftPadding) + text + ' '.repeat(totalPadding - leftPadding);
+};
+
+/**
+ * 根据订单数据和小票模板生成打印指令
+ * @param {Object} orderData - 订单数据（字段见 printerService.printOrderReceipt）
+ * @param {Object} template - 小票模板（未填写的字段使用默认值）
+ * @param {Object} options - 选项
+ * @param {number} options.textEncoding - 非中文内容使用的编码类型（打印机配置的 textEncoding）
+ * @returns {Array<Object>} 打印指令列表
+ */
+const buildReceiptCommands = (orderData, template, options = {}) => {
+  const {
+    order_number,
+    store_number,
+    daily_sequence,
+    order_type,
+    items,
+    total_amount,
+    total_quantity,
+    order_time,
+    store_name_zh,
+    store_name_en,
+    payment_type_zh,
+    payment_type_en,
+    terminal_name,
+    is_reprint
+  } = orderData;
+
+  const { languageMode, lineWidth, headerLines, footerLines, orderCode, fields, columns } = normalizeReceiptTemplate(template);
+  const TEXT_ENCODING = options.textEncoding !== undefined ? options.textEncoding : 0;
+  const SEPARATOR_LINE = '-'.repeat(lineWidth);
+
+  const showZh = languageMode !== 'en';
+  const showEn = languageMode !== 'zh';
+
+  // 按语言模式选择标签：中英对照时为 "中文(English)"
+  const label = (zh, en) => {
+    if (languageMode === 'zh') return zh;
+    if (languageMode === 'en') return en;
+    return `${zh}(${en})`;
+  };
+
+  // 含中文的行使用繁体中文编码，其余使用打印机配置的编码
+  const encodingFor = (text) => (/[^\x00-\x7f]/.test(text) ? TRADITIONAL_CHINESE_ENCODING : TEXT_ENCODING);
+
+  const commands = [];
+  const align = (value) => commands.push({ op: 'align', align: value });
+  const feedLine = () => commands.push({ op: 'feedLine' });
+  const text = (value, encoding, position, size, fontStyle = 0) => {
+    commands.push({
+      op: 'text',
+      text: value,
+      encoding,
+      position,
+      widthTimes: size,
+      heightTimes: size,
+      fontType: 0,
+      fontStyle
+    });
+  };
+  // 打印一行（左对齐，常规字号）
+  const line = (value, encoding = encodingFor(value), fontStyle = 0) => {
+    text(value, encoding, -1, NORMAL_SIZE, fontStyle);
+    feedLine();
+  };
+  // 打印一行（居中）
+  const centerLine = (value, size = NORMAL_SIZE, fontStyle = 0, encoding = encodingFor(value)) => {
+    text(value, encoding, -2, size, fontStyle);
+    feedLine();
+  };
+  const separator = () => line(SEPARATOR_LINE, TEXT_ENCODING);
+
+  // 明细表格：单价列宽为 0 时不显示该列
+  const buildTableRow = (name, qty, price, amount) => {
+    let row = leftAlign(name, columns.name) + centerAlign(qty, columns.quantity);
+    if (columns.price > 0) {
+      row += centerAlign(price, columns.price);
+    }
+    return row + centerAlign(amount, columns.amount);
+  };
+
+  // 1. 店铺名称、附加页眉（居中）
+  align(1);
+  if (fields.storeName) {
+    let storeNameLine = '';
+    if (languageMode === 'zh') {
+      storeNameLine = store_name_zh || store_name_en || '';
+    } else if (languageMode === 'en') {
+      storeNameLine = store_name_en || store_name_zh || '';
+    } else {
+      storeNameLine = [store_name_zh, store_name_en].filter(Boolean).join(' - ');
+    }
+    if (storeNameLine) {
+      centerLine(storeNameLine, NORMAL_SIZE, 0, TRADITIONAL_CHINESE_ENCODING);
+    }
+  }
+  headerLines.forEach(headerLine => centerLine(headerLine));
+
+  // 2. "您的號碼"、重印标记和取餐号码
+  if (fields.ticketNumber) {
+    centerLine(`***${label('您的號碼', 'Your number')}***`, LABEL_SIZE, 0, TRADITIONAL_CHINESE_ENCODING);
+  }
+  // 重印的小票标注“重印”，避免与原单混淆
+  if (is_reprint) {
+    centerLine(label('重印', 'REPRINT'), LABEL_SIZE, FONT_BOLD, TRADITIONAL_CHINESE_ENCODING);
+  }
+  // 格式：堂食=D，外卖=T，后跟4位序号（不足补0）
+  if (fields.ticketNumber && daily_sequence !== undefined && daily_sequence !== null) {
+    const orderTypeCode = order_type === 1 ? 'T' : 'D';
+    centerLine(`${orderTypeCode}${String(daily_sequence).padStart(4, '0')}`, SEQ_NUMBER_SIZE, FONT_BOLD, TEXT_ENCODING);
+  }
+
+  // 3. 店号、类型、时间、交易号
+  align(0);
+  separator();
+  const colon = languageMode === 'en' ? ': ' : '：';
+  if (fields.storeNumber) {
+    // 未传入分店编号时按默认订单编号格式取：D001... 或 T001...，第2-4位是店铺号码
+    const storeNumber = store_number || (order_number && order_number.length >= 4 ? order_number.substring(1, 4) : '001');
+    line(`${label('店號', 'Store No')}${colon}${storeNumber}`, TRADITIONAL_CHINESE_ENCODING);
+  }
+  if (fields.terminalName && terminal_name) {
+    line(truncateText(`${label('機號', 'Kiosk')}${colon}${terminal_name}`, lineWidth), TRADITIONAL_CHINESE_ENCODING);
+  }
+  if (fields.orderType) {
+    const typeText = languageMode === 'en'
+      ? (order_type === 1 ? 'Takeaway' : 'Dine-in')
+      : (order_type === 1 ? '外賣' : '堂食');
+    line(`${label('類型', 'Type')}${colon}${typeText}`, TRADITIONAL_CHINESE_ENCODING);
+  }
+  if (fields.orderTime) {
+    line(truncateText(`${label('交易時間', 'Time')}: ${order_time}`, lineWidth), TRADITIONAL_CHINESE_ENCODING);
+  }
+  if (fields.orderNumber) {
+    line(truncateText(`${label('交易號', 'TN')}: ${order_number}`, lineWidth), TRADITIONAL_CHINESE_ENCODING);
+  }
+  separator();
+
+  // 4. 表头
+  if (showZh) {
+    line(buildTableRow('品項', '數量', '單價', '小計'), TRADITIONAL_CHINESE_ENCODING, FONT_BOLD);
+  }
+  if (showEn) {
+    line(buildTableRow('Item', 'Qty', 'Unit Price', 'Amount'), TEXT_ENCODING, FONT_BOLD);
+  }
+
+  // 5. 订单明细，所选选项逐行打印在菜品下方（缩进，有加价时标注金额）
+  if (items && Array.isArray(items) && items.length > 0) {
+    items.forEach((item) => {
+      const itemName = truncateText(item.name || '', columns.name);
+      line(buildTableRow(itemName, String(item.quantity), String(item.price), String(item.subtotal)), TEXT_ENCODING);
+
+      if (fields.itemOptions) {
+        (item.options || []).forEach((option) => {
+          line(truncateText(formatOptionLine(option), lineWidth), TEXT_ENCODING);
+        });
+      }
+    });
+    feedLine();
+  }
+
+  // 6. 合计
+  separator();
+  const qtyTotal = total_quantity !== undefined && total_quantity !== null
+    ? total_quantity
+    : (items || []).reduce((sum, it) => sum + (it.quantity || 0), 0);
+  const totalLabel = languageMode === 'zh' ? '合計' : (languageMode === 'en' ? 'Total' : '合計 Total');
+  line(buildTableRow(totalLabel, String(qtyTotal), '', `HK$${total_amount}`), undefined, FONT_BOLD);
+  separator();
+
+  // 7. 支付类型（标签和值对齐为两列）
+  if (fields.paymentType) {
+    align(0);
+    feedLine();
+    const buildLabelValueLine = (labelText, value) => `${leftAlign(labelText, PAY_LABEL_WIDTH)}  ${value || ''}`;
+    if (showZh) {
+      line(buildLabelValueLine('支付類型', truncateText(payment_type_zh || '', 20)), TRADITIONAL_CHINESE_ENCODING);
+    }
+    const payTypeEn = truncateText(payment_type_en || '', 30);
+    if (showEn && payTypeEn) {
+      line(buildLabelValueLine('Payment type', payTypeEn), TEXT_ENCODING);
+    }
+    separator();
+  }
+
+  // 8. 支付金额：标签和金额在同一行左右对齐（放大、加粗）
+  if (fields.payAmount) {
+    const payAmountText = `HK$${total_amount}`;
+    const payAmountLabel = languageMode === 'en' ? 'Amount Paid' : '支付金額';
+    const spaceWidth = Math.max(1, lineWidth - getDisplayWidth(payAmountLabel) - getDisplayWidth(payAmountText));
+    text(payAmountLabel + ' '.repeat(spaceWidth) + payAmountText, TRADITIONAL_CHINESE_ENCODING, -1, PAY_AMOUNT_SIZE, FONT_BOLD);
+    feedLine();
+    separator();
+  }
+
+  // 9. 订单编号码（居中），店员扫码即可查询订单
+  if (orderCode !== 'none' && order_number) {
+    align(1);
+    feedLine();
+    if (orderCode === 'qrcode') {
+      commands.push({ op: 'qrcode', data: order_number, moduleSize: QR_MODULE_SIZE, errorLevel: QR_ERROR_LEVEL });
+    } else {
+      // 58mm 纸（行宽小于 40）使用最窄的条码单元，避免超出纸宽不打印
+      commands.push({ op: 'barcode', data: order_number, position: -2, unitWidth: lineWidth < 40 ? 1 : 2, height: BARCODE_HEIGHT });
+    }
+    feedLine();
+  }
+
+  // 10. 页脚提示信息（居中）
+  if (footerLines.length > 0) {
+    align(1);
+    feedLine();
+    footerLines.forEach(footerLine => centerLine(footerLine));
+  }
+
+  // 11. 进纸、切纸
+  commands.push({ op: 'feedLines', lines: 4 });
+  commands.push({ op: 'cut' });
+  feedLine();
+
+  return commands;
+};
+
+// 金额显示格式
+const formatAmount = (amount) => `HK$${amount}`;
+
+// 所选选项的明细行（缩进，有加价时标注金额）
+const formatOptionLine = (option) => {
+  const optionName = option.group_name ? `${option.group_name}: ${option.name}` : option.name;
+  const deltaText = option.price_delta ? ` (${option.price_delta > 0 ? '+' : '-'}$${Math.abs(option.price_delta)})` : '';
+  return `  - ${optionName}${deltaText}`;
+};
+
+/**
+ * 创建固定格式单据的指令写入器
+ * 单据内容中英混排，统一使用繁体中文编码（BIG-5 兼容 ASCII）
+ * @param {Object} options - 选项
+ * @param {number} options.normalSize - 常规字号倍数（默认与小票相同）
+ * @returns {Object} 写入方法，finish() 进纸切纸后返回指令列表
+ */
+const createSlipWriter = (options = {}) => {
+  const normalSize = options.normalSize !== undefined ? options.normalSize : NORMAL_SIZE;
+  const commands = [];
+  const align = (value) => commands.push({ op: 'align', align: value });
+  const feedLine = () => commands.push({ op: 'feedLine' });
+  const text = (value, position, size, fontStyle) => {
+    commands.push({
+      op: 'text',
+      text: value,
+      encoding: TRADITIONAL_CHINESE_ENCODING,
+      position,
+      widthTimes: size,
+      heightTimes: size,
+      fontType: 0,
+      fontStyle
+    });
+  };
+
+  // 左对齐的一行（默认常规字号）
+  const line = (value, fontStyle = 0, size = normalSize) => {
+    text(value, -1, size, fontStyle);
+    feedLine();
+  };
+  // 居中的一行
+  const centerLine = (value, size = normalSize, fontStyle = 0) => {
+    text(value, -2, size, fontStyle);
+    feedLine();
+  };
+  const separator = () => line('-'.repeat(SLIP_LINE_WIDTH));
+  // 标签左对齐、数值右对齐占满一行
+  const labelValue = (labelText, value, fontStyle = 0) => {
+    const valueText = String(value);
+    line(leftAlign(labelText, SLIP_LINE_WIDTH - getDisplayWidth(valueText)) + valueText, fontStyle);
+  };
+  // 明细行：名称 / 数量 / 金额
+  const row = (name, count, amount, fontStyle = 0) => {
+    line(
+      leftAlign(truncateText(name, SLIP_COLUMNS.name), SLIP_COLUMNS.name) +
+      rightAlign(String(count), SLIP_COLUMNS.count) +
+      rightAlign(String(amount), SLIP_COLUMNS.amount),
+      fontStyle
+    );
+  };
+  // 进纸、切纸
+  const finish = () => {
+    commands.push({ op: 'feedLines', lines: 4 });
+    commands.push({ op: 'cut' });
+    feedLine();
+    return commands;
+  };
+
+  return { commands, align, feedLine, line, centerLine, separator, labelValue, row, finish };
+};
+
+/**
+ * 打印取餐号码（堂食=D，外卖=T，后跟4位序号），没有序号时不打印
+ * @param {Object} slip - createSlipWriter 返回的写入器
+ * @param {number|null} dailySequence - 当日序号
+ * @param {number} orderType - 订单类型（0=堂食，1=外卖）
+ */
+const slipTicketNumber = (slip, dailySequence, orderType) => {
+  if (dailySequence !== undefined && dailySequence !== null) {
+    const orderTypeCode = orderType === 1 ? 'T' : 'D';
+    slip.centerLine(`${orderTypeCode}${String(dailySequence).padStart(4, '0')}`, SLIP_TITLE_SIZE, FONT_BOLD);
+  }
+};
+
+/**
+ * 生成退款单的打印指令
+ * @param {Object} slipData - 退款单数据（字段见 printerService.printRefundSlip）
+ * @returns {Array<Object>} 打印指令列表
+ */
+const buildRefundSlipCommands = (slipData) => {
+  const {
+    refund_no,
+    refund_type,
+    order_number,
+    daily_sequence,
+    order_type,
+    items,
+    amount,
+    order_amount,
+    reason,
+    payment_type_zh,
+    payment_type_en,
+    staff_name,
+    refund_time,
+    is_reprint
+  } = slipData;
+
+  const slip = createSlipWriter();
+
+  // 1. 标题、重印标记和取餐号码（居中）
+  slip.align(1);
+  slip.centerLine(refund_type === 'void' ? '撤銷單(Void)' : '退款單(Refund)', SLIP_TITLE_SIZE, FONT_BOLD);
+  if (is_reprint) {
+    slip.centerLine('重印(REPRINT)', NORMAL_SIZE, FONT_BOLD);
+  }
+  slipTicketNumber(slip, daily_sequence, order_type);
+
+  // 2. 单号、时间、付款方式和经手人
+  slip.align(0);
+  slip.separator();
+  slip.labelValue('退款單號(Refund No.)', refund_no);
+  slip.labelValue('訂單編號(Order No.)', order_number);
+  slip.labelValue('時間(Time)', refund_time);
+  const paymentType = Array.from(new Set([payment_type_zh, payment_type_en].filter(Boolean))).join(' ');
+  if (paymentType) {
+    slip.labelValue('付款方式(Payment)', paymentType);
+  }
+  if (staff_name) {
+    slip.labelValue('經手人(Staff)', staff_name);
+  }
+
+  // 3. 退回的明细：名称 / 数量 / 金额
+  slip.separator();
+  slip.row('品項(Item)', '數量', '金額(Amount)', FONT_BOLD);
+  (items || []).forEach(item => slip.row(item.name || '', item.quantity, formatAmount(item.amount)));
+
+  // 4. 金额和原因
+  slip.separator();
+  slip.labelValue('原訂單金額(Order Total)', formatAmount(order_amount));
+  slip.labelValue('退款金額(Refund)', formatAmount(amount), FONT_BOLD);
+  if (reason) {
+    slip.line(`原因(Reason): ${reason}`);
+  }
+  slip.separator();
+
+  // 5. 进纸并切纸
+  return slip.finish();
+};
+
+/**
+ * 生成厨房单的打印指令（大号取餐号码、菜品及所选选项，不打印价格）
+ * @param {Object} ticketData - 厨房单数据（字段见 printerService.printKitchenTicket）
+ * @param {string} printerName - 厨房打印机名称（打印在标题中）
+ * @returns {Array<Object>} 打印指令列表
+ */
+const buildKitchenTicketCommands = (ticketData, printerName) => {
+  const {
+    order_number,
+    daily_sequence,
+    order_type,
+    items,
+    order_time,
+    is_reprint
+  } = ticketData;
+
+  const slip = createSlipWriter({ normalSize: KITCHEN_NORMAL_SIZE });
+
+  // 1. 标题、重印标记（居中）
+  slip.align(1);
+  slip.centerLine(`廚房單(Kitchen) ${printerName}`);
+  if (is_reprint) {
+    slip.centerLine('重印(REPRINT)', KITCHEN_NORMAL_SIZE, FONT_BOLD);
+  }
+
+  // 2. 大号取餐号码和订单类型：堂食=D，外卖=T，后跟4位序号
+  const orderTypeCode = order_type === 1 ? 'T' : 'D';
+  const ticketNumber = daily_sequence !== undefined && daily_sequence !== null
+    ? `${orderTypeCode}${String(daily_sequence).padStart(4, '0')}`
+    : order_number;
+  slip.centerLine(ticketNumber, KITCHEN_NUMBER_SIZE, FONT_BOLD);
+  slip.centerLine(order_type === 1 ? '外賣 Takeaway' : '堂食 Dine-in', KITCHEN_ITEM_SIZE, FONT_BOLD);
+  slip.centerLine(order_time);
+
+  // 3. 菜品及选项（大字号，左对齐）
+  slip.align(0);
+  slip.separator();
+  (items || []).forEach((item) => {
+    slip.line(`${item.quantity} x ${item.name || ''}`, FONT_BOLD, KITCHEN_ITEM_SIZE);
+    (item.options || []).forEach(option => slip.line(formatOptionLine(option), 0, KITCHEN_ITEM_SIZE));
+  });
+  slip.separator();
+
+  // 4. 件数合计
+  const totalQuantity = (items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+  slip.line(`共 ${totalQuantity} 件(Items)`, 0, KITCHEN_ITEM_SIZE);
+
+  // 5. 进纸并切纸
+  return slip.finish();
+};
+
+/**
+ * 生成柜台付款单的打印指令
+ * @param {Object} slipData - 付款单数据（字段见 printerService.printPaymentSlip）
+ * @returns {Array<Object>} 打印指令列表
+ */
+const buildPaymentSlipCommands = (slipData) => {
+  const {
+    order_number,
+    daily_sequence,
+    order_type,
+    items,
+    total_amount,
+    payment_type_zh,
+    payment_type_en,
+    order_time,
+    expire_time
+  } = slipData;
+
+  const slip = createSlipWriter();
+
+  // 1. 标题和号码（居中）
+  slip.align(1);
+  slip.centerLine('請到櫃檯付款', SLIP_TITLE_SIZE, FONT_BOLD);
+  slip.centerLine('Please pay at the counter');
+  slipTicketNumber(slip, daily_sequence, order_type);
+
+  // 2. 单号、时间和付款方式
+  slip.align(0);
+  slip.separator();
+  slip.labelValue('訂單編號(Order No.)', order_number);
+  slip.labelValue('時間(Time)', order_time);
+  const paymentType = Array.from(new Set([payment_type_zh, payment_type_en].filter(Boolean))).join(' ');
+  if (paymentType) {
+    slip.labelValue('付款方式(Payment)', paymentType);
+  }
+
+  // 3. 明细：名称 / 数量 / 金额，所选选项逐行打印在菜品下方（与顾客小票一致）
+  slip.separator();
+  slip.row('品項(Item)', '數量', '金額(Amount)', FONT_BOLD);
+  (items || []).forEach(item => {
+    slip.row(item.name || '', item.quantity, formatAmount(item.subtotal));
+    (item.options || []).forEach(option => slip.line(truncateText(formatOptionLine(option), SLIP_LINE_WIDTH)));
+  });
+
+  // 4. 应付金额和付款期限
+  slip.separator();
+  slip.labelValue('應付金額(Amount Due)', formatAmount(total_amount), FONT_BOLD);
+  if (expire_time) {
+    slip.line(`請於 ${expire_time} 前付款，逾時訂單自動取消`);
+    slip.line(`Please pay before ${expire_time} or the order is cancelled`);
+  }
+  slip.separator();
+
+  // 5. 订单编号二维码（收银员扫码查找订单）
+  slip.align(1);
+  slip.commands.push({ op: 'qrcode', data: order_number, moduleSize: QR_MODULE_SIZE, errorLevel: QR_ERROR_LEVEL });
+  slip.feedLine();
+  slip.align(0);
+
+  // 6. 进纸并切纸
+  return slip.finish();
+};
+
+/**
+ * 生成日结报表的打印指令
+ * @param {Object} reportData - 报表数据（字段见 printerService.printDailyReport）
+ * @returns {Array<Object>} 打印指令列表
+ */
+const buildDailyReportCommands = (reportData) => {
+  const {
+    date,
+    generated_time,
+    store_name_zh,
+    store_name_en,
+    orderCount,
+    grossAmount,
+    refundCount,
+    refundAmount,
+    totalAmount,
+    itemQuantity,
+    cancelledCount,
+    cancelledAmount,
+    pendingCount,
+    pendingAmount,
+    lastDailySequence,
+    byPaymentMethod,
+    byOrderType,
+    byTerminal = [],
+    byMeal
+  } = reportData;
+
+  const slip = createSlipWriter();
+
+  const section = (title, countTitle, rows, getName, getCount) => {
+    slip.separator();
+    slip.row(title, countTitle, '金額(Amount)', FONT_BOLD);
+    if (rows.length === 0) {
+      slip.line('無(None)');
+    }
+    rows.forEach(row => slip.row(getName(row), getCount(row), formatAmount(row.totalAmount)));
+  };
+
+  // 1. 标题（居中）
+  slip.align(1);
+  const storeNameLine = [store_name_zh, store_name_en].filter(Boolean).join(' - ');
+  if (storeNameLine) {
+    slip.centerLine(storeNameLine);
+  }
+  slip.centerLine('日結報表(Daily Report)', SLIP_TITLE_SIZE, FONT_BOLD);
+
+  // 2. 日期和打印时间
+  slip.align(0);
+  slip.separator();
+  slip.labelValue('營業日期(Date)', date);
+  slip.labelValue('列印時間(Printed)', generated_time);
+
+  // 3. 汇总
+  slip.separator();
+  slip.labelValue('訂單數(Orders)', orderCount);
+  slip.labelValue('品項數量(Items)', itemQuantity);
+  // 当日有退款时分别列出总额、退款和净额
+  if (refundCount > 0) {
+    slip.labelValue('營業總額(Gross)', formatAmount(grossAmount));
+    slip.labelValue('退款(Refunds)', `${refundCount} / -${formatAmount(refundAmount)}`);
+  }
+  slip.labelValue('營業額(Sales)', formatAmount(totalAmount), FONT_BOLD);
+  slip.labelValue('已取消(Cancelled)', `${cancelledCount} / ${formatAmount(cancelledAmount)}`);
+  if (pendingCount > 0) {
+    slip.labelValue('未付款(Unpaid)', `${pendingCount} / ${formatAmount(pendingAmount)}`);
+  }
+  slip.labelValue('最後號碼(Last No.)', lastDailySequence !== null ? String(lastDailySequence).padStart(4, '0') : '-');
+
+  // 4. 分类汇总
+  section('付款方式(Payment)', '單數', byPaymentMethod, row => row.name || row.nameEn, row => row.orderCount);
+  section('類型(Type)', '單數', byOrderType, row => row.name, row => row.orderCount);
+  // 只有登记了终端的店铺才打印按终端汇总
+  if (byTerminal.some(row => row.terminalId !== null)) {
+    section('機號(Kiosk)', '單數', byTerminal, row => row.name, row => row.orderCount);
+  }
+  section('品項(Item)', '數量', byMeal, row => row.name || row.nameEn || `#${row.mealId}`, row => row.quantity);
+  slip.separator();
+
+  // 5. 进纸并切纸
+  return slip.finish();
+};
+
+module.exports = {
+  RECEIPT_TEMPLATE_SETTING,
+  LANGUAGE_MODES,
+  ORDER_CODE_TYPES,
+  getDefaultReceiptTemplate,
+  normalizeReceiptTemplate,
+  getReceiptTemplate,
+  buildReceiptCommands,
+  buildKitchenTicketCommands,
+  buildRefundSlipCommands,
+  buildPaymentSlipCommands,
+  buildDailyReportCommands
+};
@@ -0,0 +1,379 @@
+/**
+ * 退款服务模块
+ * 撤销（void）整张订单或按明细退款（refund），每次操作生成一条退款记录并关联操作员工；
+ * 经系统收款的订单会同时通过原支付渠道撤销/退款（如在 KPay 终端退回），成功后打印退款单
+ */
+
+const paymentProviders = require('./paymentProviders');
+const printQueueService = require('./printQueueService');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/httpError');
+const {
+  Order,
+  OrderItem,
+  PaymentTransaction,
+  Refund,
+  RefundItem,
+  Staff,
+  sequelize
+} = require('../models');
+const { Transaction } = require('sequelize');
+
+// 可以退款的订单状态
+const REFUNDABLE_STATUSES = ['paid', 'completed', 'partially_refunded'];
+
+// 可以撤销的订单状态（已有退款的订单不能撤销，只能继续退款）
+const VOIDABLE_STATUSES = ['paid', 'completed'];
+
+// 计入已退数量的退款状态（处理中的退款同样占用数量，防止重复退款）
+const ACTIVE_REFUND_STATUSES = ['pending', 'completed'];
+
+// 退款原因最大长度
+const REASON_MAX_LENGTH = 200;
+
+/**
+ * 将金额转换为以分为单位的整数，避免浮点误差
+ * @param {number|string} amount - 金额
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * 格式化退款记录
+ * @param {Object} refund - Refund 实例（可包含 items 和 staff）
+ * @returns {Object}
+ */
+const formatRefund = (refund) => ({
+  id: refund.id,
+  refundNo: refund.refund_no,
+  type: refund.refund_type,
+  amount: parseFloat(refund.amount),
+  reason: refund.reason,
+  status: refund.status,
+  provider: refund.provider,
+  responseCode: refund.response_code,
+  responseMessage: refund.response_message,
+  staff: refund.staff ? { id: refund.staff.id, name: refund.staff.name } : null,
+  items: (refund.items || []).map(item => ({
+    orderItemId: item.order_item_id,
+    quantity: item.quantity,
+    amount: parseFloat(item.amount)
+  })),
+  createdAt: refund.created_at
+});
+
+/**
+ * 校验退款原因
+ * @param {any} reason - 退款原因
+ * @returns {string|null}
+ */
+const normalizeReason = (reason) => {
+  if (reason === undefined || reason === null || reason === '') {
+    return null;
+  }
+  if (typeof reason !== 'string' || reason.trim().length > REASON_MAX_LENGTH) {
+    throw createHttpError(`退款原因必须为不超过 ${REASON_MAX_LENGTH} 个字符的文字`, 400);
+  }
+  return reason.trim() || null;
+};
+
+/**
+ * 统计订单每个明细已退（含处理中）的数量和金额
+ * @param {Array} refunds - 订单的 Refund 实例（包含 items）
+ * @returns {Map} 订单明细ID => { quantity, amountCents }
+ */
+const sumRefundedItems = (refunds) => {
+  const refunded = new Map();
+  refunds
+    .filter(refund => ACTIVE_REFUND_STATUSES.includes(refund.status))
+    .forEach(refund => {
+      (refund.items || []).forEach(item => {
+        const current = refunded.get(item.order_item_id) || { quantity: 0, amountCents: 0 };
+        current.quantity += item.quantity;
+        current.amountCents += toCents(item.amount);
+        refunded.set(item.order_item_id, current);
+      });
+    });
+  return refunded;
+};
+
+/**
+ * 计算本次退款的明细（未指定明细时退回全部剩余数量）
+ * 部分退款按单价折算；退回某明细的最后几份时使用剩余金额，保证多次退款合计等于明细小计
+ * @param {Object} order - Order 实例（包含 items）
+ * @param {Map} refunded - sumRefundedItems 的结果
+ * @param {Array|undefined} requestedItems - 客户端提交的明细 [{orderItemId, quantity}]
+ * @returns {Array} [{ orderItem, quantity, amountCents }]
+ */
+const buildRefundLines = (order, refunded, requestedItems) => {
+  const remainingOf = (item) => {
+    const done = refunded.get(item.id) || { quantity: 0, amountCents: 0 };
+    return {
+      quantity: item.quantity - done.quantity,
+      amountCents: toCents(item.subtotal) - done.amountCents
+    };
+  };
+
+  const toLine = (orderItem, quantity) => {
+    const remaining = remainingOf(orderItem);
+    const amountCents = quantity === remaining.quantity
+      ? remaining.amountCents
+      : Math.round(toCents(orderItem.subtotal) * quantity / orderItem.quantity);
+    return { orderItem, quantity, amountCents };
+  };
+
+  if (requestedItems === undefined || requestedItems === null) {
+    return order.items
+      .filter(item => remainingOf(item).quantity > 0)
+      .map(item => toLine(item, remainingOf(item).quantity));
+  }
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw createHttpError('退款明细必须为非空数组', 400);
+  }
+
+  const itemsById = new Map(order.items.map(item => [item.id, item]));
+  const seen = new Set();
+  return requestedItems.map(requested => {
+    const orderItemId = requested ? requested.orderItemId : undefined;
+    const quantity = requested ? requested.quantity : undefined;
+    const orderItem = itemsById.get(orderItemId);
+    if (!orderItem) {
+      throw createHttpError(`订单明细不存在: ${orderItemId}`, 400);
+    }
+    if (seen.has(orderItemId)) {
+      throw createHttpError(`订单明细重复: ${orderItemId}`, 400);
+    }
+    seen.add(orderItemId);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw createHttpError('退款数量必须为正整数', 400);
+    }
+    const remaining = remainingOf(orderItem);
+    if (quantity > remaining.quantity) {
+      throw createHttpError(`明细 ${orderItemId} 最多可退 ${remaining.quantity} 份`, 409);
+    }
+    return toLine(orderItem, quantity);
+  });
+};
+
+/**
+ * 在事务内校验订单并创建处理中的退款记录
+ * @param {number} orderId - 订单ID
+ * @param {string} refundType - void / refund
+ * @param {Object} options - 选项 {items, reason, staff}
+ * @returns {Promise<Object>} { order, refund, payment, isFullRefund }
+ */
+const createPendingRefund = async (orderId, refundType, options) => {
+  const reason = normalizeReason(options.reason);
+
+  // 使用 IMMEDIATE 事务，避免同一订单被同时退款超过可退数量
+  return sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+    const order = await Order.findByPk(orderId, {
+      include: [
+        { model: OrderItem, as: 'items' },
+        { model: Refund, as: 'refunds', include: [{ model: RefundItem, as: 'items' }] }
+      ],
+      order: [[{ model: OrderItem, as: 'items' }, 'id', 'ASC']],
+      transaction
+    });
+    if (!order) {
+      throw createHttpError('订单不存在', 404);
+    }
+
+    const allowedStatuses = refundType === 'void' ? VOIDABLE_STATUSES : REFUNDABLE_STATUSES;
+    if (!allowedStatuses.includes(order.status)) {
+      throw createHttpError(
+        refundType === 'void' && order.status === 'partially_refunded'
+          ? '订单已有退款，不能撤销，请使用退款'
+          : `订单当前状态为 ${order.status}，不能${refundType === 'void' ? '撤销' : '退款'}`,
+        409
+      );
+    }
+    if (refundType === 'void' && order.refunds.some(refund => refund.status === 'completed')) {
+      throw createHttpError('订单已有退款，不能撤销，请使用退款', 409);
+    }
+    if (order.refunds.some(refund => refund.status === 'pending')) {
+      throw createHttpError('订单正在退款中，请稍后重试', 409);
+    }
+
+    const refunded = sumRefundedItems(order.refunds);
+    const lines = buildRefundLines(order, refunded, refundType === 'void' ? undefined : options.items);
+    const amountCents = lines.reduce((sum, line) => sum + line.amountCents, 0);
+    if (lines.length === 0 || amountCents <= 0) {
+      throw createHttpError('没有可退款的明细', 409);
+    }
+
+    // 本次退款后是否全部明细都已退回
+    const isFullRefund = order.items.every(item => {
+      const done = refunded.get(item.id) || { quantity: 0 };
+      const line = lines.find(entry => entry.orderItem.id === item.id);
+      return done.quantity + (line ? line.quantity : 0) >= item.quantity;
+    });
+
+    const payment = await PaymentTransaction.findOne({
+      where: { order_id: order.id, status: 'success' },
+      order: [['id', 'DESC']],
+      transaction
+    });
+
+    const refund = await Refund.create({
+      order_id: order.id,
+      staff_id: options.staff ? options.staff.id : null,
+      refund_no: `${order.order_number}R${String(order.refunds.length + 1).padStart(2, '0')}`,
+      refund_type: refundType,
+      amount: amountCents / 100,
+      reason,
+      status: 'pending',
+      provider: payment ? payment.provider : null
+    }, { transaction });
+
+    for (const line of lines) {
+      await RefundItem.create({
+        refund_id: refund.id,
+        order_item_id: line.orderItem.id,
+        quantity: line.quantity,
+        amount: line.amountCents / 100
+      }, { transaction });
+    }
+
+    return { order, refund, payment, isFullRefund };
+  });
+};
+
+/**
+ * 撤销订单或按明细退款：记录退款、通过原支付渠道退回款项、更新订单状态并打印退款单
+ * @param {number} orderId - 订单ID
+ * @param {string} refundType - void / refund
+ * @param {Object} options - 选项
+ * @param {Array} options.items - 退款明细 [{orderItemId, quantity}]（仅 refund，未提供时全额退款）
+ * @param {string} options.reason - 退款原因（可选）
+ * @param {Object} options.staff - 操作员工（Staff 实例）
+ * @returns {Promise<Object>} { refund, order }
+ */
+const processRefund = async (orderId, refundType, options = {}) => {
+  const { order, refund, payment, isFullRefund } = await createPendingRefund(orderId, refundType, options);
+  const actionLabel = refundType === 'void' ? '撤销' : '退款';
+
+  // 经系统收款的订单，先通过原支付渠道退回款项；不经系统收款的订单由店员退回现金
+  if (payment) {
+    const provider = paymentProviders.getProvider(payment.provider);
+    const result = provider
+      ? await provider.refund(payment, {
+        refundType,
+        refundNo: refund.refund_no,
+        amount: refund.amount,
+        isFullRefund
+      })
+      : { success: false, code: null, message: `未知的支付渠道: ${payment.provider}` };
+
+    if (!result.success) {
+      await refund.update({
+        status: 'failed',
+        response_code: result.code,
+        response_message: String(result.message).slice(0, 500)
+      });
+      logger.warn(`订单${actionLabel}失败`, {
+        orderNumber: order.order_number,
+        refundNo: refund.refund_no,
+        code: result.code,
+        message: result.message
+      });
+      throw createHttpError(`支付渠道${actionLabel}失败: ${result.message}`, 502);
+    }
+
+    await refund.update({
+      response_code: result.code,
+      response_message: String(result.message).slice(0, 500)
+    });
+  }
+
+  const status = refundType === 'void' || isFullRefund ? 'cancelled' : 'partially_refunded';
+  await sequelize.transaction(async (transaction) => {
+    await refund.update({ status: 'completed' }, { transaction });
+    await Order.update({ status }, { where: { id: order.id }, transaction });
+  });
+
+  logger.info(`订单已${actionLabel}`, {
+    orderNumber: order.order_number,
+    refundNo: refund.refund_no,
+    amount: parseFloat(refund.amount),
+    provider: refund.provider,
+    staffId: refund.staff_id,
+    from: order.status,
+    to: status
+  });
+
+  await printQueueService.enqueueRefundPrint(refund);
+
+  const saved = await Refund.findByPk(refund.id, {
+    include: [
+      { model: RefundItem, as: 'items' },
+      { model: Staff, as: 'staff' }
+    ],
+    order: [[{ model: RefundItem, as: 'items' }, 'id', 'ASC']]
+  });
+
+  return {
+    refund: formatRefund(saved),
+    order: {
+      id: order.id,
+      orderNumber: order.order_number,
+      status
+    }
+  };
+};
+
+/**
+ * 撤销整张订单（全额退回，订单状态改为 cancelled）
+ * @param {number} orderId - 订单ID
+ * @param {Object} options - 选项 {reason, staff}
+ * @returns {Promise<Object>} { refund, order }
+ */
+const voidOrder = async (orderId, options = {}) => {
+  try {
+    return await processRefund(orderId, 'void', options);
+  } catch (error) {
+    logger.error('撤销订单失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 订单退款（未指定明细时退回全部剩余明细）
+ * @param {number} orderId - 订单ID
+ * @param {Object} options - 选项 {items, reason, staff}
+ * @returns {Promise<Object>} { refund, order }
+ */
+const refundOrder = async (orderId, options = {}) => {
+  try {
+    return await processRefund(orderId, 'refund', options);
+  } catch (error) {
+    logger.error('订单退款失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 服务重启时，把未完成的退款标记为失败（终端结果未知，需要店员在 POS 上核对）
+ * @returns {Promise<number>} 标记的记录数
+ */
+const failInterruptedRefunds = async () => {
+  const [count] = await Refund.update({
+    status: 'failed',
+    response_message: '服务重启，退款结果未知，请在 POS 上核对'
+  }, {
+    where: { status: 'pending' }
+  });
+
+  if (count > 0) {
+    logger.warn(`已将 ${count} 笔未完成的退款标记为失败，请在 POS 上核对`);
+  }
+  return count;
+};
+
+module.exports = {
+  formatRefund,
+  voidOrder,
+  refundOrder,
+  failInterruptedRefunds
+};
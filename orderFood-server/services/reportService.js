@@ -0,0 +1,275 @@
+/**
+ * 报表服务模块
+ * 日结报表（Z 报表）：按付款方式、订单类型和菜品汇总一天的营业数据，供店长每晚结账
+ * 退款按退款时间计入当日（订单可能属于之前的营业日），营业额为扣除退款后的净额
+ */
+
+const printerService = require('./printerService');
+const printQueueService = require('./printQueueService');
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const { getBusinessDayCutover } = require('./orderNumberService');
+const {
+  parseDateParam,
+  formatDate,
+  formatDateTime,
+  getBusinessDate,
+  getBusinessDayRange
+} = require('../utils/dateTime');
+const { Order, OrderItem, Meal, PaymentMethod, Terminal, Refund, RefundItem } = require('../models');
+const { Op } = require('sequelize');
+
+// 计入营业额的订单状态（待支付和已取消的订单单独统计；撤销或全额退款的订单也计入，退款在当日退款中扣除）
+const SALES_STATUSES = ['paid', 'completed', 'partially_refunded'];
+
+// 订单类型名称
+const ORDER_TYPE_NAMES = {
+  0: { name: '堂食', nameEn: 'Dine-in' },
+  1: { name: '外賣', nameEn: 'Takeaway' }
+};
+
+/**
+ * 将金额转换为以分为单位的整数，避免浮点误差
+ * @param {number|string} amount - 金额
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * 按 key 累加订单数和金额（以分为单位）
+ * @param {Map} groups - 汇总表
+ * @param {*} key - 分组键
+ * @param {Function} createGroup - 分组不存在时创建分组的函数
+ * @param {number} amountCents - 金额（分）
+ * @param {number} count - 数量
+ */
+const addToGroup = (groups, key, createGroup, amountCents, count = 1) => {
+  if (!groups.has(key)) {
+    groups.set(key, { ...createGroup(), count: 0, amountCents: 0 });
+  }
+  const group = groups.get(key);
+  group.count += count;
+  group.amountCents += amountCents;
+};
+
+/**
+ * 将汇总表转换为按金额从高到低排序的数组
+ * @param {Map} groups - 汇总表
+ * @param {string} countField - 数量字段名
+ * @returns {Array}
+ */
+const toSortedRows = (groups, countField) => {
+  return Array.from(groups.values())
+    .sort((a, b) => b.amountCents - a.amountCents)
+    .map(({ count, amountCents, ...rest }) => ({
+      ...rest,
+      [countField]: count,
+      totalAmount: amountCents / 100
+    }));
+};
+
+/**
+ * 生成日结报表（按营业日统计：营业日切换时间之前的订单计入前一营业日）
+ * @param {string} date - 营业日期 YYYY-MM-DD（默认当前营业日）
+ * @returns {Promise<Object>} 报表数据
+ */
+const getDailyReport = async (date) => {
+  try {
+    const cutoverMinutes = await getBusinessDayCutover();
+    const businessDate = parseDateParam(date || getBusinessDate(new Date(), cutoverMinutes), 'date');
+    const { start: startTime, end: endTime } = getBusinessDayRange(businessDate, cutoverMinutes);
+
+    const orders = await Order.findAll({
+      where: {
+        created_at: { [Op.gte]: startTime, [Op.lt]: endTime }
+      },
+      include: [
+        {
+          model: OrderItem,
+          as: 'items',
+          include: [{ model: Meal, as: 'meal' }]
+        },
+        { model: PaymentMethod, as: 'paymentMethod' },
+        { model: Terminal, as: 'terminal' },
+        { model: Refund, as: 'refunds', attributes: ['id', 'status'] }
+      ],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    const refunds = await Refund.findAll({
+      where: {
+        status: 'completed',
+        created_at: { [Op.gte]: startTime, [Op.lt]: endTime }
+      },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          include: [
+            { model: PaymentMethod, as: 'paymentMethod' },
+            { model: Terminal, as: 'terminal' }
+          ]
+        },
+        {
+          model: RefundItem,
+          as: 'items',
+          include: [{ model: OrderItem, as: 'orderItem', include: [{ model: Meal, as: 'meal' }] }]
+        }
+      ],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    const byPaymentMethod = new Map();
+    const byOrderType = new Map();
+    const byTerminal = new Map();
+    const byMeal = new Map();
+    const cancelled = { count: 0, amountCents: 0 };
+    const pending = { count: 0, amountCents: 0 };
+    const refunded = { count: 0, amountCents: 0 };
+    let orderCount = 0;
+    let salesCents = 0;
+    let itemQuantity = 0;
+    let lastDailySequence = null;
+
+    // 按付款方式、订单类型和终端累加（退款时金额为负数、单数为 0）
+    const addOrderGroups = (order, amountCents, count) => {
+      const paymentMethod = order.paymentMethod;
+      addToGroup(byPaymentMethod, order.payment_method_id, () => ({
+        paymentMethodId: order.payment_method_id,
+        code: paymentMethod ? paymentMethod.code : null,
+        name: paymentMethod ? paymentMethod.name_zh : '未知',
+        nameEn: paymentMethod ? paymentMethod.name_en : 'Unknown'
+      }), amountCents, count);
+
+      addToGroup(byOrderType, order.order_type, () => ({
+        orderType: order.order_type,
+        ...(ORDER_TYPE_NAMES[order.order_type] || { name: String(order.order_type), nameEn: String(order.order_type) })
+      }), amountCents, count);
+
+      // 未携带终端编号的订单归入“未指定”
+      const terminal = order.terminal;
+      addToGroup(byTerminal, order.terminal_id, () => ({
+        terminalId: order.terminal_id,
+        code: terminal ? terminal.code : null,
+        name: terminal ? terminal.name : '未指定'
+      }), amountCents, count);
+    };
+
+    // 按菜品累加数量和金额（退款时为负数）
+    const addMeal = (item, amountCents, quantity) => {
+      itemQuantity += quantity;
+      addToGroup(byMeal, item.meal_id, () => ({
+        mealId: item.meal_id,
+        name: item.meal ? item.meal.name_zh : null,
+        nameEn: item.meal ? item.meal.name_en : null
+      }), amountCents, quantity);
+    };
+
+    orders.forEach(order => {
+      const amountCents = toCents(order.total_amount);
+
+      // 已取消的订单同样占用了当日序号
+      if (order.daily_sequence !== null && (lastDailySequence === null || order.daily_sequence > lastDailySequence)) {
+        lastDailySequence = order.daily_sequence;
+      }
+
+      // 撤销或全额退款的订单已收过款，计入营业额后再扣除退款；未付款就取消的订单单独统计
+      const isRefundedOrder = order.refunds.some(refund => refund.status === 'completed');
+      if (order.status === 'cancelled' && !isRefundedOrder) {
+        cancelled.count += 1;
+        cancelled.amountCents += amountCents;
+        return;
+      }
+      if (order.status !== 'cancelled' && !SALES_STATUSES.includes(order.status)) {
+        pending.count += 1;
+        pending.amountCents += amountCents;
+        return;
+      }
+
+      orderCount += 1;
+      salesCents += amountCents;
+      addOrderGroups(order, amountCents, 1);
+      order.items.forEach(item => addMeal(item, toCents(item.subtotal), item.quantity));
+    });
+
+    refunds.forEach(refund => {
+      const amountCents = toCents(refund.amount);
+      refunded.count += 1;
+      refunded.amountCents += amountCents;
+      addOrderGroups(refund.order, -amountCents, 0);
+      refund.items.forEach(item => {
+        if (item.orderItem) {
+          addMeal(item.orderItem, -toCents(item.amount), -item.quantity);
+        }
+      });
+    });
+
+    return {
+      date: formatDate(businessDate),
+      generatedAt: new Date(),
+      orderCount,
+      grossAmount: salesCents / 100,
+      refundCount: refunded.count,
+      refundAmount: refunded.amountCents / 100,
+      totalAmount: (salesCents - refunded.amountCents) / 100,
+      itemQuantity,
+      cancelledCount: cancelled.count,
+      cancelledAmount: cancelled.amountCents / 100,
+      pendingCount: pending.count,
+      pendingAmount: pending.amountCents / 100,
+      lastDailySequence,
+      firstOrderAt: orders.length > 0 ? orders[0].created_at : null,
+      lastOrderAt: orders.length > 0 ? orders[orders.length - 1].created_at : null,
+      byPaymentMethod: toSortedRows(byPaymentMethod, 'orderCount'),
+      byOrderType: toSortedRows(byOrderType, 'orderCount'),
+      byTerminal: toSortedRows(byTerminal, 'orderCount'),
+      byMeal: toSortedRows(byMeal, 'quantity')
+    };
+  } catch (error) {
+    logger.error('生成日结报表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 生成并打印日结报表
+ * @param {string} date - 营业日期 YYYY-MM-DD（默认当前营业日）
+ * @returns {Promise<Object>} 报表数据
+ */
+const printDailyReport = async (date) => {
+  const report = await getDailyReport(date);
+
+  let storeNameZh = '';
+  let storeNameEn = '';
+  try {
+    storeNameZh = await getSettingValue('store_name_zh', '');
+    storeNameEn = await getSettingValue('store_name_en', '');
+  } catch (e) {
+    logger.warn('读取店铺名称失败，将使用空名称', e);
+  }
+
+  const printResult = await printQueueService.runExclusive(printerService.RECEIPT_PRINTER, () => printerService.printDailyReport({
+    ...report,
+    generated_time: formatDateTime(report.generatedAt),
+    store_name_zh: storeNameZh,
+    store_name_en: storeNameEn
+  }));
+
+  if (!printResult.success) {
+    logger.warn('日结报表打印失败', { date: report.date, printError: printResult.message });
+    throw createHttpError(printResult.message, 503);
+  }
+
+  logger.info('日结报表已打印', {
+    date: report.date,
+    orderCount: report.orderCount,
+    totalAmount: report.totalAmount
+  });
+  return report;
+};
+
+module.exports = {
+  getDailyReport,
+  printDailyReport
+};
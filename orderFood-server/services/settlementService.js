@@ -0,0 +1,451 @@
+/**
+ * KPay 结算对账服务模块
+ * 营业结束后在 KPay 终端结算，保存结算批次的交易明细，并与当日经终端收款的订单逐笔核对：
+ * - terminal_only：终端有交易，但系统中没有对应的已付款订单（或退款记录）
+ * - system_only：系统中订单已经终端付款（或已退款），但终端结算批次中没有该交易
+ * - amount_mismatch：两边都有，但金额不一致
+ * 同一营业日可以多次结算，对账时合并该营业日全部成功的结算批次
+ */
+
+const kpayService = require('./kpayService');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/httpError');
+const { getBusinessDayCutover } = require('./orderNumberService');
+const {
+  parseDateParam,
+  formatDate,
+  getBusinessDate,
+  getBusinessDayRange
+} = require('../utils/dateTime');
+const { Order, PaymentMethod, PaymentTransaction, Refund, KpaySettlement } = require('../models');
+const { Op } = require('sequelize');
+
+// 在 KPay 终端收款的支付渠道
+const TERMINAL_PROVIDERS = ['kpay', 'octopus'];
+
+// 终端已收款的交易状态（撤销和退款另行核对）
+const PAID_TRANSACTION_STATUSES = ['success', 'voided', 'refunded'];
+
+// 在终端退回的退款渠道（八达通由店员退回现金，不经终端）
+const TERMINAL_REFUND_PROVIDER = 'kpay';
+
+// 交易类型名称
+const ENTRY_KINDS = {
+  SALE: 'sale',
+  VOID: 'void',
+  REFUND: 'refund'
+};
+
+// 同一时间只允许一个结算请求
+let settling = false;
+
+/**
+ * 将金额转换为以分为单位的整数，避免浮点误差
+ * @param {number|string} amount - 金额
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * 解析营业日期参数（默认当前营业日）
+ * @param {string} date - 营业日期 YYYY-MM-DD
+ * @returns {Promise<{businessDate: Date, start: Date, end: Date}>}
+ */
+const resolveBusinessDay = async (date) => {
+  const cutoverMinutes = await getBusinessDayCutover();
+  const businessDate = parseDateParam(date || getBusinessDate(new Date(), cutoverMinutes), 'date');
+  return { businessDate, ...getBusinessDayRange(businessDate, cutoverMinutes) };
+};
+
+/**
+ * 解析结算记录中保存的交易明细
+ * @param {Object} settlement - KpaySettlement 实例
+ * @returns {Array}
+ */
+const parseSettlementTransactions = (settlement) => {
+  try {
+    const transactions = JSON.parse(settlement.transactions || '[]');
+    return Array.isArray(transactions) ? transactions : [];
+  } catch (error) {
+    logger.warn('KPay 结算记录的交易明细无法解析', { settlementId: settlement.id, error: error.message });
+    return [];
+  }
+};
+
+/**
+ * 格式化结算记录
+ * @param {Object} settlement - KpaySettlement 实例
+ * @returns {Object}
+ */
+const formatSettlement = (settlement) => ({
+  id: settlement.id,
+  businessDate: settlement.business_date,
+  batchNo: settlement.batch_no,
+  status: settlement.status,
+  responseCode: settlement.response_code,
+  message: settlement.response_message,
+  transactionCount: parseSettlementTransactions(settlement).length,
+  settledAt: settlement.settled_at,
+  createdAt: settlement.created_at
+});
+
+/**
+ * 对账明细的付款方式信息
+ * @param {Object|null} order - Order 实例（包含 paymentMethod）
+ * @param {string|null} payMethod - 终端返回的支付类型
+ * @returns {{key: string, code: string|null, name: string, nameEn: string}}
+ */
+const describePaymentMethod = (order, payMethod) => {
+  if (order && order.paymentMethod) {
+    return {
+      key: order.paymentMethod.code,
+      code: order.paymentMethod.code,
+      name: order.paymentMethod.name_zh,
+      nameEn: order.paymentMethod.name_en
+    };
+  }
+  // 找不到订单时按终端的支付类型归类
+  const label = payMethod || '未知';
+  return {
+    key: `kpay:${label}`,
+    code: null,
+    name: `KPay ${label}`,
+    nameEn: `KPay ${label}`
+  };
+};
+
+/**
+ * 生成对账明细的键：销售和撤销按商户交易号，退款按商户退款号
+ * @param {string} kind - sale / void / refund
+ * @param {string} reference - 商户交易号或退款号
+ * @returns {string}
+ */
+const entryKey = (kind, reference) => `${kind}:${reference}`;
+
+/**
+ * 读取营业日的对账数据并逐笔核对
+ * @param {string} businessDateText - 营业日期 YYYY-MM-DD
+ * @param {{start: Date, end: Date}} range - 营业日起止时间
+ * @param {Array} settlements - 该营业日成功的 KpaySettlement 实例
+ * @returns {Promise<Object>} 对账报表
+ */
+const reconcile = async (businessDateText, range, settlements) => {
+  const orderInclude = {
+    model: Order,
+    as: 'order',
+    include: [{ model: PaymentMethod, as: 'paymentMethod' }]
+  };
+
+  // 终端侧：合并各结算批次的交易（同一笔交易只计一次）
+  const terminalEntries = new Map();
+  for (const settlement of settlements) {
+    for (const item of parseSettlementTransactions(settlement)) {
+      const kind = ENTRY_KINDS[item.type];
+      const reference = kind === ENTRY_KINDS.REFUND ? item.outRefundNo : item.outTradeNo;
+      if (!kind || !reference) {
+        logger.warn('KPay 结算批次中有无法识别的交易', { batchNo: settlement.batch_no, item });
+        continue;
+      }
+      terminalEntries.set(entryKey(kind, reference), {
+        kind,
+        outTradeNo: item.outTradeNo,
+        outRefundNo: item.outRefundNo,
+        payMethod: item.payMethod,
+        amountCents: kind === ENTRY_KINDS.SALE ? item.amount : -item.amount
+      });
+    }
+  }
+  const terminalTradeNos = [...terminalEntries.values()].map(entry => entry.outTradeNo).filter(Boolean);
+  const terminalRefundNos = [...terminalEntries.values()].map(entry => entry.outRefundNo).filter(Boolean);
+
+  // 系统侧：当日订单经终端收款的交易，以及终端批次中出现的交易（可能属于其他营业日或未记为成功）
+  const payments = await PaymentTransaction.findAll({
+    where: {
+      provider: { [Op.in]: TERMINAL_PROVIDERS },
+      [Op.or]: [
+        { '$order.created_at$': { [Op.gte]: range.start, [Op.lt]: range.end } },
+        { out_trade_no: { [Op.in]: terminalTradeNos } }
+      ]
+    },
+    include: [orderInclude]
+  });
+  const paymentsByTradeNo = new Map(payments.map(payment => [payment.out_trade_no, payment]));
+
+  // 当日在终端退回的撤销和退款，以及终端批次中出现的退款
+  const refunds = await Refund.findAll({
+    where: {
+      provider: TERMINAL_REFUND_PROVIDER,
+      [Op.or]: [
+        { created_at: { [Op.gte]: range.start, [Op.lt]: range.end } },
+        { refund_no: { [Op.in]: terminalRefundNos } }
+      ]
+    },
+    include: [orderInclude]
+  });
+  const refundsByNo = new Map(refunds.map(refund => [refund.refund_no, refund]));
+
+  // 撤销在终端上按原交易号记录，找出被撤销订单的原交易
+  const voidRefunds = refunds.filter(refund => refund.refund_type === 'void' && refund.status === 'completed');
+  const voidedPayments = voidRefunds.length > 0
+    ? await PaymentTransaction.findAll({
+      where: {
+        order_id: { [Op.in]: voidRefunds.map(refund => refund.order_id) },
+        provider: TERMINAL_REFUND_PROVIDER,
+        status: 'voided'
+      }
+    })
+    : [];
+
+  const systemEntries = new Map();
+  for (const payment of payments) {
+    const inBusinessDay = payment.order
+      && new Date(payment.order.created_at) >= range.start
+      && new Date(payment.order.created_at) < range.end;
+    const key = entryKey(ENTRY_KINDS.SALE, payment.out_trade_no);
+    if (!PAID_TRANSACTION_STATUSES.includes(payment.status) || (!inBusinessDay && !terminalEntries.has(key))) {
+      continue;
+    }
+    systemEntries.set(key, {
+      kind: ENTRY_KINDS.SALE,
+      order: payment.order,
+      outTradeNo: payment.out_trade_no,
+      outRefundNo: null,
+      amountCents: toCents(payment.amount)
+    });
+  }
+  for (const refund of refunds) {
+    if (refund.status !== 'completed') {
+      continue;
+    }
+    let key = entryKey(ENTRY_KINDS.REFUND, refund.refund_no);
+    let outTradeNo = null;
+    if (refund.refund_type === 'void') {
+      const payment = voidedPayments.find(item => item.order_id === refund.order_id);
+      if (!payment) {
+        continue;
+      }
+      outTradeNo = payment.out_trade_no;
+      key = entryKey(ENTRY_KINDS.VOID, outTradeNo);
+    }
+    const inBusinessDay = new Date(refund.created_at) >= range.start && new Date(refund.created_at) < range.end;
+    if (!inBusinessDay && !terminalEntries.has(key)) {
+      continue;
+    }
+    systemEntries.set(key, {
+      kind: refund.refund_type === 'void' ? ENTRY_KINDS.VOID : ENTRY_KINDS.REFUND,
+      order: refund.order,
+      outTradeNo,
+      outRefundNo: refund.refund_type === 'void' ? null : refund.refund_no,
+      amountCents: -toCents(refund.amount)
+    });
+  }
+
+  // 逐笔核对，并按付款方式汇总两边的净额
+  const byPaymentMethod = new Map();
+  const mismatches = [];
+  let matchedCount = 0;
+
+  const addToPaymentMethod = (method, side, entry) => {
+    if (!byPaymentMethod.has(method.key)) {
+      byPaymentMethod.set(method.key, {
+        code: method.code,
+        name: method.name,
+        nameEn: method.nameEn,
+        terminal: { count: 0, amountCents: 0 },
+        system: { count: 0, amountCents: 0 }
+      });
+    }
+    const totals = byPaymentMethod.get(method.key)[side];
+    totals.amountCents += entry.amountCents;
+    if (entry.kind === ENTRY_KINDS.SALE) {
+      totals.count += 1;
+    }
+  };
+
+  const keys = new Set([...terminalEntries.keys(), ...systemEntries.keys()]);
+  for (const key of keys) {
+    const terminalEntry = terminalEntries.get(key);
+    const systemEntry = systemEntries.get(key);
+
+    // 系统中找不到已付款记录时，仍尽量找出对应的订单以便追查
+    let order = systemEntry ? systemEntry.order : null;
+    if (!order && terminalEntry) {
+      const related = terminalEntry.kind === ENTRY_KINDS.REFUND
+        ? refundsByNo.get(terminalEntry.outRefundNo)
+        : paymentsByTradeNo.get(terminalEntry.outTradeNo);
+      order = related ? related.order : null;
+    }
+    const method = describePaymentMethod(order, terminalEntry ? terminalEntry.payMethod : null);
+
+    if (terminalEntry) {
+      addToPaymentMethod(method, 'terminal', terminalEntry);
+    }
+    if (systemEntry) {
+      addToPaymentMethod(method, 'system', systemEntry);
+    }
+
+    const entry = terminalEntry || systemEntry;
+    const mismatch = {
+      kind: entry.kind,
+      orderNumber: order ? order.order_number : null,
+      orderStatus: order ? order.status : null,
+      outTradeNo: entry.outTradeNo,
+      outRefundNo: entry.outRefundNo,
+      paymentMethod: method.code,
+      terminalAmount: terminalEntry ? terminalEntry.amountCents / 100 : null,
+      systemAmount: systemEntry ? systemEntry.amountCents / 100 : null
+    };
+
+    if (terminalEntry && systemEntry) {
+      if (terminalEntry.amountCents === systemEntry.amountCents) {
+        matchedCount += 1;
+      } else {
+        mismatches.push({ type: 'amount_mismatch', reason: '终端与系统金额不一致', ...mismatch });
+      }
+    } else if (terminalEntry) {
+      mismatches.push({
+        type: 'terminal_only',
+        reason: entry.kind === ENTRY_KINDS.SALE ? '终端已收款，但系统中没有对应的已付款订单' : '终端已退款，但系统中没有对应的退款记录',
+        ...mismatch
+      });
+    } else {
+      mismatches.push({
+        type: 'system_only',
+        reason: entry.kind === ENTRY_KINDS.SALE ? '订单已付款，但终端结算中没有该交易' : '系统已退款，但终端结算中没有该退款',
+        ...mismatch
+      });
+    }
+  }
+
+  const paymentMethodRows = Array.from(byPaymentMethod.values()).map(row => ({
+    code: row.code,
+    name: row.name,
+    nameEn: row.nameEn,
+    terminalCount: row.terminal.count,
+    terminalAmount: row.terminal.amountCents / 100,
+    systemCount: row.system.count,
+    systemAmount: row.system.amountCents / 100,
+    difference: (row.terminal.amountCents - row.system.amountCents) / 100
+  }));
+  const sum = (field) => paymentMethodRows.reduce((total, row) => total + toCents(row[field]), 0) / 100;
+
+  return {
+    date: businessDateText,
+    generatedAt: new Date(),
+    settlements: settlements.map(formatSettlement),
+    balanced: mismatches.length === 0,
+    matchedCount,
+    mismatchCount: mismatches.length,
+    terminalAmount: sum('terminalAmount'),
+    systemAmount: sum('systemAmount'),
+    difference: sum('difference'),
+    byPaymentMethod: paymentMethodRows,
+    mismatches
+  };
+};
+
+/**
+ * 获取营业日的 KPay 对账报表
+ * @param {string} date - 营业日期 YYYY-MM-DD（默认当前营业日）
+ * @returns {Promise<Object>} 对账报表
+ */
+const getReconciliationReport = async (date) => {
+  try {
+    const { businessDate, start, end } = await resolveBusinessDay(date);
+    const businessDateText = formatDate(businessDate);
+
+    const settlements = await KpaySettlement.findAll({
+      where: { business_date: businessDateText, status: 'success' },
+      order: [['id', 'ASC']]
+    });
+    if (settlements.length === 0) {
+      throw createHttpError(`营业日 ${businessDateText} 尚未进行 KPay 结算`, 404);
+    }
+
+    return await reconcile(businessDateText, { start, end }, settlements);
+  } catch (error) {
+    logger.error('生成 KPay 对账报表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 在 KPay 终端结算，保存结算批次并生成当日对账报表
+ * 结算请求未收到应答时查询终端上一次结算：若是尚未记录的批次，说明终端已结算，使用该批次对账
+ * 终端结算的总是当前未结算的批次，因此只能记在当前营业日；以前营业日的报表通过 getReconciliationReport 查询
+ * @param {Object} options - 选项
+ * @param {string} options.date - 对账的营业日期 YYYY-MM-DD（可选，须为当前营业日）
+ * @param {Object} options.staff - 操作员工（Staff 实例）
+ * @returns {Promise<Object>} 对账报表
+ */
+const settleKpay = async (options = {}) => {
+  const config = await kpayService.loadKpayConfig();
+  if (config.enabled !== true) {
+    throw createHttpError('KPay 收款终端未启用', 400);
+  }
+  const { businessDate } = await resolveBusinessDay(options.date);
+  const businessDateText = formatDate(businessDate);
+  const currentBusinessDate = getBusinessDate(new Date(), await getBusinessDayCutover());
+  if (businessDateText !== currentBusinessDate) {
+    throw createHttpError(`只能结算当前营业日 ${currentBusinessDate}，营业日 ${businessDateText} 的对账报表请直接查询`, 400);
+  }
+
+  if (settling) {
+    throw createHttpError('KPay 结算正在进行中，请稍候', 409);
+  }
+  settling = true;
+
+  try {
+    let result = await kpayService.settleTerminal();
+    if (!result.success && result.unreachable) {
+      const last = await kpayService.queryLastSettlement();
+      const recorded = last.success && last.data.batchNo
+        ? await KpaySettlement.count({ where: { batch_no: last.data.batchNo, status: 'success' } })
+        : 1;
+      if (recorded === 0) {
+        logger.warn('KPay 结算请求未收到应答，终端已完成结算，使用上一次结算的数据', { batchNo: last.data.batchNo });
+        result = last;
+      }
+    }
+
+    const settlement = await KpaySettlement.create({
+      business_date: businessDateText,
+      batch_no: result.data ? result.data.batchNo : null,
+      status: result.success ? 'success' : 'failed',
+      response_code: result.code,
+      response_message: String(result.message).slice(0, 500),
+      transactions: result.data ? JSON.stringify(result.data.transactions) : null,
+      totals: result.data ? JSON.stringify(result.data.totals) : null,
+      settled_at: result.data ? (result.data.settledAt || new Date()) : null,
+      staff_id: options.staff ? options.staff.id : null
+    });
+
+    if (!result.success) {
+      throw createHttpError(`KPay 终端结算失败: ${result.message}`, 502);
+    }
+
+    logger.info('KPay 结算已记录', {
+      settlementId: settlement.id,
+      businessDate: businessDateText,
+      batchNo: settlement.batch_no,
+      staff: options.staff ? options.staff.name : null
+    });
+  } finally {
+    settling = false;
+  }
+
+  const report = await getReconciliationReport(businessDateText);
+  if (!report.balanced) {
+    logger.warn('KPay 对账发现差异', {
+      businessDate: businessDateText,
+      mismatchCount: report.mismatchCount,
+      difference: report.difference
+    });
+  }
+  return report;
+};
+
+module.exports = {
+  settleKpay,
+  getReconciliationReport
+};
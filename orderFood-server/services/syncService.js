@@ -0,0 +1,596 @@
+/**
+ * 云端同步服务模块
+ * 按设置 sync_interval 定时把新增或修改过的订单（连同明细）上传到总部 sync_url，并拉取总部的菜单和价格；
+ * 每张订单的上传状态保存在 sync_outbox 表，上传失败时按退避间隔重试
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getSettingValue } = require('../utils/settingsReader');
+const { createHttpError } = require('../utils/httpError');
+const { getStoreNumber } = require('./orderNumberService');
+const { validateMealInput } = require('./mealService');
+const {
+  Order,
+  OrderItem,
+  OrderItemOption,
+  Meal,
+  PaymentMethod,
+  Terminal,
+  Refund,
+  RefundItem,
+  Settings,
+  SyncOutbox
+} = require('../models');
+const { Op, col } = require('sequelize');
+
+// 总部接口路径（相对于 sync_url）
+const SYNC_API_PATHS = {
+  orders: '/orders',
+  menu: '/menu'
+};
+
+// 单次 HTTP 请求超时（毫秒）
+const REQUEST_TIMEOUT_MS = 15000;
+
+// 后台检查是否到了同步时间的间隔
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+// 每次请求最多上传的订单数
+const PUSH_BATCH_SIZE = 50;
+
+// 上传失败的重试间隔：首次失败 1 分钟后重试，之后每次翻倍，最长 1 小时（且不超过同步间隔）
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// 同步间隔范围（分钟）
+const MIN_SYNC_INTERVAL = 1;
+const MAX_SYNC_INTERVAL = 24 * 60;
+
+let workerTimer = null;
+let syncRunning = false;
+
+// 同步运行状态（只保存在内存中，重启后第一次检查即同步）
+const syncState = {
+  nextRunAt: null,
+  consecutiveFailures: 0,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null
+};
+
+/**
+ * 校验同步间隔设置（分钟）
+ * @param {any} value - 设置值
+ * @returns {number}
+ */
+const normalizeSyncInterval = (value) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_SYNC_INTERVAL || minutes > MAX_SYNC_INTERVAL) {
+    throw createHttpError(`同步间隔必须为 ${MIN_SYNC_INTERVAL}-${MAX_SYNC_INTERVAL} 之间的整数（分钟）`, 400);
+  }
+  return minutes;
+};
+
+/**
+ * 校验同步地址设置（http/https 地址，留空表示未配置）
+ * @param {any} value - 设置值
+ * @returns {string}
+ */
+const normalizeSyncUrl = (value) => {
+  const url = typeof value === 'string' ? value.trim().replace(/\/+$/, '') : '';
+  if (url === '') {
+    return '';
+  }
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('protocol');
+    }
+  } catch (error) {
+    throw createHttpError('同步地址必须为 http:// 或 https:// 开头的网址', 400);
+  }
+  return url;
+};
+
+/**
+ * 读取同步配置
+ * @returns {Promise<Object>} 配置对象
+ */
+const loadSyncConfig = async () => {
+  const interval = parseInt(await getSettingValue('sync_interval', 60), 10);
+  return {
+    enabled: await getSettingValue('sync_enabled', false) === true,
+    url: String(await getSettingValue('sync_url', '') || '').trim().replace(/\/+$/, ''),
+    apiKey: String(await getSettingValue('sync_api_key', '') || ''),
+    intervalMinutes: interval >= MIN_SYNC_INTERVAL && interval <= MAX_SYNC_INTERVAL ? interval : 60,
+    storeNumber: await getStoreNumber(await getSettingValue('store_id', 1))
+  };
+};
+
+/**
+ * 生成请求签名：HMAC-SHA256(sync_api_key, 分店编号\n时间戳\n随机串\n方法\n路径\n请求体)
+ * @param {string} apiKey - 同步密钥
+ * @param {Object} parts - 参与签名的内容 {storeNumber, timestamp, nonce, method, path, body}
+ * @returns {string} 小写十六进制签名
+ */
+const signRequest = (apiKey, parts) => {
+  return crypto
+    .createHmac('sha256', apiKey)
+    .update([parts.storeNumber, parts.timestamp, parts.nonce, parts.method, parts.path, parts.body].join('\n'))
+    .digest('hex');
+};
+
+/**
+ * 调用总部接口
+ * @param {Object} config - 同步配置
+ * @param {string} method - GET / POST
+ * @param {string} apiPath - 接口路径
+ * @param {Object} payload - 请求数据（GET 时为 null）
+ * @returns {Promise<Object>} 应答中的 data
+ */
+const callCloud = async (config, method, apiPath, payload = null) => {
+  const body = payload === null ? '' : JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(8).toString('hex');
+
+  const response = await fetch(`${config.url}${apiPath}`, {
+    method,
+    headers: {
+      ...(payload === null ? {} : { 'Content-Type': 'application/json' }),
+      'X-Store-Number': config.storeNumber,
+      'X-Timestamp': timestamp,
+      'X-Nonce': nonce,
+      'X-Signature': signRequest(config.apiKey, {
+        storeNumber: config.storeNumber,
+        timestamp,
+        nonce,
+        method,
+        path: apiPath,
+        body
+      })
+    },
+    body: payload === null ? undefined : body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  let result = null;
+  try {
+    result = await response.json();
+  } catch (error) {
+    result = null;
+  }
+
+  if (!response.ok || !result || result.success !== true) {
+    const message = result && result.message ? result.message : `HTTP ${response.status}`;
+    throw new Error(`总部接口 ${method} ${apiPath} 失败: ${message}`);
+  }
+
+  return result.data || {};
+};
+
+/**
+ * 计算第 attempts 次失败后的重试间隔
+ * @param {number} attempts - 连续失败次数（从 1 开始）
+ * @param {number} intervalMinutes - 同步间隔（分钟），重试间隔不超过同步间隔
+ * @returns {number} 毫秒
+ */
+const getRetryDelay = (attempts, intervalMinutes) => {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY_MS);
+  return Math.min(delay, intervalMinutes * 60 * 1000);
+};
+
+/**
+ * 把新订单和上次上传后有修改的订单标记为待上传
+ * @returns {Promise<number>} 新标记的订单数
+ */
+const enqueueChangedOrders = async () => {
+  const orders = await Order.findAll({
+    attributes: ['id'],
+    include: [{ model: SyncOutbox, as: 'syncState', required: false }],
+    where: {
+      [Op.or]: [
+        { '$syncState.id$': null },
+        {
+          '$syncState.status$': 'synced',
+          updated_at: { [Op.gt]: col('syncState.synced_version') }
+        }
+      ]
+    },
+    order: [['id', 'ASC']]
+  });
+
+  const now = new Date();
+  for (const order of orders) {
+    if (order.syncState) {
+      await order.syncState.update({ status: 'pending', attempts: 0, next_attempt_at: now, last_error: null });
+    } else {
+      await SyncOutbox.create({ order_id: order.id, status: 'pending', next_attempt_at: now });
+    }
+  }
+  return orders.length;
+};
+
+/**
+ * 构建上传给总部的订单数据
+ * @param {Object} order - Order 实例（包含明细、选项、付款方式和终端）
+ * @returns {Object}
+ */
+const buildOrderPayload = (order) => ({
+  orderNumber: order.order_number,
+  storeId: order.store_id,
+  terminal: order.terminal ? order.terminal.code : null,
+  orderType: order.order_type,
+  status: order.status,
+  totalAmount: parseFloat(order.total_amount),
+  clientTotalAmount: order.client_total_amount !== null ? parseFloat(order.client_total_amount) : null,
+  dailySequence: order.daily_sequence,
+  paymentMethod: order.paymentMethod ? order.paymentMethod.code : null,
+  printStatus: order.print_status,
+  createdAt: order.created_at,
+  updatedAt: order.updated_at,
+  items: (order.items || []).map(item => ({
+    mealId: item.meal_id,
+    name: item.meal ? item.meal.name_zh : null,
+    nameEn: item.meal ? item.meal.name_en : null,
+    quantity: item.quantity,
+    price: parseFloat(item.price),
+    subtotal: parseFloat(item.subtotal),
+    options: (item.options || []).map(option => ({
+      optionId: option.option_id,
+      groupName: option.group_name_zh,
+      name: option.name_zh,
+      priceDelta: parseFloat(option.price_delta)
+    }))
+  })),
+  // 只上传已完成的退款
+  refunds: (order.refunds || [])
+    .filter(refund => refund.status === 'completed')
+    .map(refund => ({
+      refundNo: refund.refund_no,
+      type: refund.refund_type,
+      amount: parseFloat(refund.amount),
+      reason: refund.reason,
+      provider: refund.provider,
+      createdAt: refund.created_at,
+      items: (refund.items || []).map(item => ({
+        mealId: item.orderItem ? item.orderItem.meal_id : null,
+        quantity: item.quantity,
+        amount: parseFloat(item.amount)
+      }))
+    }))
+});
+
+/**
+ * 记录一批订单上传失败（按各自的失败次数退避）
+ * @param {Array} records - SyncOutbox 实例
+ * @param {string} message - 失败原因
+ * @param {number} intervalMinutes - 同步间隔（分钟）
+ */
+const markPushFailed = async (records, message, intervalMinutes) => {
+  for (const record of records) {
+    const attempts = record.attempts + 1;
+    await record.update({
+      attempts,
+      next_attempt_at: new Date(Date.now() + getRetryDelay(attempts, intervalMinutes)),
+      last_error: String(message).slice(0, 500)
+    });
+  }
+};
+
+/**
+ * 上传所有到期的待上传订单
+ * @param {Object} config - 同步配置
+ * @returns {Promise<Object>} { pushed, rejected, error }
+ */
+const pushPendingOrders = async (config) => {
+  const result = { pushed: 0, rejected: 0, error: null };
+  let lastId = 0;
+
+  for (;;) {
+    const records = await SyncOutbox.findAll({
+      where: {
+        status: 'pending',
+        next_attempt_at: { [Op.lte]: new Date() },
+        id: { [Op.gt]: lastId }
+      },
+      order: [['id', 'ASC']],
+      limit: PUSH_BATCH_SIZE
+    });
+    if (records.length === 0) {
+      break;
+    }
+    lastId = records[records.length - 1].id;
+
+    const orders = await Order.findAll({
+      where: { id: records.map(record => record.order_id) },
+      include: [
+        {
+          model: OrderItem,
+          as: 'items',
+          include: [
+            { model: Meal, as: 'meal' },
+            { model: OrderItemOption, as: 'options' }
+          ]
+        },
+        { model: PaymentMethod, as: 'paymentMethod' },
+        { model: Terminal, as: 'terminal' },
+        {
+          model: Refund,
+          as: 'refunds',
+          include: [{ model: RefundItem, as: 'items', include: [{ model: OrderItem, as: 'orderItem' }] }]
+        }
+      ],
+      order: [
+        ['id', 'ASC'],
+        [{ model: OrderItem, as: 'items' }, 'id', 'ASC'],
+        [{ model: Refund, as: 'refunds' }, 'id', 'ASC']
+      ]
+    });
+    const ordersById = new Map(orders.map(order => [order.id, order]));
+
+    let response;
+    try {
+      response = await callCloud(config, 'POST', SYNC_API_PATHS.orders, {
+        storeNumber: config.storeNumber,
+        sentAt: new Date(),
+        orders: orders.map(buildOrderPayload)
+      });
+    } catch (error) {
+      // 总部不可用时本批次退避重试，其余订单留到下次
+      await markPushFailed(records, error.message, config.intervalMinutes);
+      result.error = error.message;
+      break;
+    }
+
+    // 总部可以逐张拒绝订单（如数据不完整），被拒绝的订单单独退避重试
+    const rejectedMessages = new Map(
+      (Array.isArray(response.rejected) ? response.rejected : [])
+        .map(item => [item.orderNumber, item.message || '总部拒绝接收'])
+    );
+
+    for (const record of records) {
+      const order = ordersById.get(record.order_id);
+      const rejectedMessage = order ? rejectedMessages.get(order.order_number) : null;
+      if (rejectedMessage) {
+        await markPushFailed([record], rejectedMessage, config.intervalMinutes);
+        logger.warn('总部拒绝接收订单', { orderNumber: order.order_number, message: rejectedMessage });
+        result.rejected += 1;
+        continue;
+      }
+      await record.update({
+        status: 'synced',
+        attempts: 0,
+        next_attempt_at: null,
+        last_error: null,
+        synced_version: order ? order.updated_at : record.synced_version,
+        synced_at: new Date()
+      });
+      result.pushed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 按总部菜单更新本地菜品（总部菜单中没有的菜品保持不变）
+ * @param {Array} meals - 总部菜品，字段与菜单管理接口一致 {id, name, nameEn, price, desc, descEn, category, isActive, sortOrder}
+ * @returns {Promise<Object>} { created, updated, skipped }
+ */
+const applyMenu = async (meals) => {
+  const result = { created: 0, updated: 0, skipped: 0 };
+
+  for (const item of meals) {
+    try {
+      if (!item || !Number.isInteger(item.id) || item.id < 0) {
+        throw new Error('菜品ID无效');
+      }
+
+      const meal = await Meal.findByPk(item.id);
+      if (!meal) {
+        const values = validateMealInput(item);
+        await Meal.create({ ...values, id: item.id });
+        logger.info('云端同步新增菜品', { mealId: item.id, name: values.name_zh, price: values.price });
+        result.created += 1;
+        continue;
+      }
+
+      // 只更新有变化的字段
+      const values = validateMealInput(item, { partial: true });
+      const changes = {};
+      Object.keys(values).forEach(field => {
+        const changed = field === 'price'
+          ? parseFloat(meal.price) !== parseFloat(values.price)
+          : meal[field] !== values[field];
+        if (changed) {
+          changes[field] = values[field];
+        }
+      });
+      if (Object.keys(changes).length === 0) {
+        continue;
+      }
+
+      const previousPrice = parseFloat(meal.price);
+      await meal.update(changes);
+      logger.info('云端同步更新菜品', {
+        mealId: meal.id,
+        fields: Object.keys(changes),
+        previousPrice,
+        price: parseFloat(meal.price)
+      });
+      result.updated += 1;
+    } catch (error) {
+      logger.warn('云端菜品数据无效，已跳过', { mealId: item ? item.id : null, error: error.message });
+      result.skipped += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 拉取总部菜单和价格
+ * @param {Object} config - 同步配置
+ * @returns {Promise<Object>} { created, updated, skipped }
+ */
+const pullMenu = async (config) => {
+  const data = await callCloud(config, 'GET', SYNC_API_PATHS.menu);
+  if (!Array.isArray(data.meals)) {
+    throw new Error('总部菜单格式不正确（缺少 meals）');
+  }
+  return applyMenu(data.meals);
+};
+
+/**
+ * 执行一次同步：标记有变化的订单、上传到期订单、拉取菜单，全部成功后更新 last_sync_time
+ * @returns {Promise<Object>} 同步结果
+ */
+const runSync = async () => {
+  if (syncRunning) {
+    throw createHttpError('同步正在进行中', 409);
+  }
+  syncRunning = true;
+
+  const config = await loadSyncConfig().catch(error => {
+    syncRunning = false;
+    throw error;
+  });
+  const startedAt = new Date();
+  const result = { startedAt, enqueued: 0, push: null, menu: null, errors: [] };
+
+  try {
+    if (!config.url) {
+      throw createHttpError('未设置同步地址 sync_url', 400);
+    }
+    if (!config.apiKey) {
+      throw createHttpError('未设置同步密钥 sync_api_key', 400);
+    }
+
+    result.enqueued = await enqueueChangedOrders();
+    result.push = await pushPendingOrders(config);
+    if (result.push.error) {
+      result.errors.push(result.push.error);
+    }
+
+    try {
+      result.menu = await pullMenu(config);
+    } catch (error) {
+      result.errors.push(error.message);
+    }
+
+    if (result.errors.length === 0) {
+      const lastSyncTime = JSON.stringify(startedAt.toISOString());
+      const [updatedCount] = await Settings.update({ value: lastSyncTime }, { where: { key: 'last_sync_time' } });
+      if (updatedCount === 0) {
+        await Settings.create({ key: 'last_sync_time', value: lastSyncTime, description: '最后同步时间', category: 'sync' });
+      }
+      syncState.consecutiveFailures = 0;
+      syncState.nextRunAt = new Date(Date.now() + config.intervalMinutes * 60 * 1000);
+      syncState.lastError = null;
+      logger.info('云端同步完成', {
+        enqueued: result.enqueued,
+        pushed: result.push.pushed,
+        rejected: result.push.rejected,
+        menu: result.menu
+      });
+    } else {
+      syncState.consecutiveFailures += 1;
+      syncState.nextRunAt = new Date(Date.now() + getRetryDelay(syncState.consecutiveFailures, config.intervalMinutes));
+      syncState.lastError = result.errors.join('；');
+      logger.warn('云端同步失败，稍后重试', {
+        errors: result.errors,
+        consecutiveFailures: syncState.consecutiveFailures,
+        nextRunAt: syncState.nextRunAt
+      });
+    }
+
+    syncState.lastRunAt = startedAt;
+    syncState.lastResult = result;
+    return { ...result, success: result.errors.length === 0 };
+  } finally {
+    syncRunning = false;
+  }
+};
+
+/**
+ * 后台检查：启用同步且到了同步时间（或失败后的重试时间）时执行同步
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (syncRunning) {
+    return;
+  }
+  try {
+    const config = await loadSyncConfig();
+    if (!config.enabled || !config.url || !config.apiKey) {
+      return;
+    }
+    if (syncState.nextRunAt && syncState.nextRunAt > new Date()) {
+      return;
+    }
+    await runSync();
+  } catch (error) {
+    logger.error('云端同步任务执行失败:', error);
+  }
+};
+
+/**
+ * 获取同步状态
+ * @returns {Promise<Object>}
+ */
+const getSyncStatus = async () => {
+  const config = await loadSyncConfig();
+  const [pending, synced, retrying] = await Promise.all([
+    SyncOutbox.count({ where: { status: 'pending' } }),
+    SyncOutbox.count({ where: { status: 'synced' } }),
+    SyncOutbox.count({ where: { status: 'pending', attempts: { [Op.gt]: 0 } } })
+  ]);
+
+  return {
+    enabled: config.enabled,
+    url: config.url,
+    intervalMinutes: config.intervalMinutes,
+    running: syncRunning,
+    lastSyncTime: await getSettingValue('last_sync_time', null),
+    lastRunAt: syncState.lastRunAt,
+    nextRunAt: syncState.nextRunAt,
+    consecutiveFailures: syncState.consecutiveFailures,
+    lastError: syncState.lastError,
+    lastResult: syncState.lastResult,
+    outbox: { pending, synced, retrying }
+  };
+};
+
+/**
+ * 启动后台同步任务
+ */
+const startWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+  workerTimer = setInterval(tick, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  setImmediate(tick);
+  logger.info('云端同步任务已启动');
+};
+
+/**
+ * 停止后台同步任务
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  normalizeSyncInterval,
+  normalizeSyncUrl,
+  signRequest,
+  runSync,
+  getSyncStatus,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,266 @@
+/**
+ * 终端管理服务模块
+ * 多台自助点餐机共用一台服务器时，每台点餐机在此登记（编号、名称、位置、默认语言、小票打印机），
+ * 点餐机的请求通过请求头 X-Terminal-Id 携带终端编号
+ */
+
+const printerService = require('./printerService');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/httpError');
+const { Terminal } = require('../models');
+
+// 点餐机提交终端编号的请求头
+const TERMINAL_HEADER = 'X-Terminal-Id';
+
+// 点餐界面支持的语言
+const TERMINAL_LANGUAGES = ['zh', 'en'];
+
+// 字段长度限制（与 Terminal 模型一致）
+const NAME_MAX_LENGTH = 100;
+const LOCATION_MAX_LENGTH = 200;
+
+// 终端编号：字母、数字、- 和 _，最长 20 个字符
+const TERMINAL_CODE_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+/**
+ * 格式化终端数据
+ * @param {Object} terminal - Terminal 实例
+ * @returns {Object}
+ */
+const formatTerminal = (terminal) => ({
+  id: terminal.id,
+  code: terminal.code,
+  name: terminal.name,
+  location: terminal.location,
+  defaultLanguage: terminal.default_language,
+  printerName: terminal.printer_name,
+  isActive: terminal.is_active,
+  updatedAt: terminal.updated_at
+});
+
+/**
+ * 校验并转换终端数据（客户端字段 => 数据库字段）
+ * @param {Object} data - 客户端提交的数据
+ * @param {Object} options - 选项
+ * @param {boolean} options.partial - 是否为部分更新（未提供的字段不校验）
+ * @returns {Object} 数据库字段
+ */
+const validateTerminalInput = (data, options = {}) => {
+  const partial = options.partial === true;
+  const errors = [];
+  const values = {};
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('code')) {
+    const code = typeof data.code === 'string' ? data.code.trim() : '';
+    if (!TERMINAL_CODE_PATTERN.test(code)) {
+      errors.push('终端编号只能包含字母、数字、- 和 _，最长 20 个字符');
+    } else {
+      values.code = code;
+    }
+  }
+
+  if (!partial || has('name')) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      errors.push('终端名称不能为空');
+    } else if (name.length > NAME_MAX_LENGTH) {
+      errors.push(`终端名称不能超过 ${NAME_MAX_LENGTH} 个字符`);
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has('location')) {
+    if (data.location !== null && typeof data.location !== 'string') {
+      errors.push('位置格式不正确');
+    } else if (data.location && data.location.trim().length > LOCATION_MAX_LENGTH) {
+      errors.push(`位置不能超过 ${LOCATION_MAX_LENGTH} 个字符`);
+    } else {
+      values.location = data.location ? data.location.trim() || null : null;
+    }
+  }
+
+  if (has('defaultLanguage')) {
+    if (!TERMINAL_LANGUAGES.includes(data.defaultLanguage)) {
+      errors.push(`默认语言只能是 ${TERMINAL_LANGUAGES.join(' / ')}`);
+    } else {
+      values.default_language = data.defaultLanguage;
+    }
+  }
+
+  if (has('printerName')) {
+    if (data.printerName === null || data.printerName === '') {
+      values.printer_name = null;
+    } else if (typeof data.printerName !== 'string' || !printerService.getPrinterConfig(data.printerName)) {
+      errors.push(`打印机未配置: ${data.printerName}（可用: ${Object.keys(printerService.getConfig().printers).join(', ')}）`);
+    } else {
+      values.printer_name = data.printerName;
+    }
+  }
+
+  if (has('isActive')) {
+    if (typeof data.isActive !== 'boolean') {
+      errors.push('isActive 必须为布尔值');
+    } else {
+      values.is_active = data.isActive;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createHttpError(errors.join('；'), 400);
+  }
+
+  return values;
+};
+
+/**
+ * 查找终端，不存在时抛出 404
+ * @param {number} terminalId - 终端ID
+ * @returns {Promise<Object>} Terminal 实例
+ */
+const findTerminalOrFail = async (terminalId) => {
+  const terminal = await Terminal.findByPk(terminalId);
+  if (!terminal) {
+    throw createHttpError('终端不存在', 404);
+  }
+  return terminal;
+};
+
+/**
+ * 检查终端编号是否已被其他终端使用
+ * @param {string} code - 终端编号
+ * @param {number|null} excludeId - 排除的终端ID（修改时为当前终端）
+ */
+const assertCodeAvailable = async (code, excludeId = null) => {
+  const existing = await Terminal.findOne({ where: { code } });
+  if (existing && existing.id !== excludeId) {
+    throw createHttpError(`终端编号 ${code} 已存在`, 409);
+  }
+};
+
+/**
+ * 获取全部终端（包含已停用）
+ * @returns {Promise<Array>}
+ */
+const listTerminals = async () => {
+  try {
+    const terminals = await Terminal.findAll({
+      order: [['code', 'ASC'], ['id', 'ASC']]
+    });
+    return terminals.map(formatTerminal);
+  } catch (error) {
+    logger.error('获取终端列表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 登记终端
+ * @param {Object} data - 终端数据 {code, name, location, defaultLanguage, printerName}
+ * @returns {Promise<Object>}
+ */
+const createTerminal = async (data) => {
+  try {
+    const values = validateTerminalInput(data);
+    await assertCodeAvailable(values.code);
+
+    const terminal = await Terminal.create(values);
+    await terminal.reload();
+    logger.info('登记终端', { terminalId: terminal.id, code: terminal.code, name: terminal.name });
+
+    return formatTerminal(terminal);
+  } catch (error) {
+    logger.error('登记终端失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 修改终端（只更新提交的字段）
+ * @param {number} terminalId - 终端ID
+ * @param {Object} data - 要修改的字段
+ * @returns {Promise<Object>}
+ */
+const updateTerminal = async (terminalId, data) => {
+  try {
+    const values = validateTerminalInput(data, { partial: true });
+    if (Object.keys(values).length === 0) {
+      throw createHttpError('没有需要修改的字段', 400);
+    }
+
+    const terminal = await findTerminalOrFail(terminalId);
+    if (values.code !== undefined) {
+      await assertCodeAvailable(values.code, terminal.id);
+    }
+    await terminal.update(values);
+
+    logger.info('修改终端', { terminalId: terminal.id, code: terminal.code, fields: Object.keys(values) });
+
+    return formatTerminal(terminal);
+  } catch (error) {
+    logger.error('修改终端失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 停用终端（软删除，保留历史订单引用）
+ * @param {number} terminalId - 终端ID
+ * @returns {Promise<Object>}
+ */
+const deleteTerminal = async (terminalId) => {
+  try {
+    const terminal = await findTerminalOrFail(terminalId);
+    await terminal.update({ is_active: false });
+
+    logger.info('停用终端', { terminalId: terminal.id, code: terminal.code });
+
+    return formatTerminal(terminal);
+  } catch (error) {
+    logger.error('停用终端失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 根据请求头中的终端编号查找终端
+ * 未提交终端编号时返回 null（兼容未登记的单机部署）；编号未登记或终端已停用时抛出错误
+ * @param {string|undefined} code - 终端编号（X-Terminal-Id）
+ * @returns {Promise<Object|null>} Terminal 实例
+ */
+const resolveTerminal = async (code) => {
+  if (code === undefined || code === null || String(code).trim() === '') {
+    return null;
+  }
+
+  const terminal = await Terminal.findOne({ where: { code: String(code).trim() } });
+  if (!terminal) {
+    throw createHttpError(`終端未登記，請聯絡店員 / Unknown terminal: ${code}`, 400);
+  }
+  if (!terminal.is_active) {
+    throw createHttpError(`終端已停用，請聯絡店員 / Terminal disabled: ${code}`, 403);
+  }
+  return terminal;
+};
+
+/**
+ * 终端使用的顾客小票打印机（未指定时为 receipt）
+ * @param {Object|null} terminal - Terminal 实例
+ * @returns {string} 打印机名称
+ */
+const getReceiptPrinterName = (terminal) => {
+  return terminal && terminal.printer_name ? terminal.printer_name : printerService.RECEIPT_PRINTER;
+};
+
+module.exports = {
+  TERMINAL_HEADER,
+  TERMINAL_LANGUAGES,
+  formatTerminal,
+  listTerminals,
+  createTerminal,
+  updateTerminal,
+  deleteTerminal,
+  resolveTerminal,
+  getReceiptPrinterName
+};
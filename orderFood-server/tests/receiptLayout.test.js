@@ -0,0 +1,216 @@
+/**
+ * 小票排版模块测试
+ * 运行：npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getDefaultReceiptTemplate,
+  normalizeReceiptTemplate,
+  buildReceiptCommands,
+  buildKitchenTicketCommands,
+  buildRefundSlipCommands,
+  buildPaymentSlipCommands,
+  buildDailyReportCommands
+} = require('../services/receiptLayout');
+const { getDisplayWidth } = require('../utils/getDisplayWidth');
+
+const ORDER_DATA = {
+  order_number: 'D00120261019061149730001',
+  daily_sequence: 7,
+  order_type: 0,
+  items: [
+    {
+      name: '二餸飯',
+      quantity: 2,
+      price: 28,
+      subtotal: 56,
+      options: [{ group_name: '款式', name: '可口可樂', price_delta: 2 }]
+    },
+    { name: 'Fries', quantity: 1, price: 5, subtotal: 5, options: [] }
+  ],
+  total_amount: 61,
+  total_quantity: 3,
+  order_time: '2026-10-19 06:11:49',
+  store_name_zh: '岱民',
+  store_name_en: 'Doi Man',
+  payment_type_zh: '銀行卡',
+  payment_type_en: 'Bank Card'
+};
+
+// 打印指令中的文本
+const texts = (commands) => commands.filter(command => command.op === 'text').map(command => command.text);
+
+// 断言抛出指定响应码的错误
+const assertHttpError = (fn, statusCode) => {
+  assert.throws(fn, error => error.statusCode === statusCode);
+};
+
+test('normalizeReceiptTemplate 为空时返回默认模板', () => {
+  assert.deepEqual(normalizeReceiptTemplate(null), getDefaultReceiptTemplate());
+  assert.deepEqual(normalizeReceiptTemplate(''), getDefaultReceiptTemplate());
+});
+
+test('normalizeReceiptTemplate 补全未填写的字段', () => {
+  const template = normalizeReceiptTemplate(JSON.stringify({
+    languageMode: 'zh',
+    fields: { orderNumber: false },
+    columns: { price: 0 }
+  }));
+  const defaults = getDefaultReceiptTemplate();
+
+  assert.equal(template.languageMode, 'zh');
+  assert.equal(template.lineWidth, defaults.lineWidth);
+  assert.deepEqual(template.footerLines, defaults.footerLines);
+  assert.equal(template.fields.orderNumber, false);
+  assert.equal(template.fields.storeName, true);
+  assert.deepEqual(template.columns, { ...defaults.columns, price: 0 });
+});
+
+test('normalizeReceiptTemplate 拒绝无效的模板', () => {
+  assertHttpError(() => normalizeReceiptTemplate('{'), 400);
+  assertHttpError(() => normalizeReceiptTemplate([]), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ languageMode: 'fr' }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ lineWidth: 100 }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ orderCode: 'pdf417' }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ fields: { logo: true } }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ fields: { storeName: 'yes' } }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ columns: { name: 0 } }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ footerLines: 'Thank You!' }), 400);
+  assertHttpError(() => normalizeReceiptTemplate({ headerLines: new Array(11).fill('a') }), 400);
+  // 列宽合计 16 + 8 + 10 + 14 = 48 超过 32
+  assertHttpError(() => normalizeReceiptTemplate({ lineWidth: 32 }), 400);
+});
+
+test('buildReceiptCommands 默认模板打印号码、明细、选项和二维码', () => {
+  const commands = buildReceiptCommands(ORDER_DATA, null);
+  const lines = texts(commands);
+
+  assert.ok(lines.includes('D0007'));
+  assert.ok(lines.includes('岱民 - Doi Man'));
+  assert.ok(lines.some(line => line.startsWith('二餸飯')));
+  assert.ok(lines.includes('  - 款式: 可口可樂 (+$2)'));
+  assert.ok(lines.some(line => line.startsWith('支付金額') && line.endsWith('HK$61')));
+  assert.deepEqual(commands.find(command => command.op === 'qrcode').data, ORDER_DATA.order_number);
+  assert.deepEqual(commands.slice(-3).map(command => command.op), ['feedLines', 'cut', 'feedLine']);
+});
+
+test('buildReceiptCommands 按语言模式和字段开关排版', () => {
+  const lines = texts(buildReceiptCommands({ ...ORDER_DATA, is_reprint: true }, {
+    languageMode: 'en',
+    fields: { itemOptions: false, orderNumber: false }
+  }));
+
+  assert.ok(lines.includes('Doi Man'));
+  assert.ok(lines.includes('REPRINT'));
+  assert.ok(lines.some(line => line.startsWith('Item')));
+  assert.ok(!lines.some(line => line.startsWith('品項')));
+  assert.ok(!lines.some(line => line.startsWith('  - ')));
+  assert.ok(!lines.some(line => line.includes(ORDER_DATA.order_number)));
+});
+
+test('buildReceiptCommands 窄纸使用最窄的条码，orderCode 为 none 时不打印编号码', () => {
+  const narrow = { lineWidth: 32, columns: { name: 12, quantity: 4, price: 6, amount: 10 } };
+  const barcode = buildReceiptCommands(ORDER_DATA, { ...narrow, orderCode: 'barcode' }).find(command => command.op === 'barcode');
+  assert.equal(barcode.unitWidth, 1);
+
+  const commands = buildReceiptCommands(ORDER_DATA, { ...narrow, orderCode: 'none' });
+  assert.ok(!commands.some(command => command.op === 'qrcode' || command.op === 'barcode'));
+});
+
+test('buildReceiptCommands 按显示宽度截断菜品名称，表格保持对齐', () => {
+  const { columns, lineWidth } = getDefaultReceiptTemplate();
+  const orderData = {
+    ...ORDER_DATA,
+    items: [{ name: '超級無敵豪華雙層芝士漢堡套餐', quantity: 1, price: 28, subtotal: 28 }]
+  };
+  const itemLine = texts(buildReceiptCommands(orderData, null)).find(line => line.startsWith('超級'));
+
+  assert.ok(itemLine.includes('…'));
+  assert.ok(getDisplayWidth(itemLine.split('…')[0] + '…') <= columns.name);
+  assert.equal(getDisplayWidth(itemLine), lineWidth);
+});
+
+test('buildKitchenTicketCommands 打印大号号码和菜品选项，不打印价格', () => {
+  const commands = buildKitchenTicketCommands({ ...ORDER_DATA, order_type: 1, is_reprint: true }, 'kitchen');
+  const lines = texts(commands);
+
+  assert.equal(lines[0], '廚房單(Kitchen) kitchen');
+  assert.ok(lines.includes('重印(REPRINT)'));
+  assert.equal(commands.find(command => command.text === 'T0007').widthTimes, 3);
+  assert.ok(lines.includes('2 x 二餸飯'));
+  assert.ok(lines.includes('共 3 件(Items)'));
+  assert.ok(!lines.some(line => line.includes('HK$')));
+});
+
+test('buildKitchenTicketCommands 没有序号时打印订单号', () => {
+  const lines = texts(buildKitchenTicketCommands({ ...ORDER_DATA, daily_sequence: null }, 'kitchen'));
+  assert.ok(lines.includes(ORDER_DATA.order_number));
+});
+
+test('buildRefundSlipCommands 区分撤销和退款', () => {
+  const slipData = {
+    refund_no: 'R0001',
+    refund_type: 'void',
+    order_number: ORDER_DATA.order_number,
+    daily_sequence: 7,
+    order_type: 0,
+    items: [{ name: '二餸飯', quantity: 1, amount: 28 }],
+    amount: 28,
+    order_amount: 61,
+    reason: '客人要求',
+    refund_time: '2026-10-19 12:00:00'
+  };
+  const lines = texts(buildRefundSlipCommands(slipData));
+
+  assert.equal(lines[0], '撤銷單(Void)');
+  assert.ok(lines.some(line => line.startsWith('退款金額(Refund)') && line.endsWith('HK$28')));
+  assert.ok(lines.includes('原因(Reason): 客人要求'));
+  assert.ok(!lines.some(line => line.startsWith('經手人')));
+  assert.equal(texts(buildRefundSlipCommands({ ...slipData, refund_type: 'refund' }))[0], '退款單(Refund)');
+});
+
+test('buildPaymentSlipCommands 打印明细选项、付款期限和订单编号二维码', () => {
+  const commands = buildPaymentSlipCommands({ ...ORDER_DATA, expire_time: '12:10' });
+  const lines = texts(commands);
+
+  assert.ok(lines.includes('  - 款式: 可口可樂 (+$2)'));
+  assert.ok(lines.some(line => line.startsWith('應付金額(Amount Due)') && line.endsWith('HK$61')));
+  assert.ok(lines.includes('請於 12:10 前付款，逾時訂單自動取消'));
+  assert.equal(commands.find(command => command.op === 'qrcode').data, ORDER_DATA.order_number);
+});
+
+test('buildDailyReportCommands 只在登记了终端时打印按终端汇总', () => {
+  const reportData = {
+    date: '2026-10-19',
+    generated_time: '2026-10-19 22:00:00',
+    orderCount: 1,
+    grossAmount: 61,
+    refundCount: 0,
+    refundAmount: 0,
+    totalAmount: 61,
+    itemQuantity: 3,
+    cancelledCount: 0,
+    cancelledAmount: 0,
+    pendingCount: 0,
+    pendingAmount: 0,
+    lastDailySequence: 7,
+    byPaymentMethod: [{ name: '銀行卡', orderCount: 1, totalAmount: 61 }],
+    byOrderType: [{ name: '堂食', orderCount: 1, totalAmount: 61 }],
+    byTerminal: [{ terminalId: null, name: '未登記', orderCount: 1, totalAmount: 61 }],
+    byMeal: []
+  };
+  const lines = texts(buildDailyReportCommands(reportData));
+
+  assert.ok(lines.some(line => line.startsWith('最後號碼(Last No.)') && line.endsWith('0007')));
+  assert.ok(!lines.some(line => line.startsWith('機號(Kiosk)')));
+  assert.ok(!lines.some(line => line.startsWith('退款(Refunds)')));
+  assert.ok(lines.includes('無(None)'));
+
+  const withTerminal = texts(buildDailyReportCommands({
+    ...reportData,
+    byTerminal: [{ terminalId: 1, name: 'K1', orderCount: 1, totalAmount: 61 }]
+  }));
+  assert.ok(withTerminal.some(line => line.startsWith('機號(Kiosk)')));
+});
@@ -0,0 +1,96 @@
+/**
+ * 日期时间工具
+ * 订单查询、报表和小票统一按服务器本地时区处理日期；营业日按 Settings 中的切换时间划分
+ */
+
+const { createHttpError } = require('./httpError');
+
+/**
+ * 解析 YYYY-MM-DD 格式的日期（按本地时区的 0 点）
+ * @param {string} value - 日期字符串
+ * @param {string} fieldName - 参数名（用于错误信息）
+ * @returns {Date}
+ */
+function parseDateParam(value, fieldName) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  if (!date || date.getMonth() !== Number(match[2]) - 1) {
+    throw createHttpError(`${fieldName} 格式不正确，应为 YYYY-MM-DD`, 400);
+  }
+  return date;
+}
+
+/**
+ * 格式化日期为 YYYY-MM-DD
+ * @param {Date} date - 时间
+ * @returns {string}
+ */
+function formatDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * 格式化时间为 YYYY-MM-DD HH:mm:ss
+ * @param {Date} date - 时间
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  const hh = String(date.getHours()).padStart(2, '0');
+  const mm = String(date.getMinutes()).padStart(2, '0');
+  const ss = String(date.getSeconds()).padStart(2, '0');
+  return `${formatDate(date)} ${hh}:${mm}:${ss}`;
+}
+
+/**
+ * 解析 HH:mm 格式的时间（如营业日切换时间）
+ * @param {string} value - 时间字符串
+ * @returns {number|null} 距 0 点的分钟数，格式错误返回 null
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * 获取某个时间所属的营业日（切换时间之前的订单算作前一个营业日）
+ * @param {Date} time - 时间
+ * @param {number} cutoverMinutes - 营业日切换时间（距 0 点的分钟数）
+ * @returns {string} 营业日期 YYYY-MM-DD
+ */
+function getBusinessDate(time, cutoverMinutes = 0) {
+  return formatDate(new Date(
+    time.getFullYear(),
+    time.getMonth(),
+    time.getDate(),
+    time.getHours(),
+    time.getMinutes() - cutoverMinutes
+  ));
+}
+
+/**
+ * 获取营业日的起止时间（包含开始时间，不包含结束时间）
+ * @param {Date} date - 营业日期（本地 0 点）
+ * @param {number} cutoverMinutes - 营业日切换时间（距 0 点的分钟数）
+ * @returns {{start: Date, end: Date}}
+ */
+function getBusinessDayRange(date, cutoverMinutes = 0) {
+  return {
+    start: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, cutoverMinutes),
+    end: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, 0, cutoverMinutes)
+  };
+}
+
+module.exports = {
+  parseDateParam,
+  formatDate,
+  formatDateTime,
+  parseTimeOfDay,
+  getBusinessDate,
+  getBusinessDayRange
+};
@@ -0,0 +1,20 @@
+/**
+ * 计算文本在小票上的显示宽度（中文字符占2个ASCII字符宽度）
+ * @param {string} text - 文本
+ * @returns {number} 显示宽度（ASCII字符数）
+ */
+function getDisplayWidth(text) {
+  let width = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    // 判断是否为中文字符（包括繁体中文）
+    if (/[\u4e00-\u9fff\u3400-\u4dbf\uf900-\ufaff]/.test(char)) {
+      width += 2; // 中文字符占2个ASCII字符宽度
+    } else {
+      width += 1; // 英文字符占1个ASCII字符宽度
+    }
+  }
+  return width;
+}
+
+module.exports = { getDisplayWidth };
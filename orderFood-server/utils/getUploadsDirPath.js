@@ -0,0 +1,18 @@
+const path = require('path');
+const { getDatabasePath } = require('./getDatabasePath');
+
+/**
+ * 获取上传文件目录路径（点单系统专用）
+ * 与数据库文件放在同一目录下，打包后也不会写入只读的快照目录
+ * @param {...string} segments - 子目录（可选），如 'meals'
+ * @returns {string} 上传文件目录路径
+ */
+function getUploadsDirPath(...segments) {
+  // 如果设置了环境变量，优先使用
+  const uploadsDir = process.env.UPLOADS_DIR_PATH
+    || path.join(path.dirname(getDatabasePath()), 'uploads');
+
+  return path.join(uploadsDir, ...segments);
+}
+
+module.exports = { getUploadsDirPath };
@@ -0,0 +1,18 @@
+/**
+ * 业务错误工具
+ * service 层抛出带 statusCode 的错误，controller 按 statusCode 返回响应码
+ */
+
+/**
+ * 创建带 HTTP 状态码的业务错误
+ * @param {string} message - 错误信息
+ * @param {number} statusCode - HTTP 状态码
+ * @returns {Error}
+ */
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { createHttpError };
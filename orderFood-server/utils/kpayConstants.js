@@ -173,10 +173,90 @@ function isErrorCode(code) {
   return !isSuccessCode(code);
 }
 
+/**
+ * 交易处理中的应答码（需要继续等待或查询交易结果）
+ */
+const IN_PROGRESS_CODES = [
+  20011,  // 交易处理中，请等待或主动查询交易结果
+  20014,  // 交易查询中……
+  20016,  // 等待前台应用处理中，请等待或主动查询交易结果
+  700020, // 交易失败，发起冲正（终端正在冲正，等待冲正结果）
+  700027, // 请在POS输入密码(PIN)
+  700028, // 已确认密码(PIN)
+  700031, // 跳过密码(PIN)
+  700032, // 查询失败，请稍后再试（二维码还未获取成功）
+  700033, // 查询失败，请稍后再试（二维码还未获取成功）
+  700034  // 交易未完成,请查询
+];
+
+/**
+ * 需要由收银系统主动发起冲正的应答码
+ */
+const REVERSAL_REQUIRED_CODES = [
+  700022, // 交易冲正失败，请重试冲正
+  700035  // 交易失败,请冲正
+];
+
+/**
+ * 冲正已完成的应答码（交易已失败，客户可重新发起交易）
+ */
+const REVERSED_CODES = [
+  700021  // 交易冲正成功，请重新发起交易
+];
+
+/**
+ * 付款方式代码与 KPay 支付类型的对应关系（Kiosk 模式必须指定支付类型）
+ */
+const KPAY_PAY_TYPES = {
+  bankcard: 'CARD',
+  visa: 'CARD',
+  mastercard: 'CARD',
+  wechat: 'WECHAT',
+  alipay: 'ALIPAY',
+  octopus: 'OCTOPUS'
+};
+
+/**
+ * 判断应答码是否表示交易仍在处理中
+ * @param {number|string} code - 应答码
+ * @returns {boolean}
+ */
+function isInProgressCode(code) {
+  const codeNum = typeof code === 'string' ? parseInt(code, 10) : code;
+  return IN_PROGRESS_CODES.includes(codeNum);
+}
+
+/**
+ * 判断应答码是否要求收银系统发起冲正
+ * @param {number|string} code - 应答码
+ * @returns {boolean}
+ */
+function isReversalRequiredCode(code) {
+  const codeNum = typeof code === 'string' ? parseInt(code, 10) : code;
+  return REVERSAL_REQUIRED_CODES.includes(codeNum);
+}
+
+/**
+ * 判断应答码是否表示交易已冲正
+ * @param {number|string} code - 应答码
+ * @returns {boolean}
+ */
+function isReversedCode(code) {
+  const codeNum = typeof code === 'string' ? parseInt(code, 10) : code;
+  return REVERSED_CODES.includes(codeNum);
+}
+
 module.exports = {
   KPAY_RESPONSE_CODES,
   SUCCESS_CODES,
+  IN_PROGRESS_CODES,
+  REVERSAL_REQUIRED_CODES,
+  REVERSED_CODES,
+  KPAY_PAY_TYPES,
   getResponseMessage,
   isSuccessCode,
-  isErrorCode
+  isErrorCode,
+  isInProgressCode,
+  isReversalRequiredCode,
+  isReversedCode
 };
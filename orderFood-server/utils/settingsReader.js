@@ -0,0 +1,37 @@
+/**
+ * 系统设置读取工具
+ * Settings 表中的值以 JSON 字符串保存，这里统一处理解析和默认值
+ */
+
+/**
+ * 读取单个设置项的值
+ * @param {string} key - 设置键名
+ * @param {any} defaultValue - 设置不存在或值为空时返回的默认值
+ * @param {Object} options - 查询选项
+ * @param {Object} options.transaction - 数据库事务对象（可选）
+ * @returns {Promise<any>} 解析后的设置值
+ */
+async function getSettingValue(key, defaultValue = null, options = {}) {
+  const { Settings } = require('../models');
+
+  const setting = await Settings.findOne({
+    where: { key },
+    transaction: options.transaction || null
+  });
+
+  if (!setting || setting.value === null || setting.value === undefined) {
+    return defaultValue;
+  }
+
+  // 尝试解析 JSON，如果失败则返回原始值
+  let value;
+  try {
+    value = JSON.parse(setting.value);
+  } catch (e) {
+    value = setting.value;
+  }
+
+  return value === null || value === undefined ? defaultValue : value;
+}
+
+module.exports = { getSettingValue };